@@ -1,20 +1,38 @@
 import { NextResponse } from 'next/server';
 import { createClient } from '@/utils/supabase/server';
+import { getCurrentProfile } from '@/lib/server-auth';
+import { ATTENDANCE_SOURCES, recordAttendance } from '@/lib/attendance/service';
+import { parseLocation } from '@/lib/attendance/checkin-rules';
 
 /**
  * POST handler for recording student attendance
- * 
+ *
+ * <p>Takes <code>{ token, code, location }</code>, where <code>code</code> is
+ * the rotating code shown with the QR code for events that use one. The
+ * student is the signed-in user, never one named in the body.</p>
+ *
  * @param {Request} request - The incoming request object
  * @returns {Promise<NextResponse>} JSON response confirming attendance
  */
 export async function POST(request) {
   try {
     const supabase = await createClient();
-    const { studentId, token } = await request.json();
 
-    if (!studentId || !token) {
+    const { profile, response } = await getCurrentProfile(supabase);
+    if (response) return response;
+
+    if (!profile.student_id) {
+      return NextResponse.json(
+        { error: 'Only students can check in to events' },
+        { status: 403 }
+      );
+    }
+
+    const { token, code, location } = await request.json();
+
+    if (!token) {
       return NextResponse.json(
-        { error: 'Student ID and token are required' },
+        { error: 'Token is required' },
         { status: 400 }
       );
     }
@@ -41,66 +59,28 @@ export async function POST(request) {
       );
     }
 
-    // Verify the student exists
-    const { data: student, error: studentError } = await supabase
-      .from('users')
-      .select('id')
-      .eq('student_id', studentId)
-      .single();
-
-    if (studentError || !student) {
-      return NextResponse.json(
-        { error: 'Invalid student ID' },
-        { status: 404 }
-      );
-    }
-
-    // Check if student has already checked in
-    const { data: existingRecord, error: recordError } = await supabase
-      .from('attendance_records')
-      .select('id')
-      .match({
-        student_id: student.id,
-        event_id: qrCode.event_id
-      })
-      .single();
-
-    if (existingRecord) {
-      return NextResponse.json(
-        { error: 'You have already checked in to this event' },
-        { status: 409 }
-      );
-    }
-
-    // Record the attendance
-    const { error: attendanceError } = await supabase
-      .from('attendance_records')
-      .insert({
-        student_id: student.id,
-        event_id: qrCode.event_id,
-        checked_in_at: new Date().toISOString()
-      });
+    const { data, error } = await recordAttendance(supabase, {
+      sessionId: qrCode.event_id,
+      studentId: profile.student_id,
+      code,
+      location: parseLocation(location),
+      source: ATTENDANCE_SOURCES.EVENT_QR
+    });
 
-    if (attendanceError) {
-      console.error('Error recording attendance:', attendanceError);
+    if (error) {
       return NextResponse.json(
-        { error: 'Failed to record attendance' },
-        { status: 500 }
+        { error: error.message, code: error.code },
+        { status: error.status }
       );
     }
 
-    // Update the event's attendance count
-    const { error: updateError } = await supabase.rpc('increment_event_attendance', {
-      event_id: qrCode.event_id
-    });
-
-    if (updateError) {
-      console.error('Error updating attendance count:', updateError);
-      // Don't return an error since the attendance was recorded successfully
-    }
+    const flagged = data.flags.length > 0;
 
     return NextResponse.json({
-      message: 'Attendance recorded successfully'
+      message: flagged
+        ? 'Check-in received. It will count once an admin has reviewed it.'
+        : 'Attendance recorded successfully',
+      flagged
     });
 
   } catch (error) {
@@ -110,4 +90,4 @@ export async function POST(request) {
       { status: 500 }
     );
   }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,67 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { getCurrentProfile } from '@/lib/server-auth';
+import { buildCalendar } from '@/lib/calendar/ical';
+import { toEventEntry } from '@/lib/calendar/feed';
+
+/**
+ * GET handler for downloading an event as an .ics file
+ *
+ * <p>Uses the same UID and SEQUENCE as the calendar feed, so downloading it again
+ * after a change updates the copy already in the student's calendar. If the
+ * student cancelled their registration the file cancels the entry.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @param {{ params: Promise<{ session_id: string }> }} context - Route params
+ * @returns {Promise<NextResponse>} The .ics file as an attachment
+ */
+export async function GET(request, context) {
+  try {
+    const supabase = await createClient();
+
+    const { profile, response } = await getCurrentProfile(supabase);
+    if (response) return response;
+
+    const { session_id } = await context.params;
+
+    const { data: event, error: eventError } = await supabase
+      .from('career_sessions')
+      .select('*')
+      .eq('session_id', session_id)
+      .maybeSingle();
+
+    if (eventError || !event) {
+      return NextResponse.json(
+        { error: 'Event not found' },
+        { status: 404 }
+      );
+    }
+
+    const { data: registration } = await supabase
+      .from('event_registrations')
+      .select('status, calendar_sequence')
+      .eq('session_id', session_id)
+      .eq('user_id', profile.id)
+      .maybeSingle();
+
+    const { origin } = new URL(request.url);
+    const body = buildCalendar({
+      name: event.title,
+      entries: [toEventEntry(event, registration, origin)]
+    });
+
+    return new NextResponse(body, {
+      headers: {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': `attachment; filename="event-${event.session_id}.ics"`
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in event .ics API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
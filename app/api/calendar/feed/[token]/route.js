@@ -0,0 +1,54 @@
+import { NextResponse } from 'next/server';
+import { buildCalendar } from '@/lib/calendar/ical';
+import { createServiceClient } from '@/utils/supabase/server';
+import { getFeedEntries, verifyFeedToken } from '@/lib/calendar/feed';
+
+/**
+ * GET handler for a user's private iCal feed
+ *
+ * <p>Calendar apps poll this URL without signing in, so access is granted by
+ * the signed token in the path. Changed events keep their UID and get a higher
+ * SEQUENCE; cancelled ones stay in the feed marked as cancelled.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @param {{ params: Promise<{ token: string }> }} context - Route params
+ * @returns {Promise<NextResponse>} The text/calendar feed
+ */
+export async function GET(request, context) {
+  try {
+    const { token } = await context.params;
+    const supabase = await createServiceClient();
+
+    const { data: feed, error: tokenError } = await verifyFeedToken(supabase, token);
+    if (tokenError) {
+      return NextResponse.json(
+        { error: tokenError.message, code: tokenError.code },
+        { status: tokenError.status }
+      );
+    }
+
+    const { origin } = new URL(request.url);
+    const { data: entries, error } = await getFeedEntries(supabase, feed.userId, origin);
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return new NextResponse(buildCalendar({ name: 'Ashesi Career Services', entries }), {
+      headers: {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="career-services.ics"',
+        'Cache-Control': 'private, max-age=900'
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in calendar feed API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,60 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { getCurrentProfile } from '@/lib/server-auth';
+import { buildCalendar } from '@/lib/calendar/ical';
+import { ADVISING_SESSION_COLUMNS, toAdvisingEntry } from '@/lib/calendar/feed';
+
+/**
+ * GET handler for downloading a one-on-one advising session as an .ics file
+ *
+ * <p>Only the session's student and advisor can download it. A rescheduled
+ * session keeps its UID with a higher SEQUENCE, and a cancelled one downloads
+ * as a cancellation.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @param {{ params: Promise<{ id: string }> }} context - Route params
+ * @returns {Promise<NextResponse>} The .ics file as an attachment
+ */
+export async function GET(request, context) {
+  try {
+    const supabase = await createClient();
+
+    const { profile, response } = await getCurrentProfile(supabase);
+    if (response) return response;
+
+    const { id } = await context.params;
+
+    const { data: session, error } = await supabase
+      .from('sessions')
+      .select(ADVISING_SESSION_COLUMNS)
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error || !session || (session.student_id !== profile.id && session.advisor_id !== profile.id)) {
+      return NextResponse.json(
+        { error: 'Session not found' },
+        { status: 404 }
+      );
+    }
+
+    const { origin } = new URL(request.url);
+    const body = buildCalendar({
+      name: 'Career advising session',
+      entries: [toAdvisingEntry(session, profile.id, origin)]
+    });
+
+    return new NextResponse(body, {
+      headers: {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': `attachment; filename="advising-session-${session.date}.ics"`
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in advising session .ics API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,83 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { getCurrentProfile } from '@/lib/server-auth';
+import { createFeedToken, getFeedVersion, rotateFeed } from '@/lib/calendar/feed';
+
+/**
+ * Builds the https and webcal URLs for a feed token
+ *
+ * @param {Request} request - The incoming request, for the app origin
+ * @param {string} token - The feed token
+ * @returns {{url: string, webcalUrl: string}} Feed URLs
+ */
+function toFeedUrls(request, token) {
+  const url = `${new URL(request.url).origin}/api/calendar/feed/${token}`;
+  return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+}
+
+/**
+ * GET handler for the signed-in user's calendar feed URL
+ *
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON with the feed URL and its webcal:// form
+ */
+export async function GET(request) {
+  try {
+    const supabase = await createClient();
+
+    const { profile, response } = await getCurrentProfile(supabase);
+    if (response) return response;
+
+    const { data: version, error } = await getFeedVersion(supabase, profile.id);
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json(toFeedUrls(request, createFeedToken(profile.id, version)));
+
+  } catch (error) {
+    console.error('Error fetching calendar subscription:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST handler for resetting the signed-in user's calendar feed URL
+ *
+ * <p>The old URL stops working immediately; calendars subscribed to it must be
+ * re-subscribed with the new one.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON with the new feed URL
+ */
+export async function POST(request) {
+  try {
+    const supabase = await createClient();
+
+    const { profile, response } = await getCurrentProfile(supabase);
+    if (response) return response;
+
+    const { data, error } = await rotateFeed(supabase, profile.id);
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json(toFeedUrls(request, createFeedToken(profile.id, data.version)));
+
+  } catch (error) {
+    console.error('Error resetting calendar subscription:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
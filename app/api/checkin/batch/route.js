@@ -0,0 +1,159 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { requireRole, STAFF_ROLES } from '@/lib/server-auth';
+import {
+  ATTENDANCE_ERRORS,
+  SCAN_ACTIONS,
+  recordTokenAttendance,
+  recordTokenCheckOut
+} from '@/lib/attendance/service';
+
+// Upper bound on scans accepted in one sync request
+const MAX_BATCH_SIZE = 500;
+
+// Scan times later than this far ahead of the server clock are treated as clock skew
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Groups a service error code into a reconciliation outcome
+ *
+ * @param {string} code - One of ATTENDANCE_ERRORS
+ * @returns {"duplicate"|"expired"|"rejected"} The outcome shown in the report
+ */
+function outcomeForError(code) {
+  switch (code) {
+    case ATTENDANCE_ERRORS.ALREADY_CHECKED_IN:
+    case ATTENDANCE_ERRORS.TOKEN_USED:
+    case ATTENDANCE_ERRORS.ALREADY_CHECKED_OUT:
+      return 'duplicate';
+    case ATTENDANCE_ERRORS.TOKEN_EXPIRED:
+      return 'expired';
+    default:
+      return 'rejected';
+  }
+}
+
+/**
+ * Parses a client scan timestamp, falling back to the server time when it is
+ * missing, invalid or too far in the future
+ *
+ * @param {string} value - ISO timestamp recorded by the scanner
+ * @param {Date} now - Current server time
+ * @returns {Date} The time to judge the scan at
+ */
+function parseScannedAt(value, now) {
+  const scannedAt = new Date(value);
+  if (Number.isNaN(scannedAt.getTime())) return now;
+  if (scannedAt.getTime() - now.getTime() > MAX_CLOCK_SKEW_MS) return now;
+  return scannedAt;
+}
+
+/**
+ * POST handler for syncing scans the door scanner queued while offline
+ *
+ * <p>Scans are processed one at a time in the order they were made, each judged
+ * at its original scan time. Every scan gets a result, so the response doubles as
+ * the reconciliation report shown to the organizer.</p>
+ *
+ * <p>Request body:</p>
+ * <pre>
+ * { sessionId, scans: [{ id, token, scannedAt, action }] }
+ * </pre>
+ * <p><code>action</code> is 'check_in' (the default) or 'check_out'.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON with per-scan results and summary counts
+ */
+export async function POST(request) {
+  try {
+    const supabase = await createClient();
+
+    const { response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const { sessionId, scans } = await request.json();
+
+    if (!sessionId || !Array.isArray(scans)) {
+      return NextResponse.json(
+        { error: 'sessionId and scans are required' },
+        { status: 400 }
+      );
+    }
+
+    if (scans.length > MAX_BATCH_SIZE) {
+      return NextResponse.json(
+        { error: `A batch can contain at most ${MAX_BATCH_SIZE} scans` },
+        { status: 400 }
+      );
+    }
+
+    const now = new Date();
+
+    // Replay in scan order so the first scan of a token wins
+    const ordered = scans
+      .map((scan) => ({ ...scan, scannedAtDate: parseScannedAt(scan.scannedAt, now) }))
+      .sort((a, b) => a.scannedAtDate - b.scannedAtDate);
+
+    const results = [];
+    for (const scan of ordered) {
+      if (!scan.token) {
+        results.push({
+          id: scan.id,
+          scannedAt: scan.scannedAt,
+          action: scan.action || SCAN_ACTIONS.CHECK_IN,
+          outcome: 'rejected',
+          code: ATTENDANCE_ERRORS.INVALID_TOKEN,
+          message: 'Token is required'
+        });
+        continue;
+      }
+
+      const recordScan = scan.action === SCAN_ACTIONS.CHECK_OUT
+        ? recordTokenCheckOut
+        : recordTokenAttendance;
+
+      const { data, error } = await recordScan(supabase, {
+        token: scan.token,
+        sessionId,
+        scannedAt: scan.scannedAtDate
+      });
+
+      if (error) {
+        results.push({
+          id: scan.id,
+          scannedAt: scan.scannedAt,
+          action: scan.action || SCAN_ACTIONS.CHECK_IN,
+          outcome: outcomeForError(error.code),
+          code: error.code,
+          message: error.message
+        });
+        continue;
+      }
+
+      results.push({
+        id: scan.id,
+        scannedAt: scan.scannedAt,
+        action: scan.action || SCAN_ACTIONS.CHECK_IN,
+        outcome: 'recorded',
+        student: {
+          name: `${data.student.fname} ${data.student.lname}`,
+          student_id: data.student.student_id
+        }
+      });
+    }
+
+    const summary = results.reduce(
+      (counts, result) => ({ ...counts, [result.outcome]: counts[result.outcome] + 1 }),
+      { recorded: 0, duplicate: 0, expired: 0, rejected: 0 }
+    );
+
+    return NextResponse.json({ results, summary });
+
+  } catch (error) {
+    console.error('Error syncing offline scans:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
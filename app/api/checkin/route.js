@@ -1,30 +1,40 @@
 import { NextResponse } from 'next/server';
 import { createClient } from '@/utils/supabase/server';
-import { cookies } from 'next/headers';
+import { getCurrentProfile, requireRole, STAFF_ROLES } from '@/lib/server-auth';
+import { SCAN_ACTIONS, recordTokenAttendance, recordTokenCheckOut } from '@/lib/attendance/service';
+import { parseLocation } from '@/lib/attendance/checkin-rules';
 
 /**
  * POST handler for recording event attendance
- * 
+ *
+ * <p>Door scanners send the <code>sessionId</code> they are checking people
+ * into, and <code>action: 'check_out'</code> to record a check-out instead of a
+ * check-in; only staff may scan. Students submitting their own token are held
+ * to the event's rotating code, window and geofence.</p>
+ *
  * @returns {Promise<NextResponse>} JSON response indicating success or failure
  */
 export async function POST(request) {
   try {
     // Create a Supabase client
     const supabase = await createClient();
-    
-    // Get the current user from the session
-    const { data: { user }, error: userError } = await supabase.auth.getUser();
-    
-    if (userError || !user) {
-      return NextResponse.json(
-        { error: 'Unauthorized. Please log in.' },
-        { status: 401 }
-      );
-    }
 
-    // Parse the request body
-    const { token, studentId } = await request.json();
-    
+    // Parse the request body. Door scanners also send the event they are checking into.
+    const {
+      token,
+      studentId,
+      sessionId,
+      code,
+      location,
+      action = SCAN_ACTIONS.CHECK_IN
+    } = await request.json();
+
+    const isDoorScan = Boolean(sessionId) || action === SCAN_ACTIONS.CHECK_OUT;
+    const { profile, response } = isDoorScan
+      ? await requireRole(supabase, STAFF_ROLES)
+      : await getCurrentProfile(supabase);
+    if (response) return response;
+
     if (!token) {
       return NextResponse.json(
         { error: 'Token is required' },
@@ -32,96 +42,57 @@ export async function POST(request) {
       );
     }
 
-    // Get the student's ID from the users table if not provided
-    let verifiedStudentId = studentId;
-    if (!verifiedStudentId) {
-      const { data: userData, error: userDataError } = await supabase
-        .from('users')
-        .select('id')
-        .eq('email', user.email)
-        .single();
+    if (action === SCAN_ACTIONS.CHECK_OUT) {
+      const { data, error } = await recordTokenCheckOut(supabase, { token, sessionId });
 
-      if (userDataError || !userData) {
+      if (error) {
         return NextResponse.json(
-          { error: 'User not found' },
-          { status: 404 }
+          { error: error.message, code: error.code },
+          { status: error.status }
         );
       }
-      verifiedStudentId = userData.id;
-    }
-
-    // Verify the token and get event details
-    const { data: tokenData, error: tokenError } = await supabase
-      .from('attendance_tokens')
-      .select('*, career_sessions(*)')
-      .eq('token', token)
-      .single();
-
-    if (tokenError || !tokenData) {
-      return NextResponse.json(
-        { error: 'Invalid or expired token' },
-        { status: 400 }
-      );
-    }
 
-    // Check if token is expired
-    if (new Date(tokenData.expires_at) < new Date()) {
-      return NextResponse.json(
-        { error: 'Token has expired' },
-        { status: 400 }
-      );
-    }
-
-    // Check if token has already been used
-    if (tokenData.used_at) {
-      return NextResponse.json(
-        { error: 'Token has already been used' },
-        { status: 400 }
-      );
-    }
-
-    // If studentId was provided, verify it matches the token
-    if (studentId && tokenData.student_id !== studentId) {
-      return NextResponse.json(
-        { error: 'Invalid student ID' },
-        { status: 400 }
-      );
+      return NextResponse.json({
+        success: true,
+        message: 'Check-out recorded successfully',
+        durationMinutes: data.record.duration_minutes,
+        meetsMinimum: data.meetsMinimum,
+        student: {
+          name: `${data.student.fname} ${data.student.lname}`,
+          student_id: data.student.student_id
+        }
+      });
     }
 
-    // Record the attendance
-    const { error: attendanceError } = await supabase
-      .from('attendance_records')
-      .insert([
-        {
-          student_id: verifiedStudentId,
-          event_id: tokenData.event_id,
-          checked_in_at: new Date().toISOString()
-        }
-      ]);
+    const { data, error } = await recordTokenAttendance(supabase, {
+      token,
+      studentId,
+      sessionId,
+      submittedBy: isDoorScan
+        ? undefined
+        : { userId: profile.id, code, location: parseLocation(location) }
+    });
 
-    if (attendanceError) {
-      console.error('Error recording attendance:', attendanceError);
+    if (error) {
       return NextResponse.json(
-        { error: 'Failed to record attendance' },
-        { status: 500 }
+        { error: error.message, code: error.code },
+        { status: error.status }
       );
     }
 
-    // Mark the token as used
-    const { error: updateError } = await supabase
-      .from('attendance_tokens')
-      .update({ used_at: new Date().toISOString() })
-      .eq('token', token);
-
-    if (updateError) {
-      console.error('Error updating token:', updateError);
-      // Don't return error since attendance was already recorded
-    }
+    const flagged = data.flags.length > 0;
 
     return NextResponse.json({
       success: true,
-      message: 'Attendance recorded successfully',
-      eventDetails: tokenData.career_sessions
+      message: flagged
+        ? 'Check-in received. It will count once an admin has reviewed it.'
+        : 'Attendance recorded successfully',
+      flagged,
+      eventDetails: data.event,
+      student: {
+        name: `${data.student.fname} ${data.student.lname}`,
+        student_id: data.student.student_id
+      }
     });
 
   } catch (error) {
@@ -131,4 +102,4 @@ export async function POST(request) {
       { status: 500 }
     );
   }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,43 @@
+import { NextResponse } from 'next/server';
+import { createServiceClient } from '@/utils/supabase/server';
+import { sendSessionReminders, verifyCronRequest } from '@/lib/sessions/reminders';
+
+/**
+ * GET handler for the scheduled session reminder job
+ *
+ * <p>Called by Vercel Cron with <code>Authorization: Bearer CRON_SECRET</code>.
+ * Sends the in-app and email reminders that are due.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON with <code>{ reminded, emailed }</code> counts
+ */
+export async function GET(request) {
+  try {
+    const { error: authError } = verifyCronRequest(request);
+    if (authError) {
+      return NextResponse.json(
+        { error: authError.message, code: authError.code },
+        { status: authError.status }
+      );
+    }
+
+    const supabase = await createServiceClient();
+    const { data, error } = await sendSessionReminders(supabase);
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json(data);
+
+  } catch (error) {
+    console.error('Error in session reminders API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
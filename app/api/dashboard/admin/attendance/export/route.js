@@ -0,0 +1,152 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { requireRole, STAFF_ROLES } from '@/lib/server-auth';
+import { REVIEW_STATUSES } from '@/lib/attendance/checkin-rules';
+import {
+  EXPORT_FORMATS,
+  ROSTER_COLUMNS,
+  buildExport,
+  toRosterRow
+} from '@/lib/attendance/export';
+
+// PostgREST returns at most this many rows per request
+const PAGE_SIZE = 1000;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * GET handler for exporting attendance across all events in a date range
+ *
+ * <p>Takes <code>?from=YYYY-MM-DD&amp;to=YYYY-MM-DD</code> (inclusive), an optional
+ * <code>yearGroup</code> (e.g. 2026) and <code>major</code>, and
+ * <code>format=csv|xlsx|pdf</code>. Each row is one approved student-event
+ * attendance, with whether it counts towards the workshop requirement, for
+ * registrar and accreditation reports.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} The report file as an attachment
+ */
+export async function GET(request) {
+  try {
+    const supabase = await createClient();
+
+    const { response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const { searchParams } = new URL(request.url);
+    const from = searchParams.get('from');
+    const to = searchParams.get('to');
+    const yearGroup = searchParams.get('yearGroup')?.trim();
+    const major = searchParams.get('major')?.trim();
+    const exportFormat = searchParams.get('format') || EXPORT_FORMATS.CSV;
+
+    if (!DATE_PATTERN.test(from || '') || !DATE_PATTERN.test(to || '') || from > to) {
+      return NextResponse.json(
+        { error: 'A valid date range (from and to as YYYY-MM-DD) is required' },
+        { status: 400 }
+      );
+    }
+
+    if (yearGroup && !/^\d{4}$/.test(yearGroup)) {
+      return NextResponse.json(
+        { error: 'Year group must be a four-digit year' },
+        { status: 400 }
+      );
+    }
+
+    if (!Object.values(EXPORT_FORMATS).includes(exportFormat)) {
+      return NextResponse.json(
+        { error: 'Format must be csv, xlsx or pdf' },
+        { status: 400 }
+      );
+    }
+
+    const records = [];
+    for (let start = 0; ; start += PAGE_SIZE) {
+      let query = supabase
+        .from('attendance')
+        .select(`
+          id,
+          signup_time,
+          source,
+          review_status,
+          checked_out_at,
+          duration_minutes,
+          users!attendance_student_id_fkey!inner (
+            fname,
+            lname,
+            email,
+            student_id,
+            major
+          ),
+          career_sessions!inner (
+            session_id,
+            title,
+            date,
+            checkout_enabled,
+            min_duration_minutes
+          )
+        `)
+        .eq('review_status', REVIEW_STATUSES.APPROVED)
+        .gte('career_sessions.date', from)
+        .lte('career_sessions.date', to)
+        .order('id', { ascending: true })
+        .range(start, start + PAGE_SIZE - 1);
+
+      // Student IDs end in the year group
+      if (yearGroup) query = query.like('student_id', `%${yearGroup}`);
+      if (major) query = query.ilike('users.major', major);
+
+      const { data, error } = await query;
+
+      if (error) {
+        console.error('Error fetching attendance for range export:', error);
+        return NextResponse.json(
+          { error: 'Failed to fetch attendance records' },
+          { status: 500 }
+        );
+      }
+
+      records.push(...data);
+      if (data.length < PAGE_SIZE) break;
+    }
+
+    const rows = records
+      .map((record) => toRosterRow(record, record.career_sessions))
+      .sort((a, b) =>
+        a.eventDate.localeCompare(b.eventDate) ||
+        a.eventTitle.localeCompare(b.eventTitle) ||
+        a.studentName.localeCompare(b.studentName)
+      );
+
+    const { eventTitle, eventDate, studentName, studentId, email, yearGroup: yearGroupColumn,
+      major: majorColumn, checkedInAt, durationMinutes, counted } = ROSTER_COLUMNS;
+
+    const filters = [
+      yearGroup && `Year group ${yearGroup}`,
+      major && `Major: ${major}`
+    ].filter(Boolean);
+
+    const { body, contentType } = await buildExport(exportFormat, {
+      title: 'Career Event Attendance',
+      subtitle: [`${from} to ${to}`, ...filters].join(' | '),
+      columns: [eventDate, eventTitle, studentName, studentId, email, yearGroupColumn,
+        majorColumn, checkedInAt, durationMinutes, counted],
+      rows
+    });
+
+    return new NextResponse(body, {
+      headers: {
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="attendance-${from}-to-${to}.${exportFormat}"`
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in attendance range export API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,39 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { requireRole, STAFF_ROLES } from '@/lib/server-auth';
+import { deleteBlackout } from '@/lib/sessions/service';
+
+/**
+ * DELETE handler for one of the signed-in advisor's blackouts
+ *
+ * @param {Request} request - The incoming request object
+ * @param {{ params: Promise<{ blackout_id: string }> }} context - Route params
+ * @returns {Promise<NextResponse>} JSON with the removed blackout's ID
+ */
+export async function DELETE(request, context) {
+  try {
+    const supabase = await createClient();
+
+    const { profile, response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const { blackout_id } = await context.params;
+    const { data, error } = await deleteBlackout(supabase, profile.id, blackout_id);
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json(data);
+
+  } catch (error) {
+    console.error('Error in delete blackout API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
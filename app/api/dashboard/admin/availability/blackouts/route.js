@@ -0,0 +1,41 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { requireRole, STAFF_ROLES } from '@/lib/server-auth';
+import { addBlackout } from '@/lib/sessions/service';
+
+/**
+ * POST handler for blocking out dates in the signed-in advisor's calendar
+ *
+ * <p>Expects <code>{ startsOn, endsOn, reason }</code> as "yyyy-MM-dd" dates.
+ * Sessions already booked in the range are not cancelled.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON with the saved blackout
+ */
+export async function POST(request) {
+  try {
+    const supabase = await createClient();
+
+    const { profile, response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const body = await request.json();
+    const { data, error } = await addBlackout(supabase, profile.id, body);
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json(data, { status: 201 });
+
+  } catch (error) {
+    console.error('Error in add blackout API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,74 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { requireRole, STAFF_ROLES } from '@/lib/server-auth';
+import { getAdvisorAvailability, saveAdvisorAvailability } from '@/lib/sessions/service';
+
+/**
+ * GET handler for the signed-in advisor's availability
+ *
+ * @returns {Promise<NextResponse>} JSON with <code>availability</code> and upcoming <code>blackouts</code>
+ */
+export async function GET() {
+  try {
+    const supabase = await createClient();
+
+    const { profile, response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const { data, error } = await getAdvisorAvailability(supabase, profile.id);
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json(data);
+
+  } catch (error) {
+    console.error('Error in availability API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * PUT handler for publishing the signed-in advisor's weekly hours
+ *
+ * <p>Expects <code>{ weeklyHours, slotMinutes, bufferMinutes,
+ * rescheduleNoticeHours }</code>, where each weekly window is
+ * <code>{ weekday, start, end }</code> with Sunday as weekday 0.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON with the saved availability
+ */
+export async function PUT(request) {
+  try {
+    const supabase = await createClient();
+
+    const { profile, response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const body = await request.json();
+    const { data, error } = await saveAdvisorAvailability(supabase, profile.id, body);
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json(data);
+
+  } catch (error) {
+    console.error('Error in save availability API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
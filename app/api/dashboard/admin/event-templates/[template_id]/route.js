@@ -0,0 +1,80 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { requireRole, STAFF_ROLES } from '@/lib/server-auth';
+import { deleteEventTemplate, updateEventTemplate } from '@/lib/events/templates';
+
+/**
+ * PUT handler for renaming an event template or replacing its details
+ *
+ * <p>Expects <code>{ name }</code> to rename, plus <code>event</code> with
+ * create event form fields to overwrite what the template fills in.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @param {{ params: Promise<{ template_id: string }> }} context - Route params
+ * @returns {Promise<NextResponse>} JSON with the updated template
+ */
+export async function PUT(request, context) {
+  try {
+    const supabase = await createClient();
+
+    const { response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const { template_id } = await context.params;
+    const body = await request.json();
+    const { data, error } = await updateEventTemplate(supabase, template_id, body);
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json(data);
+
+  } catch (error) {
+    console.error('Error in update event template API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * DELETE handler for an event template
+ *
+ * <p>Events already created from the template keep their details.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @param {{ params: Promise<{ template_id: string }> }} context - Route params
+ * @returns {Promise<NextResponse>} JSON with the deleted template's ID
+ */
+export async function DELETE(request, context) {
+  try {
+    const supabase = await createClient();
+
+    const { response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const { template_id } = await context.params;
+    const { data, error } = await deleteEventTemplate(supabase, template_id);
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json(data);
+
+  } catch (error) {
+    console.error('Error in delete event template API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
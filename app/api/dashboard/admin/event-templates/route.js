@@ -0,0 +1,74 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { requireRole, STAFF_ROLES } from '@/lib/server-auth';
+import { createEventTemplate, listEventTemplates } from '@/lib/events/templates';
+
+/**
+ * GET handler for the shared event template library
+ *
+ * @returns {Promise<NextResponse>} JSON with <code>templates</code>, most recently updated first
+ */
+export async function GET() {
+  try {
+    const supabase = await createClient();
+
+    const { response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const { data, error } = await listEventTemplates(supabase);
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json({ templates: data });
+
+  } catch (error) {
+    console.error('Error in event templates API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST handler for saving an event as a template
+ *
+ * <p>Expects <code>{ name, event }</code>, where <code>event</code> has the
+ * same fields as the create event form. Its date and registration deadline
+ * are not kept.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON with the saved template
+ */
+export async function POST(request) {
+  try {
+    const supabase = await createClient();
+
+    const { profile, response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const body = await request.json();
+    const { data, error } = await createEventTemplate(supabase, body, profile.id);
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json(data, { status: 201 });
+
+  } catch (error) {
+    console.error('Error in create event template API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,80 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { requireRole, STAFF_ROLES } from '@/lib/server-auth';
+import { REVIEW_STATUSES } from '@/lib/attendance/checkin-rules';
+
+// Decisions an admin can make on a check-in
+const REVIEW_DECISIONS = [REVIEW_STATUSES.APPROVED, REVIEW_STATUSES.REJECTED];
+
+/**
+ * PATCH handler for reviewing a check-in that was flagged by the event's
+ * check-in window or venue geofence
+ *
+ * <p>Approved records count as attendance; rejected records are kept so the
+ * decision stays visible but are excluded from all counts.</p>
+ *
+ * @param {Request} request - The incoming request object with { status }
+ * @param {{ params: Promise<{ session_id: string, attendance_id: string }> }} context - Route params
+ * @returns {Promise<NextResponse>} JSON response with the updated record
+ */
+export async function PATCH(request, context) {
+  try {
+    const supabase = await createClient();
+
+    const { profile, response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const { session_id, attendance_id } = await context.params;
+    const { status } = await request.json();
+
+    if (!REVIEW_DECISIONS.includes(status)) {
+      return NextResponse.json(
+        { error: 'Status must be approved or rejected' },
+        { status: 400 }
+      );
+    }
+
+    const { data: record, error: updateError } = await supabase
+      .from('attendance')
+      .update({
+        review_status: status,
+        reviewed_by: profile.id,
+        reviewed_at: new Date().toISOString()
+      })
+      .eq('id', attendance_id)
+      .eq('session_id', session_id)
+      .select('id, review_status, reviewed_at')
+      .maybeSingle();
+
+    if (updateError) {
+      console.error('Error reviewing attendance record:', updateError);
+      return NextResponse.json(
+        { error: 'Failed to update attendance record' },
+        { status: 500 }
+      );
+    }
+
+    if (!record) {
+      return NextResponse.json(
+        { error: 'Attendance record not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({
+      message: `Check-in ${status}`,
+      record: {
+        id: record.id,
+        reviewStatus: record.review_status,
+        reviewedAt: record.reviewed_at
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in attendance review API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
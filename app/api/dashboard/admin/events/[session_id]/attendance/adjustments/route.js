@@ -0,0 +1,152 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { requireRole, STAFF_ROLES } from '@/lib/server-auth';
+import { ADJUSTMENT_ACTIONS, adjustAttendance } from '@/lib/attendance/service';
+
+/**
+ * GET handler for an event's manual attendance adjustment log
+ *
+ * <p>Returns every add and remove made by hand for the event, newest first, with
+ * the student and the admin who made the change.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @param {{ params: Promise<{ session_id: string }> }} context - Route params
+ * @returns {Promise<NextResponse>} JSON with the adjustment entries
+ */
+export async function GET(request, context) {
+  try {
+    const supabase = await createClient();
+
+    const { response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const { session_id } = await context.params;
+
+    const { data: adjustments, error } = await supabase
+      .from('attendance_adjustments')
+      .select(`
+        id,
+        student_id,
+        action,
+        reason,
+        created_at,
+        student:users!attendance_adjustments_user_id_fkey (fname, lname),
+        adjuster:users!attendance_adjustments_adjusted_by_fkey (fname, lname)
+      `)
+      .eq('session_id', session_id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Error fetching attendance adjustments:', error);
+      return NextResponse.json(
+        { error: 'Failed to fetch adjustment log' },
+        { status: 500 }
+      );
+    }
+
+    return NextResponse.json({
+      adjustments: adjustments.map((entry) => ({
+        id: entry.id,
+        studentId: entry.student_id,
+        studentName: entry.student ? `${entry.student.fname} ${entry.student.lname}` : entry.student_id,
+        action: entry.action,
+        reason: entry.reason,
+        adjustedBy: entry.adjuster ? `${entry.adjuster.fname} ${entry.adjuster.lname}` : 'Unknown',
+        createdAt: entry.created_at
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error in attendance adjustments API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST handler for adding or removing a student's attendance by hand
+ *
+ * <p>Takes <code>{ identifier, action, reason }</code>, where the identifier is a
+ * student ID or email and the reason is required. The change is logged in
+ * attendance_adjustments and the student is notified.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @param {{ params: Promise<{ session_id: string }> }} context - Route params
+ * @returns {Promise<NextResponse>} JSON with the adjustment ID
+ */
+export async function POST(request, context) {
+  try {
+    const supabase = await createClient();
+
+    const { response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const { session_id } = await context.params;
+    const { identifier, action, reason } = await request.json();
+
+    if (!identifier) {
+      return NextResponse.json(
+        { error: 'A student ID or email is required' },
+        { status: 400 }
+      );
+    }
+
+    const { data, error } = await adjustAttendance(supabase, {
+      sessionId: session_id,
+      identifier,
+      action,
+      reason
+    });
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    const { adjustmentId, event, student } = data;
+    const added = action === ADJUSTMENT_ACTIONS.ADD;
+
+    // The correction stands even if the student cannot be notified
+    const { error: notificationError } = await supabase
+      .from('notifications')
+      .insert([
+        {
+          user_id: student.id,
+          type: 'attendance_adjustment',
+          title: added ? 'Attendance Added' : 'Attendance Removed',
+          message: added
+            ? `Your attendance for "${event.title}" was added by an administrator. Reason: ${reason.trim()}`
+            : `Your attendance for "${event.title}" was removed by an administrator. Reason: ${reason.trim()}`,
+          metadata: {
+            sessionId: event.session_id,
+            action,
+            adjustmentId
+          }
+        }
+      ]);
+
+    if (notificationError) {
+      console.error('Error creating attendance adjustment notification:', notificationError);
+    }
+
+    return NextResponse.json({
+      message: added ? 'Attendance added' : 'Attendance removed',
+      adjustmentId,
+      student: {
+        studentId: student.student_id,
+        name: `${student.fname} ${student.lname}`
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in attendance adjustments API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,108 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { requireRole, STAFF_ROLES } from '@/lib/server-auth';
+import { findEvent } from '@/lib/attendance/service';
+import {
+  EXPORT_FORMATS,
+  ROSTER_COLUMNS,
+  buildExport,
+  toFileName,
+  toRosterRow
+} from '@/lib/attendance/export';
+
+/**
+ * GET handler for downloading an event's sign-in roster
+ *
+ * <p>Takes <code>?format=csv|xlsx|pdf</code> (CSV by default). Every attendance
+ * record is listed with its review status; the PDF adds a blank signature column
+ * so it can be printed and signed at the door.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @param {{ params: Promise<{ session_id: string }> }} context - Route params
+ * @returns {Promise<NextResponse>} The roster file as an attachment
+ */
+export async function GET(request, context) {
+  try {
+    const supabase = await createClient();
+
+    const { response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const { session_id } = await context.params;
+    const { searchParams } = new URL(request.url);
+    const exportFormat = searchParams.get('format') || EXPORT_FORMATS.CSV;
+
+    if (!Object.values(EXPORT_FORMATS).includes(exportFormat)) {
+      return NextResponse.json(
+        { error: 'Format must be csv, xlsx or pdf' },
+        { status: 400 }
+      );
+    }
+
+    const { data: event, error: eventError } = await findEvent(supabase, session_id);
+    if (eventError) {
+      return NextResponse.json(
+        { error: eventError.message, code: eventError.code },
+        { status: eventError.status }
+      );
+    }
+
+    const { data: records, error: attendanceError } = await supabase
+      .from('attendance')
+      .select(`
+        signup_time,
+        source,
+        review_status,
+        checked_out_at,
+        duration_minutes,
+        users!attendance_student_id_fkey!inner (
+          fname,
+          lname,
+          email,
+          student_id,
+          major
+        )
+      `)
+      .eq('session_id', session_id)
+      .order('signup_time', { ascending: true });
+
+    if (attendanceError) {
+      console.error('Error fetching attendance for export:', attendanceError);
+      return NextResponse.json(
+        { error: 'Failed to fetch attendance records' },
+        { status: 500 }
+      );
+    }
+
+    const { studentName, studentId, email, yearGroup, major, checkedInAt, checkedOutAt,
+      durationMinutes, reviewStatus, counted, source, signature } = ROSTER_COLUMNS;
+
+    const columns = exportFormat === EXPORT_FORMATS.PDF
+      ? [studentName, studentId, yearGroup, checkedInAt, ...(event.checkout_enabled ? [checkedOutAt] : []), reviewStatus, signature]
+      : [studentName, studentId, email, yearGroup, major, checkedInAt,
+          ...(event.checkout_enabled ? [checkedOutAt, durationMinutes] : []), reviewStatus, counted, source];
+
+    const { body, contentType } = await buildExport(exportFormat, {
+      title: event.title,
+      subtitle: [event.date, `${event.start_time} - ${event.end_time}`, event.location]
+        .filter(Boolean)
+        .join(' | '),
+      columns,
+      rows: records.map((record) => toRosterRow(record, event))
+    });
+
+    return new NextResponse(body, {
+      headers: {
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${toFileName(event.title)}-attendance.${exportFormat}"`
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in attendance export API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
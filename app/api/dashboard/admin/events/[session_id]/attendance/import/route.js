@@ -0,0 +1,123 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { requireRole, STAFF_ROLES } from '@/lib/server-auth';
+import { findEvent } from '@/lib/attendance/service';
+import {
+  MAX_IMPORT_FILE_BYTES,
+  buildImportPreview,
+  readSignInSheet
+} from '@/lib/attendance/import';
+
+/**
+ * POST handler for importing attendance from a CSV or XLSX sign-in sheet
+ *
+ * <p>Takes multipart form data with <code>file</code>, <code>mode</code> and an
+ * optional <code>note</code>. In <code>preview</code> mode the rows are matched and
+ * returned without writing anything. In <code>commit</code> mode the file is
+ * matched again and the valid rows are written by the import_attendance database
+ * function, which records the import (who, when, file, note, skipped rows) in the
+ * same transaction.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @param {{ params: Promise<{ session_id: string }> }} context - Route params
+ * @returns {Promise<NextResponse>} JSON with matched and skipped rows, plus the
+ *   import ID and count when committed
+ */
+export async function POST(request, context) {
+  try {
+    const supabase = await createClient();
+
+    const { response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const { session_id } = await context.params;
+
+    const { error: eventError } = await findEvent(supabase, session_id);
+    if (eventError) {
+      return NextResponse.json(
+        { error: eventError.message, code: eventError.code },
+        { status: eventError.status }
+      );
+    }
+
+    const formData = await request.formData();
+    const file = formData.get('file');
+    const mode = formData.get('mode') || 'preview';
+    const note = formData.get('note') || '';
+
+    if (!file || typeof file === 'string') {
+      return NextResponse.json(
+        { error: 'A CSV or XLSX file is required' },
+        { status: 400 }
+      );
+    }
+
+    if (file.size > MAX_IMPORT_FILE_BYTES) {
+      return NextResponse.json(
+        { error: 'File is too large. The limit is 5 MB.' },
+        { status: 400 }
+      );
+    }
+
+    const { data: identifiers, error: readError } = await readSignInSheet(file);
+    if (readError) {
+      return NextResponse.json({ error: readError }, { status: 400 });
+    }
+
+    const { data: preview, error: previewError } = await buildImportPreview(
+      supabase,
+      session_id,
+      identifiers
+    );
+
+    if (previewError) {
+      return NextResponse.json(
+        { error: 'Failed to match students' },
+        { status: 500 }
+      );
+    }
+
+    if (mode !== 'commit') {
+      return NextResponse.json(preview);
+    }
+
+    if (preview.matched.length === 0) {
+      return NextResponse.json(
+        { error: 'There are no new students to import' },
+        { status: 400 }
+      );
+    }
+
+    const { data: result, error: importError } = await supabase.rpc('import_attendance', {
+      p_session_id: session_id,
+      p_students: preview.matched.map(({ student }) => ({
+        student_id: student.student_id,
+        user_id: student.user_id
+      })),
+      p_file_name: file.name,
+      p_note: note,
+      p_skipped: preview.skipped.map(({ row, identifier, reason }) => ({ row, identifier, reason }))
+    });
+
+    if (importError) {
+      console.error('Error importing attendance:', importError);
+      return NextResponse.json(
+        { error: 'Failed to import attendance. No records were added.' },
+        { status: 500 }
+      );
+    }
+
+    return NextResponse.json({
+      ...preview,
+      importId: result.import_id,
+      imported: result.imported
+    });
+
+  } catch (error) {
+    console.error('Error in attendance import API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
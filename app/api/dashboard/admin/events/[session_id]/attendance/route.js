@@ -1,6 +1,8 @@
 import { NextResponse } from 'next/server';
 import { createClient } from '@/utils/supabase/server';
 import { cookies } from 'next/headers';
+import { REVIEW_STATUSES, getCheckInWindow, distanceInMeters } from '@/lib/attendance/checkin-rules';
+import { meetsDurationRule } from '@/lib/attendance/duration';
 
 /**
  * GET handler for fetching attendance records for a specific event
@@ -45,7 +47,16 @@ export async function GET(
         session_id,
         student_id,
         signup_time,
-        users!inner (
+        source,
+        review_status,
+        flag_reasons,
+        checkin_latitude,
+        checkin_longitude,
+        checkin_accuracy_meters,
+        reviewed_at,
+        checked_out_at,
+        duration_minutes,
+        users!attendance_student_id_fkey!inner (
           id,
           fname,
           lname,
@@ -64,12 +75,23 @@ export async function GET(
       );
     }
 
-    // Debug: Log the first record to see the timestamp format
-    if (attendanceRecords && attendanceRecords.length > 0) {
-      console.log('First record signup_time:', attendanceRecords[0].signup_time);
-      console.log('Raw record:', JSON.stringify(attendanceRecords[0], null, 2));
+    // Get event details
+    const { data: event, error: eventError } = await supabase
+      .from('career_sessions')
+      .select('*')
+      .eq('session_id', session_id)
+      .single();
+
+    if (eventError) {
+      console.error('Error fetching event details:', eventError);
+      return NextResponse.json(
+        { error: 'Failed to fetch event details' },
+        { status: 500 }
+      );
     }
 
+    const hasVenue = event.venue_radius_meters != null;
+
     // Format the attendance data with check-in time
     const formattedRecords = attendanceRecords.map(record => {
       // Parse the ISO timestamp
@@ -94,25 +116,36 @@ export async function GET(
         studentId: record.users.student_id,
         studentName: `${record.users.fname} ${record.users.lname}`,
         email: record.users.email,
+        signupTime: record.signup_time,
         checkedInAt: date.toLocaleTimeString('en-US', timeOptions),
-        checkedInDate: date.toLocaleDateString('en-US', dateOptions)
+        checkedInDate: date.toLocaleDateString('en-US', dateOptions),
+        source: record.source,
+        reviewStatus: record.review_status,
+        flagReasons: record.flag_reasons || [],
+        reviewedAt: record.reviewed_at,
+        // Distance from the venue helps admins judge flagged geofence check-ins
+        distanceMeters: hasVenue && record.checkin_latitude != null
+          ? Math.round(distanceInMeters(
+              { latitude: record.checkin_latitude, longitude: record.checkin_longitude },
+              { latitude: event.venue_latitude, longitude: event.venue_longitude }
+            ))
+          : null,
+        locationAccuracyMeters: record.checkin_accuracy_meters,
+        checkedOutAt: record.checked_out_at
+          ? new Date(record.checked_out_at).toLocaleTimeString('en-US', timeOptions)
+          : null,
+        durationMinutes: record.duration_minutes,
+        meetsMinimum: meetsDurationRule(record, event)
       };
     });
 
-    // Get event details
-    const { data: event, error: eventError } = await supabase
-      .from('career_sessions')
-      .select('*')
-      .eq('session_id', session_id)
-      .single();
-
-    if (eventError) {
-      console.error('Error fetching event details:', eventError);
-      return NextResponse.json(
-        { error: 'Failed to fetch event details' },
-        { status: 500 }
-      );
-    }
+    const approvedRecords = formattedRecords.filter(
+      record => record.reviewStatus === REVIEW_STATUSES.APPROVED
+    );
+    const flaggedRecords = formattedRecords.filter(
+      record => record.reviewStatus === REVIEW_STATUSES.FLAGGED
+    );
+    const checkInWindow = getCheckInWindow(event);
 
     return NextResponse.json({
       event: {
@@ -125,9 +158,18 @@ export async function GET(
           day: 'numeric'
         }),
         time: `${event.start_time} - ${event.end_time}`,
-        location: event.location
+        location: event.location,
+        checkInWindow: checkInWindow && {
+          opensAt: checkInWindow.opensAt?.toISOString() ?? null,
+          closesAt: checkInWindow.closesAt?.toISOString() ?? null
+        },
+        venueRadiusMeters: event.venue_radius_meters,
+        checkinEnforcement: event.checkin_enforcement,
+        checkoutEnabled: Boolean(event.checkout_enabled),
+        minDurationMinutes: event.min_duration_minutes
       },
-      attendanceCount: formattedRecords.length,
+      attendanceCount: approvedRecords.length,
+      flaggedCount: flaggedRecords.length,
       records: formattedRecords
     });
 
@@ -0,0 +1,87 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { requireRole, STAFF_ROLES } from '@/lib/server-auth';
+import { analyzeEventFeedback, getFeedbackInsights } from '@/lib/feedback/service';
+
+/**
+ * GET handler for the sentiment and theme summary of an event's comments
+ *
+ * <p>Returns sentiment counts, the top themes, positive and negative
+ * highlights and every comment with its tags, newest first.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @param {{ params: Promise<{ session_id: string }> }} context - Route params
+ * @returns {Promise<NextResponse>} JSON summary
+ */
+export async function GET(request, context) {
+  try {
+    const supabase = await createClient();
+
+    const { response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const { session_id } = await context.params;
+    const { data, error } = await getFeedbackInsights(supabase, session_id);
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json(data);
+
+  } catch (error) {
+    console.error('Error in feedback insights API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST handler for re-running the comment analysis on an event
+ *
+ * <p>Re-tags every response, including ones submitted before tagging existed,
+ * and returns the refreshed summary.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @param {{ params: Promise<{ session_id: string }> }} context - Route params
+ * @returns {Promise<NextResponse>} JSON summary with <code>analyzed</code>
+ */
+export async function POST(request, context) {
+  try {
+    const supabase = await createClient();
+
+    const { response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const { session_id } = await context.params;
+    const { data: result, error: analysisError } = await analyzeEventFeedback(supabase, session_id);
+    if (analysisError) {
+      return NextResponse.json(
+        { error: analysisError.message, code: analysisError.code },
+        { status: analysisError.status }
+      );
+    }
+
+    const { data, error } = await getFeedbackInsights(supabase, session_id);
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json({ ...data, analyzed: result.analyzed });
+
+  } catch (error) {
+    console.error('Error in feedback analysis API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
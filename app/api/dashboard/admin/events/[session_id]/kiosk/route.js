@@ -0,0 +1,154 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { requireRole, STAFF_ROLES } from '@/lib/server-auth';
+import { findEvent } from '@/lib/attendance/service';
+import { MAX_PIN_LENGTH, MIN_PIN_LENGTH, hashPin, isValidPin } from '@/lib/attendance/kiosk';
+
+/**
+ * GET handler for whether an event has kiosk mode set up
+ *
+ * @param {Request} request - The incoming request object
+ * @param {{ params: Promise<{ session_id: string }> }} context - Route params
+ * @returns {Promise<NextResponse>} JSON with <code>enabled</code> and when the PIN was set
+ */
+export async function GET(request, context) {
+  try {
+    const supabase = await createClient();
+
+    const { response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const { session_id } = await context.params;
+
+    const { data: kiosk, error } = await supabase
+      .from('event_kiosks')
+      .select('updated_at')
+      .eq('session_id', session_id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching kiosk settings:', error);
+      return NextResponse.json(
+        { error: 'Failed to fetch kiosk settings' },
+        { status: 500 }
+      );
+    }
+
+    return NextResponse.json({
+      enabled: Boolean(kiosk),
+      updatedAt: kiosk?.updated_at ?? null
+    });
+
+  } catch (error) {
+    console.error('Error in kiosk settings API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * PUT handler for setting or changing an event's kiosk PIN
+ *
+ * <p>Takes <code>{ pin }</code>. Changing the PIN locks any kiosk that was
+ * unlocked with the old one.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @param {{ params: Promise<{ session_id: string }> }} context - Route params
+ * @returns {Promise<NextResponse>} JSON confirmation
+ */
+export async function PUT(request, context) {
+  try {
+    const supabase = await createClient();
+
+    const { profile, response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const { session_id } = await context.params;
+    const { pin } = await request.json();
+
+    if (!isValidPin(pin)) {
+      return NextResponse.json(
+        { error: `PIN must be ${MIN_PIN_LENGTH} to ${MAX_PIN_LENGTH} digits` },
+        { status: 400 }
+      );
+    }
+
+    const { error: eventError } = await findEvent(supabase, session_id);
+    if (eventError) {
+      return NextResponse.json(
+        { error: eventError.message, code: eventError.code },
+        { status: eventError.status }
+      );
+    }
+
+    const { error } = await supabase
+      .from('event_kiosks')
+      .upsert({
+        session_id,
+        pin_hash: hashPin(pin),
+        failed_attempts: 0,
+        locked_until: null,
+        updated_by: profile.id,
+        updated_at: new Date().toISOString()
+      });
+
+    if (error) {
+      console.error('Error saving kiosk PIN:', error);
+      return NextResponse.json(
+        { error: 'Failed to save kiosk PIN' },
+        { status: 500 }
+      );
+    }
+
+    return NextResponse.json({ message: 'Kiosk PIN saved', enabled: true });
+
+  } catch (error) {
+    console.error('Error in kiosk settings API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * DELETE handler for turning kiosk mode off, which locks every kiosk for the event
+ *
+ * @param {Request} request - The incoming request object
+ * @param {{ params: Promise<{ session_id: string }> }} context - Route params
+ * @returns {Promise<NextResponse>} JSON confirmation
+ */
+export async function DELETE(request, context) {
+  try {
+    const supabase = await createClient();
+
+    const { response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const { session_id } = await context.params;
+
+    const { error } = await supabase
+      .from('event_kiosks')
+      .delete()
+      .eq('session_id', session_id);
+
+    if (error) {
+      console.error('Error removing kiosk PIN:', error);
+      return NextResponse.json(
+        { error: 'Failed to turn off kiosk mode' },
+        { status: 500 }
+      );
+    }
+
+    return NextResponse.json({ message: 'Kiosk mode turned off', enabled: false });
+
+  } catch (error) {
+    console.error('Error in kiosk settings API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
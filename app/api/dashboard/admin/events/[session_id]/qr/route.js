@@ -1,53 +1,105 @@
 import { NextResponse } from 'next/server';
 import { createClient } from '@/utils/supabase/server';
-import { cookies } from 'next/headers';
+import { requireRole, STAFF_ROLES } from '@/lib/server-auth';
+import {
+  QR_MODES,
+  generateRotatingCode,
+  normalizeRotationSeconds
+} from '@/lib/attendance/rotating-code';
+import { parseEventTime } from '@/lib/attendance/checkin-rules';
 
 /**
- * GET handler for generating event-wide QR code data
- * 
- * @param {Request} request - The incoming request object
+ * Builds the QR code payload for an event
+ *
+ * <p>Static events get the plain attendance URL. Rotating events get a URL
+ * carrying the code for the current window, plus the time the client should
+ * fetch the next one.</p>
+ *
+ * @param {object} event - The career_sessions row
+ * @returns {object} QR code data for the client
+ */
+function buildQrPayload(event) {
+  const attendanceUrl = `${process.env.NEXT_PUBLIC_SITE_URL || 'https://csoft-vert.vercel.app/'}/take-attendance/${event.session_id}`;
+  // Read the same way as the check-in window, so the expiry shown matches what is enforced
+  const expiresAt = parseEventTime(event.date, event.end_time)?.toISOString() ?? null;
+
+  if (event.qr_mode !== QR_MODES.ROTATING) {
+    return {
+      mode: QR_MODES.STATIC,
+      qrUrl: attendanceUrl,
+      expiresAt
+    };
+  }
+
+  const rotationSeconds = normalizeRotationSeconds(event.qr_rotation_seconds);
+  const { code, refreshAt } = generateRotatingCode(event.session_id, rotationSeconds);
+
+  return {
+    mode: QR_MODES.ROTATING,
+    qrUrl: `${attendanceUrl}?code=${encodeURIComponent(code)}`,
+    rotationSeconds,
+    refreshAt,
+    expiresAt
+  };
+}
+
+/**
+ * Loads the event for a QR request after checking the caller is staff
+ *
  * @param {object} context - The context object containing params
- * @returns {Promise<NextResponse>} JSON response with QR code data
+ * @returns {Promise<{event: object|null, response: NextResponse|null}>} The event or an error response
  */
-export async function GET(request, { params }) {
-  try {
-    const supabase = await createClient();
-    const { data: { user }, error: userError } = await supabase.auth.getUser();
-    
-    if (userError || !user) {
-      return NextResponse.json(
-        { error: 'Unauthorized. Please log in.' },
-        { status: 401 }
-      );
-    }
-
-    const sessionId = params.session_id;
-    if (!sessionId) {
-      return NextResponse.json(
+async function getEventForQr(context) {
+  const supabase = await createClient();
+
+  // Rotating codes are only useful if students cannot fetch them themselves
+  const { response } = await requireRole(supabase, STAFF_ROLES);
+  if (response) return { event: null, response };
+
+  const { session_id: sessionId } = await context.params;
+  if (!sessionId) {
+    return {
+      event: null,
+      response: NextResponse.json(
         { error: 'Event ID is required' },
         { status: 400 }
-      );
-    }
-
-    // Get the event details
-    const { data: event, error: eventError } = await supabase
-      .from('career_sessions')
-      .select('*')
-      .eq('session_id', sessionId)
-      .single();
-
-    if (eventError || !event) {
-      return NextResponse.json(
+      )
+    };
+  }
+
+  // Get the event details
+  const { data: event, error: eventError } = await supabase
+    .from('career_sessions')
+    .select('*')
+    .eq('session_id', sessionId)
+    .single();
+
+  if (eventError || !event) {
+    return {
+      event: null,
+      response: NextResponse.json(
         { error: 'Event not found' },
         { status: 404 }
-      );
-    }
+      )
+    };
+  }
 
-    // Return the QR code data with the attendance URL
-    return NextResponse.json({
-      qrUrl: `${process.env.NEXT_PUBLIC_SITE_URL || 'https://csoft-vert.vercel.app/'}/take-attendance/${sessionId}`,
-      expiresAt: new Date(event.date + ' ' + event.end_time).toISOString()
-    });
+  return { event, response: null };
+}
+
+/**
+ * GET handler for generating event-wide QR code data
+ *
+ * @param {Request} request - The incoming request object
+ * @param {object} context - The context object containing params
+ * @returns {Promise<NextResponse>} JSON response with QR code data
+ */
+export async function GET(request, context) {
+  try {
+    const { event, response } = await getEventForQr(context);
+    if (response) return response;
+
+    return NextResponse.json(buildQrPayload(event));
 
   } catch (error) {
     console.error('Error generating QR code:', error);
@@ -60,52 +112,17 @@ export async function GET(request, { params }) {
 
 /**
  * POST handler for generating event QR code
- * 
+ *
  * @param {Request} request - The incoming request object
  * @param {object} context - The context object containing params
  * @returns {Promise<NextResponse>} JSON response with QR code data
  */
 export async function POST(request, context) {
   try {
-    const supabase = await createClient();
-    const { data: { user }, error: userError } = await supabase.auth.getUser();
-    
-    if (userError || !user) {
-      return NextResponse.json(
-        { error: 'Unauthorized. Please log in.' },
-        { status: 401 }
-      );
-    }
-
-    const sessionId = context.params.session_id;
-    if (!sessionId) {
-      return NextResponse.json(
-        { error: 'Event ID is required' },
-        { status: 400 }
-      );
-    }
-
-    // Get the event details to verify it exists
-    const { data: event, error: eventError } = await supabase
-      .from('career_sessions')
-      .select('*')
-      .eq('session_id', sessionId)
-      .single();
-
-    if (eventError || !event) {
-      return NextResponse.json(
-        { error: 'Event not found' },
-        { status: 404 }
-      );
-    }
+    const { event, response } = await getEventForQr(context);
+    if (response) return response;
 
-    // Generate the QR code URL that will be used for attendance
-    const qrUrl = `${process.env.NEXT_PUBLIC_SITE_URL || 'https://csoft-vert.vercel.app/'}/take-attendance/${sessionId}`;
-
-    return NextResponse.json({
-      qrUrl,
-      expiresAt: new Date(event.date + ' ' + event.end_time).toISOString()
-    });
+    return NextResponse.json(buildQrPayload(event));
 
   } catch (error) {
     console.error('Error in QR code generation:', error);
@@ -114,4 +131,4 @@ export async function POST(request, context) {
       { status: 500 }
     );
   }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,97 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { requireRole, STAFF_ROLES } from '@/lib/server-auth';
+import { findEvent } from '@/lib/attendance/service';
+import { EXPORT_FORMATS, buildExport, toFileName } from '@/lib/attendance/export';
+import { REGISTRATION_STATUSES, getRegistrationReport } from '@/lib/events/registration';
+import { format } from 'date-fns';
+
+// Columns of the downloadable registration report
+const REPORT_COLUMNS = [
+  { key: 'studentName', header: 'Student Name', width: 24 },
+  { key: 'studentId', header: 'Student ID', width: 12 },
+  { key: 'email', header: 'Email', width: 30 },
+  { key: 'status', header: 'Registration', width: 12 },
+  { key: 'registeredAt', header: 'Registered', width: 17 },
+  { key: 'attendance', header: 'Attendance', width: 12 }
+];
+
+/**
+ * GET handler for an event's registrations and no-show report
+ *
+ * <p>Returns the registration list with a summary of registered, waitlisted,
+ * attended and no-show counts. With <code>?format=csv|xlsx|pdf</code> the list
+ * is downloaded instead.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @param {{ params: Promise<{ session_id: string }> }} context - Route params
+ * @returns {Promise<NextResponse>} JSON report, or the report file as an attachment
+ */
+export async function GET(request, context) {
+  try {
+    const supabase = await createClient();
+
+    const { response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const { session_id } = await context.params;
+    const { searchParams } = new URL(request.url);
+    const exportFormat = searchParams.get('format');
+
+    if (exportFormat && !Object.values(EXPORT_FORMATS).includes(exportFormat)) {
+      return NextResponse.json(
+        { error: 'Format must be csv, xlsx or pdf' },
+        { status: 400 }
+      );
+    }
+
+    const { data: event, error: eventError } = await findEvent(supabase, session_id);
+    if (eventError) {
+      return NextResponse.json(
+        { error: eventError.message, code: eventError.code },
+        { status: eventError.status }
+      );
+    }
+
+    const { data: report, error } = await getRegistrationReport(supabase, session_id);
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    if (!exportFormat) {
+      return NextResponse.json(report);
+    }
+
+    const { summary } = report;
+    const { body, contentType } = await buildExport(exportFormat, {
+      title: `${event.title} - Registrations`,
+      subtitle: `${summary.registered} registered | ${summary.attended} attended | `
+        + `${summary.noShows} no-shows | ${summary.waitlisted} waitlisted`,
+      columns: REPORT_COLUMNS,
+      rows: report.registrations.map((registration) => ({
+        ...registration,
+        registeredAt: format(new Date(registration.registeredAt), 'yyyy-MM-dd HH:mm'),
+        attendance: registration.status === REGISTRATION_STATUSES.WAITLISTED
+          ? ''
+          : registration.attended ? 'Attended' : 'No-show'
+      }))
+    });
+
+    return new NextResponse(body, {
+      headers: {
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${toFileName(event.title)}-registrations.${exportFormat}"`
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in event registrations API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -1,6 +1,13 @@
 import { NextResponse } from 'next/server';
 import { createClient } from '@/utils/supabase/server';
 import { cookies } from 'next/headers';
+import { normalizeQrMode, normalizeRotationSeconds } from '@/lib/attendance/rotating-code';
+import { formatCheckInRules, normalizeCheckInRules } from '@/lib/attendance/checkin-rules';
+import { formatCheckoutSettings, normalizeCheckoutSettings } from '@/lib/attendance/duration';
+import { formatRegistrationSettings, normalizeRegistrationSettings } from '@/lib/events/registration';
+import { formatEventCategories, normalizeEventCategories } from '@/lib/events/categories';
+import { formatFeedbackSettings, normalizeFeedbackSettings } from '@/lib/feedback/eligibility';
+import { SERIES_EDIT_SCOPES, formatSeriesFields, shiftToOccurrence } from '@/lib/events/series';
 
 /**
  * GET handler for fetching a single event
@@ -84,6 +91,10 @@ export async function DELETE(request, context) {
 
 /**
  * PUT handler for updating an event
+ *
+ * <p>For an occurrence of a series, <code>scope: "future"</code> also applies
+ * the changes (everything except the date) to every later occurrence. The
+ * default scope, <code>"this"</code>, only changes this occurrence.</p>
  */
 export async function PUT(request, context) {
   try {
@@ -104,7 +115,7 @@ export async function PUT(request, context) {
     const body = await request.json();
     
     // Validate required fields
-    const { title, date, start_time, end_time, location, description } = body;
+    const { title, date, start_time, end_time, location, description, qr_mode, qr_rotation_seconds } = body;
     
     if (!title || !date || !start_time || !end_time || !location || !description) {
       return NextResponse.json(
@@ -127,17 +138,31 @@ export async function PUT(request, context) {
       );
     }
 
+    // Fields shared by every occurrence of a series; the date is per occurrence
+    const sharedFields = {
+      title,
+      start_time,
+      end_time,
+      location,
+      description,
+      // Keep the current QR settings when the client does not send them
+      qr_mode: qr_mode ? normalizeQrMode(qr_mode) : existingEvent.qr_mode,
+      qr_rotation_seconds: qr_rotation_seconds
+        ? normalizeRotationSeconds(qr_rotation_seconds)
+        : existingEvent.qr_rotation_seconds,
+      // Check-in rules are only replaced when the client sends the rule fields
+      ...('checkin_enforcement' in body && normalizeCheckInRules(body)),
+      ...('checkout_enabled' in body && normalizeCheckoutSettings(body)),
+      ...('registration_required' in body && normalizeRegistrationSettings(body)),
+      ...('event_type' in body && normalizeEventCategories(body)),
+      ...('survey_template_id' in body && { survey_template_id: body.survey_template_id || null }),
+      ...('feedback_window_days' in body && normalizeFeedbackSettings(body))
+    };
+
     // Update the event
     const { data: updatedEvent, error: updateError } = await supabase
       .from('career_sessions')
-      .update({
-        title,
-        date,
-        start_time,
-        end_time,
-        location,
-        description
-      })
+      .update({ ...sharedFields, date })
       .eq('session_id', session_id)
       .select()
       .single();
@@ -150,6 +175,62 @@ export async function PUT(request, context) {
       );
     }
 
+    // Carry the changes over to the rest of the series
+    let updatedSessionIds = [session_id];
+    if (body.scope === SERIES_EDIT_SCOPES.FUTURE && existingEvent.series_id) {
+      // Registration deadlines are absolute, so each occurrence gets its own below
+      const { registration_deadline: _deadline, ...seriesFields } = sharedFields;
+
+      const { data: futureEvents, error: seriesError } = await supabase
+        .from('career_sessions')
+        .update(seriesFields)
+        .eq('series_id', existingEvent.series_id)
+        .gt('series_index', existingEvent.series_index)
+        .select('session_id, date');
+
+      if (seriesError) {
+        console.error('[AdminEvents] Series update error:', seriesError);
+        return NextResponse.json(
+          { error: 'Updated this occurrence, but failed to update the rest of the series' },
+          { status: 500 }
+        );
+      }
+
+      updatedSessionIds = [session_id, ...futureEvents.map((event) => event.session_id)];
+
+      if ('registration_required' in body) {
+        for (const event of futureEvents) {
+          const { error: deadlineError } = await supabase
+            .from('career_sessions')
+            .update({
+              registration_deadline: shiftToOccurrence(updatedEvent.registration_deadline, date, event.date)
+            })
+            .eq('session_id', event.session_id);
+          if (deadlineError) {
+            console.error('[AdminEvents] Series deadline update error:', deadlineError);
+          }
+        }
+      }
+
+      const { error: renameError } = await supabase
+        .from('event_series')
+        .update({ title })
+        .eq('id', existingEvent.series_id);
+      if (renameError) {
+        console.error('[AdminEvents] Series rename error:', renameError);
+      }
+    }
+
+    // A higher (or removed) seat cap lets waitlisted students in
+    if ('registration_required' in body) {
+      for (const id of updatedSessionIds) {
+        const { error: refillError } = await supabase.rpc('refill_event_seats', { p_session_id: id });
+        if (refillError) {
+          console.error('[AdminEvents] Waitlist promotion error:', refillError);
+        }
+      }
+    }
+
     // Format the response data
     const formattedEvent = {
       id: updatedEvent.session_id,
@@ -165,12 +246,21 @@ export async function PUT(request, context) {
       description: updatedEvent.description,
       status: new Date(updatedEvent.date) >= new Date() ? 'upcoming' : 'past',
       attendees: Math.floor(Math.random() * 100) + 50, // Random number for demo
-      tags: ['Career Development']
+      ...formatEventCategories(updatedEvent),
+      surveyTemplateId: updatedEvent.survey_template_id,
+      ...formatFeedbackSettings(updatedEvent),
+      qrMode: updatedEvent.qr_mode,
+      qrRotationSeconds: updatedEvent.qr_rotation_seconds,
+      ...formatCheckInRules(updatedEvent),
+      ...formatCheckoutSettings(updatedEvent),
+      ...formatRegistrationSettings(updatedEvent),
+      ...formatSeriesFields(updatedEvent)
     };
 
     return NextResponse.json({
       success: true,
-      event: formattedEvent
+      event: formattedEvent,
+      updatedCount: updatedSessionIds.length
     });
 
   } catch (error) {
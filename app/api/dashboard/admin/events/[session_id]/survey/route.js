@@ -0,0 +1,101 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { requireRole, STAFF_ROLES } from '@/lib/server-auth';
+import { EXPORT_FORMATS, buildExport, toFileName } from '@/lib/attendance/export';
+import { getSurveyResults } from '@/lib/feedback/service';
+import { LIKERT_LABELS, QUESTION_TYPES } from '@/lib/feedback/surveys';
+import { format } from 'date-fns';
+
+/**
+ * Formats one answer for the downloaded responses
+ *
+ * @param {object} question - The survey question
+ * @param {*} value - The stored answer
+ * @returns {string} The answer as shown in the file
+ */
+function formatAnswer(question, value) {
+  if (value == null) return '';
+  if (question.type === QUESTION_TYPES.LIKERT) return LIKERT_LABELS[value - 1] ?? String(value);
+  return String(value);
+}
+
+/**
+ * GET handler for an event's feedback survey results
+ *
+ * <p>Returns per-question aggregates of the responses to the event's survey.
+ * With <code>?format=csv|xlsx|pdf</code> every response is downloaded
+ * instead, one column per question.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @param {{ params: Promise<{ session_id: string }> }} context - Route params
+ * @returns {Promise<NextResponse>} JSON results, or the responses file as an attachment
+ */
+export async function GET(request, context) {
+  try {
+    const supabase = await createClient();
+
+    const { response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const { session_id } = await context.params;
+    const exportFormat = new URL(request.url).searchParams.get('format');
+
+    if (exportFormat && !Object.values(EXPORT_FORMATS).includes(exportFormat)) {
+      return NextResponse.json(
+        { error: 'Format must be csv, xlsx or pdf' },
+        { status: 400 }
+      );
+    }
+
+    const { data: results, error } = await getSurveyResults(supabase, session_id);
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    if (!exportFormat) {
+      return NextResponse.json(results);
+    }
+
+    const { event, template } = results;
+    const { body, contentType } = await buildExport(exportFormat, {
+      title: `${event.title} - Feedback`,
+      subtitle: `${template.name} | ${results.responseCount} responses`,
+      columns: [
+        { key: 'studentName', header: 'Student Name', width: 24 },
+        { key: 'studentId', header: 'Student ID', width: 12 },
+        { key: 'submittedAt', header: 'Submitted', width: 17 },
+        ...template.questions.map((question) => ({
+          key: question.id,
+          header: question.prompt,
+          width: question.type === QUESTION_TYPES.TEXT ? 40 : 16
+        }))
+      ],
+      rows: results.responses.map((row) => ({
+        studentName: row.studentName,
+        studentId: row.studentId,
+        submittedAt: row.submittedAt ? format(new Date(row.submittedAt), 'yyyy-MM-dd HH:mm') : '',
+        ...Object.fromEntries(template.questions.map((question) => [
+          question.id,
+          formatAnswer(question, row.answers?.[question.id])
+        ]))
+      }))
+    });
+
+    return new NextResponse(body, {
+      headers: {
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${toFileName(event.title)}-feedback.${exportFormat}"`
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in event survey results API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
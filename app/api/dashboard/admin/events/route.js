@@ -1,6 +1,19 @@
 import { NextResponse } from 'next/server';
 import { createClient } from '@/utils/supabase/server';
 import { cookies } from 'next/headers';
+import { normalizeQrMode, normalizeRotationSeconds } from '@/lib/attendance/rotating-code';
+import { formatCheckInRules, normalizeCheckInRules } from '@/lib/attendance/checkin-rules';
+import { formatCheckoutSettings, normalizeCheckoutSettings } from '@/lib/attendance/duration';
+import { formatRegistrationSettings, normalizeRegistrationSettings } from '@/lib/events/registration';
+import { formatEventCategories, normalizeEventCategories } from '@/lib/events/categories';
+import { formatFeedbackSettings, normalizeFeedbackSettings } from '@/lib/feedback/eligibility';
+import {
+  countSeriesOccurrences,
+  expandRecurrence,
+  formatSeriesFields,
+  normalizeRecurrence,
+  shiftToOccurrence
+} from '@/lib/events/series';
 
 
 /**
@@ -33,16 +46,17 @@ async function isSessionIdTaken(supabase, sessionId) {
  * Generates a unique session ID that doesn't exist in the database
  * 
  * @param {object} supabase - Supabase client instance
+ * @param {Set<string>} [reserved] - IDs already picked for other rows in the same insert
  * @returns {Promise<string>} A unique 6-digit session ID
  */
-async function generateUniqueSessionId(supabase) {
+async function generateUniqueSessionId(supabase, reserved = new Set()) {
   let sessionId;
   let attempts = 0;
   const maxAttempts = 10;
 
   do {
     sessionId = generateSessionId();
-    const isTaken = await isSessionIdTaken(supabase, sessionId);
+    const isTaken = reserved.has(sessionId) || await isSessionIdTaken(supabase, sessionId);
     if (!isTaken) return sessionId;
     attempts++;
   } while (attempts < maxAttempts);
@@ -132,7 +146,8 @@ export async function GET() {
     // Fetch attendance counts for all events
     const { data: attendanceData, error: attendanceError } = await supabase
       .from('attendance')
-      .select('session_id, count:id')
+      .select('session_id, user_id')
+      .eq('review_status', 'approved')
       .throwOnError();
 
     if (attendanceError) {
@@ -143,14 +158,19 @@ export async function GET() {
       );
     }
 
-    // Create a map of event_id to attendance count
+    const seriesSizes = countSeriesOccurrences([...(upcomingEvents || []), ...(pastEvents || [])]);
+
+    // Create a map of event_id to attendance count, and to who attended
     const attendanceCounts = {};
+    const attendeeIds = {};
     if (attendanceData) {
       attendanceData.forEach(record => {
         if (!attendanceCounts[record.session_id]) {
           attendanceCounts[record.session_id] = 0;
+          attendeeIds[record.session_id] = new Set();
         }
         attendanceCounts[record.session_id]++;
+        attendeeIds[record.session_id].add(record.user_id);
       });
     }
     
@@ -176,9 +196,15 @@ export async function GET() {
     const formatEvents = async (events) => {
       const formattedEvents = await Promise.all(events.map(async event => {
         const feedback = eventFeedback[event.session_id] || [];
-        const averageRating = feedback.length > 0 
-          ? (feedback.reduce((sum, item) => sum + item.rating, 0) / feedback.length).toFixed(1) 
+        // Surveys without a rating question leave rating empty
+        const ratings = feedback.filter((item) => item.rating != null);
+        const averageRating = ratings.length > 0
+          ? (ratings.reduce((sum, item) => sum + item.rating, 0) / ratings.length).toFixed(1)
           : 0;
+
+        // Share of attendees who gave feedback
+        const attendees = attendanceCounts[event.session_id] || 0;
+        const attendeeFeedback = feedback.filter((item) => attendeeIds[event.session_id]?.has(item.user_id)).length;
         
         return {
           id: event.session_id,
@@ -193,12 +219,21 @@ export async function GET() {
           location: event.location || 'Location not specified',
           attendees: attendanceCounts[event.session_id] || 0,
           description: event.description,
-          tags: ['Career Development'],
+          ...formatEventCategories(event),
+          surveyTemplateId: event.survey_template_id,
           status: event.date >= today ? 'upcoming' : 'past',
           feedbackCount: feedback.length,
           averageRating: parseFloat(averageRating),
           feedback: feedback,
-          qrCode: event.qr_code
+          feedbackCompletionRate: attendees > 0 ? Math.round((attendeeFeedback / attendees) * 100) : null,
+          ...formatFeedbackSettings(event),
+          qrCode: event.qr_code,
+          qrMode: event.qr_mode || 'static',
+          qrRotationSeconds: event.qr_rotation_seconds,
+          ...formatCheckInRules(event),
+          ...formatCheckoutSettings(event),
+          ...formatRegistrationSettings(event),
+          ...formatSeriesFields(event, seriesSizes)
         };
       }));
       
@@ -224,6 +259,10 @@ export async function GET() {
 
 /**
  * POST handler for creating a new event
+ *
+ * <p>When the body has a <code>recurrence</code> rule, one event is created per
+ * occurrence and linked into a series; the response is the first occurrence
+ * with the number of occurrences created.</p>
  * 
  * @returns {Promise<NextResponse>} JSON response with the created event data
  */
@@ -259,52 +298,101 @@ export async function POST(request) {
     // Get the request body
     const eventData = await request.json();
 
-    // Generate a unique session ID
-    const sessionId = await generateUniqueSessionId(supabase);
+    // A recurring event becomes a series with one event per occurrence
+    const recurrence = normalizeRecurrence(eventData.recurrence);
+    let dates = [eventData.date];
+    let series = null;
+
+    if (recurrence) {
+      const { data: occurrenceDates, error: recurrenceError } = expandRecurrence(eventData.date, recurrence);
+      if (recurrenceError) {
+        return NextResponse.json(
+          { error: recurrenceError.message, code: recurrenceError.code },
+          { status: recurrenceError.status }
+        );
+      }
+      dates = occurrenceDates;
+
+      const { data: newSeries, error: seriesError } = await supabase
+        .from('event_series')
+        .insert({ title: eventData.title, recurrence, created_by: publicUser.id })
+        .select()
+        .single();
+
+      if (seriesError) {
+        console.error('Error creating event series:', seriesError);
+        return NextResponse.json(
+          { error: 'Failed to create event series' },
+          { status: 500 }
+        );
+      }
+      series = newSeries;
+    }
+
+    // Generate a unique session ID and QR code token for every occurrence
+    const registration = normalizeRegistrationSettings(eventData);
+    const reservedIds = new Set();
+    const rows = [];
+    for (const [index, date] of dates.entries()) {
+      const sessionId = await generateUniqueSessionId(supabase, reservedIds);
+      reservedIds.add(sessionId);
 
-    // Generate a QR code token (you can customize this as needed)
-    const qrCodeToken = `${sessionId}-${Date.now()}`;
+      rows.push({
+        session_id: sessionId,
+        title: eventData.title,
+        date,
+        start_time: eventData.start_time,
+        end_time: eventData.end_time,
+        location: eventData.location,
+        description: eventData.description,
+        ...normalizeEventCategories(eventData),
+        survey_template_id: eventData.survey_template_id || null,
+        ...normalizeFeedbackSettings(eventData),
+        created_by: publicUser.id, // Use the public user ID here
+        qr_code: `${sessionId}-${Date.now()}`,
+        qr_mode: normalizeQrMode(eventData.qr_mode),
+        qr_rotation_seconds: normalizeRotationSeconds(eventData.qr_rotation_seconds),
+        ...normalizeCheckInRules(eventData),
+        ...normalizeCheckoutSettings(eventData),
+        ...registration,
+        registration_deadline: shiftToOccurrence(registration.registration_deadline, dates[0], date),
+        series_id: series?.id ?? null,
+        series_index: series ? index + 1 : null
+      });
+    }
 
-    // Insert the new event using the public user ID
-    const { data: newEvent, error: insertError } = await supabase
+    // Insert the new events using the public user ID
+    const { data: newEvents, error: insertError } = await supabase
       .from('career_sessions')
-      .insert([
-        {
-          session_id: sessionId,
-          title: eventData.title,
-          date: eventData.date,
-          start_time: eventData.start_time,
-          end_time: eventData.end_time,
-          location: eventData.location,
-          description: eventData.description,
-          created_by: publicUser.id, // Use the public user ID here
-          qr_code: qrCodeToken
-        }
-      ])
+      .insert(rows)
       .select()
-      .single();
+      .order('date', { ascending: true });
 
     if (insertError) {
       console.error('Error creating event:', insertError);
+      if (series) {
+        await supabase.from('event_series').delete().eq('id', series.id);
+      }
       return NextResponse.json(
         { error: 'Failed to create event' },
         { status: 500 }
       );
     }
 
+    const newEvent = newEvents[0];
+    const qrCodeToken = newEvent.qr_code;
+
     // Create an entry in the event_qr_codes table
     const expiryDate = new Date();
     expiryDate.setDate(expiryDate.getDate() + 1); // QR code expires in 24 hours
 
     const { error: qrError } = await supabase
       .from('event_qr_codes')
-      .insert([
-        {
-          event_id: sessionId,
-          token: qrCodeToken,
-          expires_at: expiryDate.toISOString()
-        }
-      ]);
+      .insert(newEvents.map((event) => ({
+        event_id: event.session_id,
+        token: event.qr_code,
+        expires_at: expiryDate.toISOString()
+      })));
 
     if (qrError) {
       console.error('Error creating QR code entry:', qrError);
@@ -325,12 +413,22 @@ export async function POST(request) {
       location: newEvent.location,
       description: newEvent.description,
       attendees: 0,
-      tags: ['Career Development'],
+      ...formatEventCategories(newEvent),
+      surveyTemplateId: newEvent.survey_template_id,
       status: 'upcoming',
       feedbackCount: 0,
       averageRating: 0,
       feedback: [],
-      qrCode: qrCodeToken
+      feedbackCompletionRate: null,
+      ...formatFeedbackSettings(newEvent),
+      qrCode: qrCodeToken,
+      qrMode: newEvent.qr_mode,
+      qrRotationSeconds: newEvent.qr_rotation_seconds,
+      ...formatCheckInRules(newEvent),
+      ...formatCheckoutSettings(newEvent),
+      ...formatRegistrationSettings(newEvent),
+      ...formatSeriesFields(newEvent, new Map(series ? [[series.id, newEvents.length]] : [])),
+      occurrences: newEvents.length
     };
 
     return NextResponse.json(formattedEvent);
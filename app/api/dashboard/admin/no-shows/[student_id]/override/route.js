@@ -0,0 +1,41 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { requireRole, STAFF_ROLES } from '@/lib/server-auth';
+import { liftBookingBlock } from '@/lib/sessions/no-shows';
+
+/**
+ * POST handler for letting a student blocked for no-shows book again
+ *
+ * <p>Their no-shows so far this semester are forgiven and they are notified.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @param {{ params: Promise<{ student_id: string }> }} context - Route params
+ * @returns {Promise<NextResponse>} JSON with the override
+ */
+export async function POST(request, context) {
+  try {
+    const supabase = await createClient();
+
+    const { response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const { student_id } = await context.params;
+    const { data, error } = await liftBookingBlock(supabase, student_id);
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json(data);
+
+  } catch (error) {
+    console.error('Error in no-show override API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
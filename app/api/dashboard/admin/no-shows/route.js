@@ -0,0 +1,74 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { requireRole, STAFF_ROLES } from '@/lib/server-auth';
+import { listNoShowStudents, updateNoShowLimit } from '@/lib/sessions/no-shows';
+
+/**
+ * GET handler for this semester's no-shows
+ *
+ * @returns {Promise<NextResponse>} JSON with <code>{ limit, semesterStart, students }</code>,
+ *   blocked students first
+ */
+export async function GET() {
+  try {
+    const supabase = await createClient();
+
+    const { response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const { data, error } = await listNoShowStudents(supabase);
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json(data);
+
+  } catch (error) {
+    console.error('Error in no-shows API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * PUT handler for the no-show limit
+ *
+ * <p>Expects <code>{ limit }</code>: no-shows per semester before a student
+ * can no longer book, or 0 to never block.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON with the saved <code>{ limit }</code>
+ */
+export async function PUT(request) {
+  try {
+    const supabase = await createClient();
+
+    const { response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const { limit } = await request.json();
+    const { data, error } = await updateNoShowLimit(supabase, limit);
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json({ limit: data });
+
+  } catch (error) {
+    console.error('Error in no-shows API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,80 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { requireRole, STAFF_ROLES } from '@/lib/server-auth';
+import { deleteRequirementGroup, updateRequirementGroup } from '@/lib/requirements/service';
+
+/**
+ * PUT handler for replacing a year group's eligibility rules
+ *
+ * <p>Expects <code>{ rules }</code> in display order. Rules sent with their
+ * <code>id</code> are updated in place; rules left out are removed.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @param {{ params: Promise<{ group_id: string }> }} context - Route params
+ * @returns {Promise<NextResponse>} JSON with the saved group
+ */
+export async function PUT(request, context) {
+  try {
+    const supabase = await createClient();
+
+    const { response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const { group_id } = await context.params;
+    const body = await request.json();
+    const { data, error } = await updateRequirementGroup(supabase, group_id, body.rules);
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json(data);
+
+  } catch (error) {
+    console.error('Error in update requirement group API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * DELETE handler for a year group's eligibility rules
+ *
+ * <p>The year group goes back to the default requirements.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @param {{ params: Promise<{ group_id: string }> }} context - Route params
+ * @returns {Promise<NextResponse>} JSON with the deleted group's ID
+ */
+export async function DELETE(request, context) {
+  try {
+    const supabase = await createClient();
+
+    const { response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const { group_id } = await context.params;
+    const { data, error } = await deleteRequirementGroup(supabase, group_id);
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json(data);
+
+  } catch (error) {
+    console.error('Error in delete requirement group API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,78 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { requireRole, STAFF_ROLES } from '@/lib/server-auth';
+import { createRequirementGroup, listRequirementGroups } from '@/lib/requirements/service';
+
+/**
+ * GET handler for every year group's internship eligibility rules
+ *
+ * @returns {Promise<NextResponse>} JSON with <code>groups</code>, each with its rules in order
+ */
+export async function GET() {
+  try {
+    const supabase = await createClient();
+
+    const { response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const { data, error } = await listRequirementGroups(supabase);
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json({ groups: data });
+
+  } catch (error) {
+    console.error('Error in requirement groups API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST handler for adding rules for a year group
+ *
+ * <p>Expects <code>{ year_group, rules }</code>, where each rule has a
+ * <code>rule_type</code>, <code>min_count</code> and optional
+ * <code>event_type</code>, <code>event_tag</code>, <code>description</code>
+ * and <code>is_required</code>.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON with the saved group
+ */
+export async function POST(request) {
+  try {
+    const supabase = await createClient();
+
+    const { response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const body = await request.json();
+    const { data, error } = await createRequirementGroup(supabase, {
+      yearGroup: body.year_group,
+      rules: body.rules
+    });
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json(data, { status: 201 });
+
+  } catch (error) {
+    console.error('Error in create requirement group API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
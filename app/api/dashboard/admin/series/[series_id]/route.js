@@ -0,0 +1,42 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { requireRole, STAFF_ROLES } from '@/lib/server-auth';
+import { getSeriesRollup } from '@/lib/events/series';
+
+/**
+ * GET handler for a recurring series' attendance rollup
+ *
+ * <p>Lists every occurrence with its approved check-ins and every student who
+ * attended at least one, with how many of the held occurrences they made.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @param {{ params: Promise<{ series_id: string }> }} context - Route params
+ * @returns {Promise<NextResponse>} JSON with series, occurrences, students and summary
+ */
+export async function GET(request, context) {
+  try {
+    const supabase = await createClient();
+
+    const { response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const { series_id } = await context.params;
+    const { data, error } = await getSeriesRollup(supabase, series_id);
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json(data);
+
+  } catch (error) {
+    console.error('Error in series rollup API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
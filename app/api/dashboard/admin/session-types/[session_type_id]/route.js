@@ -0,0 +1,43 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { requireRole, STAFF_ROLES } from '@/lib/server-auth';
+import { updateSessionType } from '@/lib/sessions/types';
+
+/**
+ * PUT handler for replacing a session type's details
+ *
+ * <p>Expects the same fields as creating one, plus <code>isActive</code>;
+ * set it to false to stop offering the type without touching past sessions.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @param {{ params: Promise<{ session_type_id: string }> }} context - Route params
+ * @returns {Promise<NextResponse>} JSON with the updated session type
+ */
+export async function PUT(request, context) {
+  try {
+    const supabase = await createClient();
+
+    const { response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const { session_type_id } = await context.params;
+    const body = await request.json();
+    const { data, error } = await updateSessionType(supabase, session_type_id, body);
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json(data);
+
+  } catch (error) {
+    console.error('Error in update session type API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
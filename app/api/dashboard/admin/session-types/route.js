@@ -0,0 +1,74 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { requireRole, STAFF_ROLES } from '@/lib/server-auth';
+import { createSessionType, listSessionTypes } from '@/lib/sessions/types';
+
+/**
+ * GET handler for every session type, including ones no longer offered
+ *
+ * @returns {Promise<NextResponse>} JSON with <code>sessionTypes</code> by name
+ */
+export async function GET() {
+  try {
+    const supabase = await createClient();
+
+    const { response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const { data, error } = await listSessionTypes(supabase);
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json({ sessionTypes: data });
+
+  } catch (error) {
+    console.error('Error in session types API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST handler for adding a session type
+ *
+ * <p>Expects <code>{ name, description, durationMinutes, locationOptions,
+ * intakeQuestions }</code>, where each question is
+ * <code>{ prompt, required }</code>.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON with the saved session type
+ */
+export async function POST(request) {
+  try {
+    const supabase = await createClient();
+
+    const { profile, response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const body = await request.json();
+    const { data, error } = await createSessionType(supabase, body, profile.id);
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json(data, { status: 201 });
+
+  } catch (error) {
+    console.error('Error in create session type API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,42 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { requireRole, STAFF_ROLES } from '@/lib/server-auth';
+import { deleteSurveyTemplate } from '@/lib/feedback/service';
+
+/**
+ * DELETE handler for a feedback survey template
+ *
+ * <p>Only templates without responses can be removed; events using one go
+ * back to the default survey.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @param {{ params: Promise<{ template_id: string }> }} context - Route params
+ * @returns {Promise<NextResponse>} JSON with the deleted template's ID
+ */
+export async function DELETE(request, context) {
+  try {
+    const supabase = await createClient();
+
+    const { response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const { template_id } = await context.params;
+    const { data, error } = await deleteSurveyTemplate(supabase, template_id);
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json(data);
+
+  } catch (error) {
+    console.error('Error in delete survey template API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
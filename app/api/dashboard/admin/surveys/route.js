@@ -0,0 +1,74 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { requireRole, STAFF_ROLES } from '@/lib/server-auth';
+import { createSurveyTemplate, listSurveyTemplates } from '@/lib/feedback/service';
+
+/**
+ * GET handler for every feedback survey template
+ *
+ * @returns {Promise<NextResponse>} JSON with <code>templates</code>, the default first
+ */
+export async function GET() {
+  try {
+    const supabase = await createClient();
+
+    const { response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const { data, error } = await listSurveyTemplates(supabase);
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json({ templates: data });
+
+  } catch (error) {
+    console.error('Error in survey templates API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST handler for creating a feedback survey template
+ *
+ * <p>Expects <code>{ name, description, questions }</code>, where each
+ * question has a <code>type</code>, <code>prompt</code>,
+ * <code>required</code> flag and, for multiple choice, <code>options</code>.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON with the saved template
+ */
+export async function POST(request) {
+  try {
+    const supabase = await createClient();
+
+    const { profile, response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const body = await request.json();
+    const { data, error } = await createSurveyTemplate(supabase, body, profile.id);
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json(data, { status: 201 });
+
+  } catch (error) {
+    console.error('Error in create survey template API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
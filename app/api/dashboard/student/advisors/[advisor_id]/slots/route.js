@@ -0,0 +1,56 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { getCurrentProfile } from '@/lib/server-auth';
+import { getAdvisorSlots } from '@/lib/sessions/service';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * GET handler for an advisor's bookable slots
+ *
+ * <p>Returns the weekdays the advisor works and their blackout ranges. With
+ * <code>?date=yyyy-MM-dd</code>, also returns that day's open slots as
+ * <code>{ time, endTime }</code>; add <code>&type=</code> with a session type
+ * ID to size them for that type.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @param {{ params: Promise<{ advisor_id: string }> }} context - Route params
+ * @returns {Promise<NextResponse>} JSON with <code>weekdays</code>, <code>blackouts</code> and <code>slots</code>
+ */
+export async function GET(request, context) {
+  try {
+    const supabase = await createClient();
+
+    const { response } = await getCurrentProfile(supabase);
+    if (response) return response;
+
+    const { advisor_id } = await context.params;
+    const { searchParams } = new URL(request.url);
+    const date = searchParams.get('date');
+
+    if (date && !DATE_PATTERN.test(date)) {
+      return NextResponse.json(
+        { error: 'Date must be in yyyy-MM-dd format' },
+        { status: 400 }
+      );
+    }
+
+    const { data, error } = await getAdvisorSlots(supabase, advisor_id, date, searchParams.get('type'));
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json(data);
+
+  } catch (error) {
+    console.error('Error in advisor slots API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,70 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { cancelRegistration, registerForEvent } from '@/lib/events/registration';
+
+/**
+ * POST handler for registering the signed-in student for an event
+ *
+ * <p>When the event is full the student joins the waitlist instead and is
+ * promoted automatically when a seat frees up.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @param {{ params: Promise<{ session_id: string }> }} context - Route params
+ * @returns {Promise<NextResponse>} JSON with the registration status and waitlist position
+ */
+export async function POST(request, context) {
+  try {
+    const supabase = await createClient();
+    const { session_id } = await context.params;
+
+    const { data, error } = await registerForEvent(supabase, session_id);
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json(data);
+
+  } catch (error) {
+    console.error('Error registering for event:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * DELETE handler for cancelling the signed-in student's registration
+ *
+ * @param {Request} request - The incoming request object
+ * @param {{ params: Promise<{ session_id: string }> }} context - Route params
+ * @returns {Promise<NextResponse>} JSON confirmation
+ */
+export async function DELETE(request, context) {
+  try {
+    const supabase = await createClient();
+    const { session_id } = await context.params;
+
+    const { error } = await cancelRegistration(supabase, session_id);
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json({ message: 'Registration cancelled' });
+
+  } catch (error) {
+    console.error('Error cancelling event registration:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -1,10 +1,85 @@
 import { NextResponse } from 'next/server';
 import { createClient } from '@/utils/supabase/server';
 import { cookies } from 'next/headers';
+import {
+  checkFeedbackEligibility,
+  getEventSurvey,
+  getSurveyResponse,
+  submitSurveyResponse
+} from '@/lib/feedback/service';
+
+/**
+ * GET handler for an event's feedback survey
+ *
+ * <p>Returns the survey template for <code>?eventId=</code>, the student's
+ * earlier answers, if any, so the form can be pre-filled, and
+ * <code>blocked</code> with the reason feedback cannot be submitted now
+ * (not attended, not open yet or closed), or null.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON with <code>template</code>, <code>response</code> and <code>blocked</code>
+ */
+export async function GET(request) {
+  try {
+    const supabase = await createClient();
+
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) {
+      return NextResponse.json(
+        { error: 'Unauthorized. Please log in.' },
+        { status: 401 }
+      );
+    }
+
+    const eventId = new URL(request.url).searchParams.get('eventId');
+    if (!eventId) {
+      return NextResponse.json(
+        { error: 'eventId is required' },
+        { status: 400 }
+      );
+    }
+
+    const [survey, previous] = await Promise.all([
+      getEventSurvey(supabase, eventId),
+      getSurveyResponse(supabase, eventId, user.id)
+    ]);
+
+    const failed = survey.error || previous.error;
+    if (failed) {
+      return NextResponse.json(
+        { error: failed.message, code: failed.code },
+        { status: failed.status }
+      );
+    }
+
+    const blocked = await checkFeedbackEligibility(supabase, survey.data.event, user.id);
+
+    return NextResponse.json({
+      template: survey.data.template,
+      response: previous.data?.survey_template_id === survey.data.template.id ? previous.data : null,
+      blocked: blocked && { code: blocked.code, message: blocked.message }
+    });
+
+  } catch (error) {
+    console.error('Error in feedback survey API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
 
 /**
  * POST handler for submitting event feedback
- * 
+ *
+ * <p>Expects <code>{ eventId, answers }</code> with answers keyed by the
+ * survey's question ids. The older <code>{ eventId, rating, comments }</code>
+ * body is still accepted for events using the default survey.</p>
+ *
+ * <p>Feedback is refused with <code>NOT_ATTENDED</code>,
+ * <code>FEEDBACK_NOT_OPEN</code> or <code>FEEDBACK_CLOSED</code> unless the
+ * student attended and the event's feedback window is open.</p>
+ *
  * @param {Request} request - The incoming request object
  * @returns {Promise<NextResponse>} JSON response with success/error message
  *
@@ -14,54 +89,48 @@ export async function POST(request) {
   try {
     // Create a Supabase client
     const supabase = await createClient();
-    
+
     // Get the current user from the session
     const cookieStore = cookies();
     const { data: { user }, error: userError } = await supabase.auth.getUser();
-    
+
     if (userError || !user) {
       return NextResponse.json(
         { error: 'Unauthorized. Please log in.' },
         { status: 401 }
       );
     }
-    
+
     // Parse the request body
-    const { eventId, rating, comments } = await request.json();
-    
-    if (!eventId || !rating || rating < 1 || rating > 5) {
+    const { eventId, answers, rating, comments } = await request.json();
+
+    if (!eventId) {
       return NextResponse.json(
-        { error: 'Invalid feedback data. Rating must be between 1 and 5.' },
+        { error: 'Invalid feedback data. eventId is required.' },
         { status: 400 }
       );
     }
-    
+
     // Upsert the feedback into the database (update if exists, insert if not)
-    const { data, error } = await supabase
-      .from('event_feedback')
-      .upsert({
-        event_id: eventId,
-        user_id: user.id,
-        rating: rating,
-        comments: comments || null,
-        submitted_at: new Date().toISOString()
-      }, { onConflict: ['event_id', 'user_id'] })
-      .select();
-    
+    const { data, error } = await submitSurveyResponse(supabase, {
+      sessionId: eventId,
+      userId: user.id,
+      answers: answers ?? { rating, comments }
+    });
+
     if (error) {
-      console.error('Error submitting feedback:', error);
       return NextResponse.json(
-        { error: 'Failed to submit feedback' },
-        { status: 500 }
+        { error: error.message, code: error.code },
+        { status: error.status }
       );
     }
-    
+
     return NextResponse.json({
       success: true,
       message: 'Feedback submitted successfully',
-      data: data[0]
+      data
     });
-    
+
   } catch (error) {
     console.error('Error in feedback API:', error);
     return NextResponse.json(
@@ -69,4 +138,4 @@ export async function POST(request) {
       { status: 500 }
     );
   }
-} 
\ No newline at end of file
+}
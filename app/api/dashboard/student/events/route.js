@@ -1,6 +1,16 @@
 import { NextResponse } from 'next/server';
 import { createClient } from '@/utils/supabase/server';
 import { cookies } from 'next/headers';
+import {
+  REGISTRATION_STATUSES,
+  formatRegistrationSettings,
+  getRegistrationCounts,
+  isRegistrationClosed
+} from '@/lib/events/registration';
+import { formatEventCategories } from '@/lib/events/categories';
+import { REVIEW_STATUSES } from '@/lib/attendance/checkin-rules';
+import { meetsDurationRule } from '@/lib/attendance/duration';
+import { checkFeedbackWindow, formatFeedbackSettings } from '@/lib/feedback/eligibility';
 
 /**
  * GET handler for fetching events from the database
@@ -69,11 +79,52 @@ export async function GET() {
       }
     }
     
+    // The student's approved attendance, which feedback is limited to
+    let myAttendance = new Map();
+    if (user) {
+      const { data: attendanceData, error: attendanceError } = await supabase
+        .from('attendance')
+        .select('session_id, duration_minutes')
+        .eq('user_id', user.id)
+        .eq('review_status', REVIEW_STATUSES.APPROVED);
+
+      if (attendanceError) {
+        console.error('Error fetching attendance:', attendanceError);
+      } else {
+        myAttendance = new Map(attendanceData.map(record => [record.session_id, record]));
+      }
+    }
+
+    // Seat counts and the student's own registrations for events that take RSVPs
+    const rsvpEventIds = [...(upcomingEvents || []), ...(pastEvents || [])]
+      .filter(event => event.registration_required)
+      .map(event => event.session_id);
+    const registrationCounts = await getRegistrationCounts(supabase, rsvpEventIds);
+
+    let myRegistrations = {};
+    if (user && rsvpEventIds.length > 0) {
+      const { data: registrationData, error: registrationError } = await supabase
+        .from('event_registrations')
+        .select('session_id, status')
+        .eq('user_id', user.id)
+        .neq('status', REGISTRATION_STATUSES.CANCELLED);
+
+      if (registrationError) {
+        console.error('Error fetching registrations:', registrationError);
+      } else {
+        myRegistrations = Object.fromEntries(
+          registrationData.map(registration => [registration.session_id, registration.status])
+        );
+      }
+    }
+
     // Format the events data to match the expected structure
     const formatEvents = (events) => {
       return events.map(event => {
         const hasFeedback = userFeedback[event.session_id] ? true : false;
         const feedbackData = userFeedback[event.session_id] || null;
+        const attendance = myAttendance.get(event.session_id);
+        const attended = Boolean(attendance) && meetsDurationRule(attendance, event);
         
         return {
           id: event.session_id,
@@ -88,10 +139,20 @@ export async function GET() {
           location: event.location || 'Location not specified',
           attendees: Math.floor(Math.random() * 100) + 50,
           description: event.description,
-          tags: ['Career Development'],
+          ...formatEventCategories(event),
           status: event.date >= today ? 'upcoming' : 'past',
           hasFeedback: hasFeedback,
-          feedback: feedbackData
+          feedback: feedbackData,
+          attended,
+          canGiveFeedback: attended && !checkFeedbackWindow(event),
+          ...formatFeedbackSettings(event),
+          ...formatRegistrationSettings(event),
+          registration: event.registration_required ? {
+            registered: registrationCounts.get(event.session_id)?.registered ?? 0,
+            waitlisted: registrationCounts.get(event.session_id)?.waitlisted ?? 0,
+            closed: isRegistrationClosed(event),
+            status: myRegistrations[event.session_id] || null
+          } : null
         };
       });
     };
@@ -4,6 +4,10 @@
  * <p>This API handles all operations related to student internship requests including
  * viewing requirements, submitting requests, and checking status.</p>
  *
+ * <p>Requirements are the eligibility rules for the student's year group,
+ * checked by <code>evaluateEligibility</code> for both the progress view and
+ * the submission.</p>
+ *
  * @author Nana Kwaku Amoako
  * @version 1.0
  */
@@ -11,12 +15,26 @@
 import { NextResponse } from "next/server";
 import { createClient } from "@/utils/supabase/server";
 import { cookies } from 'next/headers';
+import { getCurrentProfile } from "@/lib/server-auth";
+import { evaluateEligibility } from "@/lib/requirements/service";
+import { REQUIREMENT_ERRORS } from "@/lib/requirements/rules";
 
-const MINIMUM_REQUIREMENTS = {
-  WORKSHOPS: 3,
-  FEEDBACK: 3,
-  SESSIONS: 1
-};
+/**
+ * Gets the student's most recent internship request
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {string} userId - The public.users ID
+ * @return {Promise<{data: object|null, error: object|null}>} The request, or null if there is none
+ */
+async function getLatestRequest(supabase, userId) {
+  return supabase
+    .from("internship_requests")
+    .select("*")
+    .eq("user_id", userId)
+    .order("request_date", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+}
 
 /**
  * GET handler for student internship requests
@@ -28,109 +46,32 @@ export async function GET(req) {
     // Create Supabase client
     const supabase = await createClient();
 
-    // Get authenticated user
-    const { data: { user }, error: userError } = await supabase.auth.getUser();
-    if (userError) {
-      console.error("Auth error:", userError);
-      return NextResponse.json({ error: "Authentication failed" }, { status: 401 });
-    }
-
-    // Get user details from users table
-    const { data: userData, error: userDataError } = await supabase
-      .from('users')
-      .select('id, student_id')
-      .eq('email', user.email)
-      .single();
+    const { profile, response } = await getCurrentProfile(supabase);
+    if (response) return response;
 
-    if (userDataError) {
-      console.error("Error fetching user data:", userDataError);
-      return NextResponse.json({ error: "Failed to fetch user data" }, { status: 500 });
-    }
-
-    const studentId = userData.student_id;
-    
-    // Get workshop attendance count
-    const { count: attendanceCount, error: attendanceError } = await supabase
-      .from("attendance")
-      .select("*", { count: 'exact', head: true })
-      .eq('student_id', studentId);
-      
-    if (attendanceError) {
-      console.error("Error fetching attendance:", attendanceError);
-      return NextResponse.json({ error: "Failed to fetch attendance" }, { status: 500 });
-    }
-    
-    // Get feedback submissions count
-    const { count: feedbackCount, error: feedbackError } = await supabase
-      .from("event_feedback")
-      .select("*", { count: 'exact', head: true })
-      .eq('user_id', user.id);
-      
-    if (feedbackError) {
-      console.error("Error fetching feedback:", feedbackError);
-      return NextResponse.json({ error: "Failed to fetch feedback" }, { status: 500 });
-    }
-    
-    // Get completed one-on-one sessions count
-    const { count: sessionsCount, error: sessionsError } = await supabase
-      .from("sessions")
-      .select("*", { count: 'exact', head: true })
-      .eq("student_id", user.id)
-      .eq("status", "completed");
-      
-    if (sessionsError) {
-      console.error("Error fetching sessions:", sessionsError);
-      return NextResponse.json({ error: "Failed to fetch sessions" }, { status: 500 });
+    const { data: eligibility, error: eligibilityError } = await evaluateEligibility(supabase, profile);
+    if (eligibilityError) {
+      return NextResponse.json(
+        { error: eligibilityError.message, code: eligibilityError.code },
+        { status: eligibilityError.status }
+      );
     }
 
     // Get existing internship request if any
-    const { data: existingRequest, error: requestError } = await supabase
-      .from("internship_requests")
-      .select("*")
-      .eq("user_id", user.id)
-      .order("request_date", { ascending: false })
-      .limit(1)
-      .single();
+    const { data: existingRequest, error: requestError } = await getLatestRequest(supabase, profile.id);
 
-    if (requestError && requestError.code !== 'PGRST116') { // Ignore "no rows returned" error
+    if (requestError) {
       console.error("Error fetching existing request:", requestError);
       return NextResponse.json({ error: "Failed to fetch existing request" }, { status: 500 });
     }
 
-    // Format the requirements data with completion status
-    const formattedData = {
+    return NextResponse.json({
       request: existingRequest || null,
-      stats: {
-        totalAttendance: attendanceCount || 0,
-        completedSessions: sessionsCount || 0,
-        totalFeedback: feedbackCount || 0
-      },
-      requirements: [
-        {
-          id: 1,
-          description: "Career services workshops/events attendance",
-          total: attendanceCount || 0,
-          details: `Total workshop attendances (minimum ${MINIMUM_REQUIREMENTS.WORKSHOPS} required)`,
-          completed: (attendanceCount || 0) >= MINIMUM_REQUIREMENTS.WORKSHOPS
-        },
-        {
-          id: 2,
-          description: "Workshop feedback submissions",
-          total: feedbackCount || 0,
-          details: `Total feedback submissions (minimum ${MINIMUM_REQUIREMENTS.FEEDBACK} required)`,
-          completed: (feedbackCount || 0) >= MINIMUM_REQUIREMENTS.FEEDBACK
-        },
-        {
-          id: 3,
-          description: "1-on-1 sessions completed",
-          total: sessionsCount || 0,
-          details: `Total completed sessions (minimum ${MINIMUM_REQUIREMENTS.SESSIONS} required)`,
-          completed: (sessionsCount || 0) >= MINIMUM_REQUIREMENTS.SESSIONS
-        }
-      ]
-    };
-    
-    return NextResponse.json(formattedData);
+      yearGroup: eligibility.yearGroup,
+      eligible: eligibility.eligible,
+      stats: eligibility.stats,
+      requirements: eligibility.requirements
+    });
   } catch (error) {
     console.error("Error in GET internship request:", error);
     return NextResponse.json({ error: "Internal server error" }, { status: 500 });
@@ -149,28 +90,10 @@ export async function POST(req) {
     // Create Supabase client
     const supabase = await createClient();
 
-    // Get authenticated user
-    const { data: { user }, error: userError } = await supabase.auth.getUser();
-    if (userError || !user) {
-      console.error("Auth error:", userError);
-      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
-    }
-
-    const userId = user.id;
-    
-    // Get user details from users table
-    const { data: userData, error: userDataError } = await supabase
-      .from('users')
-      .select('student_id')
-      .eq('email', user.email)
-      .single();
+    const { profile, response } = await getCurrentProfile(supabase);
+    if (response) return response;
 
-    if (userDataError) {
-      console.error("Error fetching user data:", userDataError);
-      return NextResponse.json({ error: "Failed to fetch user data" }, { status: 500 });
-    }
-
-    const studentId = userData.student_id;
+    const userId = profile.id;
     
     // Parse request body
     const body = await req.json();
@@ -180,126 +103,27 @@ export async function POST(req) {
       return NextResponse.json({ error: "Internship details are required" }, { status: 400 });
     }
     
-    // Check if user has completed all required requirements
-    const yearGroup = studentId ? Number(studentId.substring(0, 4)) : null;
-    
-    // Get requirements
-    const { data: requirementsData, error: requirementsError } = await supabase
-      .from("requirement_groups")
-      .select(`
-        *,
-        requirements:requirement_items(
-          id, description, is_required
-        )
-      `)
-      .eq("year_group", yearGroup)
-      .single();
-      
-    if (requirementsError && requirementsError.code !== 'PGRST116') {
-      console.error("Error fetching requirements:", requirementsError);
-      return NextResponse.json({ error: "Failed to fetch requirements" }, { status: 500 });
+    // Check the student meets every required rule for their year group
+    const { data: eligibility, error: eligibilityError } = await evaluateEligibility(supabase, profile);
+    if (eligibilityError) {
+      return NextResponse.json(
+        { error: eligibilityError.message, code: eligibilityError.code },
+        { status: eligibilityError.status }
+      );
     }
 
-    // If no requirements group exists, assume no requirements are needed
-    if (!requirementsData) {
-      // Get existing internship request if any
-      const { data: existingRequest, error: requestError } = await supabase
-        .from("internship_requests")
-        .select("*")
-        .eq("user_id", user.id)
-        .order("request_date", { ascending: false })
-        .limit(1)
-        .single();
-
-      if (requestError && requestError.code !== 'PGRST116') { // Ignore "no rows returned" error
-        console.error("Error fetching existing request:", requestError);
-        return NextResponse.json({ error: "Failed to fetch existing request" }, { status: 500 });
-      }
-
-      // If there's an existing request, don't allow another one
-      if (existingRequest) {
-        return NextResponse.json({ 
-          error: "You already have an internship request submitted." 
-        }, { status: 400 });
-      }
-
-      // Create new request with details in jsonb column
-      const { data: requestData, error: insertError } = await supabase
-        .from("internship_requests")
-        .insert([
-          {
-            user_id: userId,
-            details: details
-          }
-        ])
-        .select()
-        .single();
-        
-      if (insertError) {
-        console.error("Error creating internship request:", insertError);
-        return NextResponse.json({ error: "Failed to create internship request" }, { status: 500 });
-      }
-      
-      // Create notification for admin
-      const { error: notificationError } = await supabase
-        .from("notifications")
-        .insert([
-          {
-            user_id: userId,
-            type: "internship_request",
-            title: "New Internship Request",
-            message: "A new internship request has been submitted and requires your review.",
-            admin_notification: true
-          }
-        ]);
-        
-      if (notificationError) {
-        console.error("Error creating notification:", notificationError);
-        // Don't return error as this is not critical
-      }
-      
-      return NextResponse.json({
-        success: true,
-        message: "Internship request submitted successfully",
-        request: requestData
-      });
-    }
-    
-    // Get completed requirements
-    const { data: completedReqs, error: completedError } = await supabase
-      .from("student_requirements")
-      .select("requirement_id")
-      .eq("student_id", userId);
-      
-    if (completedError) {
-      console.error("Error fetching completed requirements:", completedError);
-      return NextResponse.json({ error: "Failed to fetch completed requirements" }, { status: 500 });
-    }
-    
-    // Check if all required requirements are completed
-    const requiredRequirements = requirementsData?.requirements?.filter(req => req.is_required) || [];
-    const completedRequirementIds = completedReqs?.map(cr => cr.requirement_id) || [];
-    
-    const allRequiredCompleted = requiredRequirements.every(req => 
-      completedRequirementIds.includes(req.id)
-    );
-    
-    if (!allRequiredCompleted) {
+    if (!eligibility.eligible) {
       return NextResponse.json({ 
-        error: "You must complete all required requirements before submitting an internship request." 
+        error: "You must complete all required requirements before submitting an internship request.",
+        code: REQUIREMENT_ERRORS.REQUIREMENTS_NOT_MET,
+        requirements: eligibility.requirements
       }, { status: 400 });
     }
     
     // Get existing internship request if any
-    const { data: existingRequest, error: requestError } = await supabase
-      .from("internship_requests")
-      .select("*")
-      .eq("user_id", user.id)
-      .order("request_date", { ascending: false })
-      .limit(1)
-      .single();
+    const { data: existingRequest, error: requestError } = await getLatestRequest(supabase, userId);
 
-    if (requestError && requestError.code !== 'PGRST116') { // Ignore "no rows returned" error
+    if (requestError) {
       console.error("Error fetching existing request:", requestError);
       return NextResponse.json({ error: "Failed to fetch existing request" }, { status: 500 });
     }
@@ -162,7 +162,8 @@ export async function GET(request) {
         const { count: sessionsAttendedCount, error: attendedError } = await supabase
             .from('attendance')
             .select('*', { count: 'exact', head: true })
-            .eq('student_id', studentIdText); // Use the TEXT student ID
+            .eq('student_id', studentIdText) // Use the TEXT student ID
+            .eq('review_status', 'approved'); // Flagged check-ins only count once approved
 
         if (attendedError) {
              console.error("Error fetching attended sessions count:", attendedError);
@@ -0,0 +1,36 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { getCurrentProfile } from '@/lib/server-auth';
+import { listSessionTypes } from '@/lib/sessions/types';
+
+/**
+ * GET handler for the session types students can book
+ *
+ * @returns {Promise<NextResponse>} JSON with active <code>sessionTypes</code> by name
+ */
+export async function GET() {
+  try {
+    const supabase = await createClient();
+
+    const { response } = await getCurrentProfile(supabase);
+    if (response) return response;
+
+    const { data, error } = await listSessionTypes(supabase, { activeOnly: true });
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json({ sessionTypes: data });
+
+  } catch (error) {
+    console.error('Error in student session types API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,75 @@
+import { NextResponse } from "next/server";
+import { createClient } from "@/utils/supabase/server";
+import { getCurrentProfile } from "@/lib/server-auth";
+import { ATTENDANCE_SOURCES, recordCheckOut } from "@/lib/attendance/service";
+import { parseLocation } from "@/lib/attendance/checkin-rules";
+
+/**
+ * POST handler for checking out of an event that tracks time in attendance
+ *
+ * <p>Students check themselves out; the student is the signed-in user, never
+ * one named in the body. The event's check-in window and geofence apply.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON response with the recorded duration
+ */
+export async function POST(request) {
+  try {
+    const supabase = await createClient();
+
+    const { profile, response } = await getCurrentProfile(supabase);
+    if (response) return response;
+
+    if (!profile.student_id) {
+      return NextResponse.json(
+        { error: "Only students can check out of events" },
+        { status: 403 }
+      );
+    }
+
+    // Get the session ID, rotating code and device location (if any) from the request body
+    const { sessionId, code, location } = await request.json();
+
+    if (!sessionId) {
+      return NextResponse.json(
+        { error: "Missing required fields" },
+        { status: 400 }
+      );
+    }
+
+    const { data, error } = await recordCheckOut(supabase, {
+      sessionId,
+      studentId: profile.student_id,
+      code,
+      location: parseLocation(location),
+      source: ATTENDANCE_SOURCES.SELF_CHECK_IN
+    });
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    const { record, event, meetsMinimum, flags } = data;
+    const flagged = flags.length > 0;
+
+    return NextResponse.json({
+      message: flagged
+        ? "Check-out received. Your attendance will count once an admin has reviewed it."
+        : "Check-out recorded successfully",
+      flagged,
+      durationMinutes: record.duration_minutes,
+      minDurationMinutes: event.min_duration_minutes,
+      meetsMinimum
+    });
+
+  } catch (error) {
+    console.error("Error processing check-out:", error);
+    return NextResponse.json(
+      { error: "Internal server error", details: error.message },
+      { status: 500 }
+    );
+  }
+}
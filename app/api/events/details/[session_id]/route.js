@@ -82,7 +82,8 @@ export async function GET(request, { params }) {
           email
         )
       `)
-      .eq('session_id', session_id);
+      .eq('session_id', session_id)
+      .eq('review_status', 'approved');
 
     if (attendanceError) {
       console.error("Error fetching attendance:", attendanceError);
@@ -119,6 +120,10 @@ export async function GET(request, { params }) {
       time: `${event.start_time} - ${event.end_time}`,
       location: event.location,
       description: event.description,
+      // The check-in page only asks for the device location when the event is geofenced
+      requiresLocation: event.venue_radius_meters != null,
+      checkoutEnabled: Boolean(event.checkout_enabled),
+      minDurationMinutes: event.min_duration_minutes,
       attendees: {
         count: formattedAttendance.length,
         records: formattedAttendance
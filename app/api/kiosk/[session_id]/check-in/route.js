@@ -0,0 +1,60 @@
+import { NextResponse } from 'next/server';
+import { ATTENDANCE_SOURCES, recordAttendance } from '@/lib/attendance/service';
+import { getKioskDisplayName, requireKiosk } from '@/lib/attendance/kiosk';
+
+/**
+ * POST handler for checking a confirmed student in from the kiosk
+ *
+ * <p>Takes <code>{ studentId }</code>. Attendance is recorded with the
+ * <code>kiosk</code> source; staff unlocked the kiosk at the door, so the
+ * check-in window and geofence rules for self check-in do not apply.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @param {{ params: Promise<{ session_id: string }> }} context - Route params
+ * @returns {Promise<NextResponse>} JSON confirmation with the student's shortened name
+ */
+export async function POST(request, context) {
+  try {
+    const { session_id } = await context.params;
+
+    const { supabase, response } = await requireKiosk(session_id);
+    if (response) return response;
+
+    const { studentId } = await request.json();
+
+    if (!studentId) {
+      return NextResponse.json(
+        { error: 'Student ID is required' },
+        { status: 400 }
+      );
+    }
+
+    const { data, error } = await recordAttendance(supabase, {
+      sessionId: session_id,
+      studentId: String(studentId),
+      source: ATTENDANCE_SOURCES.KIOSK
+    });
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json({
+      message: 'Checked in',
+      student: {
+        studentId: data.student.student_id,
+        name: getKioskDisplayName(data.student)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in kiosk check-in API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,70 @@
+import { NextResponse } from 'next/server';
+import { findStudent } from '@/lib/attendance/service';
+import { getKioskDisplayName, requireKiosk } from '@/lib/attendance/kiosk';
+
+/**
+ * POST handler for looking up a student on the kiosk before checking them in
+ *
+ * <p>Takes <code>{ studentId }</code> as typed or scanned from an ID card and
+ * returns a shortened name for the student to confirm, and whether they are
+ * already checked in.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @param {{ params: Promise<{ session_id: string }> }} context - Route params
+ * @returns {Promise<NextResponse>} JSON with the student to confirm
+ */
+export async function POST(request, context) {
+  try {
+    const { session_id } = await context.params;
+
+    const { supabase, response } = await requireKiosk(session_id);
+    if (response) return response;
+
+    const { studentId } = await request.json();
+
+    if (!studentId) {
+      return NextResponse.json(
+        { error: 'Student ID is required' },
+        { status: 400 }
+      );
+    }
+
+    const { data: student, error } = await findStudent(supabase, { studentId: String(studentId) });
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    const { data: existing, error: existingError } = await supabase
+      .from('attendance')
+      .select('id')
+      .eq('session_id', session_id)
+      .eq('student_id', student.student_id)
+      .maybeSingle();
+
+    if (existingError) {
+      console.error('Kiosk attendance check error:', existingError);
+      return NextResponse.json(
+        { error: 'Failed to check existing attendance' },
+        { status: 500 }
+      );
+    }
+
+    return NextResponse.json({
+      student: {
+        studentId: student.student_id,
+        name: getKioskDisplayName(student)
+      },
+      alreadyCheckedIn: Boolean(existing)
+    });
+
+  } catch (error) {
+    console.error('Error in kiosk lookup API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,63 @@
+import { NextResponse } from 'next/server';
+import { findEvent } from '@/lib/attendance/service';
+import { KIOSK_COOKIE, requireKiosk } from '@/lib/attendance/kiosk';
+
+/**
+ * GET handler for the kiosk's state
+ *
+ * <p>Returns <code>{ unlocked: false }</code> until the kiosk cookie for this event
+ * is valid, then the event summary shown on the kiosk.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @param {{ params: Promise<{ session_id: string }> }} context - Route params
+ * @returns {Promise<NextResponse>} JSON with <code>unlocked</code> and the event
+ */
+export async function GET(request, context) {
+  try {
+    const { session_id } = await context.params;
+
+    const { supabase, response } = await requireKiosk(session_id);
+    if (response) {
+      return response.status === 401
+        ? NextResponse.json({ unlocked: false })
+        : response;
+    }
+
+    const { data: event, error } = await findEvent(supabase, session_id);
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json({
+      unlocked: true,
+      event: {
+        id: event.session_id,
+        title: event.title,
+        date: event.date,
+        time: `${event.start_time} - ${event.end_time}`,
+        location: event.location
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in kiosk API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * DELETE handler for locking the kiosk on this device
+ *
+ * @returns {Promise<NextResponse>} JSON confirmation with the kiosk cookie cleared
+ */
+export async function DELETE() {
+  const response = NextResponse.json({ unlocked: false });
+  response.cookies.set(KIOSK_COOKIE, '', { path: '/api/kiosk', maxAge: 0 });
+  return response;
+}
@@ -0,0 +1,47 @@
+import { NextResponse } from 'next/server';
+import { createServiceClient } from '@/utils/supabase/server';
+import { KIOSK_COOKIE, unlockKiosk } from '@/lib/attendance/kiosk';
+
+/**
+ * POST handler for unlocking the kiosk for an event with its PIN
+ *
+ * <p>Takes <code>{ pin }</code>. On success sets the HTTP-only kiosk cookie, scoped
+ * to the kiosk API, for the rest of the day.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @param {{ params: Promise<{ session_id: string }> }} context - Route params
+ * @returns {Promise<NextResponse>} JSON confirmation
+ */
+export async function POST(request, context) {
+  try {
+    const { session_id } = await context.params;
+    const { pin } = await request.json();
+
+    const supabase = await createServiceClient();
+    const { data, error } = await unlockKiosk(supabase, session_id, String(pin || ''));
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    const response = NextResponse.json({ unlocked: true });
+    response.cookies.set(KIOSK_COOKIE, data.cookie, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'strict',
+      path: '/api/kiosk',
+      expires: data.expiresAt
+    });
+    return response;
+
+  } catch (error) {
+    console.error('Error unlocking kiosk:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,43 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { getCurrentProfile } from '@/lib/server-auth';
+import { cancelSession } from '@/lib/sessions/booking';
+
+/**
+ * POST handler for cancelling a scheduled session
+ *
+ * <p>Expects <code>{ reason }</code>. The session's student or any staff
+ * member can cancel; the other party is notified.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @param {{ params: Promise<{ id: string }> }} context - Route params
+ * @returns {Promise<NextResponse>} JSON with the cancelled session
+ */
+export async function POST(request, context) {
+  try {
+    const supabase = await createClient();
+
+    const { response } = await getCurrentProfile(supabase);
+    if (response) return response;
+
+    const { id } = await context.params;
+    const { reason } = await request.json();
+    const { data, error } = await cancelSession(supabase, id, reason);
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json(data);
+
+  } catch (error) {
+    console.error('Error in cancel session API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,42 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { requireRole, STAFF_ROLES } from '@/lib/server-auth';
+import { markNoShow } from '@/lib/sessions/booking';
+
+/**
+ * POST handler for marking a session the student missed as a no-show
+ *
+ * <p>Only once the session has started. The student is notified, and told
+ * when this blocks their bookings.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @param {{ params: Promise<{ id: string }> }} context - Route params
+ * @returns {Promise<NextResponse>} JSON with the updated session
+ */
+export async function POST(request, context) {
+  try {
+    const supabase = await createClient();
+
+    const { response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const { id } = await context.params;
+    const { data, error } = await markNoShow(supabase, id);
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json(data);
+
+  } catch (error) {
+    console.error('Error in no-show session API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
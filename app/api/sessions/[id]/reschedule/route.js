@@ -0,0 +1,43 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { getCurrentProfile } from '@/lib/server-auth';
+import { rescheduleSession } from '@/lib/sessions/booking';
+
+/**
+ * POST handler for moving a scheduled session to another slot
+ *
+ * <p>Expects <code>{ date, time }</code> and optionally <code>advisorId</code>
+ * to switch advisor. Both parties are notified.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @param {{ params: Promise<{ id: string }> }} context - Route params
+ * @returns {Promise<NextResponse>} JSON with the rescheduled session
+ */
+export async function POST(request, context) {
+  try {
+    const supabase = await createClient();
+
+    const { response } = await getCurrentProfile(supabase);
+    if (response) return response;
+
+    const { id } = await context.params;
+    const body = await request.json();
+    const { data, error } = await rescheduleSession(supabase, id, body);
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json(data);
+
+  } catch (error) {
+    console.error('Error in reschedule session API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
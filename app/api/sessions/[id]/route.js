@@ -0,0 +1,42 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { requireRole, STAFF_ROLES } from '@/lib/server-auth';
+import { updateSessionNotes } from '@/lib/sessions/booking';
+
+/**
+ * PATCH handler for saving an advisor's notes on a session
+ *
+ * <p>Expects <code>{ notes }</code>, which replace any existing notes.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @param {{ params: Promise<{ id: string }> }} context - Route params
+ * @returns {Promise<NextResponse>} JSON with the updated session
+ */
+export async function PATCH(request, context) {
+  try {
+    const supabase = await createClient();
+
+    const { response } = await requireRole(supabase, STAFF_ROLES);
+    if (response) return response;
+
+    const { id } = await context.params;
+    const { notes } = await request.json();
+    const { data, error } = await updateSessionNotes(supabase, id, notes);
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json(data);
+
+  } catch (error) {
+    console.error('Error in session notes API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
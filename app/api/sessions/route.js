@@ -0,0 +1,97 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@/utils/supabase/server';
+import { getCurrentProfile, ROLES } from '@/lib/server-auth';
+import { bookSession, listSessions } from '@/lib/sessions/booking';
+import { getNoShowStanding } from '@/lib/sessions/no-shows';
+
+/**
+ * GET handler for the signed-in user's one-on-one sessions
+ *
+ * <p>Students get their own sessions and their <code>noShowStanding</code>
+ * for the semester. Staff get the sessions they advise, or every advisor's
+ * with <code>?scope=all</code>.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON with <code>upcomingSessions</code> and <code>pastSessions</code>
+ */
+export async function GET(request) {
+  try {
+    const supabase = await createClient();
+
+    const { profile, response } = await getCurrentProfile(supabase);
+    if (response) return response;
+
+    const scope = new URL(request.url).searchParams.get('scope');
+    const filter = profile.role_id === ROLES.STUDENT
+      ? { studentId: profile.id }
+      : scope === 'all' ? {} : { advisorId: profile.id };
+
+    const { data, error } = await listSessions(supabase, filter);
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    if (profile.role_id === ROLES.STUDENT) {
+      const { data: noShowStanding, error: standingError } = await getNoShowStanding(supabase, profile.id);
+      if (standingError) {
+        return NextResponse.json(
+          { error: standingError.message, code: standingError.code },
+          { status: standingError.status }
+        );
+      }
+      return NextResponse.json({ ...data, noShowStanding });
+    }
+
+    return NextResponse.json(data);
+
+  } catch (error) {
+    console.error('Error in sessions API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST handler for booking a one-on-one session
+ *
+ * <p>Expects <code>{ advisorId, date, time, location }</code>. Students book
+ * for themselves in one of the advisor's open slots; staff also send
+ * <code>studentId</code> and may leave out <code>advisorId</code> to book with
+ * themselves. Both parties are notified.</p>
+ *
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON with the new session
+ */
+export async function POST(request) {
+  try {
+    const supabase = await createClient();
+
+    const { response } = await getCurrentProfile(supabase);
+    if (response) return response;
+
+    const body = await request.json();
+    const { data, error } = await bookSession(supabase, body);
+
+    if (error) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    return NextResponse.json(data, { status: 201 });
+
+  } catch (error) {
+    console.error('Error in book session API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -18,6 +18,8 @@ export default function CheckInPage() {
   const [eventDetails, setEventDetails] = useState(null);
 
   const token = searchParams.get('token');
+  // Present when the event uses a rotating QR code
+  const checkInCode = searchParams.get('code');
 
   useEffect(() => {
     // If no token is provided, show error
@@ -30,6 +32,29 @@ export default function CheckInPage() {
     }
   }, [token, toast]);
 
+  /**
+   * Reads the device location for geofenced events.
+   * Resolves to null if the browser has no geolocation or the student declines,
+   * and the server decides whether that is acceptable.
+   *
+   * @returns {Promise<{latitude: number, longitude: number, accuracy: number}|null>}
+   */
+  const getDeviceLocation = () => {
+    if (!navigator.geolocation) return Promise.resolve(null);
+
+    return new Promise((resolve) => {
+      navigator.geolocation.getCurrentPosition(
+        ({ coords }) => resolve({
+          latitude: coords.latitude,
+          longitude: coords.longitude,
+          accuracy: coords.accuracy,
+        }),
+        () => resolve(null),
+        { enableHighAccuracy: true, timeout: 10000, maximumAge: 60000 }
+      );
+    });
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -44,6 +69,7 @@ export default function CheckInPage() {
 
     try {
       setIsSubmitting(true);
+      const location = await getDeviceLocation();
       
       const response = await fetch('/api/checkin', {
         method: 'POST',
@@ -53,6 +79,8 @@ export default function CheckInPage() {
         body: JSON.stringify({
           token,
           studentId,
+          code: checkInCode,
+          location,
         }),
       });
 
@@ -65,8 +93,10 @@ export default function CheckInPage() {
       setCheckInStatus('success');
       setEventDetails(data.eventDetails);
       toast({
-        title: "Success!",
-        description: "Your attendance has been recorded.",
+        title: data.flagged ? "Check-in Received" : "Success!",
+        description: data.flagged
+          ? "Your check-in was outside the event's time or location, so an admin will review it before it counts."
+          : "Your attendance has been recorded.",
       });
     } catch (error) {
       console.error('Check-in error:', error);
@@ -1,7 +1,8 @@
 "use client";
 
-import { useEffect, useState } from "react";
+import { useCallback, useEffect, useState } from "react";
 import { useParams } from "next/navigation";
+import NextLink from "next/link";
 import {
   Table,
   TableBody,
@@ -13,11 +14,30 @@ import {
 import { Card } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
 import { QRCodeCard } from "@/components/attendance/QRCodeCard";
-import { Users, Search, Download, QrCode, Link } from "lucide-react";
+import { AttendanceImportDialog } from "@/components/attendance/AttendanceImportDialog";
+import { AttendanceAdjustmentDialog } from "@/components/attendance/AttendanceAdjustmentDialog";
+import { KioskSetupDialog } from "@/components/attendance/KioskSetupDialog";
+import { LiveAttendancePanel } from "@/components/attendance/LiveAttendancePanel";
+import { useLiveAttendance } from "@/lib/hooks/use-live-attendance";
+import { CHECKIN_FLAG_LABELS } from "@/lib/attendance/checkin-rules";
+import { Users, Search, Download, QrCode, Link, ScanLine, AlertTriangle, Check, X, Upload, UserPlus, Trash2, History, Tablet, ClipboardList } from "lucide-react";
 import { format } from "date-fns";
 import { toast } from "sonner";
 
+const EXPORT_OPTIONS = [
+  { format: "csv", label: "CSV" },
+  { format: "xlsx", label: "Excel (XLSX)" },
+  { format: "pdf", label: "PDF sign-in roster" },
+];
+
 export default function EventAttendancePage() {
   const params = useParams();
   const [attendanceData, setAttendanceData] = useState(null);
@@ -25,14 +45,59 @@ export default function EventAttendancePage() {
   const [error, setError] = useState(null);
   const [searchQuery, setSearchQuery] = useState("");
   const [showQRCode, setShowQRCode] = useState(false);
+  const [reviewingId, setReviewingId] = useState(null);
+  const [showImportDialog, setShowImportDialog] = useState(false);
+  const [adjustment, setAdjustment] = useState(null);
+  const [showKioskDialog, setShowKioskDialog] = useState(false);
+  const [adjustments, setAdjustments] = useState([]);
+  const [registrationReport, setRegistrationReport] = useState(null);
 
-  useEffect(() => {
-    fetchAttendanceData();
+  /**
+   * Loads the manual adjustment log; a failure only hides the log
+   */
+  const fetchAdjustments = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/dashboard/admin/events/${params.session_id}/attendance/adjustments`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to fetch adjustment log");
+      }
+
+      setAdjustments(data.adjustments);
+    } catch (error) {
+      console.error("Error fetching adjustments:", error);
+    }
+  }, [params.session_id]);
+
+  /**
+   * Loads registrations and no-shows for events that take RSVPs; a failure
+   * only hides the report
+   */
+  const fetchRegistrations = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/dashboard/admin/events/${params.session_id}/registrations`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to fetch registrations");
+      }
+
+      setRegistrationReport(data);
+    } catch (error) {
+      console.error("Error fetching registrations:", error);
+    }
   }, [params.session_id]);
 
-  const fetchAttendanceData = async () => {
+  /**
+   * Loads the attendance list
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.silent] - Refresh in place without the loading screen
+   */
+  const fetchAttendanceData = useCallback(async ({ silent = false } = {}) => {
     try {
-      setIsLoading(true);
+      if (!silent) setIsLoading(true);
       const response = await fetch(`/api/dashboard/admin/events/${params.session_id}/attendance`);
       const data = await response.json();
 
@@ -47,44 +112,68 @@ export default function EventAttendancePage() {
       }
 
       setAttendanceData(data);
+      fetchAdjustments();
+      fetchRegistrations();
     } catch (error) {
       console.error("Error fetching attendance:", error);
-      setError(error.message);
+      // A failed background refresh keeps the data already on screen
+      if (!silent) setError(error.message);
     } finally {
       setIsLoading(false);
     }
+  }, [params.session_id, fetchAdjustments, fetchRegistrations]);
+
+  useEffect(() => {
+    fetchAttendanceData();
+  }, [fetchAttendanceData]);
+
+  /**
+   * Approves or rejects a flagged check-in and refreshes the list
+   *
+   * @param {string} recordId - The attendance record ID
+   * @param {"approved"|"rejected"} status - The review decision
+   */
+  const reviewRecord = async (recordId, status) => {
+    try {
+      setReviewingId(recordId);
+      const response = await fetch(
+        `/api/dashboard/admin/events/${params.session_id}/attendance/${recordId}`,
+        {
+          method: "PATCH",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ status }),
+        }
+      );
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to review check-in");
+      }
+
+      toast.success(status === "approved" ? "Check-in approved" : "Check-in rejected");
+      await fetchAttendanceData({ silent: true });
+    } catch (error) {
+      console.error("Error reviewing check-in:", error);
+      toast.error(error.message || "Failed to review check-in");
+    } finally {
+      setReviewingId(null);
+    }
   };
 
+  const { mode: liveMode } = useLiveAttendance(params.session_id, () =>
+    fetchAttendanceData({ silent: true })
+  );
+
+  const flaggedRecords = attendanceData?.records.filter(
+    (record) => record.reviewStatus === "flagged"
+  ) || [];
+
   const filteredRecords = attendanceData?.records.filter((record) =>
     record.studentName.toLowerCase().includes(searchQuery.toLowerCase()) ||
     record.studentId.toLowerCase().includes(searchQuery.toLowerCase()) ||
     record.email.toLowerCase().includes(searchQuery.toLowerCase())
   );
 
-  const downloadAttendanceCSV = () => {
-    if (!attendanceData) return;
-
-    const headers = ["Student Name", "Student ID", "Email", "Check-in Time", "Check-in Date"];
-    const csvContent = [
-      headers.join(","),
-      ...filteredRecords.map((record) =>
-        [
-          record.studentName,
-          record.studentId,
-          record.email,
-          record.checkedInAt,
-          record.checkedInDate
-        ].join(",")
-      ),
-    ].join("\n");
-
-    const blob = new Blob([csvContent], { type: "text/csv;charset=utf-8;" });
-    const link = document.createElement("a");
-    link.href = URL.createObjectURL(blob);
-    link.download = `${attendanceData.event.title}-attendance.csv`;
-    link.click();
-  };
-
   if (isLoading) {
     return (
       <div className="flex items-center justify-center min-h-screen">
@@ -97,7 +186,7 @@ export default function EventAttendancePage() {
     return (
       <div className="flex flex-col items-center justify-center min-h-screen">
         <p className="text-red-500 mb-4">{error}</p>
-        <Button onClick={fetchAttendanceData}>Try Again</Button>
+        <Button onClick={() => fetchAttendanceData()}>Try Again</Button>
       </div>
     );
   }
@@ -111,7 +200,7 @@ export default function EventAttendancePage() {
             Track and manage attendance for this event
           </p>
         </div>
-        <div className="flex gap-3">
+        <div className="flex flex-wrap gap-3">
           <Button
             onClick={() => setShowQRCode(!showQRCode)}
             className="bg-[#A91827] hover:bg-[#A91827]/90 text-white"
@@ -134,13 +223,56 @@ export default function EventAttendancePage() {
             Copy URL
           </Button>
           <Button
-            onClick={downloadAttendanceCSV}
+            asChild
+            variant="outline"
+            className="border-muted-foreground/20"
+          >
+            <NextLink href={`/dashboard/organizer/scan?event=${params.session_id}`}>
+              <ScanLine className="h-4 w-4 mr-2" />
+              Scan Students
+            </NextLink>
+          </Button>
+          <Button
+            onClick={() => setShowKioskDialog(true)}
             variant="outline"
             className="border-muted-foreground/20"
           >
-            <Download className="h-4 w-4 mr-2" />
-            Export CSV
+            <Tablet className="h-4 w-4 mr-2" />
+            Kiosk
           </Button>
+          <Button
+            onClick={() => setAdjustment({ action: "add" })}
+            variant="outline"
+            className="border-muted-foreground/20"
+          >
+            <UserPlus className="h-4 w-4 mr-2" />
+            Add Student
+          </Button>
+          <Button
+            onClick={() => setShowImportDialog(true)}
+            variant="outline"
+            className="border-muted-foreground/20"
+          >
+            <Upload className="h-4 w-4 mr-2" />
+            Import
+          </Button>
+          <DropdownMenu>
+            <DropdownMenuTrigger asChild>
+              <Button variant="outline" className="border-muted-foreground/20">
+                <Download className="h-4 w-4 mr-2" />
+                Export
+              </Button>
+            </DropdownMenuTrigger>
+            <DropdownMenuContent align="end">
+              {EXPORT_OPTIONS.map((option) => (
+                <DropdownMenuItem key={option.format} asChild>
+                  <a href={`/api/dashboard/admin/events/${params.session_id}/attendance/export?format=${option.format}`}>
+                    {option.label}
+                  </a>
+                </DropdownMenuItem>
+              ))}
+            </DropdownMenuContent>
+          </DropdownMenu>
         </div>
       </div>
 
@@ -168,6 +300,71 @@ export default function EventAttendancePage() {
             </div>
           </Card>
 
+          <LiveAttendancePanel
+            records={attendanceData.records.filter((record) => record.reviewStatus !== "rejected")}
+            count={attendanceData.attendanceCount}
+            mode={liveMode}
+          />
+
+          {/* Flagged check-ins awaiting review */}
+          {flaggedRecords.length > 0 && (
+            <Card className="p-6 mb-6 border-amber-500/50">
+              <div className="flex items-center gap-2 mb-4">
+                <AlertTriangle className="h-5 w-5 text-amber-600" />
+                <h3 className="font-semibold">Needs Review ({flaggedRecords.length})</h3>
+              </div>
+              <p className="text-sm text-muted-foreground mb-4">
+                These check-ins were outside the event&apos;s check-in window or venue. They do not count until approved.
+              </p>
+              <div className="space-y-3">
+                {flaggedRecords.map((record) => (
+                  <div
+                    key={record.id}
+                    className="flex flex-col md:flex-row md:items-center justify-between gap-3 p-3 rounded-lg bg-muted/50"
+                  >
+                    <div>
+                      <p className="font-medium">
+                        {record.studentName} <span className="text-muted-foreground">({record.studentId})</span>
+                      </p>
+                      <p className="text-sm text-muted-foreground">
+                        {record.checkedInDate} at {record.checkedInAt}
+                        {record.distanceMeters != null && ` · ${record.distanceMeters} m from venue`}
+                        {record.locationAccuracyMeters != null && ` (±${Math.round(record.locationAccuracyMeters)} m)`}
+                      </p>
+                      <div className="flex flex-wrap gap-1 mt-1">
+                        {record.flagReasons.map((reason) => (
+                          <Badge key={reason} variant="secondary">
+                            {CHECKIN_FLAG_LABELS[reason] || reason}
+                          </Badge>
+                        ))}
+                      </div>
+                    </div>
+                    <div className="flex gap-2">
+                      <Button
+                        size="sm"
+                        onClick={() => reviewRecord(record.id, "approved")}
+                        disabled={reviewingId === record.id}
+                        className="bg-[#A91827] hover:bg-[#A91827]/90 text-white"
+                      >
+                        <Check className="h-4 w-4 mr-1" />
+                        Approve
+                      </Button>
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={() => reviewRecord(record.id, "rejected")}
+                        disabled={reviewingId === record.id}
+                      >
+                        <X className="h-4 w-4 mr-1" />
+                        Reject
+                      </Button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </Card>
+          )}
+
           {/* Search and Table */}
           <div className="space-y-4">
             <div className="relative">
@@ -190,6 +387,14 @@ export default function EventAttendancePage() {
                       <TableHead>Email</TableHead>
                       <TableHead>Check-in Time</TableHead>
                       <TableHead>Check-in Date</TableHead>
+                      {attendanceData.event.checkoutEnabled && (
+                        <>
+                          <TableHead>Check-out Time</TableHead>
+                          <TableHead>Duration</TableHead>
+                        </>
+                      )}
+                      <TableHead>Status</TableHead>
+                      <TableHead className="w-12"></TableHead>
                     </TableRow>
                   </TableHeader>
                   <TableBody>
@@ -203,12 +408,41 @@ export default function EventAttendancePage() {
                           <TableCell>{record.email}</TableCell>
                           <TableCell>{record.checkedInAt}</TableCell>
                           <TableCell>{record.checkedInDate}</TableCell>
+                          {attendanceData.event.checkoutEnabled && (
+                            <>
+                              <TableCell>{record.checkedOutAt || "Not checked out"}</TableCell>
+                              <TableCell>
+                                {record.durationMinutes != null ? `${record.durationMinutes} min` : "-"}
+                                {attendanceData.event.minDurationMinutes && !record.meetsMinimum && (
+                                  <Badge variant="secondary" className="ml-2">Below minimum</Badge>
+                                )}
+                              </TableCell>
+                            </>
+                          )}
+                          <TableCell>
+                            <Badge
+                              variant={record.reviewStatus === "approved" ? "default" : "secondary"}
+                              className="capitalize"
+                            >
+                              {record.reviewStatus}
+                            </Badge>
+                          </TableCell>
+                          <TableCell>
+                            <Button
+                              size="icon"
+                              variant="ghost"
+                              onClick={() => setAdjustment({ action: "remove", student: record })}
+                              title="Remove attendance"
+                            >
+                              <Trash2 className="h-4 w-4 text-muted-foreground" />
+                            </Button>
+                          </TableCell>
                         </TableRow>
                       ))
                     ) : (
                       <TableRow>
                         <TableCell
-                          colSpan={5}
+                          colSpan={attendanceData.event.checkoutEnabled ? 9 : 7}
                           className="h-24 text-center text-muted-foreground"
                         >
                           No attendance records found
@@ -219,6 +453,92 @@ export default function EventAttendancePage() {
                 </Table>
               </div>
             </Card>
+
+            {/* Registrations and no-shows */}
+            {registrationReport?.registrations.length > 0 && (
+              <Card className="p-6 mb-6">
+                <div className="flex items-center justify-between gap-2 mb-4">
+                  <div className="flex items-center gap-2">
+                    <ClipboardList className="h-5 w-5 text-[#A91827]" />
+                    <h3 className="font-semibold">Registrations</h3>
+                  </div>
+                  <DropdownMenu>
+                    <DropdownMenuTrigger asChild>
+                      <Button variant="outline" size="sm" className="border-muted-foreground/20">
+                        <Download className="h-4 w-4 mr-2" />
+                        Export
+                      </Button>
+                    </DropdownMenuTrigger>
+                    <DropdownMenuContent align="end">
+                      {EXPORT_OPTIONS.map((option) => (
+                        <DropdownMenuItem key={option.format} asChild>
+                          <a href={`/api/dashboard/admin/events/${params.session_id}/registrations?format=${option.format}`}>
+                            {option.format === "pdf" ? "PDF" : option.label}
+                          </a>
+                        </DropdownMenuItem>
+                      ))}
+                    </DropdownMenuContent>
+                  </DropdownMenu>
+                </div>
+                <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 mb-4 text-center">
+                  {[
+                    ["Registered", registrationReport.summary.registered],
+                    ["Attended", registrationReport.summary.attended],
+                    ["No-shows", registrationReport.summary.noShows],
+                    ["Waitlisted", registrationReport.summary.waitlisted],
+                  ].map(([label, value]) => (
+                    <div key={label} className="rounded-lg bg-muted/50 p-3">
+                      <p className="text-2xl font-bold">{value}</p>
+                      <p className="text-xs text-muted-foreground">{label}</p>
+                    </div>
+                  ))}
+                </div>
+                {registrationReport.summary.noShows > 0 && (
+                  <div className="space-y-2">
+                    <p className="text-sm font-medium">Registered but not checked in</p>
+                    {registrationReport.registrations
+                      .filter((registration) => registration.status === "registered" && !registration.attended)
+                      .map((registration) => (
+                        <div key={registration.id} className="flex items-center justify-between gap-3 text-sm">
+                          <p>
+                            {registration.studentName}{" "}
+                            <span className="text-muted-foreground">({registration.studentId})</span>
+                          </p>
+                          <span className="text-muted-foreground">{registration.email}</span>
+                        </div>
+                      ))}
+                  </div>
+                )}
+              </Card>
+            )}
+
+            {/* Manual corrections, newest first */}
+            {adjustments.length > 0 && (
+              <Card className="p-6">
+                <div className="flex items-center gap-2 mb-4">
+                  <History className="h-5 w-5 text-[#A91827]" />
+                  <h3 className="font-semibold">Adjustment Log</h3>
+                </div>
+                <div className="space-y-3">
+                  {adjustments.map((entry) => (
+                    <div key={entry.id} className="flex items-start justify-between gap-3 text-sm">
+                      <div>
+                        <p className="font-medium">
+                          {entry.studentName} <span className="text-muted-foreground">({entry.studentId})</span>
+                        </p>
+                        <p className="text-muted-foreground">{entry.reason}</p>
+                        <p className="text-xs text-muted-foreground">
+                          By {entry.adjustedBy} · {format(new Date(entry.createdAt), "d MMM yyyy, HH:mm")}
+                        </p>
+                      </div>
+                      <Badge variant={entry.action === "add" ? "default" : "secondary"}>
+                        {entry.action === "add" ? "Added" : "Removed"}
+                      </Badge>
+                    </div>
+                  ))}
+                </div>
+              </Card>
+            )}
           </div>
         </div>
 
@@ -236,6 +556,28 @@ export default function EventAttendancePage() {
           </div>
         )}
       </div>
+
+      <AttendanceImportDialog
+        eventId={params.session_id}
+        open={showImportDialog}
+        onOpenChange={setShowImportDialog}
+        onImported={() => fetchAttendanceData({ silent: true })}
+      />
+
+      <KioskSetupDialog
+        eventId={params.session_id}
+        open={showKioskDialog}
+        onOpenChange={setShowKioskDialog}
+      />
+
+      <AttendanceAdjustmentDialog
+        eventId={params.session_id}
+        action={adjustment?.action}
+        student={adjustment?.student}
+        open={!!adjustment}
+        onOpenChange={(open) => !open && setAdjustment(null)}
+        onAdjusted={() => fetchAttendanceData({ silent: true })}
+      />
     </div>
   );
 }
\ No newline at end of file
@@ -1,6 +1,6 @@
 "use client"
 
-import { useState, useEffect } from "react"
+import { useState, useEffect, useCallback } from "react"
 import {
   Calendar,
   Clock,
@@ -16,12 +16,18 @@ import {
   Search,
   Pencil,
   Copy,
+  Bookmark,
+  BookmarkPlus,
   Trash2,
   Download,
   Share2,
   Star,
   ChevronDown,
   Eye,
+  RefreshCw,
+  LocateFixed,
+  Repeat,
+  X,
 } from "lucide-react"
 import { QRCodeSVG } from "qrcode.react"
 import { toast } from "sonner"
@@ -38,6 +44,7 @@ import { Input } from "@/components/ui/input"
 import { Button } from "@/components/ui/button"
 import { Textarea } from "@/components/ui/textarea"
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Switch } from "@/components/ui/switch"
 import { Calendar as CalendarComponent } from "@/components/ui/calendar"
 import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover"
 import { cn } from "@/lib/utils"
@@ -48,6 +55,22 @@ import { Badge } from "@/components/ui/badge"
 import { Card, CardContent } from "@/components/ui/card"
 import { Separator } from "@/components/ui/separator"
 import { QRCodeCard } from "@/components/attendance/QRCodeCard"
+import { AttendanceRangeExportDialog } from "@/components/attendance/AttendanceRangeExportDialog"
+import { SeriesAttendanceDialog } from "@/components/attendance/SeriesAttendanceDialog"
+import {
+  RECURRENCE_FREQUENCIES,
+  SERIES_EDIT_SCOPES,
+  expandRecurrence,
+  getScheduledDates,
+  normalizeRecurrence,
+} from "@/lib/events/series"
+import { EVENT_TYPE_LABELS, collectTags, matchesEventFilters } from "@/lib/events/categories"
+import { EventFilters, EMPTY_EVENT_FILTERS } from "@/components/events/EventFilters"
+import { SurveyResultsDialog } from "@/components/feedback/SurveyResultsDialog"
+import { FeedbackInsights } from "@/components/feedback/FeedbackInsights"
+import { SurveyTemplatesDialog } from "@/components/feedback/SurveyTemplatesDialog"
+import { EventTemplatesDialog } from "@/components/events/EventTemplatesDialog"
+import { DEFAULT_FEEDBACK_WINDOW_DAYS, MAX_FEEDBACK_WINDOW_DAYS } from "@/lib/feedback/eligibility"
 import {
   Table,
   TableBody,
@@ -57,6 +80,66 @@ import {
   TableRow,
 } from "@/components/ui/table"
 
+// Empty check-in rule fields for the event form. Blank means the rule is off.
+const EMPTY_CHECKIN_RULES = {
+  checkin_opens_minutes_before: "",
+  checkin_closes_minutes_after: "",
+  venue_latitude: "",
+  venue_longitude: "",
+  venue_radius_meters: "",
+  checkin_enforcement: "flag",
+  checkout_enabled: false,
+  min_duration_minutes: "",
+  registration_required: false,
+  capacity: "",
+  registration_deadline: "",
+}
+
+// Recurrence fields for the create form. "none" creates a single event.
+const EMPTY_RECURRENCE = {
+  frequency: "none",
+  count: "",
+  until: "",
+  dates: [],
+  exceptions: [],
+}
+
+/**
+ * Fills the event form from an event or an event template's <code>event</code>.
+ *
+ * <p>Date, registration deadline and series belong to one occurrence, so they
+ * are left for the caller to add when editing.</p>
+ *
+ * @param {object} event - camelCase event fields from the admin events or event templates API
+ * @returns {object} Event form fields
+ */
+function eventToForm(event) {
+  return {
+    title: event.title,
+    start_time: event.start_time,
+    end_time: event.end_time,
+    location: event.location,
+    description: event.description,
+    event_type: event.eventType || "",
+    tags: (event.tags || []).join(", "),
+    survey_template_id: event.surveyTemplateId || "",
+    feedback_window_days: event.feedbackWindowDays ?? DEFAULT_FEEDBACK_WINDOW_DAYS,
+    qr_mode: event.qrMode || "static",
+    qr_rotation_seconds: event.qrRotationSeconds || 30,
+    checkin_opens_minutes_before: event.checkinOpensMinutesBefore ?? "",
+    checkin_closes_minutes_after: event.checkinClosesMinutesAfter ?? "",
+    venue_latitude: event.venueLatitude ?? "",
+    venue_longitude: event.venueLongitude ?? "",
+    venue_radius_meters: event.venueRadiusMeters ?? "",
+    checkin_enforcement: event.checkinEnforcement || "flag",
+    checkout_enabled: event.checkoutEnabled || false,
+    min_duration_minutes: event.minDurationMinutes ?? "",
+    registration_required: event.registrationRequired || false,
+    capacity: event.capacity ?? "",
+    registration_deadline: "",
+  }
+}
+
 /**
  * AdminEventsPage displays all events for admins, including attendee feedback and QR code generation.
  *
@@ -91,18 +174,41 @@ export default function AdminEventsPage() {
     end_time: "",
     location: "",
     description: "",
+    event_type: "",
+    tags: "",
+    survey_template_id: "",
+    feedback_window_days: DEFAULT_FEEDBACK_WINDOW_DAYS,
+    qr_mode: "static",
+    qr_rotation_seconds: 30,
+    ...EMPTY_CHECKIN_RULES,
   })
   const [isCreatingEvent, setIsCreatingEvent] = useState(false)
   const [eventDate, setEventDate] = useState(new Date())
   const [eventType, setEventType] = useState("in-person")
+  const [recurrence, setRecurrence] = useState(EMPTY_RECURRENCE)
+  const [customDate, setCustomDate] = useState("")
+  const [editScope, setEditScope] = useState(SERIES_EDIT_SCOPES.THIS)
+  const [seriesDialogId, setSeriesDialogId] = useState(null)
+  const [filters, setFilters] = useState(EMPTY_EVENT_FILTERS)
 
   // Attendance dialog state
   const [attendanceDialogOpen, setAttendanceDialogOpen] = useState(false)
+  const [exportDialogOpen, setExportDialogOpen] = useState(false)
   const [attendanceData, setAttendanceData] = useState(null)
   const [isLoadingAttendance, setIsLoadingAttendance] = useState(false)
 
+  // Feedback survey state
+  const [surveyTemplates, setSurveyTemplates] = useState([])
+  const [surveyTemplatesDialogOpen, setSurveyTemplatesDialogOpen] = useState(false)
+  const [surveyResultsEventId, setSurveyResultsEventId] = useState(null)
+
+  // Event template state
+  const [eventTemplates, setEventTemplates] = useState([])
+  const [eventTemplatesDialogOpen, setEventTemplatesDialogOpen] = useState(false)
+
   // Function to handle opening create event dialog
   const handleOpenCreateEventDialog = () => {
+    setRecurrence(EMPTY_RECURRENCE)
     setCreateEventDialogOpen(true)
   }
 
@@ -115,6 +221,27 @@ export default function AdminEventsPage() {
     }))
   }
 
+  // Fill the venue coordinates from the admin's current position
+  const handleUseCurrentLocation = () => {
+    if (!navigator.geolocation) {
+      toast.error("Location is not available in this browser")
+      return
+    }
+
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => {
+        setNewEvent((prev) => ({
+          ...prev,
+          venue_latitude: coords.latitude.toFixed(6),
+          venue_longitude: coords.longitude.toFixed(6),
+          venue_radius_meters: prev.venue_radius_meters || 100,
+        }))
+      },
+      () => toast.error("Could not get your location"),
+      { enableHighAccuracy: true, timeout: 10000 }
+    )
+  }
+
   // Handle event type change
   const handleEventTypeChange = (value) => {
     setEventType(value)
@@ -163,32 +290,106 @@ export default function AdminEventsPage() {
   }
 
   // Fetch events from the API
-  useEffect(() => {
-    const fetchEvents = async () => {
-      try {
-        setIsLoading(true)
-        const response = await fetch("/api/dashboard/admin/events")
-
-        if (!response.ok) {
-          throw new Error("Failed to fetch events")
-        }
+  const fetchEvents = useCallback(async () => {
+    try {
+      setIsLoading(true)
+      const response = await fetch("/api/dashboard/admin/events")
 
-        const data = await response.json()
-        setUpcomingEvents(data.upcomingEvents || [])
-        setPastEvents(data.pastEvents || [])
-        setError(null)
-      } catch (err) {
-        console.error("Error fetching events:", err)
-        setError("Failed to load events. Please try again later.")
-        toast.error("Failed to load events. Please try again later.")
-      } finally {
-        setIsLoading(false)
+      if (!response.ok) {
+        throw new Error("Failed to fetch events")
       }
+
+      const data = await response.json()
+      setUpcomingEvents(data.upcomingEvents || [])
+      setPastEvents(data.pastEvents || [])
+      setError(null)
+    } catch (err) {
+      console.error("Error fetching events:", err)
+      setError("Failed to load events. Please try again later.")
+      toast.error("Failed to load events. Please try again later.")
+    } finally {
+      setIsLoading(false)
     }
+  }, [])
 
-    fetchEvents()
+  // Events matching the search, type and tag filters
+  const availableTags = collectTags(upcomingEvents.concat(pastEvents))
+  const filteredUpcoming = upcomingEvents.filter((event) => matchesEventFilters(event, filters))
+  const filteredPast = pastEvents.filter((event) => matchesEventFilters(event, filters))
+  const isFiltered = filters.type !== "all" || filters.tag !== "all" || filters.query.trim() !== ""
+
+  // Fetch the feedback survey templates events can use
+  const fetchSurveyTemplates = useCallback(async () => {
+    try {
+      const response = await fetch("/api/dashboard/admin/surveys")
+      const data = await response.json()
+      if (!response.ok) throw new Error(data.error || "Failed to load feedback surveys")
+
+      setSurveyTemplates(data.templates)
+    } catch (err) {
+      console.error("Error fetching survey templates:", err)
+      toast.error(err.message)
+    }
   }, [])
 
+  // Fetch the team's shared event templates
+  const fetchEventTemplates = useCallback(async () => {
+    try {
+      const response = await fetch("/api/dashboard/admin/event-templates")
+      const data = await response.json()
+      if (!response.ok) throw new Error(data.error || "Failed to load event templates")
+
+      setEventTemplates(data.templates)
+    } catch (err) {
+      console.error("Error fetching event templates:", err)
+      toast.error(err.message)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchEvents()
+    fetchSurveyTemplates()
+    fetchEventTemplates()
+  }, [fetchEvents, fetchSurveyTemplates, fetchEventTemplates])
+
+  // Open the create form filled from a past event or a template, leaving the date to pick
+  const handleStartFromEvent = (event) => {
+    const form = eventToForm(event)
+    // The survey may have been deleted since the event or template was saved
+    if (!surveyTemplates.some((template) => template.id === form.survey_template_id)) {
+      form.survey_template_id = ""
+    }
+
+    setNewEvent(form)
+    setEventType(event.location === "Online" ? "online" : "in-person")
+    setEventDate(null)
+    setRecurrence(EMPTY_RECURRENCE)
+    setEventTemplatesDialogOpen(false)
+    setCreateEventDialogOpen(true)
+  }
+
+  // Save event form fields to the shared template library under a name the admin picks
+  const handleSaveAsTemplate = async (form) => {
+    const name = window.prompt("Template name", form.title || "")
+    if (!name?.trim()) return
+
+    try {
+      const response = await fetch("/api/dashboard/admin/event-templates", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ name, event: form }),
+      })
+      const data = await response.json()
+      if (!response.ok) throw new Error(data.error || "Failed to save template")
+
+      toast.success(`Template "${data.name}" saved`)
+      fetchEventTemplates()
+    } catch (err) {
+      console.error("Error saving event template:", err)
+      toast.error(err.message)
+    }
+  }
+
   /**
    * Generates QR code data URL for an event
    * 
@@ -388,9 +589,18 @@ export default function AdminEventsPage() {
       return;
     }
 
+    const isEditing = newEvent.id !== undefined;
+    const recurrenceRule = isEditing ? null : normalizeRecurrence(recurrence);
+    if (recurrenceRule) {
+      const { error: recurrenceError } = expandRecurrence(formattedDate, recurrenceRule);
+      if (recurrenceError) {
+        toast.error(recurrenceError.message);
+        return;
+      }
+    }
+
     setIsCreatingEvent(true);
     try {
-      const isEditing = newEvent.id !== undefined;
       const url = isEditing 
         ? `/api/dashboard/admin/events/${newEvent.id}`
         : "/api/dashboard/admin/events";
@@ -399,7 +609,19 @@ export default function AdminEventsPage() {
       const eventData = {
         ...newEvent,
         date: formattedDate,
-        location: eventType === "online" ? "Online" : newEvent.location
+        location: eventType === "online" ? "Online" : newEvent.location,
+        ...(recurrenceRule && { recurrence: recurrenceRule }),
+        ...(isEditing && newEvent.series && { scope: editScope }),
+        // datetime-local has no timezone, so send the admin's local time as UTC
+        registration_deadline: newEvent.registration_deadline
+          ? new Date(newEvent.registration_deadline).toISOString()
+          : "",
+        // Online events have no venue to geofence
+        ...(eventType === "online" && {
+          venue_latitude: "",
+          venue_longitude: "",
+          venue_radius_meters: "",
+        }),
       };
 
       const response = await fetch(url, {
@@ -424,10 +646,27 @@ export default function AdminEventsPage() {
         end_time: "",
         location: "",
         description: "",
+        event_type: "",
+        tags: "",
+        survey_template_id: "",
+        feedback_window_days: DEFAULT_FEEDBACK_WINDOW_DAYS,
+        qr_mode: "static",
+        qr_rotation_seconds: 30,
+        ...EMPTY_CHECKIN_RULES,
       });
       setEventDate(null);
       setCreateEventDialogOpen(false);
-      
+      setRecurrence(EMPTY_RECURRENCE);
+
+      // A series touches several events, so reload the list
+      if (recurrenceRule || (isEditing && newEvent.series && editScope === SERIES_EDIT_SCOPES.FUTURE)) {
+        await fetchEvents();
+        toast.success(isEditing
+          ? `Updated ${data.updatedCount} events in the series`
+          : `Created a series of ${data.occurrences} events`);
+        return;
+      }
+
       // Update local state
       if (isEditing) {
         const updatedEvent = { ...data, status: newEvent.status };
@@ -490,9 +729,11 @@ export default function AdminEventsPage() {
           </div>
           <h3 className="text-xl font-medium mb-2">No events found</h3>
           <p className="text-muted-foreground text-center max-w-md mb-6">
-            {activeTab === "upcoming"
-              ? "There are no upcoming events scheduled. Create a new event to get started."
-              : "There are no past events to display."}
+            {isFiltered
+              ? "No events match your search and filters."
+              : activeTab === "upcoming"
+                ? "There are no upcoming events scheduled. Create a new event to get started."
+                : "There are no past events to display."}
           </p>
           {activeTab === "upcoming" && (
             <Button
@@ -586,6 +827,18 @@ export default function AdminEventsPage() {
                         <Users className="h-4 w-4 mr-3 text-[#A91827] shrink-0" />
                         <span>{event.attendees} attendees</span>
                       </div>
+                      {event.series && (
+                        <button
+                          type="button"
+                          onClick={() => setSeriesDialogId(event.series.id)}
+                          className="flex items-center text-left hover:text-[#A91827] transition-colors"
+                        >
+                          <Repeat className="h-4 w-4 mr-3 text-[#A91827] shrink-0" />
+                          <span className="underline-offset-2 hover:underline">
+                            Session {event.series.index}{event.series.total ? ` of ${event.series.total}` : ""} · Series attendance
+                          </span>
+                        </button>
+                      )}
                     </div>
                   </div>
 
@@ -594,8 +847,13 @@ export default function AdminEventsPage() {
                     <p className="text-sm text-muted-foreground line-clamp-2">{event.description}</p>
                   </div>
 
-                  {/* Tags */}
+                  {/* Category and tags */}
                   <div className="flex flex-wrap gap-2">
+                    {event.eventTypeLabel && (
+                      <Badge className="rounded-full px-2.5 py-0.5 text-xs font-medium bg-[#A91827]/10 text-[#A91827] hover:bg-[#A91827]/10 whitespace-nowrap">
+                        {event.eventTypeLabel}
+                      </Badge>
+                    )}
                     {event.tags &&
                       event.tags.map((tag, index) => (
                         <Badge 
@@ -637,7 +895,7 @@ export default function AdminEventsPage() {
                             <Button
                               onClick={() => {
                                 setSelectedEvent(event);
-                                setQRDialogOpen(true);
+                                setShowQRModal(true);
                               }}
                               variant="outline" 
                               className="flex items-center gap-2 rounded-xl h-9 px-3 border-muted-foreground/20 hover:bg-muted-foreground/5 whitespace-nowrap"
@@ -667,68 +925,110 @@ export default function AdminEventsPage() {
                             </Button>
                           </TooltipTrigger>
                           <TooltipContent>
-                            <p>View student feedback</p>
+                            <p>
+                              View student feedback
+                              {event.feedbackCompletionRate != null && ` · ${event.feedbackCompletionRate}% of attendees responded`}
+                            </p>
                           </TooltipContent>
                         </Tooltip>
                       </TooltipProvider>
                     </div>
 
                     {/* Action buttons */}
-                    {event.status === "upcoming" && (
-                      <div className="flex gap-2 shrink-0">
-                        <TooltipProvider>
-                          <Tooltip>
-                            <TooltipTrigger asChild>
-                              <Button
-                                onClick={() => {
-                                  setNewEvent({
-                                    id: event.id,
-                                    title: event.title,
-                                    date: event.date,
-                                    start_time: event.start_time,
-                                    end_time: event.end_time,
-                                    location: event.location,
-                                    description: event.description,
-                                  })
-                                  setEventType(event.location === "Online" ? "online" : "in-person")
-                                  setEventDate(new Date(event.date))
-                                  setCreateEventDialogOpen(true)
-                                }}
-                                size="icon"
-                                variant="ghost"
-                                className="rounded-full h-9 w-9 hover:bg-muted-foreground/5"
-                              >
-                                <Pencil className="h-4 w-4" />
-                              </Button>
-                            </TooltipTrigger>
-                            <TooltipContent>
-                              <p>Edit event</p>
-                            </TooltipContent>
-                          </Tooltip>
-                        </TooltipProvider>
-
-                        <TooltipProvider>
-                          <Tooltip>
-                            <TooltipTrigger asChild>
-                              <Button
-                                onClick={() => {
-                                  setSelectedEvent(event)
-                                  setDeleteConfirmOpen(true)
-                                }}
-                                size="icon"
-                                variant="ghost"
-                                className="rounded-full h-9 w-9 hover:bg-red-100 hover:text-red-600 dark:hover:bg-red-900"
-                              >
-                                <Trash2 className="h-4 w-4" />
-                              </Button>
-                            </TooltipTrigger>
-                            <TooltipContent>
-                              <p>Delete event</p>
-                            </TooltipContent>
-                          </Tooltip>
-                        </TooltipProvider>
-                      </div>
-                    )}
+                    <div className="flex gap-2 shrink-0">
+                      <TooltipProvider>
+                        <Tooltip>
+                          <TooltipTrigger asChild>
+                            <Button
+                              onClick={() => handleStartFromEvent(event)}
+                              size="icon"
+                              variant="ghost"
+                              className="rounded-full h-9 w-9 hover:bg-muted-foreground/5"
+                            >
+                              <Copy className="h-4 w-4" />
+                            </Button>
+                          </TooltipTrigger>
+                          <TooltipContent>
+                            <p>Clone event</p>
+                          </TooltipContent>
+                        </Tooltip>
+                      </TooltipProvider>
+
+                      <TooltipProvider>
+                        <Tooltip>
+                          <TooltipTrigger asChild>
+                            <Button
+                              onClick={() => handleSaveAsTemplate(eventToForm(event))}
+                              size="icon"
+                              variant="ghost"
+                              className="rounded-full h-9 w-9 hover:bg-muted-foreground/5"
+                            >
+                              <BookmarkPlus className="h-4 w-4" />
+                            </Button>
+                          </TooltipTrigger>
+                          <TooltipContent>
+                            <p>Save as template</p>
+                          </TooltipContent>
+                        </Tooltip>
+                      </TooltipProvider>
+
+                      {event.status === "upcoming" && (
+                        <>
+                          <TooltipProvider>
+                            <Tooltip>
+                              <TooltipTrigger asChild>
+                                <Button
+                                  onClick={() => {
+                                    setNewEvent({
+                                      ...eventToForm(event),
+                                      id: event.id,
+                                      date: event.date,
+                                      registration_deadline: event.registrationDeadline
+                                        ? format(new Date(event.registrationDeadline), "yyyy-MM-dd'T'HH:mm")
+                                        : "",
+                                      series: event.series,
+                                    })
+                                    setEditScope(SERIES_EDIT_SCOPES.THIS)
+                                    setEventType(event.location === "Online" ? "online" : "in-person")
+                                    setEventDate(new Date(event.date))
+                                    setCreateEventDialogOpen(true)
+                                  }}
+                                  size="icon"
+                                  variant="ghost"
+                                  className="rounded-full h-9 w-9 hover:bg-muted-foreground/5"
+                                >
+                                  <Pencil className="h-4 w-4" />
+                                </Button>
+                              </TooltipTrigger>
+                              <TooltipContent>
+                                <p>Edit event</p>
+                              </TooltipContent>
+                            </Tooltip>
+                          </TooltipProvider>
+
+                          <TooltipProvider>
+                            <Tooltip>
+                              <TooltipTrigger asChild>
+                                <Button
+                                  onClick={() => {
+                                    setSelectedEvent(event)
+                                    setDeleteConfirmOpen(true)
+                                  }}
+                                  size="icon"
+                                  variant="ghost"
+                                  className="rounded-full h-9 w-9 hover:bg-red-100 hover:text-red-600 dark:hover:bg-red-900"
+                                >
+                                  <Trash2 className="h-4 w-4" />
+                                </Button>
+                              </TooltipTrigger>
+                              <TooltipContent>
+                                <p>Delete event</p>
+                              </TooltipContent>
+                            </Tooltip>
+                          </TooltipProvider>
+                        </>
+                      )}
+                    </div>
                   </div>
                 </div>
               </div>
@@ -749,7 +1049,7 @@ export default function AdminEventsPage() {
     return (
       <div className="fixed inset-0 z-50 flex items-center justify-center">
         <div className="fixed inset-0 bg-black/50 backdrop-blur-sm" onClick={() => setFeedbackDialogOpen(false)} />
-        <div className="z-50 w-full max-w-md sm:max-w-lg bg-white dark:bg-gray-800 rounded-lg shadow-lg p-6 relative">
+        <div className="z-50 w-full max-w-md sm:max-w-2xl max-h-[90vh] overflow-y-auto bg-white dark:bg-gray-800 rounded-lg shadow-lg p-6 relative">
           <button
             className="absolute right-4 top-4 rounded-sm opacity-70 hover:opacity-100"
             onClick={() => setFeedbackDialogOpen(false)}
@@ -769,41 +1069,26 @@ export default function AdminEventsPage() {
                     {selectedEvent.date} • {selectedEvent.start_time} - {selectedEvent.end_time}
                   </p>
                 </div>
-                {selectedEvent.feedback && selectedEvent.feedback.length > 0 ? (
-                  <div className="space-y-4">
-                    <h4 className="font-medium">Feedback from {selectedEvent.feedbackCount} attendees</h4>
-                    <div className="space-y-3 max-h-48 overflow-y-auto pr-2">
-                      {selectedEvent.feedback.map((item, index) => (
-                        <div key={index} className="p-3 border rounded-md bg-white dark:bg-gray-900">
-                          <div className="flex items-center mb-1 justify-between">
-                            <div className="flex">
-                              {[1, 2, 3, 4, 5].map((star) => (
-                                <span
-                                  key={star}
-                                  className={`text-yellow-400 ${star <= item.rating ? "opacity-100" : "opacity-30"}`}
-                                >
-                                  ★
-                                </span>
-                              ))}
-                            </div>
-                            <span className="text-xs text-gray-500 font-medium">
-                              {item.fname} {item.lname}
-                            </span>
-                          </div>
-                          {item.comments && <p className="text-sm text-muted-foreground mt-1">{item.comments}</p>}
-                        </div>
-                      ))}
-                    </div>
-                  </div>
-                ) : (
-                  <div className="text-center py-4">
-                    <p className="text-muted-foreground">No feedback has been submitted for this event yet.</p>
-                  </div>
+                {selectedEvent.feedbackCompletionRate != null && (
+                  <p className="text-sm text-muted-foreground">
+                    {selectedEvent.feedbackCount} responses · {selectedEvent.feedbackCompletionRate}% of attendees gave feedback
+                  </p>
                 )}
+                <FeedbackInsights eventId={selectedEvent.id} />
                 {/* Optionally, admin can submit feedback here if needed */}
               </div>
             )}
             <DialogFooter>
+              <Button
+                type="button"
+                variant="outline"
+                onClick={() => {
+                  setSurveyResultsEventId(selectedEvent?.id)
+                  setFeedbackDialogOpen(false)
+                }}
+              >
+                Survey Results
+              </Button>
               <button
                 type="button"
                 className="px-4 py-2 border rounded-md hover:bg-gray-100"
@@ -842,6 +1127,31 @@ export default function AdminEventsPage() {
             </DialogHeader>
 
             <div className="space-y-6">
+              {/* Start from a shared template */}
+              {newEvent.id === undefined && eventTemplates.length > 0 && (
+                <div className="space-y-3">
+                  <Label className="text-sm font-medium">Start from Template</Label>
+                  <Select
+                    value=""
+                    onValueChange={(value) => {
+                      const template = eventTemplates.find((item) => item.id === value)
+                      if (template) handleStartFromEvent(template.event)
+                    }}
+                  >
+                    <SelectTrigger className="w-full rounded-xl h-11 border-muted-foreground/20 bg-white dark:bg-gray-950 shadow-sm hover:border-muted-foreground/30 focus:border-[#A91827] transition-colors">
+                      <span className="text-sm text-muted-foreground">Fill in the details from a saved template</span>
+                    </SelectTrigger>
+                    <SelectContent>
+                      {eventTemplates.map((template) => (
+                        <SelectItem key={template.id} value={template.id}>
+                          {template.name}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              )}
+
               {/* Event Type Selector */}
               <div className="space-y-3">
                 <Label htmlFor="event-type" className="text-sm font-medium">
@@ -887,6 +1197,94 @@ export default function AdminEventsPage() {
                 </div>
               </div>
 
+              {/* Category and Tags */}
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div className="space-y-3">
+                  <Label className="text-sm font-medium">Category</Label>
+                  <Select
+                    value={newEvent.event_type}
+                    onValueChange={(value) =>
+                      setNewEvent((prev) => ({ ...prev, event_type: value === "none" ? "" : value }))
+                    }
+                  >
+                    <SelectTrigger className="w-full rounded-xl h-11 border-muted-foreground/20 bg-white dark:bg-gray-950 shadow-sm hover:border-muted-foreground/30 focus:border-[#A91827] transition-colors">
+                      <span className="text-sm">{EVENT_TYPE_LABELS[newEvent.event_type] || "No category"}</span>
+                      <ChevronDown className="h-4 w-4 opacity-50" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="none">No category</SelectItem>
+                      {Object.entries(EVENT_TYPE_LABELS).map(([value, label]) => (
+                        <SelectItem key={value} value={value}>
+                          {label}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="space-y-3">
+                  <Label htmlFor="tags" className="text-sm font-medium">
+                    Tags
+                  </Label>
+                  <Input
+                    id="tags"
+                    name="tags"
+                    value={newEvent.tags}
+                    onChange={handleInputChange}
+                    className="h-11 rounded-xl border-muted-foreground/20 bg-white dark:bg-gray-950 shadow-sm hover:border-muted-foreground/30 focus:border-[#A91827] transition-colors"
+                    placeholder="e.g. Tech, Finance, CV"
+                  />
+                  <p className="text-xs text-muted-foreground">Separate tags with commas.</p>
+                </div>
+              </div>
+
+              {/* Feedback Survey and Window */}
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div className="space-y-3">
+                  <Label className="text-sm font-medium">Feedback Survey</Label>
+                  <Select
+                    value={newEvent.survey_template_id || "default"}
+                    onValueChange={(value) =>
+                      setNewEvent((prev) => ({ ...prev, survey_template_id: value === "default" ? "" : value }))
+                    }
+                  >
+                    <SelectTrigger className="w-full rounded-xl h-11 border-muted-foreground/20 bg-white dark:bg-gray-950 shadow-sm hover:border-muted-foreground/30 focus:border-[#A91827] transition-colors">
+                      <span className="text-sm">
+                        {surveyTemplates.find((template) => template.id === newEvent.survey_template_id)?.name
+                          || "Default (rating and comments)"}
+                      </span>
+                      <ChevronDown className="h-4 w-4 opacity-50" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="default">Default (rating and comments)</SelectItem>
+                      {surveyTemplates
+                        .filter((template) => !template.is_default)
+                        .map((template) => (
+                          <SelectItem key={template.id} value={template.id}>
+                            {template.name}
+                          </SelectItem>
+                        ))}
+                    </SelectContent>
+                  </Select>
+                  <p className="text-xs text-muted-foreground">What attendees are asked after the event.</p>
+                </div>
+                <div className="space-y-3">
+                  <Label htmlFor="feedback_window_days" className="text-sm font-medium">
+                    Feedback Window (days)
+                  </Label>
+                  <Input
+                    id="feedback_window_days"
+                    name="feedback_window_days"
+                    type="number"
+                    min={1}
+                    max={MAX_FEEDBACK_WINDOW_DAYS}
+                    value={newEvent.feedback_window_days}
+                    onChange={handleInputChange}
+                    className="h-11 rounded-xl border-muted-foreground/20 bg-white dark:bg-gray-950 shadow-sm hover:border-muted-foreground/30 focus:border-[#A91827] transition-colors"
+                  />
+                  <p className="text-xs text-muted-foreground">How long after the event attendees can give feedback.</p>
+                </div>
+              </div>
+
               {/* Date and Time Section */}
               <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
                 {/* Date Picker */}
@@ -963,6 +1361,150 @@ export default function AdminEventsPage() {
                 </div>
               </div>
 
+              {/* Recurrence (new events) or edit scope (series occurrences) */}
+              {newEvent.id === undefined ? (
+                <div className="space-y-3">
+                  <Label htmlFor="recurrence" className="text-sm font-medium">
+                    Repeat
+                  </Label>
+                  <Select
+                    value={recurrence.frequency}
+                    onValueChange={(value) => setRecurrence((prev) => ({ ...prev, frequency: value }))}
+                  >
+                    <SelectTrigger className="w-full h-11 rounded-xl border-muted-foreground/20 bg-white dark:bg-gray-950 shadow-sm hover:border-muted-foreground/30 focus:border-[#A91827] transition-colors">
+                      <SelectValue placeholder="Does not repeat" />
+                      <ChevronDown className="h-4 w-4 opacity-50" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="none">Does not repeat</SelectItem>
+                      <SelectItem value={RECURRENCE_FREQUENCIES.WEEKLY}>Weekly</SelectItem>
+                      <SelectItem value={RECURRENCE_FREQUENCIES.BIWEEKLY}>Every 2 weeks</SelectItem>
+                      <SelectItem value={RECURRENCE_FREQUENCIES.CUSTOM}>Custom dates</SelectItem>
+                    </SelectContent>
+                  </Select>
+
+                  {(recurrence.frequency === RECURRENCE_FREQUENCIES.WEEKLY ||
+                    recurrence.frequency === RECURRENCE_FREQUENCIES.BIWEEKLY) && (
+                    <div className="grid grid-cols-2 gap-4">
+                      <div className="space-y-2">
+                        <Label htmlFor="recurrence-count" className="text-xs text-muted-foreground">Number of weeks scheduled</Label>
+                        <Input
+                          id="recurrence-count"
+                          type="number"
+                          min={2}
+                          value={recurrence.count}
+                          onChange={(e) => setRecurrence((prev) => ({ ...prev, count: e.target.value }))}
+                          placeholder="e.g. 10"
+                          className="h-11 rounded-xl border-muted-foreground/20 bg-white dark:bg-gray-950 shadow-sm hover:border-muted-foreground/30 focus:border-[#A91827] transition-colors"
+                        />
+                      </div>
+                      <div className="space-y-2">
+                        <Label htmlFor="recurrence-until" className="text-xs text-muted-foreground">Or repeat until</Label>
+                        <Input
+                          id="recurrence-until"
+                          type="date"
+                          value={recurrence.until}
+                          onChange={(e) => setRecurrence((prev) => ({ ...prev, until: e.target.value }))}
+                          className="h-11 rounded-xl border-muted-foreground/20 bg-white dark:bg-gray-950 shadow-sm hover:border-muted-foreground/30 focus:border-[#A91827] transition-colors"
+                        />
+                      </div>
+                    </div>
+                  )}
+
+                  {recurrence.frequency === RECURRENCE_FREQUENCIES.CUSTOM && (
+                    <div className="flex gap-2">
+                      <Input
+                        type="date"
+                        value={customDate}
+                        onChange={(e) => setCustomDate(e.target.value)}
+                        className="h-11 rounded-xl border-muted-foreground/20 bg-white dark:bg-gray-950 shadow-sm hover:border-muted-foreground/30 focus:border-[#A91827] transition-colors"
+                      />
+                      <Button
+                        type="button"
+                        variant="outline"
+                        className="h-11 rounded-xl"
+                        disabled={!customDate}
+                        onClick={() => {
+                          setRecurrence((prev) => ({ ...prev, dates: [...prev.dates, customDate] }))
+                          setCustomDate("")
+                        }}
+                      >
+                        Add date
+                      </Button>
+                    </div>
+                  )}
+
+                  {recurrence.frequency !== "none" && eventDate && (() => {
+                    const rule = normalizeRecurrence(recurrence)
+                    const scheduled = getScheduledDates(format(eventDate, "yyyy-MM-dd"), rule)
+                    const skipped = new Set(rule.exceptions)
+                    if (scheduled.length === 0) return null
+
+                    return (
+                      <div className="space-y-2">
+                        <p className="text-xs text-muted-foreground">
+                          {scheduled.length - scheduled.filter((date) => skipped.has(date)).length} occurrences.
+                          {rule.frequency === RECURRENCE_FREQUENCIES.CUSTOM
+                            ? " Remove a date with its cross."
+                            : " Click a date to skip it (e.g. reading week)."}
+                        </p>
+                        <div className="flex flex-wrap gap-2">
+                          {scheduled.map((date, index) => (
+                            <Badge
+                              key={date}
+                              variant="outline"
+                              className={cn(
+                                "rounded-full px-2.5 py-1 text-xs font-medium cursor-pointer select-none",
+                                skipped.has(date)
+                                  ? "line-through text-muted-foreground border-dashed"
+                                  : "border-[#A91827]/40 text-[#A91827]"
+                              )}
+                              onClick={() => {
+                                if (index === 0) return
+                                setRecurrence((prev) => rule.frequency === RECURRENCE_FREQUENCIES.CUSTOM
+                                  ? { ...prev, dates: prev.dates.filter((d) => d !== date) }
+                                  : {
+                                      ...prev,
+                                      exceptions: skipped.has(date)
+                                        ? prev.exceptions.filter((d) => d !== date)
+                                        : [...prev.exceptions, date],
+                                    })
+                              }}
+                            >
+                              {format(new Date(`${date}T00:00:00`), "d MMM")}
+                              {rule.frequency === RECURRENCE_FREQUENCIES.CUSTOM && index > 0 && (
+                                <X className="ml-1 h-3 w-3" />
+                              )}
+                            </Badge>
+                          ))}
+                        </div>
+                      </div>
+                    )
+                  })()}
+                </div>
+              ) : newEvent.series && (
+                <div className="space-y-3">
+                  <Label htmlFor="edit-scope" className="text-sm font-medium">
+                    Apply Changes To
+                  </Label>
+                  <Select value={editScope} onValueChange={setEditScope}>
+                    <SelectTrigger className="w-full h-11 rounded-xl border-muted-foreground/20 bg-white dark:bg-gray-950 shadow-sm hover:border-muted-foreground/30 focus:border-[#A91827] transition-colors">
+                      <SelectValue />
+                      <ChevronDown className="h-4 w-4 opacity-50" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value={SERIES_EDIT_SCOPES.THIS}>This occurrence only</SelectItem>
+                      <SelectItem value={SERIES_EDIT_SCOPES.FUTURE}>This and all future occurrences</SelectItem>
+                    </SelectContent>
+                  </Select>
+                  {editScope === SERIES_EDIT_SCOPES.FUTURE && (
+                    <p className="text-xs text-muted-foreground">
+                      Later occurrences keep their own dates; everything else is copied from this form.
+                    </p>
+                  )}
+                </div>
+              )}
+
               {/* Location */}
               <div className="space-y-3">
                 <Label htmlFor="location" className="text-sm font-medium">
@@ -986,6 +1528,228 @@ export default function AdminEventsPage() {
                 </div>
               </div>
 
+              {/* Check-in QR Mode */}
+              <div className="space-y-3">
+                <Label htmlFor="qr-mode" className="text-sm font-medium">
+                  Check-in QR Code
+                </Label>
+                <Select
+                  value={newEvent.qr_mode}
+                  onValueChange={(value) => setNewEvent((prev) => ({ ...prev, qr_mode: value }))}
+                >
+                  <SelectTrigger className="w-full rounded-xl h-11 border-muted-foreground/20 bg-white dark:bg-gray-950 shadow-sm hover:border-muted-foreground/30 focus:border-[#A91827] transition-colors">
+                    <SelectValue placeholder="Select QR mode" />
+                    <ChevronDown className="h-4 w-4 opacity-50" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="static">
+                      <div className="flex items-center gap-2">
+                        <QrCode className="h-4 w-4 text-[#A91827]" />
+                        <span>Static (can be printed or shared)</span>
+                      </div>
+                    </SelectItem>
+                    <SelectItem value="rotating">
+                      <div className="flex items-center gap-2">
+                        <RefreshCw className="h-4 w-4 text-[#A91827]" />
+                        <span>Rotating (must be shown live)</span>
+                      </div>
+                    </SelectItem>
+                  </SelectContent>
+                </Select>
+                {newEvent.qr_mode === "rotating" && (
+                  <div className="flex items-center gap-3">
+                    <Input
+                      id="qr_rotation_seconds"
+                      name="qr_rotation_seconds"
+                      type="number"
+                      min={10}
+                      max={300}
+                      value={newEvent.qr_rotation_seconds}
+                      onChange={handleInputChange}
+                      className="w-28 h-11 rounded-xl border-muted-foreground/20 bg-white dark:bg-gray-950 shadow-sm hover:border-muted-foreground/30 focus:border-[#A91827] transition-colors"
+                    />
+                    <p className="text-xs text-muted-foreground">
+                      Seconds between code changes. Screenshots stop working shortly after the code changes.
+                    </p>
+                  </div>
+                )}
+              </div>
+
+              {/* Check-in Rules */}
+              <div className="space-y-3">
+                <Label className="text-sm font-medium">Check-in Rules</Label>
+                <p className="text-xs text-muted-foreground">
+                  Leave a field blank to turn that rule off.
+                </p>
+                <div className="grid grid-cols-2 gap-3">
+                  <div className="space-y-1">
+                    <Label htmlFor="checkin_opens_minutes_before" className="text-xs text-muted-foreground">
+                      Opens (minutes before start)
+                    </Label>
+                    <Input
+                      id="checkin_opens_minutes_before"
+                      name="checkin_opens_minutes_before"
+                      type="number"
+                      min={0}
+                      value={newEvent.checkin_opens_minutes_before}
+                      onChange={handleInputChange}
+                      placeholder="e.g. 15"
+                      className="h-11 rounded-xl border-muted-foreground/20 bg-white dark:bg-gray-950 shadow-sm hover:border-muted-foreground/30 focus:border-[#A91827] transition-colors"
+                    />
+                  </div>
+                  <div className="space-y-1">
+                    <Label htmlFor="checkin_closes_minutes_after" className="text-xs text-muted-foreground">
+                      Closes (minutes after end)
+                    </Label>
+                    <Input
+                      id="checkin_closes_minutes_after"
+                      name="checkin_closes_minutes_after"
+                      type="number"
+                      min={0}
+                      value={newEvent.checkin_closes_minutes_after}
+                      onChange={handleInputChange}
+                      placeholder="e.g. 30"
+                      className="h-11 rounded-xl border-muted-foreground/20 bg-white dark:bg-gray-950 shadow-sm hover:border-muted-foreground/30 focus:border-[#A91827] transition-colors"
+                    />
+                  </div>
+                </div>
+                {eventType !== "online" && (
+                  <>
+                    <div className="grid grid-cols-3 gap-3">
+                      <Input
+                        name="venue_latitude"
+                        type="number"
+                        step="any"
+                        value={newEvent.venue_latitude}
+                        onChange={handleInputChange}
+                        placeholder="Venue latitude"
+                        className="h-11 rounded-xl border-muted-foreground/20 bg-white dark:bg-gray-950 shadow-sm hover:border-muted-foreground/30 focus:border-[#A91827] transition-colors"
+                      />
+                      <Input
+                        name="venue_longitude"
+                        type="number"
+                        step="any"
+                        value={newEvent.venue_longitude}
+                        onChange={handleInputChange}
+                        placeholder="Venue longitude"
+                        className="h-11 rounded-xl border-muted-foreground/20 bg-white dark:bg-gray-950 shadow-sm hover:border-muted-foreground/30 focus:border-[#A91827] transition-colors"
+                      />
+                      <Input
+                        name="venue_radius_meters"
+                        type="number"
+                        min={1}
+                        value={newEvent.venue_radius_meters}
+                        onChange={handleInputChange}
+                        placeholder="Radius (m)"
+                        className="h-11 rounded-xl border-muted-foreground/20 bg-white dark:bg-gray-950 shadow-sm hover:border-muted-foreground/30 focus:border-[#A91827] transition-colors"
+                      />
+                    </div>
+                    <Button
+                      type="button"
+                      variant="outline"
+                      size="sm"
+                      onClick={handleUseCurrentLocation}
+                      className="rounded-xl"
+                    >
+                      <LocateFixed className="h-4 w-4 mr-2" />
+                      Use my current location
+                    </Button>
+                  </>
+                )}
+                <Select
+                  value={newEvent.checkin_enforcement}
+                  onValueChange={(value) => setNewEvent((prev) => ({ ...prev, checkin_enforcement: value }))}
+                >
+                  <SelectTrigger className="w-full rounded-xl h-11 border-muted-foreground/20 bg-white dark:bg-gray-950 shadow-sm hover:border-muted-foreground/30 focus:border-[#A91827] transition-colors">
+                    <SelectValue placeholder="When a check-in breaks a rule" />
+                    <ChevronDown className="h-4 w-4 opacity-50" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="flag">Flag for admin review</SelectItem>
+                    <SelectItem value="reject">Reject the check-in</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+
+              {/* Check-out and minimum duration */}
+              <div className="space-y-3">
+                <div className="flex items-center justify-between">
+                  <div className="space-y-0.5">
+                    <Label htmlFor="checkout-enabled" className="text-sm font-medium">Track Check-out</Label>
+                    <p className="text-xs text-muted-foreground">
+                      Students scan again when they leave so time in attendance is recorded
+                    </p>
+                  </div>
+                  <Switch
+                    id="checkout-enabled"
+                    checked={newEvent.checkout_enabled}
+                    onCheckedChange={(checked) => setNewEvent((prev) => ({ ...prev, checkout_enabled: checked }))}
+                  />
+                </div>
+                {newEvent.checkout_enabled && (
+                  <div className="flex items-center gap-3">
+                    <Input
+                      id="min_duration_minutes"
+                      name="min_duration_minutes"
+                      type="number"
+                      min={1}
+                      value={newEvent.min_duration_minutes}
+                      onChange={handleInputChange}
+                      placeholder="None"
+                      className="w-28 h-11 rounded-xl border-muted-foreground/20 bg-white dark:bg-gray-950 shadow-sm hover:border-muted-foreground/30 focus:border-[#A91827] transition-colors"
+                    />
+                    <p className="text-xs text-muted-foreground">
+                      Minimum minutes attended for this event to count towards the workshop requirement.
+                    </p>
+                  </div>
+                )}
+              </div>
+
+              {/* Registration */}
+              <div className="space-y-3">
+                <div className="flex items-center justify-between">
+                  <div className="space-y-0.5">
+                    <Label htmlFor="registration-required" className="text-sm font-medium">Require Registration</Label>
+                    <p className="text-xs text-muted-foreground">
+                      Students RSVP in advance; once seats run out they join a waitlist
+                    </p>
+                  </div>
+                  <Switch
+                    id="registration-required"
+                    checked={newEvent.registration_required}
+                    onCheckedChange={(checked) => setNewEvent((prev) => ({ ...prev, registration_required: checked }))}
+                  />
+                </div>
+                {newEvent.registration_required && (
+                  <div className="grid grid-cols-2 gap-4">
+                    <div className="space-y-2">
+                      <Label htmlFor="capacity" className="text-xs text-muted-foreground">Seats</Label>
+                      <Input
+                        id="capacity"
+                        name="capacity"
+                        type="number"
+                        min={1}
+                        value={newEvent.capacity}
+                        onChange={handleInputChange}
+                        placeholder="Unlimited"
+                        className="h-11 rounded-xl border-muted-foreground/20 bg-white dark:bg-gray-950 shadow-sm hover:border-muted-foreground/30 focus:border-[#A91827] transition-colors"
+                      />
+                    </div>
+                    <div className="space-y-2">
+                      <Label htmlFor="registration_deadline" className="text-xs text-muted-foreground">Registration closes</Label>
+                      <Input
+                        id="registration_deadline"
+                        name="registration_deadline"
+                        type="datetime-local"
+                        value={newEvent.registration_deadline}
+                        onChange={handleInputChange}
+                        className="h-11 rounded-xl border-muted-foreground/20 bg-white dark:bg-gray-950 shadow-sm hover:border-muted-foreground/30 focus:border-[#A91827] transition-colors"
+                      />
+                    </div>
+                  </div>
+                )}
+              </div>
+
               {/* Description */}
               <div className="space-y-3">
                 <Label htmlFor="description" className="text-sm font-medium">
@@ -1017,6 +1781,16 @@ export default function AdminEventsPage() {
               >
                 Cancel
               </Button>
+              <Button
+                variant="outline"
+                onClick={() =>
+                  handleSaveAsTemplate({ ...newEvent, location: eventType === "online" ? "Online" : newEvent.location })
+                }
+                className="rounded-xl h-11 border-muted-foreground/20 hover:bg-muted-foreground/5"
+              >
+                <BookmarkPlus className="mr-2 h-4 w-4" />
+                Save as Template
+              </Button>
               <Button
                 onClick={handleCreateEvent}
                 disabled={isCreatingEvent}
@@ -1050,6 +1824,24 @@ export default function AdminEventsPage() {
 
     const attendanceUrl = `${process.env.NEXT_PUBLIC_SITE_URL || 'https://csoft-vert.vercel.app/'}/take-attendance/${selectedEvent.id}`;
 
+    // Rotating codes change while the dialog is open, so show the live card instead
+    if (selectedEvent.qrMode === "rotating") {
+      return (
+        <Dialog open={showQRModal} onOpenChange={setShowQRModal}>
+          <DialogContent className="sm:max-w-md p-0 rounded-2xl overflow-hidden border-none bg-white/80 backdrop-blur-sm">
+            <QRCodeCard
+              eventId={selectedEvent.id}
+              title={selectedEvent.title}
+              date={selectedEvent.date}
+              startTime={formatTimeForDisplay(selectedEvent.start_time)}
+              endTime={formatTimeForDisplay(selectedEvent.end_time)}
+              location={selectedEvent.location}
+            />
+          </DialogContent>
+        </Dialog>
+      );
+    }
+
     return (
       <Dialog open={showQRModal} onOpenChange={setShowQRModal}>
         <DialogContent className="sm:max-w-md p-0 rounded-2xl overflow-hidden border-none bg-white/80 backdrop-blur-sm">
@@ -1275,6 +2067,14 @@ export default function AdminEventsPage() {
                         <span>Total Feedback:</span>
                         <span>{selectedEvent.feedbackCount}</span>
                       </div>
+                      <div className="flex items-center justify-between text-muted-foreground">
+                        <span>Completion Rate:</span>
+                        <span>
+                          {selectedEvent.feedbackCompletionRate != null
+                            ? `${selectedEvent.feedbackCompletionRate}% of attendees`
+                            : "No attendees yet"}
+                        </span>
+                      </div>
                       <div className="flex items-center justify-between text-muted-foreground">
                         <span>Average Rating:</span>
                         <div className="flex items-center">
@@ -1308,7 +2108,7 @@ export default function AdminEventsPage() {
                   <Button
                     onClick={() => {
                       setDetailsDialogOpen(false);
-                      setQRDialogOpen(true);
+                      setShowQRModal(true);
                     }}
                     variant="outline"
                     className="flex items-center gap-2"
@@ -1416,13 +2216,39 @@ export default function AdminEventsPage() {
             <h1 className="text-3xl font-bold tracking-tight">Career Events</h1>
             <p className="text-base text-muted-foreground mt-1">Manage and organize career development sessions</p>
           </div>
-          <Button
-            onClick={handleOpenCreateEventDialog}
-            className="bg-[#A91827] hover:bg-[#A91827]/90 text-white rounded-xl h-11 px-6 shadow-lg transition-all duration-200 hover:scale-105"
-          >
-            <Plus className="h-4 w-4 mr-2" />
-            Create Event
-          </Button>
+          <div className="flex gap-3">
+            <Button
+              onClick={() => setExportDialogOpen(true)}
+              variant="outline"
+              className="rounded-xl h-11 px-6 border-muted-foreground/20"
+            >
+              <Download className="h-4 w-4 mr-2" />
+              Export Attendance
+            </Button>
+            <Button
+              onClick={() => setEventTemplatesDialogOpen(true)}
+              variant="outline"
+              className="rounded-xl h-11 px-6 border-muted-foreground/20"
+            >
+              <Bookmark className="h-4 w-4 mr-2" />
+              Event Templates
+            </Button>
+            <Button
+              onClick={() => setSurveyTemplatesDialogOpen(true)}
+              variant="outline"
+              className="rounded-xl h-11 px-6 border-muted-foreground/20"
+            >
+              <MessageSquare className="h-4 w-4 mr-2" />
+              Feedback Surveys
+            </Button>
+            <Button
+              onClick={handleOpenCreateEventDialog}
+              className="bg-[#A91827] hover:bg-[#A91827]/90 text-white rounded-xl h-11 px-6 shadow-lg transition-all duration-200 hover:scale-105"
+            >
+              <Plus className="h-4 w-4 mr-2" />
+              Create Event
+            </Button>
+          </div>
         </div>
 
         <Separator className="my-8 bg-muted-foreground/10" />
@@ -1496,46 +2322,15 @@ export default function AdminEventsPage() {
         </div>
 
         {/* Search and Filter */}
-        <div className="flex flex-col md:flex-row gap-4 mb-6">
-          <div className="relative flex-grow">
-            <Search className="absolute left-3.5 top-1/2 h-4 w-4 text-muted-foreground transform -translate-y-1/2" />
-            <Input
-              placeholder="Search events by title, location, or description..."
-              className="pl-10 pr-4 h-11 rounded-xl border-muted-foreground/20 bg-white dark:bg-gray-950 shadow-sm hover:border-muted-foreground/30 focus:border-[#A91827] transition-colors"
-              onChange={(e) => {
-                // Implement search functionality here
-                console.log("Search term:", e.target.value)
-              }}
-            />
-          </div>
-          <div className="flex gap-3">
-            <Select
-              onValueChange={(value) => {
-                // Filter by event type
-                console.log("Filter by type:", value)
-              }}
-            >
-              <SelectTrigger className="w-[180px] rounded-xl h-11 border-muted-foreground/20 bg-white dark:bg-gray-950 shadow-sm hover:border-muted-foreground/30 focus:border-[#A91827] transition-colors">
-                <SelectValue placeholder="Event Type" />
-                <ChevronDown className="h-4 w-4 opacity-50" />
-              </SelectTrigger>
-              <SelectContent>
-                <SelectItem value="all">All Types</SelectItem>
-                <SelectItem value="in-person">
-                  <div className="flex items-center gap-2">
-                    <Building2 className="h-4 w-4 text-[#A91827]" />
-                    <span>In-Person</span>
-                  </div>
-                </SelectItem>
-                <SelectItem value="online">
-                  <div className="flex items-center gap-2">
-                    <Video className="h-4 w-4 text-[#A91827]" />
-                    <span>Online</span>
-                  </div>
-                </SelectItem>
-              </SelectContent>
-            </Select>
-
+        <div className="mb-6">
+          <EventFilters
+            filters={filters}
+            onChange={(value) => {
+              setFilters(value)
+              setCurrentPage(1)
+            }}
+            tags={availableTags}
+          >
             <Select
               onValueChange={(value) => {
                 // Sort events
@@ -1573,7 +2368,7 @@ export default function AdminEventsPage() {
                 </SelectItem>
               </SelectContent>
             </Select>
-          </div>
+          </EventFilters>
         </div>
 
         {/* Tabs */}
@@ -1603,11 +2398,11 @@ export default function AdminEventsPage() {
 
       {/* Event Cards Grid */}
       <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
-        {activeTab === "upcoming" ? renderEventCards(upcomingEvents) : renderEventCards(pastEvents)}
+        {activeTab === "upcoming" ? renderEventCards(filteredUpcoming) : renderEventCards(filteredPast)}
       </div>
 
       {/* Pagination */}
-      {(activeTab === "upcoming" ? upcomingEvents.length : pastEvents.length) > itemsPerPage && (
+      {(activeTab === "upcoming" ? filteredUpcoming.length : filteredPast.length) > itemsPerPage && (
         <div className="flex justify-center mt-12">
           <div className="flex items-center gap-2">
             <Button
@@ -1622,7 +2417,7 @@ export default function AdminEventsPage() {
             {Array.from(
               {
                 length: Math.ceil(
-                  (activeTab === "upcoming" ? upcomingEvents.length : pastEvents.length) / itemsPerPage,
+                  (activeTab === "upcoming" ? filteredUpcoming.length : filteredPast.length) / itemsPerPage,
                 ),
               },
               (_, i) => (
@@ -1649,13 +2444,13 @@ export default function AdminEventsPage() {
                 setCurrentPage((prev) =>
                   Math.min(
                     prev + 1,
-                    Math.ceil((activeTab === "upcoming" ? upcomingEvents.length : pastEvents.length) / itemsPerPage),
+                    Math.ceil((activeTab === "upcoming" ? filteredUpcoming.length : filteredPast.length) / itemsPerPage),
                   ),
                 )
               }
               disabled={
                 currentPage ===
-                Math.ceil((activeTab === "upcoming" ? upcomingEvents.length : pastEvents.length) / itemsPerPage)
+                Math.ceil((activeTab === "upcoming" ? filteredUpcoming.length : filteredPast.length) / itemsPerPage)
               }
               className="h-9 px-4 rounded-xl border-muted-foreground/20 hover:bg-muted-foreground/5 disabled:opacity-50"
             >
@@ -1676,6 +2471,35 @@ export default function AdminEventsPage() {
 
       {/* Details Dialog */}
       {renderDetailsDialog()}
+
+      <AttendanceRangeExportDialog open={exportDialogOpen} onOpenChange={setExportDialogOpen} />
+
+      <SurveyTemplatesDialog
+        open={surveyTemplatesDialogOpen}
+        onOpenChange={setSurveyTemplatesDialogOpen}
+        templates={surveyTemplates}
+        onTemplatesChange={fetchSurveyTemplates}
+      />
+
+      <EventTemplatesDialog
+        open={eventTemplatesDialogOpen}
+        onOpenChange={setEventTemplatesDialogOpen}
+        templates={eventTemplates}
+        onTemplatesChange={fetchEventTemplates}
+        onUseTemplate={(template) => handleStartFromEvent(template.event)}
+      />
+
+      <SurveyResultsDialog
+        eventId={surveyResultsEventId}
+        open={!!surveyResultsEventId}
+        onOpenChange={(open) => !open && setSurveyResultsEventId(null)}
+      />
+
+      <SeriesAttendanceDialog
+        seriesId={seriesDialogId}
+        open={!!seriesDialogId}
+        onOpenChange={(open) => !open && setSeriesDialogId(null)}
+      />
     </div>
   )
 }
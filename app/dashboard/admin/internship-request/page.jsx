@@ -1,7 +1,7 @@
 "use client"
 
 import { useState, useEffect } from "react"
-import { Download, Eye, Check, X } from "lucide-react"
+import { Download, Eye, Check, X, ListChecks } from "lucide-react"
 import { Card, CardContent } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
 import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog"
@@ -12,6 +12,7 @@ import { Loader2 } from "lucide-react"
 import dynamic from 'next/dynamic'
 import { useRouter } from "next/navigation"
 import { v4 as uuidv4 } from 'uuid'
+import { RequirementRulesDialog } from "@/components/requirements/RequirementRulesDialog"
 
 // Dynamically import the InternshipLetter component to avoid SSR issues with html2pdf
 const InternshipLetter = dynamic(() => import('@/components/InternshipLetter'), {
@@ -29,6 +30,7 @@ export default function AdminInternshipRequestsPage() {
   const [error, setError] = useState(null)
   const [requests, setRequests] = useState([])
   const [isGeneratingLetter, setIsGeneratingLetter] = useState(false)
+  const [rulesDialogOpen, setRulesDialogOpen] = useState(false)
   const router = useRouter()
 
   // Fetch internship requests
@@ -140,11 +142,19 @@ export default function AdminInternshipRequestsPage() {
 
   return (
     <div className="space-y-6">
-      <div className="mb-6">
-        <h1 className="text-2xl font-serif font-medium">Internship Requests</h1>
-        <p className="text-muted-foreground mt-1">Manage student internship requests</p>
+      <div className="mb-6 flex flex-col sm:flex-row sm:items-start sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-serif font-medium">Internship Requests</h1>
+          <p className="text-muted-foreground mt-1">Manage student internship requests</p>
+        </div>
+        <Button variant="outline" onClick={() => setRulesDialogOpen(true)}>
+          <ListChecks className="h-4 w-4 mr-2" />
+          Eligibility Rules
+        </Button>
       </div>
 
+      <RequirementRulesDialog open={rulesDialogOpen} onOpenChange={setRulesDialogOpen} />
+
       <div className="space-y-6">
         <div className="flex border-b">
           <button
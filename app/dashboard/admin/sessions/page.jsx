@@ -1,7 +1,7 @@
 "use client"
 
-import { useState, useEffect } from "react"
-import { CalendarIcon, Clock, MapPin, Plus, Settings, User, Search, AlertCircle, PenLine } from "lucide-react"
+import { useState, useEffect, useCallback, useMemo } from "react"
+import { CalendarIcon, Clock, MapPin, Plus, Settings, User, Search, AlertCircle, PenLine, ListChecks, UserX } from "lucide-react"
 import { Card, CardContent } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
 import Calendar from "@/components/ui/calendar"
@@ -12,12 +12,17 @@ import { Label } from "@/components/ui/label"
 import { Switch } from "@/components/ui/switch"
 import { Textarea } from "@/components/ui/textarea"
 import { format } from "@/lib/date-utils"
+import { format as formatDate } from "date-fns"
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
 
 import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert"
 import { createClient } from "@/utils/supabase/client"
 import { useAuth } from "@/hooks/use-auth"
 import { useRouter } from "next/navigation"
+import { AvailabilityDialog } from "@/components/sessions/AvailabilityDialog"
+import { NoShowsDialog } from "@/components/sessions/NoShowsDialog"
+import { SessionIntakeAnswers } from "@/components/sessions/SessionIntakeAnswers"
+import { SessionTypesDialog } from "@/components/sessions/SessionTypesDialog"
 
 export default function AdminOneOnOnePage() {
   const router = useRouter()
@@ -27,6 +32,10 @@ export default function AdminOneOnOnePage() {
   const [isBookingEnabled, setIsBookingEnabled] = useState(true)
   const [createSessionDialogOpen, setCreateSessionDialogOpen] = useState(false)
   const [settingsDialogOpen, setSettingsDialogOpen] = useState(false)
+  const [availabilityDialogOpen, setAvailabilityDialogOpen] = useState(false)
+  const [sessionTypesDialogOpen, setSessionTypesDialogOpen] = useState(false)
+  const [noShowsDialogOpen, setNoShowsDialogOpen] = useState(false)
+  const [noShowSessionDialogOpen, setNoShowSessionDialogOpen] = useState(false)
   const [completeSessionDialogOpen, setCompleteSessionDialogOpen] = useState(false)
   const [cancelSessionDialogOpen, setCancelSessionDialogOpen] = useState(false)
   const [addNotesDialogOpen, setAddNotesDialogOpen] = useState(false)
@@ -49,7 +58,8 @@ export default function AdminOneOnOnePage() {
   const [allSessions, setAllSessions] = useState({ upcomingSessions: [], pastSessions: [] })
   const [viewMode, setViewMode] = useState("personal") // "personal" or "all"
   const [advisors, setAdvisors] = useState([])
-  const supabase = createClient()
+  // One client for the page, so the callbacks below keep their identity between renders
+  const supabase = useMemo(() => createClient(), [])
 
   // Time slots
   const timeSlots = ["09:00", "10:00", "11:00", "13:00", "14:00", "15:00", "16:00"]
@@ -63,22 +73,11 @@ export default function AdminOneOnOnePage() {
     return `${formattedHour}:${minutes || "00"} ${ampm}`
   }
 
-  // Check if user is authenticated and has admin role
-  useEffect(() => {
-    if (!authLoading && !authUser) {
-      console.log('[AdminDashboard] No authenticated user, redirecting to login')
-      router.push('/auth/login')
-      return
-    }
-
-    // Check if user has admin role
-    if (authUser && !authLoading) {
-      checkAdminRole()
-    }
-  }, [authUser, authLoading, router])
+  // No-shows can only be marked once a session has started
+  const hasStarted = (session) => new Date(`${session.date}T${session.time}`) <= new Date()
 
   // Check admin role
-  const checkAdminRole = async () => {
+  const checkAdminRole = useCallback(async () => {
     try {
       const { data, error } = await supabase
         .from('users')
@@ -97,17 +96,24 @@ export default function AdminOneOnOnePage() {
       toast.error('Failed to verify permissions')
       router.push('/')
     }
-  }
+  }, [authUser, supabase, toast, router])
 
-  // Fetch data on component mount
+  // Check if user is authenticated and has admin role
   useEffect(() => {
-    if (authUser) {
-      fetchData()
+    if (!authLoading && !authUser) {
+      console.log('[AdminDashboard] No authenticated user, redirecting to login')
+      router.push('/auth/login')
+      return
+    }
+
+    // Check if user has admin role
+    if (authUser && !authLoading) {
+      checkAdminRole()
     }
-  }, [authUser])
+  }, [authUser, authLoading, router, checkAdminRole])
 
   // Fetch all necessary data
-  const fetchData = async () => {
+  const fetchData = useCallback(async () => {
     try {
       setIsLoading(true)
 
@@ -159,75 +165,21 @@ export default function AdminOneOnOnePage() {
         setAdvisors(advisorsData)
       }
 
-      // Get personal sessions
-      const { data: personalSessionsData, error: personalSessionsError } = await supabase
-        .from("sessions")
-        .select(`
-          *,
-          student:student_id (
-            id,
-            fname,
-            lname,
-            email,
-            student_id
-          )
-        `)
-        .eq("advisor_id", userData.id)
-        .order("date", { ascending: true })
-
-      // Get all sessions with advisor details
-      const { data: allSessionsData, error: allSessionsError } = await supabase
-        .from("sessions")
-        .select(`
-          *,
-          student:student_id (
-            id,
-            fname,
-            lname,
-            email,
-            student_id
-          ),
-          advisor:advisor_id (
-            id,
-            fname,
-            lname,
-            email
-          )
-        `)
-        .order("date", { ascending: true })
-
-      if (personalSessionsData && allSessionsData) {
-        // Separate into upcoming and past sessions
-        const today = new Date()
-        today.setHours(0, 0, 0, 0)
-
-        // Process personal sessions
-        const personalUpcoming = personalSessionsData.filter((session) => {
-          if (session.status === "cancelled") return false
-          const sessionDate = new Date(session.date)
-          return sessionDate >= today && session.status === "scheduled"
-        })
+      // Get personal and all sessions
+      const [personalResponse, allResponse] = await Promise.all([
+        fetch("/api/sessions"),
+        fetch("/api/sessions?scope=all"),
+      ])
+      const [personalSessionsData, allSessionsData] = await Promise.all([
+        personalResponse.json(),
+        allResponse.json(),
+      ])
 
-        const personalPast = personalSessionsData.filter((session) => {
-          const sessionDate = new Date(session.date)
-          return sessionDate < today || session.status === "completed" || session.status === "cancelled"
-        })
+      if (!personalResponse.ok) throw new Error(personalSessionsData.error || "Failed to load sessions")
+      if (!allResponse.ok) throw new Error(allSessionsData.error || "Failed to load sessions")
 
-        // Process all sessions
-        const allUpcoming = allSessionsData.filter((session) => {
-          if (session.status === "cancelled") return false
-          const sessionDate = new Date(session.date)
-          return sessionDate >= today && session.status === "scheduled"
-        })
-
-        const allPast = allSessionsData.filter((session) => {
-          const sessionDate = new Date(session.date)
-          return sessionDate < today || session.status === "completed" || session.status === "cancelled"
-        })
-
-        setSessions({ upcomingSessions: personalUpcoming, pastSessions: personalPast })
-        setAllSessions({ upcomingSessions: allUpcoming, pastSessions: allPast })
-      }
+      setSessions(personalSessionsData)
+      setAllSessions(allSessionsData)
 
       // Get students
       const { data: studentsData } = await supabase
@@ -250,7 +202,14 @@ export default function AdminOneOnOnePage() {
     } finally {
       setIsLoading(false)
     }
-  }
+  }, [authUser, supabase, toast])
+
+  // Fetch data on component mount
+  useEffect(() => {
+    if (authUser) {
+      fetchData()
+    }
+  }, [authUser, fetchData])
 
   // Filter students based on search query
   const filteredStudents = () => {
@@ -288,48 +247,19 @@ export default function AdminOneOnOnePage() {
     setIsSubmitting(true)
 
     try {
-      const { data: userData } = await supabase
-        .from("users")
-        .select("id")
-        .eq("email", authUser.email)
-        .single()
-
-      if (!userData) throw new Error("User not found")
-
-      // Format date to ISO string (YYYY-MM-DD)
-      const formattedDate = format(selectedDate, "yyyy-MM-dd")
-
-      // Calculate end time (1 hour after start time)
-      const [hours, minutes] = selectedTime.split(":").map(Number)
-      const endHours = (hours + 1) % 24
-      const endTime = `${endHours.toString().padStart(2, "0")}:${minutes.toString().padStart(2, "0")}`
-
-      // Check for double booking
-      const { data: existingSession } = await supabase
-        .from("sessions")
-        .select("id")
-        .eq("advisor_id", userData.id)
-        .eq("date", formattedDate)
-        .eq("time", selectedTime)
-        .eq("status", "scheduled")
-        .limit(1)
-
-      if (existingSession && existingSession.length > 0) {
-        throw new Error("This time slot is already booked")
-      }
-
-      // Create the session
-      const { error } = await supabase.from("sessions").insert({
-        student_id: selectedStudent,
-        advisor_id: userData.id,
-        date: formattedDate,
-        time: selectedTime,
-        end_time: endTime,
-        location: selectedLocation,
-        status: "scheduled",
+      // The API books the session with you for your slot length and notifies the student
+      const response = await fetch("/api/sessions", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          studentId: selectedStudent,
+          date: formatDate(selectedDate, "yyyy-MM-dd"),
+          time: selectedTime,
+          location: selectedLocation,
+        }),
       })
-
-      if (error) throw error
+      const data = await response.json()
+      if (!response.ok) throw new Error(data.error || "Failed to create session")
 
       toast({
         title: "Session Created",
@@ -365,15 +295,13 @@ export default function AdminOneOnOnePage() {
     setIsSubmitting(true)
 
     try {
-      const { error } = await supabase
-        .from("sessions")
-        .update({
-          status: "completed",
-          notes: sessionNotes,
-        })
-        .eq("id", selectedSession.id)
-
-      if (error) throw error
+      const response = await fetch(`/api/sessions/${selectedSession.id}/complete`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ notes: sessionNotes }),
+      })
+      const data = await response.json()
+      if (!response.ok) throw new Error(data.error || "Failed to complete session")
 
       toast({
         title: "Session Completed",
@@ -391,7 +319,7 @@ export default function AdminOneOnOnePage() {
       console.error("Error completing session:", error)
       toast({
         title: "Error",
-        description: "An unexpected error occurred. Please try again.",
+        description: error.message || "An unexpected error occurred. Please try again.",
         variant: "destructive",
       })
     } finally {
@@ -404,12 +332,13 @@ export default function AdminOneOnOnePage() {
     setIsSubmitting(true)
 
     try {
-      const { error } = await supabase
-        .from("sessions")
-        .update({ notes: sessionNotes })
-        .eq("id", selectedSession.id)
-
-      if (error) throw error
+      const response = await fetch(`/api/sessions/${selectedSession.id}`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ notes: sessionNotes }),
+      })
+      const data = await response.json()
+      if (!response.ok) throw new Error(data.error || "Failed to save notes")
 
       toast({
         title: "Notes Added",
@@ -427,7 +356,7 @@ export default function AdminOneOnOnePage() {
       console.error("Error adding notes:", error)
       toast({
         title: "Error",
-        description: "An unexpected error occurred. Please try again.",
+        description: error.message || "An unexpected error occurred. Please try again.",
         variant: "destructive",
       })
     } finally {
@@ -449,24 +378,13 @@ export default function AdminOneOnOnePage() {
     setIsSubmitting(true)
 
     try {
-      const { data: userData } = await supabase
-        .from("users")
-        .select("id")
-        .eq("email", authUser.email)
-        .single()
-
-      if (!userData) throw new Error("User not found")
-
-      const { error } = await supabase
-        .from("sessions")
-        .update({
-          status: "cancelled",
-          cancellation_reason: cancelReason,
-          cancelled_by: userData.id,
-        })
-        .eq("id", selectedSession.id)
-
-      if (error) throw error
+      const response = await fetch(`/api/sessions/${selectedSession.id}/cancel`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ reason: cancelReason }),
+      })
+      const data = await response.json()
+      if (!response.ok) throw new Error(data.error || "Failed to cancel session")
 
       toast({
         title: "Session Cancelled",
@@ -484,7 +402,39 @@ export default function AdminOneOnOnePage() {
       console.error("Error cancelling session:", error)
       toast({
         title: "Error",
-        description: "An unexpected error occurred. Please try again.",
+        description: error.message || "An unexpected error occurred. Please try again.",
+        variant: "destructive",
+      })
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  // Handle marking a session as a no-show
+  const handleMarkNoShow = async () => {
+    setIsSubmitting(true)
+
+    try {
+      const response = await fetch(`/api/sessions/${selectedSession.id}/no-show`, { method: "POST" })
+      const data = await response.json()
+      if (!response.ok) throw new Error(data.error || "Failed to mark session as a no-show")
+
+      toast({
+        title: "Marked as No-show",
+        description: "The session has been marked as a no-show. The student has been notified.",
+      })
+
+      // Refresh data
+      fetchData()
+
+      // Reset form
+      setNoShowSessionDialogOpen(false)
+      setSelectedSession(null)
+    } catch (error) {
+      console.error("Error marking no-show:", error)
+      toast({
+        title: "Error",
+        description: error.message || "An unexpected error occurred. Please try again.",
         variant: "destructive",
       })
     } finally {
@@ -581,6 +531,18 @@ export default function AdminOneOnOnePage() {
         </div>
 
         <div className="flex items-center gap-2">
+          <Button variant="outline" onClick={() => setAvailabilityDialogOpen(true)}>
+            <Clock className="h-4 w-4 mr-2" />
+            Availability
+          </Button>
+          <Button variant="outline" onClick={() => setSessionTypesDialogOpen(true)}>
+            <ListChecks className="h-4 w-4 mr-2" />
+            Session Types
+          </Button>
+          <Button variant="outline" onClick={() => setNoShowsDialogOpen(true)}>
+            <UserX className="h-4 w-4 mr-2" />
+            No-shows
+          </Button>
           <Button variant="outline" onClick={() => setSettingsDialogOpen(true)}>
             <Settings className="h-4 w-4 mr-2" />
             Settings
@@ -662,6 +624,11 @@ export default function AdminOneOnOnePage() {
                           <h3 className="font-medium text-lg">
                             {format(new Date(session.date), "MMMM d, yyyy")} at {formatTimeForDisplay(session.time)}
                           </h3>
+                          {session.session_type && (
+                            <p className="text-sm font-medium text-[#A91827]">
+                              {session.session_type.name} ({session.session_type.duration_minutes} min)
+                            </p>
+                          )}
                           <p className="text-muted-foreground">
                             Student: {session.student.fname} {session.student.lname}
                             {session.student.student_id && ` (ID: ${session.student.student_id})`}
@@ -681,6 +648,16 @@ export default function AdminOneOnOnePage() {
                               <MapPin className="h-4 w-4 text-muted-foreground" />
                               <span>{session.location}</span>
                             </div>
+                            {session.reschedule_history?.length > 0 && (
+                              <p className="text-xs text-muted-foreground">
+                                Rescheduled {session.reschedule_history.length}{" "}
+                                {session.reschedule_history.length === 1 ? "time" : "times"}, last from{" "}
+                                {format(new Date(session.reschedule_history.at(-1).from_date), "MMMM d, yyyy")} at{" "}
+                                {formatTimeForDisplay(session.reschedule_history.at(-1).from_time)}
+                              </p>
+                            )}
+
+                            <SessionIntakeAnswers answers={session.intake_answers} />
                           </div>
                         </div>
 
@@ -709,6 +686,19 @@ export default function AdminOneOnOnePage() {
                             >
                               Complete
                             </Button>
+                            {hasStarted(session) && (
+                              <Button
+                                variant="outline"
+                                size="sm"
+                                onClick={() => {
+                                  setSelectedSession(session)
+                                  setNoShowSessionDialogOpen(true)
+                                }}
+                              >
+                                <UserX className="h-3.5 w-3.5 mr-1" />
+                                No-show
+                              </Button>
+                            )}
                             <Button
                               variant="destructive"
                               size="sm"
@@ -765,16 +755,25 @@ export default function AdminOneOnOnePage() {
                                   ? "bg-green-100 text-green-800"
                                   : session.status === "cancelled"
                                     ? "bg-red-100 text-red-800"
-                                    : "bg-blue-100 text-blue-800"
+                                    : session.status === "no_show"
+                                      ? "bg-orange-100 text-orange-800"
+                                      : "bg-blue-100 text-blue-800"
                               }`}
                             >
                               {session.status === "completed"
                                 ? "Completed"
                                 : session.status === "cancelled"
                                   ? "Cancelled"
-                                  : "Past"}
+                                  : session.status === "no_show"
+                                    ? "No-show"
+                                    : "Past"}
                             </span>
                           </div>
+                          {session.session_type && (
+                            <p className="text-sm font-medium text-[#A91827]">
+                              {session.session_type.name} ({session.session_type.duration_minutes} min)
+                            </p>
+                          )}
                           <p className="text-muted-foreground">
                             Student: {session.student.fname} {session.student.lname}
                             {session.student.student_id && ` (ID: ${session.student.student_id})`}
@@ -797,6 +796,8 @@ export default function AdminOneOnOnePage() {
                               </p>
                             )}
 
+                            <SessionIntakeAnswers answers={session.intake_answers} />
+
                             {session.notes && (
                               <p className="text-sm mt-2 p-3 bg-muted rounded-md">
                                 <span className="font-medium">Notes:</span> {session.notes}
@@ -804,6 +805,22 @@ export default function AdminOneOnOnePage() {
                             )}
                           </div>
                         </div>
+
+                        {viewMode === "personal" && session.status === "scheduled" && (
+                          <div className="flex items-center gap-2">
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              onClick={() => {
+                                setSelectedSession(session)
+                                setNoShowSessionDialogOpen(true)
+                              }}
+                            >
+                              <UserX className="h-3.5 w-3.5 mr-1" />
+                              No-show
+                            </Button>
+                          </div>
+                        )}
                       </div>
                     </CardContent>
                   </Card>
@@ -863,6 +880,10 @@ export default function AdminOneOnOnePage() {
         </DialogContent>
       </Dialog>
 
+      <AvailabilityDialog open={availabilityDialogOpen} onOpenChange={setAvailabilityDialogOpen} />
+      <SessionTypesDialog open={sessionTypesDialogOpen} onOpenChange={setSessionTypesDialogOpen} />
+      <NoShowsDialog open={noShowsDialogOpen} onOpenChange={setNoShowsDialogOpen} />
+
       {/* Create Session Dialog */}
       <Dialog open={createSessionDialogOpen} onOpenChange={setCreateSessionDialogOpen}>
         <DialogContent className="sm:max-w-md">
@@ -1169,6 +1190,43 @@ export default function AdminOneOnOnePage() {
           </DialogFooter>
         </DialogContent>
       </Dialog>
+
+      {/* No-show Dialog */}
+      <Dialog open={noShowSessionDialogOpen} onOpenChange={setNoShowSessionDialogOpen}>
+        <DialogContent className="sm:max-w-md">
+          <DialogHeader>
+            <DialogTitle>Mark as No-show</DialogTitle>
+            <p className="text-sm text-muted-foreground">
+              The student will be notified. Students who miss too many sessions in a semester cannot book until an
+              advisor allows it.
+            </p>
+          </DialogHeader>
+
+          {selectedSession && (
+            <div className="py-4">
+              <div className="p-3 bg-muted rounded-md">
+                <p className="font-medium">
+                  {format(new Date(selectedSession.date), "MMMM d, yyyy")} at{" "}
+                  {formatTimeForDisplay(selectedSession.time)}
+                </p>
+                <p className="text-sm text-muted-foreground">
+                  With {selectedSession.student.fname} {selectedSession.student.lname}
+                  {selectedSession.student.student_id && ` (ID: ${selectedSession.student.student_id})`}
+                </p>
+              </div>
+            </div>
+          )}
+
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => setNoShowSessionDialogOpen(false)}>
+              Back
+            </Button>
+            <Button variant="destructive" onClick={handleMarkNoShow} disabled={isSubmitting}>
+              {isSubmitting ? "Saving..." : "Mark as No-show"}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
     </div>
   )
 }
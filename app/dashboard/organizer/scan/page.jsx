@@ -1,52 +1,491 @@
 "use client"
 
+import { Suspense, useCallback, useEffect, useRef, useState } from "react"
+import { useSearchParams } from "next/navigation"
 import { QRScanner } from "@/components/qr-scanner"
-import { QrCode } from "lucide-react"
+import { Card } from "@/components/ui/card"
+import { Label } from "@/components/ui/label"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import { QrCode, CheckCircle, AlertTriangle, XCircle, CloudOff, RefreshCw } from "lucide-react"
 import { toast } from "sonner"
-import { useRouter } from "next/navigation"
+import { cn } from "@/lib/utils"
+import { enqueueScan, getPendingScans, removeScans } from "@/lib/attendance/offline-queue"
 
-export default function ScanPage() {
-  const router = useRouter();
-
-  const handleScan = (result) => {
-    if (result) {
-      toast.success('QR Code scanned successfully!');
-      // Handle the scanned result here
-      console.log('Scanned result:', result);
-      
+// How long the success/duplicate/error flash stays on screen
+const FLASH_DURATION_MS = 1200
+
+// Number of recent scans listed under the scanner
+const RECENT_SCAN_LIMIT = 15
+
+// What each scan records
+const SCAN_MODES = [
+  { value: "check_in", label: "Check In" },
+  { value: "check_out", label: "Check Out" },
+]
+
+// Outcomes counted in the running tally, in display order
+const TALLY_STATUSES = ["success", "duplicate", "expired", "error"]
+
+// Maps batch sync outcomes to the statuses used on this page
+const SYNC_OUTCOME_STATUS = {
+  recorded: "success",
+  duplicate: "duplicate",
+  expired: "expired",
+  rejected: "error",
+}
+
+/**
+ * Maps a check-in API response to a scan outcome shown to the organizer
+ *
+ * @param {Response} response - The fetch response
+ * @param {Object} data - The parsed JSON body
+ * @returns {"success"|"duplicate"|"expired"|"error"} The scan outcome
+ */
+function getScanStatus(response, data) {
+  if (response.ok) return "success"
+  if (["ALREADY_CHECKED_IN", "TOKEN_USED", "ALREADY_CHECKED_OUT"].includes(data.code)) return "duplicate"
+  if (data.code === "TOKEN_EXPIRED") return "expired"
+  return "error"
+}
+
+/**
+ * Builds the flash message for a successful scan
+ *
+ * @param {Object} data - The check-in API response body
+ * @returns {string} The student's name, plus time attended for check-outs
+ */
+function describeSuccess(data) {
+  const name = data.student?.name
+  if (data.durationMinutes == null) return name
+  return `${name} · ${data.durationMinutes} min${data.meetsMinimum ? "" : " (below minimum)"}`
+}
+
+/**
+ * Pulls the attendance token out of a scanned personal QR code
+ *
+ * <p>Student QR codes encode a /checkin?token=... URL. A bare token is accepted too.</p>
+ *
+ * @param {string} text - The decoded QR text
+ * @returns {string|null} The token, or null if the code is not a student QR code
+ */
+function extractToken(text) {
+  try {
+    const url = new URL(text)
+    return url.searchParams.get("token")
+  } catch (e) {
+    return /^[a-f0-9]{64}$/i.test(text.trim()) ? text.trim() : null
+  }
+}
+
+const STATUS_STYLES = {
+  success: { label: "Checked in", className: "bg-green-500/20 border-green-500", icon: CheckCircle, iconClass: "text-green-600" },
+  duplicate: { label: "Already checked in", className: "bg-amber-400/20 border-amber-500", icon: AlertTriangle, iconClass: "text-amber-600" },
+  expired: { label: "Expired code", className: "bg-red-500/20 border-red-500", icon: XCircle, iconClass: "text-red-600" },
+  error: { label: "Not recorded", className: "bg-red-500/20 border-red-500", icon: XCircle, iconClass: "text-red-600" },
+  queued: { label: "Saved offline", className: "bg-blue-500/20 border-blue-500", icon: CloudOff, iconClass: "text-blue-600" },
+}
+
+/**
+ * Door scanner for recording attendance from students' personal QR codes.
+ *
+ * <p>Staff pick an event and keep the camera pointed at the queue. Every scanned
+ * token is posted to /api/checkin for that event without leaving the page, and the
+ * result is flashed on screen and added to a running tally.</p>
+ *
+ * <p>Events that track time in attendance can be switched to check-out mode,
+ * which records when each scanned student leaves.</p>
+ *
+ * <p>When the network is down, scans are saved to an IndexedDB queue with their scan
+ * time and synced in order once the connection returns. The sync result is shown
+ * as a reconciliation report listing duplicates, expired tokens and rejections.</p>
+ */
+function ScanPageContent() {
+  const searchParams = useSearchParams()
+  const [events, setEvents] = useState([])
+  const [selectedEventId, setSelectedEventId] = useState(searchParams.get("event") || "")
+  const [scanMode, setScanMode] = useState("check_in")
+  const [tally, setTally] = useState({ success: 0, duplicate: 0, expired: 0, error: 0 })
+  const [recentScans, setRecentScans] = useState([])
+  const [flash, setFlash] = useState(null)
+  const [isOnline, setIsOnline] = useState(true)
+  const [pendingCount, setPendingCount] = useState(0)
+  const [isSyncing, setIsSyncing] = useState(false)
+  const [syncReport, setSyncReport] = useState(null)
+  const flashTimerRef = useRef(null)
+  const syncingRef = useRef(false)
+
+  // Load events the organizer can scan for, upcoming first
+  useEffect(() => {
+    const fetchEvents = async () => {
       try {
-        const url = new URL(result);
-        router.push(url.pathname);
-      } catch (e) {
-        console.log('Scanned content is not a URL:', result);
-        toast.error('Invalid QR code format');
+        const response = await fetch("/api/dashboard/admin/events")
+        const data = await response.json()
+
+        if (!response.ok) {
+          throw new Error(data.error || "Failed to fetch events")
+        }
+
+        const allEvents = [...(data.upcomingEvents || []), ...(data.pastEvents || [])]
+        setEvents(allEvents)
+        setSelectedEventId((current) => current || allEvents[0]?.id || "")
+      } catch (error) {
+        console.error("Error fetching events:", error)
+        toast.error(error.message || "Failed to load events")
+      }
+    }
+
+    fetchEvents()
+  }, [])
+
+  useEffect(() => () => clearTimeout(flashTimerRef.current), [])
+
+  const showResult = useCallback((status, message) => {
+    if (TALLY_STATUSES.includes(status)) {
+      setTally((prev) => ({ ...prev, [status]: prev[status] + 1 }))
+    }
+    setRecentScans((prev) => [
+      { id: `${Date.now()}-${Math.random()}`, status, message, at: new Date() },
+      ...prev,
+    ].slice(0, RECENT_SCAN_LIMIT))
+
+    // Restart the flash so back-to-back scans are each visible
+    clearTimeout(flashTimerRef.current)
+    setFlash({ status, message })
+    flashTimerRef.current = setTimeout(() => setFlash(null), FLASH_DURATION_MS)
+  }, [])
+
+  const refreshPendingCount = useCallback(async () => {
+    if (!selectedEventId) {
+      setPendingCount(0)
+      return
+    }
+
+    try {
+      const pending = await getPendingScans(selectedEventId)
+      setPendingCount(pending.length)
+    } catch (error) {
+      console.error("Error reading offline queue:", error)
+    }
+  }, [selectedEventId])
+
+  /**
+   * Sends queued scans for the selected event to the batch endpoint and shows the
+   * reconciliation report. Scans stay queued if the request itself fails.
+   */
+  const syncPendingScans = useCallback(async () => {
+    if (!selectedEventId || syncingRef.current) return
+
+    syncingRef.current = true
+    setIsSyncing(true)
+
+    try {
+      const pending = await getPendingScans(selectedEventId)
+      if (pending.length === 0) return
+
+      const response = await fetch("/api/checkin/batch", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          sessionId: selectedEventId,
+          scans: pending.map(({ id, token, scannedAt, action }) => ({ id, token, scannedAt, action })),
+        }),
+      })
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to sync offline scans")
       }
+
+      await removeScans(data.results.map((result) => result.id))
+
+      setTally((prev) => {
+        const next = { ...prev }
+        data.results.forEach((result) => {
+          next[SYNC_OUTCOME_STATUS[result.outcome]] += 1
+        })
+        return next
+      })
+      setSyncReport(data)
+    } catch (error) {
+      console.error("Error syncing offline scans:", error)
+      toast.error(error.message || "Failed to sync offline scans")
+    } finally {
+      syncingRef.current = false
+      setIsSyncing(false)
+      refreshPendingCount()
     }
-  };
+  }, [selectedEventId, refreshPendingCount])
 
-  const handleError = (error) => {
-    toast.error(error || 'Failed to scan QR code');
-  };
+  /**
+   * Stores a scan locally when it cannot reach the server
+   *
+   * @param {string} token - The scanned attendance token
+   */
+  const queueScan = useCallback(async (token) => {
+    try {
+      await enqueueScan({ sessionId: selectedEventId, token, action: scanMode })
+      showResult("queued", "Will sync when back online")
+      refreshPendingCount()
+    } catch (error) {
+      console.error("Error queueing offline scan:", error)
+      showResult("error", "Could not save scan offline. Scan again.")
+    }
+  }, [selectedEventId, scanMode, showResult, refreshPendingCount])
+
+  // Track connectivity and sync the queue as soon as the connection returns
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true)
+      syncPendingScans()
+    }
+    const handleOffline = () => setIsOnline(false)
+
+    setIsOnline(navigator.onLine)
+    window.addEventListener("online", handleOnline)
+    window.addEventListener("offline", handleOffline)
+
+    return () => {
+      window.removeEventListener("online", handleOnline)
+      window.removeEventListener("offline", handleOffline)
+    }
+  }, [syncPendingScans])
+
+  // Pick up scans left over from an earlier visit
+  useEffect(() => {
+    refreshPendingCount()
+    if (navigator.onLine) syncPendingScans()
+  }, [refreshPendingCount, syncPendingScans])
+
+  const handleScan = useCallback(async (result) => {
+    if (!selectedEventId) {
+      toast.error("Select an event before scanning")
+      return
+    }
+
+    const token = extractToken(result)
+    if (!token) {
+      showResult("error", "Not a student check-in QR code")
+      return
+    }
+
+    if (!navigator.onLine) {
+      await queueScan(token)
+      return
+    }
+
+    try {
+      const response = await fetch("/api/checkin", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ token, sessionId: selectedEventId, action: scanMode }),
+      })
+      const data = await response.json()
+      const status = getScanStatus(response, data)
+
+      showResult(status, status === "success" ? describeSuccess(data) : data.error)
+    } catch (error) {
+      // fetch only throws when the request never reached the server
+      console.error("Check-in request failed, queueing scan:", error)
+      await queueScan(token)
+    }
+  }, [selectedEventId, scanMode, showResult, queueScan])
+
+  const handleError = useCallback((error) => {
+    toast.error(error || "Failed to scan QR code")
+  }, [])
+
+  const selectedEvent = events.find((event) => event.id === selectedEventId)
+
+  // Fall back to check-in when switching to an event without check-out
+  useEffect(() => {
+    if (selectedEvent && !selectedEvent.checkoutEnabled) setScanMode("check_in")
+  }, [selectedEvent])
 
   return (
     <div className="space-y-6">
       <div className="flex items-center gap-2">
         <QrCode className="h-6 w-6 text-[#A91827]" />
-        <h1 className="text-2xl font-bold">Scan QR Code</h1>
+        <h1 className="text-2xl font-bold">Scan Attendance</h1>
+      </div>
+
+      <div className="space-y-2">
+        <Label htmlFor="scan-event">Event</Label>
+        <select
+          id="scan-event"
+          className="w-full p-2 border rounded-md bg-background"
+          value={selectedEventId}
+          onChange={(e) => setSelectedEventId(e.target.value)}
+        >
+          <option value="" disabled>Select an event</option>
+          {events.map((event) => (
+            <option key={event.id} value={event.id}>
+              {event.title} ({event.date})
+            </option>
+          ))}
+        </select>
       </div>
 
-      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
-        <QRScanner 
+      {selectedEvent?.checkoutEnabled && (
+        <div className="grid grid-cols-2 gap-2 p-1 rounded-xl bg-muted/50">
+          {SCAN_MODES.map((mode) => (
+            <Button
+              key={mode.value}
+              type="button"
+              variant={scanMode === mode.value ? "default" : "ghost"}
+              onClick={() => setScanMode(mode.value)}
+              className={scanMode === mode.value ? "bg-[#A91827] hover:bg-[#A91827]/90 text-white rounded-lg" : "rounded-lg"}
+            >
+              {mode.label}
+            </Button>
+          ))}
+        </div>
+      )}
+
+      {/* Running tally */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        {TALLY_STATUSES.map((status) => (
+          <Card key={status} className="p-4 text-center">
+            <p className="text-2xl font-bold">{tally[status]}</p>
+            <p className="text-xs text-muted-foreground">{STATUS_STYLES[status].label}</p>
+          </Card>
+        ))}
+      </div>
+
+      {/* Offline queue status */}
+      {(!isOnline || pendingCount > 0) && (
+        <Card className="p-4 flex items-center justify-between gap-4 border-blue-500/40">
+          <div className="flex items-center gap-3">
+            <CloudOff className="h-5 w-5 text-blue-600" />
+            <div>
+              <p className="font-medium">{isOnline ? "Back online" : "Offline"}</p>
+              <p className="text-sm text-muted-foreground">
+                {pendingCount} scan{pendingCount === 1 ? "" : "s"} waiting to sync
+              </p>
+            </div>
+          </div>
+          <Button
+            variant="outline"
+            onClick={syncPendingScans}
+            disabled={!isOnline || isSyncing || pendingCount === 0}
+          >
+            <RefreshCw className={cn("h-4 w-4 mr-2", isSyncing && "animate-spin")} />
+            {isSyncing ? "Syncing..." : "Sync now"}
+          </Button>
+        </Card>
+      )}
+
+      <div className="relative bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
+        <QRScanner
           onScan={handleScan}
           onError={handleError}
           showScannerByDefault={true}
+          continuous={true}
         />
+
+        {/* Result flash over the camera view */}
+        {flash && (() => {
+          const style = STATUS_STYLES[flash.status]
+          const Icon = style.icon
+          return (
+            <div
+              className={cn(
+                "absolute inset-0 rounded-xl border-4 flex flex-col items-center justify-center gap-2 pointer-events-none",
+                style.className
+              )}
+            >
+              <Icon className={cn("h-16 w-16", style.iconClass)} />
+              <p className="text-xl font-semibold">{style.label}</p>
+              {flash.message && <p className="text-sm">{flash.message}</p>}
+            </div>
+          )
+        })()}
       </div>
 
       <div className="text-center text-sm text-gray-500 dark:text-gray-400">
-        <p>Scan student QR codes to record attendance for your event.</p>
-        <p className="mt-1">Make sure the QR code is clearly visible within the frame.</p>
+        <p>
+          {selectedEvent
+            ? `${scanMode === "check_out" ? "Checking students out of" : "Checking students in to"} ${selectedEvent.title}.`
+            : "Select an event to start checking students in."}
+        </p>
+        <p className="mt-1">The scanner keeps running. Hold each student QR code in the frame until it flashes.</p>
       </div>
+
+      {recentScans.length > 0 && (
+        <Card className="p-4">
+          <h2 className="font-medium mb-3">Recent scans</h2>
+          <ul className="space-y-2">
+            {recentScans.map((scan) => (
+              <li key={scan.id} className="flex items-center justify-between text-sm">
+                <span className="truncate">{scan.message || STATUS_STYLES[scan.status].label}</span>
+                <div className="flex items-center gap-2 shrink-0">
+                  <Badge variant={scan.status === "success" ? "default" : "secondary"}>
+                    {STATUS_STYLES[scan.status].label}
+                  </Badge>
+                  <span className="text-xs text-muted-foreground">{scan.at.toLocaleTimeString()}</span>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </Card>
+      )}
+
+      {/* Reconciliation report for synced offline scans */}
+      <Dialog open={!!syncReport} onOpenChange={(open) => !open && setSyncReport(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Offline scans synced</DialogTitle>
+            <DialogDescription>
+              {syncReport && (
+                `${syncReport.summary.recorded} recorded, ${syncReport.summary.duplicate} duplicate, ` +
+                `${syncReport.summary.expired} expired, ${syncReport.summary.rejected} rejected`
+              )}
+            </DialogDescription>
+          </DialogHeader>
+          <ul className="max-h-80 overflow-y-auto space-y-2">
+            {syncReport?.results.map((result) => {
+              const status = SYNC_OUTCOME_STATUS[result.outcome]
+              return (
+                <li key={result.id} className="flex items-center justify-between gap-2 text-sm">
+                  <div className="min-w-0">
+                    <p className="truncate">{result.student?.name || result.message}</p>
+                    <p className="text-xs text-muted-foreground">
+                      {result.action === "check_out" ? "Check-out" : "Check-in"} scanned {new Date(result.scannedAt).toLocaleTimeString()}
+                    </p>
+                  </div>
+                  <Badge variant={status === "success" ? "default" : "secondary"}>
+                    {STATUS_STYLES[status].label}
+                  </Badge>
+                </li>
+              )
+            })}
+          </ul>
+          <DialogFooter>
+            <Button onClick={() => setSyncReport(null)}>Done</Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
     </div>
   )
-} 
\ No newline at end of file
+}
+
+// Main component with Suspense boundary for useSearchParams
+export default function ScanPage() {
+  return (
+    <Suspense fallback={<div className="p-6 text-center text-muted-foreground">Loading scanner...</div>}>
+      <ScanPageContent />
+    </Suspense>
+  )
+}
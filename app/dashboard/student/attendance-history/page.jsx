@@ -2,13 +2,10 @@
 
 import { useState, useEffect } from "react"
 import { CheckCircle, XCircle, Clock, Calendar, MapPin } from "lucide-react"
-import { createClient } from "@supabase/supabase-js"
+import { createClient } from "@/utils/supabase/client"
+import { meetsDurationRule } from "@/lib/attendance/duration"
 
-// Initialize Supabase client
-const supabase = createClient(
-  process.env.NEXT_PUBLIC_SUPABASE_URL,
-  process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY
-)
+const supabase = createClient()
 
 export default function AttendanceHistoryPage() {
   const [attendanceHistory, setAttendanceHistory] = useState([])
@@ -17,22 +14,25 @@ export default function AttendanceHistoryPage() {
   useEffect(() => {
     const fetchAttendanceHistory = async () => {
       try {
-        // In a real implementation, this would use the actual student ID from the session
-        const studentId = "12342024"
+        const { data: { user }, error: userError } = await supabase.auth.getUser()
+        if (userError || !user) throw userError || new Error("Not signed in")
 
+        // Attendance is recorded in the canonical attendance table for every check-in method
         const { data, error } = await supabase
-          .from("attendance_records")
+          .from("attendance")
           .select(`
             *,
-            event_sessions (
+            career_sessions (
               title,
               date,
-              time,
-              location
+              start_time,
+              location,
+              checkout_enabled,
+              min_duration_minutes
             )
           `)
-          .eq("student_id", studentId)
-          .order("check_in_time", { ascending: false })
+          .eq("user_id", user.id)
+          .order("signup_time", { ascending: false })
 
         if (error) throw error
 
@@ -64,21 +64,40 @@ export default function AttendanceHistoryPage() {
           <div key={record.id} className="bg-white dark:bg-gray-800 rounded-xl shadow-sm p-6">
             <div className="flex items-start justify-between">
               <div>
-                <h3 className="text-lg font-medium">{record.event_sessions.title}</h3>
+                <h3 className="text-lg font-medium">{record.career_sessions?.title}</h3>
                 <div className="flex items-center text-sm text-gray-500 dark:text-gray-400 mt-2">
                   <Calendar className="h-4 w-4 mr-2" />
-                  {record.event_sessions.date} • {record.event_sessions.time}
+                  {record.career_sessions?.date} • {record.career_sessions?.start_time}
                 </div>
                 <div className="flex items-center text-sm text-gray-500 dark:text-gray-400 mt-1">
                   <MapPin className="h-4 w-4 mr-2" />
-                  {record.event_sessions.location}
+                  {record.career_sessions?.location}
                 </div>
               </div>
               <div className="flex items-center gap-2">
-                <span className="flex items-center text-green-600 dark:text-green-400">
-                  <CheckCircle className="h-4 w-4 mr-1" />
-                  Attended
-                </span>
+                {record.review_status === "flagged" ? (
+                  <span className="flex items-center text-amber-600 dark:text-amber-400">
+                    <Clock className="h-4 w-4 mr-1" />
+                    Pending review
+                  </span>
+                ) : record.review_status === "rejected" ? (
+                  <span className="flex items-center text-red-600 dark:text-red-400">
+                    <XCircle className="h-4 w-4 mr-1" />
+                    Not counted
+                  </span>
+                ) : !meetsDurationRule(record, record.career_sessions) ? (
+                  <span className="flex items-center text-red-600 dark:text-red-400">
+                    <XCircle className="h-4 w-4 mr-1" />
+                    {record.checked_out_at
+                      ? `Below ${record.career_sessions.min_duration_minutes} min`
+                      : "Check-out missing"}
+                  </span>
+                ) : (
+                  <span className="flex items-center text-green-600 dark:text-green-400">
+                    <CheckCircle className="h-4 w-4 mr-1" />
+                    Attended
+                  </span>
+                )}
               </div>
             </div>
 
@@ -86,14 +105,15 @@ export default function AttendanceHistoryPage() {
               <div className="bg-gray-50 dark:bg-gray-700/50 rounded-lg p-3">
                 <p className="text-xs text-gray-500 dark:text-gray-400">Check-in Time</p>
                 <p className="text-sm font-medium mt-1">
-                  {new Date(record.check_in_time).toLocaleTimeString()}
+                  {new Date(record.signup_time).toLocaleTimeString()}
                 </p>
               </div>
-              {record.check_out_time && (
+              {record.checked_out_at && (
                 <div className="bg-gray-50 dark:bg-gray-700/50 rounded-lg p-3">
                   <p className="text-xs text-gray-500 dark:text-gray-400">Check-out Time</p>
                   <p className="text-sm font-medium mt-1">
-                    {new Date(record.check_out_time).toLocaleTimeString()}
+                    {new Date(record.checked_out_at).toLocaleTimeString()}
+                    {record.duration_minutes != null && ` (${record.duration_minutes} min)`}
                   </p>
                 </div>
               )}
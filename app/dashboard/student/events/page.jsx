@@ -1,13 +1,17 @@
 "use client"
 
-import { useState, useEffect } from "react"
+import { useState, useEffect, useCallback } from "react"
 import Link from "next/link"
-import { Calendar, Clock, MapPin, Users, ChevronRight, CheckCircle, MessageSquare, X, QrCode, Video, Building2 } from 'lucide-react'
+import { Calendar, Clock, MapPin, Users, ChevronRight, CheckCircle, MessageSquare, X, QrCode, Video, Building2, UserPlus, UserMinus, CalendarPlus } from 'lucide-react'
 import { Card, CardContent } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
 import { useToast } from "@/hooks/use-toast"
-import { Label } from "@/components/ui/label"
 import { QRCodeCard } from "@/components/attendance/QRCodeCard";
+import { CalendarFeedDialog } from "@/components/calendar/CalendarFeedDialog";
+import { EventFilters, EMPTY_EVENT_FILTERS } from "@/components/events/EventFilters";
+import { collectTags, matchesEventFilters } from "@/lib/events/categories";
+import { SurveyForm } from "@/components/feedback/SurveyForm";
+import { validateAnswers } from "@/lib/feedback/surveys";
 import {
   Dialog,
   DialogContent,
@@ -29,63 +33,102 @@ function formatTimeForDisplay(time) {
   return `${displayHour}:${minute} ${ampm}`;
 }
 
+// Seats left on an event that takes registrations, or null when uncapped
+function getSeatsLeft(event) {
+  if (!event.registration || event.capacity == null) return null;
+  return Math.max(event.capacity - event.registration.registered, 0);
+}
+
 export default function EventsPage() {
   const { toast } = useToast()
   const [activeTab, setActiveTab] = useState("upcoming")
   const [feedbackDialogOpen, setFeedbackDialogOpen] = useState(false)
   const [selectedEvent, setSelectedEvent] = useState(null)
-  const [feedbackText, setFeedbackText] = useState("")
-  const [rating, setRating] = useState(0)
+  const [survey, setSurvey] = useState(null)
+  const [surveyAnswers, setSurveyAnswers] = useState({})
+  const [feedbackBlocked, setFeedbackBlocked] = useState(null)
   const [isSubmitting, setIsSubmitting] = useState(false)
   const [upcomingEvents, setUpcomingEvents] = useState([])
   const [pastEvents, setPastEvents] = useState([])
   const [isLoading, setIsLoading] = useState(true)
   const [error, setError] = useState(null)
   const [detailsDialogOpen, setDetailsDialogOpen] = useState(false)
+  const [registeringEventId, setRegisteringEventId] = useState(null)
+  const [calendarDialogOpen, setCalendarDialogOpen] = useState(false)
+  const [filters, setFilters] = useState(EMPTY_EVENT_FILTERS)
 
-  // Fetch events from the API
-  useEffect(() => {
-    const fetchEvents = async () => {
-      try {
-        setIsLoading(true)
-        const response = await fetch('/api/dashboard/student/events')
-        
-        if (!response.ok) {
-          throw new Error('Failed to fetch events')
-        }
-        
-        const data = await response.json()
-        setUpcomingEvents(data.upcomingEvents || [])
-        setPastEvents(data.pastEvents || [])
-        setError(null)
-      } catch (err) {
-        console.error('Error fetching events:', err)
-        setError('Failed to load events. Please try again later.')
-        toast({
-          title: "Error",
-          description: "Failed to load events. Please try again later.",
-          variant: "destructive",
-        })
-      } finally {
-        setIsLoading(false)
+  // Fetch events from the API; silent refreshes keep the current list on screen
+  const fetchEvents = useCallback(async ({ silent = false } = {}) => {
+    try {
+      if (!silent) setIsLoading(true)
+      const response = await fetch('/api/dashboard/student/events')
+      
+      if (!response.ok) {
+        throw new Error('Failed to fetch events')
       }
+      
+      const data = await response.json()
+      const events = [...(data.upcomingEvents || []), ...(data.pastEvents || [])]
+      setUpcomingEvents(data.upcomingEvents || [])
+      setPastEvents(data.pastEvents || [])
+      setSelectedEvent((prev) => prev && (events.find((event) => event.id === prev.id) || prev))
+      setError(null)
+    } catch (err) {
+      console.error('Error fetching events:', err)
+      setError('Failed to load events. Please try again later.')
+      toast({
+        title: "Error",
+        description: "Failed to load events. Please try again later.",
+        variant: "destructive",
+      })
+    } finally {
+      setIsLoading(false)
     }
+  }, [toast])
 
+  useEffect(() => {
     fetchEvents()
-  }, [toast])
+  }, [fetchEvents])
+
+  // Events matching the search, type and tag filters
+  const availableTags = collectTags(upcomingEvents.concat(pastEvents))
+  const filteredUpcoming = upcomingEvents.filter((event) => matchesEventFilters(event, filters))
+  const filteredPast = pastEvents.filter((event) => matchesEventFilters(event, filters))
 
-  const handleOpenFeedbackDialog = (event) => {
-    console.log("Opening feedback dialog for event:", event);
+  // Students who attended can give feedback until the window closes, then only view it
+  const getFeedbackButtonLabel = (event) => {
+    if (!event.canGiveFeedback) return "View Feedback"
+    return event.hasFeedback ? "View/Edit Feedback" : "Provide Feedback"
+  }
+
+  const handleOpenFeedbackDialog = async (event) => {
     setSelectedEvent(event);
-    // If user has already submitted feedback, pre-fill the form
-    if (event.hasFeedback && event.feedback) {
-      setRating(event.feedback.rating);
-      setFeedbackText(event.feedback.comments || "");
-    } else {
-      setRating(0);
-      setFeedbackText("");
-    }
+    setSurvey(null);
+    setSurveyAnswers({});
+    setFeedbackBlocked(null);
     setFeedbackDialogOpen(true);
+
+    try {
+      const response = await fetch(`/api/dashboard/student/events/feedback?eventId=${encodeURIComponent(event.id)}`)
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load the feedback survey')
+      }
+
+      // If user has already submitted feedback, pre-fill the form
+      setSurvey(data.template)
+      setSurveyAnswers(data.response?.answers || {})
+      setFeedbackBlocked(data.blocked)
+    } catch (error) {
+      console.error('Error fetching feedback survey:', error)
+      setFeedbackDialogOpen(false)
+      toast({
+        title: "Error",
+        description: error.message,
+        variant: "destructive",
+      })
+    }
   }
 
   const handleOpenQRDialog = (event) => {
@@ -98,11 +141,117 @@ export default function EventsPage() {
     setDetailsDialogOpen(true);
   };
 
+  // Registers for an event (or joins its waitlist), or cancels the registration
+  const handleRegistration = async (event, cancel = false) => {
+    setRegisteringEventId(event.id)
+
+    try {
+      const response = await fetch(`/api/dashboard/student/events/${event.id}/registration`, {
+        method: cancel ? 'DELETE' : 'POST',
+      })
+
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update registration')
+      }
+
+      if (cancel) {
+        toast({
+          title: "Registration Cancelled",
+          description: `You are no longer registered for ${event.title}.`,
+        })
+      } else if (data.status === "waitlisted") {
+        toast({
+          title: "Added to Waitlist",
+          description: `The event is full. You are number ${data.waitlistPosition} on the waitlist and will be notified if a seat opens up.`,
+        })
+      } else {
+        toast({
+          title: "Registered",
+          description: `You are registered for ${event.title}.`,
+        })
+      }
+
+      await fetchEvents({ silent: true })
+    } catch (error) {
+      console.error('Error updating registration:', error)
+      toast({
+        title: "Error",
+        description: error.message || "Failed to update registration. Please try again.",
+        variant: "destructive",
+      })
+    } finally {
+      setRegisteringEventId(null)
+    }
+  }
+
+  // Seat count, deadline and the RSVP button for events that take registrations
+  const renderRegistration = (event) => {
+    const { registration } = event
+    if (!registration || event.status !== "upcoming") return null
+
+    const seatsLeft = getSeatsLeft(event)
+    const isBusy = registeringEventId === event.id
+    const isActive = registration.status === "registered" || registration.status === "waitlisted"
+
+    return (
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 p-3 mb-4 rounded-lg bg-muted/50">
+        <div className="space-y-1 text-sm">
+          <div className="flex items-center gap-2">
+            <Users className="h-4 w-4 text-muted-foreground" />
+            <span>
+              {seatsLeft === null
+                ? `${registration.registered} registered`
+                : seatsLeft > 0
+                  ? `${seatsLeft} of ${event.capacity} seats left`
+                  : `Full · ${registration.waitlisted} on waitlist`}
+            </span>
+            {registration.status === "registered" && (
+              <Badge className="bg-green-100 text-green-800 hover:bg-green-100">Registered</Badge>
+            )}
+            {registration.status === "waitlisted" && (
+              <Badge variant="secondary">Waitlisted</Badge>
+            )}
+          </div>
+          {event.registrationDeadline && (
+            <p className="text-muted-foreground">
+              {registration.closed ? "Registration closed" : "Registration closes"}{" "}
+              {new Date(event.registrationDeadline).toLocaleString()}
+            </p>
+          )}
+        </div>
+
+        {isActive ? (
+          <Button
+            variant="outline"
+            className="inline-flex items-center"
+            onClick={() => handleRegistration(event, true)}
+            disabled={isBusy}
+          >
+            <UserMinus className="mr-2 h-4 w-4" />
+            {registration.status === "waitlisted" ? "Leave Waitlist" : "Cancel Registration"}
+          </Button>
+        ) : !registration.closed && (
+          <Button
+            className="inline-flex items-center bg-[#A91827] hover:bg-[#A91827]/90 text-white"
+            onClick={() => handleRegistration(event)}
+            disabled={isBusy}
+          >
+            <UserPlus className="mr-2 h-4 w-4" />
+            {seatsLeft === 0 ? "Join Waitlist" : "Register"}
+          </Button>
+        )}
+      </div>
+    )
+  }
+
   const handleSubmitFeedback = async () => {
-    if (rating === 0) {
+    const { error: answersError } = validateAnswers(survey.questions, surveyAnswers)
+    if (answersError) {
       toast({
-        title: "Rating Required",
-        description: "Please provide a rating for this event.",
+        title: "Answer Required",
+        description: answersError.message,
         variant: "destructive",
       })
       return
@@ -111,7 +260,6 @@ export default function EventsPage() {
     setIsSubmitting(true)
 
     try {
-      console.log("Submitting feedback for event:", selectedEvent.id);
       const response = await fetch('/api/dashboard/student/events/feedback', {
         method: 'POST',
         headers: {
@@ -119,8 +267,7 @@ export default function EventsPage() {
         },
         body: JSON.stringify({
           eventId: selectedEvent.id,
-          rating: rating,
-          comments: feedbackText
+          answers: surveyAnswers
         }),
       })
 
@@ -137,8 +284,8 @@ export default function EventsPage() {
 
       // Close the dialog and reset form
       setFeedbackDialogOpen(false)
-      setFeedbackText("")
-      setRating(0)
+      setSurvey(null)
+      setSurveyAnswers({})
       setSelectedEvent(null)
       
       // Refresh the events to update the UI
@@ -207,7 +354,13 @@ export default function EventsPage() {
             </div>
           </div>
           <p className="text-muted-foreground mb-4">{event.description}</p>
+          {renderRegistration(event)}
           <div className="flex flex-wrap gap-2 mb-4">
+            {event.eventTypeLabel && (
+              <span className="px-2 py-1 bg-[#A91827]/10 text-[#A91827] rounded-full text-sm">
+                {event.eventTypeLabel}
+              </span>
+            )}
             {event.tags.map((tag, index) => (
               <span key={index} className="px-2 py-1 bg-gray-100 dark:bg-gray-800 rounded-full text-sm">
                 {tag}
@@ -225,7 +378,15 @@ export default function EventsPage() {
             </Button>
             
             <div className="flex gap-2">
-              
+              {event.status === "upcoming" && (
+                <Button variant="outline" className="inline-flex items-center" asChild>
+                  <a href={`/api/calendar/events/${event.id}`}>
+                    <CalendarPlus className="mr-2 h-4 w-4" />
+                    Add to Calendar
+                  </a>
+                </Button>
+              )}
+
               <Button 
                 variant="outline" 
                 className="inline-flex items-center"
@@ -235,14 +396,16 @@ export default function EventsPage() {
                 View Attendance Page
               </Button>
 
-              <Button 
-                variant="outline" 
-                className="inline-flex items-center"
-                onClick={() => handleOpenFeedbackDialog(event)}
-              >
-                <MessageSquare className="mr-2 h-4 w-4" />
-                {event.hasFeedback ? "View/Edit Feedback" : "Provide Feedback"}
-              </Button>
+              {(event.canGiveFeedback || event.hasFeedback) && (
+                <Button 
+                  variant="outline" 
+                  className="inline-flex items-center"
+                  onClick={() => handleOpenFeedbackDialog(event)}
+                >
+                  <MessageSquare className="mr-2 h-4 w-4" />
+                  {getFeedbackButtonLabel(event)}
+                </Button>
+              )}
 
               {event.status === "past" && (
                 <div className="inline-flex items-center text-muted-foreground text-sm">
@@ -267,7 +430,7 @@ export default function EventsPage() {
           className="fixed inset-0 bg-black/50 backdrop-blur-sm" 
           onClick={() => setFeedbackDialogOpen(false)}
         />
-        <div className="z-50 w-full max-w-md bg-white dark:bg-gray-800 rounded-lg shadow-lg p-6 relative">
+        <div className="z-50 w-full max-w-md max-h-[85vh] overflow-y-auto bg-white dark:bg-gray-800 rounded-lg shadow-lg p-6 relative">
           <button
             className="absolute right-4 top-4 rounded-sm opacity-70 hover:opacity-100"
             onClick={() => setFeedbackDialogOpen(false)}
@@ -289,37 +452,26 @@ export default function EventsPage() {
                 <div className="p-3 bg-muted rounded-md">
                   <h3 className="font-medium">{selectedEvent.title}</h3>
                   <p className="text-sm text-muted-foreground">{selectedEvent.date} • {selectedEvent.start_time} - {selectedEvent.end_time}</p>
+                  {selectedEvent.canGiveFeedback && selectedEvent.feedbackClosesAt && (
+                    <p className="text-xs text-muted-foreground mt-1">
+                      Feedback closes {new Date(selectedEvent.feedbackClosesAt).toLocaleDateString("en-US", { month: "long", day: "numeric", year: "numeric" })}
+                    </p>
+                  )}
                 </div>
 
-                <div className="space-y-2">
-                  <Label htmlFor="rating" className="font-medium">Rating</Label>
-                  <div className="flex gap-1">
-                    {[1, 2, 3, 4, 5].map((star) => (
-                      <button
-                        key={star}
-                        type="button"
-                        onClick={() => setRating(star)}
-                        className={`text-2xl ${
-                          star <= rating ? "text-yellow-400" : "text-gray-300"
-                        }`}
-                        aria-label={`Rate ${star} star${star !== 1 ? 's' : ''}`}
-                      >
-                        ★
-                      </button>
-                    ))}
-                  </div>
-                </div>
+                {feedbackBlocked && (
+                  <p className="text-sm text-muted-foreground">{feedbackBlocked.message}</p>
+                )}
 
-                <div className="space-y-2">
-                  <Label htmlFor="feedback" className="font-medium">Comments</Label>
-                  <textarea
-                    id="feedback"
-                    className="w-full p-2 border rounded-md min-h-[100px]"
-                    placeholder="Share your thoughts about this event..."
-                    value={feedbackText}
-                    onChange={(e) => setFeedbackText(e.target.value)}
+                {survey ? (
+                  <SurveyForm
+                    questions={survey.questions}
+                    answers={surveyAnswers}
+                    onChange={(questionId, value) => setSurveyAnswers((prev) => ({ ...prev, [questionId]: value }))}
                   />
-                </div>
+                ) : (
+                  <p className="text-sm text-muted-foreground">Loading survey...</p>
+                )}
               </div>
             )}
 
@@ -327,7 +479,7 @@ export default function EventsPage() {
               <Button type="button" variant="outline" onClick={() => setFeedbackDialogOpen(false)}>
                 Cancel
               </Button>
-              <Button onClick={handleSubmitFeedback} disabled={isSubmitting}>
+              <Button onClick={handleSubmitFeedback} disabled={isSubmitting || !survey || !!feedbackBlocked}>
                 {isSubmitting ? "Submitting..." : "Submit Feedback"}
               </Button>
             </div>
@@ -414,8 +566,18 @@ export default function EventsPage() {
                 <p className="text-sm text-muted-foreground whitespace-pre-wrap">{selectedEvent.description}</p>
               </div>
 
+              {renderRegistration(selectedEvent)}
+
               {/* Quick Actions */}
               <div className="flex flex-wrap gap-3 pt-4">
+                {selectedEvent.status === "upcoming" && (
+                  <Button variant="outline" className="flex items-center gap-2" asChild>
+                    <a href={`/api/calendar/events/${selectedEvent.id}`}>
+                      <CalendarPlus className="h-4 w-4" />
+                      Add to Calendar
+                    </a>
+                  </Button>
+                )}
                 <Button
                   onClick={() => {
                     setDetailsDialogOpen(false);
@@ -427,17 +589,19 @@ export default function EventsPage() {
                   <QrCode className="h-4 w-4" />
                   View Attendance Page
                 </Button>
-                <Button
-                  onClick={() => {
-                    setDetailsDialogOpen(false);
-                    handleOpenFeedbackDialog(selectedEvent);
-                  }}
-                  variant="outline"
-                  className="flex items-center gap-2"
-                >
-                  <MessageSquare className="h-4 w-4" />
-                  {selectedEvent.hasFeedback ? "View/Edit Feedback" : "Provide Feedback"}
-                </Button>
+                {(selectedEvent.canGiveFeedback || selectedEvent.hasFeedback) && (
+                  <Button
+                    onClick={() => {
+                      setDetailsDialogOpen(false);
+                      handleOpenFeedbackDialog(selectedEvent);
+                    }}
+                    variant="outline"
+                    className="flex items-center gap-2"
+                  >
+                    <MessageSquare className="h-4 w-4" />
+                    {getFeedbackButtonLabel(selectedEvent)}
+                  </Button>
+                )}
               </div>
             </div>
           </motion.div>
@@ -449,7 +613,7 @@ export default function EventsPage() {
   return (
     <div className="space-y-6">
       {/* Tabs */}
-      <div className="flex space-x-4 border-b">
+      <div className="flex items-end space-x-4 border-b">
         <button
           className={`pb-2 px-4 ${activeTab === "upcoming" ? "border-b-2 border-[#A91827] text-[#A91827]" : "text-muted-foreground"}`}
           onClick={() => setActiveTab("upcoming")}
@@ -462,11 +626,22 @@ export default function EventsPage() {
         >
           Past Events
         </button>
+        <Button
+          variant="outline"
+          size="sm"
+          className="ml-auto mb-2 inline-flex items-center"
+          onClick={() => setCalendarDialogOpen(true)}
+        >
+          <CalendarPlus className="mr-2 h-4 w-4" />
+          Subscribe to Calendar
+        </Button>
       </div>
 
+      <EventFilters filters={filters} onChange={setFilters} tags={availableTags} />
+
       {/* Event Cards */}
       <div className="grid gap-6">
-        {activeTab === "upcoming" ? renderEventCards(upcomingEvents) : renderEventCards(pastEvents)}
+        {activeTab === "upcoming" ? renderEventCards(filteredUpcoming) : renderEventCards(filteredPast)}
       </div>
 
       {/* Feedback Modal */}
@@ -474,6 +649,8 @@ export default function EventsPage() {
 
       {/* Details Dialog */}
       {renderDetailsDialog()}
+
+      <CalendarFeedDialog open={calendarDialogOpen} onOpenChange={setCalendarDialogOpen} />
     </div>
   )
 }
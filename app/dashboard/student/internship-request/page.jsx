@@ -1,6 +1,6 @@
 "use client"
 
-import { useState, useEffect } from "react"
+import { useState, useEffect, useCallback } from "react"
 import { useRouter } from "next/navigation"
 import { Check, X, AlertCircle, Download } from "lucide-react"
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
@@ -34,6 +34,8 @@ export default function InternshipRequestPage() {
   const [isLoading, setIsLoading] = useState(true)
   const [error, setError] = useState(null)
   const [requirements, setRequirements] = useState([])
+  const [eligible, setEligible] = useState(false)
+  const [updatingRequirementId, setUpdatingRequirementId] = useState(null)
   const [existingRequest, setExistingRequest] = useState(null)
   const [formData, setFormData] = useState({
     companyName: "",
@@ -44,40 +46,73 @@ export default function InternshipRequestPage() {
     preferredStartDate: "",
   })
 
-  // Fetch requirements data from the API
-  useEffect(() => {
-    const fetchRequirements = async () => {
-      try {
-        setIsLoading(true)
-        const response = await fetch('/api/dashboard/student/internship-request', {
-          headers: {
-            'Content-Type': 'application/json',
-          }
-        })
-        
-        if (!response.ok) {
-          throw new Error('Failed to fetch requirements')
+  // Fetch requirements data from the API; silent refreshes keep the list on screen
+  const fetchRequirements = useCallback(async ({ silent = false } = {}) => {
+    try {
+      if (!silent) setIsLoading(true)
+      const response = await fetch('/api/dashboard/student/internship-request', {
+        headers: {
+          'Content-Type': 'application/json',
         }
-        
-        const data = await response.json()
-        setRequirements(data.requirements || [])
-        setExistingRequest(data.request)
-        setError(null)
-      } catch (err) {
-        console.error('Error fetching requirements:', err)
-        setError('Failed to load requirements. Please try again later.')
-        toast({
-          title: "Error",
-          description: "Failed to load requirements. Please try again later.",
-          variant: "destructive",
-        })
-      } finally {
-        setIsLoading(false)
+      })
+      
+      if (!response.ok) {
+        throw new Error('Failed to fetch requirements')
       }
+      
+      const data = await response.json()
+      setRequirements(data.requirements || [])
+      setEligible(Boolean(data.eligible))
+      setExistingRequest(data.request)
+      setError(null)
+    } catch (err) {
+      console.error('Error fetching requirements:', err)
+      setError('Failed to load requirements. Please try again later.')
+      toast({
+        title: "Error",
+        description: "Failed to load requirements. Please try again later.",
+        variant: "destructive",
+      })
+    } finally {
+      setIsLoading(false)
     }
+  }, [toast])
 
+  useEffect(() => {
     fetchRequirements()
-  }, [toast])
+  }, [fetchRequirements])
+
+  // Ticks a requirement the student confirms themselves on or off
+  const handleConfirmRequirement = async (requirement) => {
+    try {
+      setUpdatingRequirementId(requirement.id)
+      const response = await fetch("/api/dashboard/student/internship-request", {
+        method: "PATCH",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          requirementId: requirement.id,
+          completed: !requirement.completed,
+        }),
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to update requirement")
+      }
+
+      await fetchRequirements({ silent: true })
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error.message,
+        variant: "destructive",
+      })
+    } finally {
+      setUpdatingRequirementId(null)
+    }
+  }
 
   // If loading data, show loading spinner
   if (isLoading) {
@@ -88,10 +123,12 @@ export default function InternshipRequestPage() {
     )
   }
 
-  const completedRequirements = requirements.filter((req) => req.completed).length
-  const totalRequirements = requirements.length
-  const progress = (completedRequirements / totalRequirements) * 100
-  const allRequirementsMet = completedRequirements === totalRequirements
+  // Optional rules are listed but do not count towards eligibility
+  const requiredRequirements = requirements.filter((req) => req.required)
+  const completedRequirements = requiredRequirements.filter((req) => req.completed).length
+  const totalRequirements = requiredRequirements.length
+  const progress = totalRequirements > 0 ? (completedRequirements / totalRequirements) * 100 : 100
+  const allRequirementsMet = eligible
 
   const handleInputChange = (e) => {
     const { name, value } = e.target
@@ -268,7 +305,7 @@ export default function InternshipRequestPage() {
         <CardHeader>
           <CardTitle>Requirements Progress</CardTitle>
           <p className="text-sm text-muted-foreground">
-            You have completed {completedRequirements} out of {totalRequirements} requirements
+            You have completed {completedRequirements} out of {totalRequirements} required requirements
           </p>
         </CardHeader>
         <CardContent>
@@ -295,9 +332,22 @@ export default function InternshipRequestPage() {
                 <div className="flex-1">
                   <p className={cn("font-medium", requirement.completed ? "text-green-800" : "text-red-800")}>
                     {requirement.description}
+                    {!requirement.required && (
+                      <span className="ml-2 text-xs font-normal text-muted-foreground">(Optional)</span>
+                    )}
                   </p>
                   <p className="text-sm text-muted-foreground mt-1">{requirement.details}</p>
                 </div>
+                {requirement.manual && (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => handleConfirmRequirement(requirement)}
+                    disabled={updatingRequirementId === requirement.id}
+                  >
+                    {requirement.completed ? "Undo" : "Mark as Done"}
+                  </Button>
+                )}
               </div>
             ))}
           </div>
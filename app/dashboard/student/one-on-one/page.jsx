@@ -1,7 +1,7 @@
 "use client"
 
-import { useState, useEffect } from "react"
-import { CalendarIcon, Clock, MapPin, Check } from "lucide-react"
+import { useState, useEffect, useCallback } from "react"
+import { CalendarIcon, CalendarPlus, Clock, MapPin, Check } from "lucide-react"
 import { Card, CardContent } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
 import Calendar from "@/components/ui/calendar"
@@ -11,52 +11,24 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@
 import { Label } from "@/components/ui/label"
 import { Textarea } from "@/components/ui/textarea"
 import { format } from "@/lib/date-utils"
+import { format as formatDate } from "date-fns"
 import { useToast } from "@/hooks/use-toast"
 import { AlertCircle } from "lucide-react"
 import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert"
 import { Input } from "@/components/ui/input"
 import { createClient } from "@/utils/supabase/client"
 import { useAuth } from "@/hooks/use-auth"
+import { CalendarFeedDialog } from "@/components/calendar/CalendarFeedDialog"
+import { isBlackedOut } from "@/lib/sessions/availability"
+import { RescheduleSessionDialog } from "@/components/sessions/RescheduleSessionDialog"
 
 // Supabase client functions
 const getUserSessions = async () => {
-  const supabase = createClient()
-  const { data: { user } } = await supabase.auth.getUser()
-
-  if (!user) throw new Error("Not authenticated")
-
-  const { data: sessionsData } = await supabase
-    .from("sessions")
-    .select(`
-      *,
-      advisor:advisor_id (
-        id,
-        fname,
-        lname,
-        email
-      )
-    `)
-    .eq("student_id", user.id)
-    .order("date", { ascending: true })
-
-  if (!sessionsData) return { upcomingSessions: [], pastSessions: [] }
-
-  // Separate into upcoming and past sessions
-  const today = new Date()
-  today.setHours(0, 0, 0, 0)
-
-  const upcomingSessions = sessionsData.filter((session) => {
-    if (session.status === "cancelled") return false
-    const sessionDate = new Date(session.date)
-    return sessionDate >= today && session.status === "scheduled"
-  })
-
-  const pastSessions = sessionsData.filter((session) => {
-    const sessionDate = new Date(session.date)
-    return sessionDate < today || session.status === "completed" || session.status === "cancelled"
-  })
+  const response = await fetch("/api/sessions")
+  const data = await response.json()
+  if (!response.ok) throw new Error(data.error || "Failed to load sessions")
 
-  return { upcomingSessions, pastSessions }
+  return data
 }
 
 const getBookingStatus = async (advisorId = null) => {
@@ -92,6 +64,14 @@ const getBookingStatus = async (advisorId = null) => {
   }
 }
 
+const getSessionTypes = async () => {
+  const response = await fetch("/api/dashboard/student/session-types")
+  const data = await response.json()
+  if (!response.ok) throw new Error(data.error || "Failed to load session types")
+
+  return data.sessionTypes
+}
+
 const getAdvisors = async () => {
   const supabase = createClient()
   
@@ -104,85 +84,16 @@ const getAdvisors = async () => {
   return advisors || []
 }
 
-const bookSession = async (formData) => {
-  const supabase = createClient()
-  const { data: { user }, error: userError } = await supabase.auth.getUser()
-
-  if (!user) throw new Error("Not authenticated")
-
+// Booking and cancelling go through /api/sessions, which checks the slot and notifies the advisor
+const bookSession = async (booking) => {
   try {
-    // First, get the user's ID from the public.users table using email
-    const { data: userData, error: userDataError } = await supabase
-      .from('users')
-      .select('id')
-      .eq('email', user.email)
-      .single()
-
-    if (userDataError) throw new Error('Failed to get user data')
-
-    // Calculate end time (1 hour after start time)
-    const [hours, minutes] = formData.get("time").split(":").map(Number)
-    const endHours = (hours + 1) % 24
-    const endTime = `${endHours.toString().padStart(2, "0")}:${minutes.toString().padStart(2, "0")}`
-
-    // Check for double booking
-    const { data: existingSession } = await supabase
-      .from("sessions")
-      .select("id")
-      .eq("advisor_id", formData.get("advisor_id"))
-      .eq("date", formData.get("date"))
-      .eq("time", formData.get("time"))
-      .eq("status", "scheduled")
-      .limit(1)
-
-    if (existingSession && existingSession.length > 0) {
-      return { success: false, message: "This time slot is already booked" }
-    }
-
-    // Create the session
-    const { data: newSession, error: sessionError } = await supabase
-      .from("sessions")
-      .insert({
-        student_id: userData.id, // Use the ID from public.users table
-        advisor_id: formData.get("advisor_id"),
-        date: formData.get("date"),
-        time: formData.get("time"),
-        end_time: endTime,
-        location: formData.get("location"),
-        status: "scheduled",
-      })
-      .select()
-      .single()
-
-    if (sessionError) throw sessionError
-
-    // Create notifications for both student and advisor
-    const notifications = [
-      {
-        user_id: userData.id, // Student notification
-        type: 'session',
-        title: 'Session Booked',
-        message: `Your career advising session has been scheduled for ${formData.get("date")} at ${formData.get("time")}.`,
-        metadata: { session_id: newSession.id }
-      },
-      {
-        user_id: formData.get("advisor_id"), // Advisor notification
-        type: 'session',
-        title: 'New Session Booking',
-        message: `A new career advising session has been scheduled for ${formData.get("date")} at ${formData.get("time")}.`,
-        metadata: { session_id: newSession.id }
-      }
-    ]
-
-    // Insert notifications
-    const { error: notificationError } = await supabase
-      .from('notifications')
-      .insert(notifications)
-
-    if (notificationError) {
-      console.error('Error creating notifications:', notificationError)
-      // Don't fail the booking if notifications fail
-    }
+    const response = await fetch("/api/sessions", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(booking),
+    })
+    const data = await response.json()
+    if (!response.ok) return { success: false, message: data.error }
 
     return { success: true }
   } catch (error) {
@@ -192,22 +103,14 @@ const bookSession = async (formData) => {
 }
 
 const cancelSession = async (sessionId, reason) => {
-  const supabase = createClient()
-  const { data: { user } } = await supabase.auth.getUser()
-
-  if (!user) throw new Error("Not authenticated")
-
   try {
-    const { error } = await supabase
-      .from("sessions")
-      .update({
-        status: "cancelled",
-        cancellation_reason: reason,
-        cancelled_by: user.id,
-      })
-      .eq("id", sessionId)
-
-    if (error) throw error
+    const response = await fetch(`/api/sessions/${sessionId}/cancel`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ reason }),
+    })
+    const data = await response.json()
+    if (!response.ok) return { success: false, message: data.error }
 
     return { success: true }
   } catch (error) {
@@ -234,9 +137,14 @@ export default function OneOnOnePage() {
   const [isLoading, setIsLoading] = useState(true)
   const [isBookingEnabled, setIsBookingEnabled] = useState(true)
   const [searchQuery, setSearchQuery] = useState("")
-
-  // Available time slots - could be fetched from database in the future
-  const timeSlots = ["09:00", "10:00", "11:00", "13:00", "14:00", "15:00", "16:00"]
+  const [calendarDialogOpen, setCalendarDialogOpen] = useState(false)
+  const [schedule, setSchedule] = useState(null)
+  const [slots, setSlots] = useState([])
+  const [isLoadingSlots, setIsLoadingSlots] = useState(false)
+  const [rescheduleSession, setRescheduleSession] = useState(null)
+  const [sessionTypes, setSessionTypes] = useState([])
+  const [sessionTypeId, setSessionTypeId] = useState("")
+  const [intakeAnswers, setIntakeAnswers] = useState({})
 
   // Format time for display
   const formatTimeForDisplay = (time) => {
@@ -261,6 +169,14 @@ export default function OneOnOnePage() {
         const sessionsData = await getUserSessions()
         setSessions(sessionsData)
 
+        // Get session types
+        const sessionTypesData = await getSessionTypes()
+        setSessionTypes(sessionTypesData)
+        if (sessionTypesData.length > 0) {
+          setSessionTypeId(sessionTypesData[0].id)
+          setLocation(sessionTypesData[0].locationOptions[0] ?? "Career Center, Room 203")
+        }
+
         // Get advisors
         const advisorsData = await getAdvisors()
         console.log("Fetched advisors:", advisorsData)
@@ -303,6 +219,71 @@ export default function OneOnOnePage() {
     fetchData()
   }, [toast])
 
+  // Load the selected advisor's working days and blackouts for the date picker
+  useEffect(() => {
+    if (!isBookingDialogOpen || !advisorId) return
+
+    setSchedule(null)
+    setDate(null)
+    setTime("")
+    fetch(`/api/dashboard/student/advisors/${advisorId}/slots`)
+      .then(async (response) => {
+        const data = await response.json()
+        if (!response.ok) throw new Error(data.error || "Failed to load availability")
+        setSchedule(data)
+      })
+      .catch((error) => {
+        console.error("Error fetching advisor availability:", error)
+        toast({ title: "Error", description: error.message, variant: "destructive" })
+      })
+  }, [isBookingDialogOpen, advisorId, toast])
+
+  // Fetch the open slots for the selected advisor and day
+  const fetchSlots = useCallback(async () => {
+    if (!advisorId || !date) {
+      setSlots([])
+      return
+    }
+
+    try {
+      setIsLoadingSlots(true)
+      const typeQuery = sessionTypeId ? `&type=${sessionTypeId}` : ""
+      const response = await fetch(
+        `/api/dashboard/student/advisors/${advisorId}/slots?date=${formatDate(date, "yyyy-MM-dd")}${typeQuery}`,
+      )
+      const data = await response.json()
+      if (!response.ok) throw new Error(data.error || "Failed to load open slots")
+      setSlots(data.slots)
+    } catch (error) {
+      console.error("Error fetching open slots:", error)
+      setSlots([])
+    } finally {
+      setIsLoadingSlots(false)
+    }
+  }, [advisorId, date, sessionTypeId])
+
+  useEffect(() => {
+    setTime("")
+    fetchSlots()
+  }, [fetchSlots])
+
+  // Days before today, past the booking horizon, off the advisor's week or blacked out
+  const isDateUnavailable = (day) => {
+    if (!schedule) return true
+
+    const today = new Date()
+    today.setHours(0, 0, 0, 0)
+    const lastDay = new Date(today)
+    lastDay.setDate(lastDay.getDate() + schedule.horizonDays)
+
+    return (
+      day < today ||
+      day > lastDay ||
+      !schedule.weekdays.includes(day.getDay()) ||
+      isBlackedOut(formatDate(day, "yyyy-MM-dd"), schedule.blackouts)
+    )
+  }
+
   const handleBookSession = async () => {
     if (!date || !time || !advisorId) {
       toast({
@@ -328,24 +309,15 @@ export default function OneOnOnePage() {
 
     try {
       // Format date to ISO string (YYYY-MM-DD)
-      const formattedDate = format(date, "yyyy-MM-dd")
-
-      // Create form data
-      const formData = new FormData()
-      formData.append("date", formattedDate)
-      formData.append("time", time)
-      formData.append("advisor_id", advisorId)
-      formData.append("location", location)
-
-      console.log("Booking session with data:", {
+      const formattedDate = formatDate(date, "yyyy-MM-dd")
+      const result = await bookSession({
+        advisorId,
         date: formattedDate,
         time,
-        advisorId,
         location,
+        sessionTypeId: sessionTypeId || null,
+        intakeAnswers,
       })
-
-      // Submit the form
-      const result = await bookSession(formData)
       console.log("Booking result:", result)
 
       if (result.success) {
@@ -362,12 +334,15 @@ export default function OneOnOnePage() {
         setIsBookingDialogOpen(false)
         setDate(null)
         setTime("")
+        setIntakeAnswers({})
       } else {
         toast({
           title: "Booking Failed",
           description: result.message || "Failed to book session. Please try again.",
           variant: "destructive",
         })
+        // Someone may have taken the slot in the meantime
+        fetchSlots()
       }
     } catch (error) {
       console.error("Error booking session:", error)
@@ -434,6 +409,20 @@ export default function OneOnOnePage() {
     setIsCancelDialogOpen(true)
   }
 
+  const selectedSessionType = sessionTypes.find((sessionType) => sessionType.id === sessionTypeId)
+  const locationOptions = selectedSessionType?.locationOptions.length
+    ? selectedSessionType.locationOptions
+    : ["Career Center, Room 203", "Career Center, Room 204", "Online (Zoom)"]
+
+  const handleSessionTypeChange = (value) => {
+    const sessionType = sessionTypes.find((item) => item.id === value)
+    setSessionTypeId(value)
+    setIntakeAnswers({})
+    if (sessionType?.locationOptions.length && !sessionType.locationOptions.includes(location)) {
+      setLocation(sessionType.locationOptions[0])
+    }
+  }
+
   // Get advisor name by ID
   const getAdvisorName = (id) => {
     const advisor = advisors.find((a) => a.id.toString() === id.toString())
@@ -473,6 +462,9 @@ export default function OneOnOnePage() {
 
   // Check if there are any available advisors
   const hasAvailableAdvisors = availableAdvisors.length > 0
+  // Too many no-shows this semester; an advisor can lift this
+  const noShowStanding = sessions.noShowStanding
+  const isBlockedForNoShows = noShowStanding?.blocked === true
 
   return (
     <div className="space-y-6">
@@ -481,9 +473,15 @@ export default function OneOnOnePage() {
           <h1 className="text-2xl font-serif font-medium">1-on-1 Sessions</h1>
           <p className="text-muted-foreground mt-1">Book and manage your career advising sessions</p>
         </div>
-        <Button onClick={() => setIsBookingDialogOpen(true)} disabled={!isBookingEnabled || !hasAvailableAdvisors}>
-          Book New Session
-        </Button>
+        <div className="flex items-center gap-2">
+          <Button variant="outline" onClick={() => setCalendarDialogOpen(true)}>
+            <CalendarPlus className="h-4 w-4 mr-2" />
+            Subscribe to Calendar
+          </Button>
+          <Button onClick={() => setIsBookingDialogOpen(true)} disabled={!isBookingEnabled || !hasAvailableAdvisors || isBlockedForNoShows}>
+            Book New Session
+          </Button>
+        </div>
       </div>
 
       {!isBookingEnabled && (
@@ -497,6 +495,17 @@ export default function OneOnOnePage() {
         </Alert>
       )}
 
+      {isBlockedForNoShows && (
+        <Alert variant="warning">
+          <AlertCircle className="h-4 w-4" />
+          <AlertTitle>Booking Paused</AlertTitle>
+          <AlertDescription>
+            You have missed {noShowStanding.noShows} sessions this semester without cancelling, so you cannot book new
+            sessions for now. Please contact your advisor to book again.
+          </AlertDescription>
+        </Alert>
+      )}
+
       {isBookingEnabled && !hasAvailableAdvisors && (
         <Alert variant="warning">
           <AlertCircle className="h-4 w-4" />
@@ -553,6 +562,9 @@ export default function OneOnOnePage() {
                         <p className="text-muted-foreground">
                           With {session.advisor.fname} {session.advisor.lname}
                         </p>
+                        {session.session_type && (
+                          <p className="text-sm font-medium text-[#A91827]">{session.session_type.name}</p>
+                        )}
 
                         <div className="mt-4 space-y-2">
                           <div className="flex items-center gap-2">
@@ -563,10 +575,26 @@ export default function OneOnOnePage() {
                             <MapPin className="h-4 w-4 text-muted-foreground" />
                             <span>{session.location}</span>
                           </div>
+                          {session.reschedule_history?.length > 0 && (
+                            <p className="text-xs text-muted-foreground">
+                              Rescheduled from{" "}
+                              {format(new Date(session.reschedule_history.at(-1).from_date), "MMMM d, yyyy")} at{" "}
+                              {formatTimeForDisplay(session.reschedule_history.at(-1).from_time)}
+                            </p>
+                          )}
                         </div>
                       </div>
 
                       <div className="flex items-center gap-2">
+                        <Button variant="outline" size="sm" asChild>
+                          <a href={`/api/calendar/sessions/${session.id}`}>
+                            <CalendarPlus className="h-4 w-4 mr-2" />
+                            Add to Calendar
+                          </a>
+                        </Button>
+                        <Button variant="outline" size="sm" onClick={() => setRescheduleSession(session)}>
+                          Reschedule
+                        </Button>
                         <Button variant="destructive" size="sm" onClick={() => openCancelDialog(session)}>
                           Cancel
                         </Button>
@@ -583,7 +611,7 @@ export default function OneOnOnePage() {
                 <Button
                   className="mt-4"
                   onClick={() => setIsBookingDialogOpen(true)}
-                  disabled={!isBookingEnabled || !hasAvailableAdvisors}
+                  disabled={!isBookingEnabled || !hasAvailableAdvisors || isBlockedForNoShows}
                 >
                   Book a Session
                 </Button>
@@ -613,19 +641,26 @@ export default function OneOnOnePage() {
                                 ? "bg-green-100 text-green-800"
                                 : session.status === "cancelled"
                                   ? "bg-red-100 text-red-800"
-                                  : "bg-blue-100 text-blue-800"
+                                  : session.status === "no_show"
+                                    ? "bg-orange-100 text-orange-800"
+                                    : "bg-blue-100 text-blue-800"
                             }`}
                           >
                             {session.status === "completed"
                               ? "Completed"
                               : session.status === "cancelled"
                                 ? "Cancelled"
-                                : "Past"}
+                                : session.status === "no_show"
+                                  ? "Missed"
+                                  : "Past"}
                           </span>
                         </div>
                         <p className="text-muted-foreground">
                           With {session.advisor.fname} {session.advisor.lname}
                         </p>
+                        {session.session_type && (
+                          <p className="text-sm font-medium text-[#A91827]">{session.session_type.name}</p>
+                        )}
 
                         <div className="mt-4 space-y-2">
                           <div className="flex items-center gap-2">
@@ -639,6 +674,17 @@ export default function OneOnOnePage() {
                             </p>
                           )}
 
+                          {/* Imported .ics copies only change when the updated file is opened */}
+                          {session.status === "cancelled" && new Date(session.date) >= new Date(new Date().toDateString()) && (
+                            <a
+                              href={`/api/calendar/sessions/${session.id}`}
+                              className="inline-flex items-center text-sm text-muted-foreground hover:text-foreground"
+                            >
+                              <CalendarPlus className="h-4 w-4 mr-1" />
+                              Remove from my calendar
+                            </a>
+                          )}
+
                           {session.notes && (
                             <p className="text-sm mt-2 p-3 bg-muted rounded-md">
                               <span className="font-medium">Notes:</span> {session.notes}
@@ -674,6 +720,31 @@ export default function OneOnOnePage() {
           {hasAvailableAdvisors ? (
             <div className="grid gap-4 py-4">
               <div className="grid gap-4">
+                {sessionTypes.length > 0 && (
+                  <div className="space-y-2">
+                    <Label>Session Type</Label>
+                    <Select value={sessionTypeId} onValueChange={handleSessionTypeChange}>
+                      <SelectTrigger className="w-full">
+                        <span className="text-sm">
+                          {selectedSessionType
+                            ? `${selectedSessionType.name} (${selectedSessionType.durationMinutes} min)`
+                            : "Select a session type"}
+                        </span>
+                      </SelectTrigger>
+                      <SelectContent className="max-h-[300px]">
+                        {sessionTypes.map((sessionType) => (
+                          <SelectItem key={sessionType.id} value={sessionType.id}>
+                            {sessionType.name} ({sessionType.durationMinutes} min)
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    {selectedSessionType?.description && (
+                      <p className="text-xs text-muted-foreground">{selectedSessionType.description}</p>
+                    )}
+                  </div>
+                )}
+
                 <div className="space-y-2">
                   <Label htmlFor="advisor">Select Advisor</Label>
                   <Select
@@ -743,22 +814,13 @@ export default function OneOnOnePage() {
                     >
                       <div className="p-2 border-b">
                         <h4 className="font-medium text-sm">Select an available date</h4>
-                        <p className="text-xs text-muted-foreground">Weekends are not available</p>
+                        <p className="text-xs text-muted-foreground">Only days your advisor is available can be picked</p>
                       </div>
                       <Calendar
                         mode="single"
                         selected={date}
                         onSelect={setDate}
-                        disabled={(date) => {
-                          // Disable past dates, weekends, and dates more than 2 months in the future
-                          const today = new Date()
-                          today.setHours(0, 0, 0, 0)
-
-                          const twoMonthsFromNow = new Date()
-                          twoMonthsFromNow.setMonth(twoMonthsFromNow.getMonth() + 2)
-
-                          return date < today || date > twoMonthsFromNow || date.getDay() === 0 || date.getDay() === 6
-                        }}
+                        disabled={isDateUnavailable}
                         className="rounded-md border-0"
                       />
                     </PopoverContent>
@@ -767,19 +829,27 @@ export default function OneOnOnePage() {
 
                 <div className="space-y-2">
                   <h3 className="font-medium">Select Time</h3>
-                  <Select value={time} onValueChange={setTime}>
+                  <Select value={time} onValueChange={setTime} disabled={!date || slots.length === 0}>
                     <SelectTrigger className="w-full">
                       <SelectValue placeholder="Select a time">
-                        {time ? formatTimeForDisplay(time) : "Select a time"}
+                        {time
+                          ? formatTimeForDisplay(time)
+                          : !date
+                            ? "Select a date first"
+                            : isLoadingSlots
+                              ? "Loading open slots..."
+                              : slots.length === 0
+                                ? "No open slots on this day"
+                                : "Select a time"}
                       </SelectValue>
                     </SelectTrigger>
                     <SelectContent className="max-h-[300px] overflow-y-auto">
                       <div className="p-2 border-b">
                         <h4 className="font-medium text-sm">Available time slots</h4>
                       </div>
-                      {timeSlots.map((slot) => (
-                        <SelectItem key={slot} value={slot} className="cursor-pointer hover:bg-gray-100">
-                          {formatTimeForDisplay(slot)}
+                      {slots.map((slot) => (
+                        <SelectItem key={slot.time} value={slot.time} className="cursor-pointer hover:bg-gray-100">
+                          {formatTimeForDisplay(slot.time)} – {formatTimeForDisplay(slot.endTime)}
                         </SelectItem>
                       ))}
                     </SelectContent>
@@ -793,12 +863,29 @@ export default function OneOnOnePage() {
                       <SelectValue>{location}</SelectValue>
                     </SelectTrigger>
                     <SelectContent className="max-h-[300px] overflow-y-auto">
-                      <SelectItem value="Career Center, Room 203">Career Center, Room 203</SelectItem>
-                      <SelectItem value="Career Center, Room 204">Career Center, Room 204</SelectItem>
-                      <SelectItem value="Online (Zoom)">Online (Zoom)</SelectItem>
+                      {locationOptions.map((option) => (
+                        <SelectItem key={option} value={option}>
+                          {option}
+                        </SelectItem>
+                      ))}
                     </SelectContent>
                   </Select>
                 </div>
+
+                {selectedSessionType?.intakeQuestions.map((question) => (
+                  <div key={question.id} className="space-y-2">
+                    <Label htmlFor={`intake-${question.id}`}>
+                      {question.prompt}
+                      {question.required && <span className="text-[#A91827]"> *</span>}
+                    </Label>
+                    <Textarea
+                      id={`intake-${question.id}`}
+                      rows={2}
+                      value={intakeAnswers[question.id] ?? ""}
+                      onChange={(e) => setIntakeAnswers((prev) => ({ ...prev, [question.id]: e.target.value }))}
+                    />
+                  </div>
+                ))}
               </div>
             </div>
           ) : (
@@ -824,6 +911,14 @@ export default function OneOnOnePage() {
         </DialogContent>
       </Dialog>
 
+      <RescheduleSessionDialog
+        open={Boolean(rescheduleSession)}
+        onOpenChange={(open) => !open && setRescheduleSession(null)}
+        session={rescheduleSession}
+        advisors={availableAdvisors}
+        onRescheduled={async () => setSessions(await getUserSessions())}
+      />
+
       {/* Cancel Session Dialog */}
       <Dialog open={isCancelDialogOpen} onOpenChange={setIsCancelDialogOpen}>
         <DialogContent className="sm:max-w-md">
@@ -870,6 +965,8 @@ export default function OneOnOnePage() {
           </DialogFooter>
         </DialogContent>
       </Dialog>
+
+      <CalendarFeedDialog open={calendarDialogOpen} onOpenChange={setCalendarDialogOpen} />
     </div>
   )
 }
@@ -0,0 +1,319 @@
+"use client";
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useParams } from "next/navigation";
+import { Card } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Calendar, CheckCircle, Delete, Lock, MapPin, XCircle } from "lucide-react";
+
+// How long the confirmation and result screens stay up before the kiosk resets
+const CONFIRM_TIMEOUT_MS = 15000;
+const RESULT_RESET_MS = 3000;
+const MAX_INPUT_LENGTH = 12;
+
+const KEYPAD_KEYS = ["1", "2", "3", "4", "5", "6", "7", "8", "9", "clear", "0", "back"];
+
+/**
+ * On-screen numeric keypad for student IDs and the unlock PIN
+ *
+ * @param {Object} props
+ * @param {Function} props.onKey - Called with a digit, "clear" or "back"
+ * @param {boolean} props.disabled - Whether the keys are disabled
+ */
+function Keypad({ onKey, disabled }) {
+  return (
+    <div className="grid grid-cols-3 gap-3 w-full max-w-xs mx-auto">
+      {KEYPAD_KEYS.map((key) => (
+        <Button
+          key={key}
+          type="button"
+          variant="outline"
+          onClick={() => onKey(key)}
+          disabled={disabled}
+          className="h-16 text-2xl font-semibold"
+        >
+          {key === "back" ? <Delete className="h-6 w-6" /> : key === "clear" ? "C" : key}
+        </Button>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * KioskPage runs event check-in on a shared tablet at the door.
+ *
+ * <p>Staff unlock it for one event with the event's kiosk PIN. Students then type
+ * their student ID on the keypad or scan their ID card with a USB/Bluetooth
+ * barcode reader (which types the digits and presses Enter), confirm their name
+ * and are checked in. The screen resets after every check-in, and nobody is
+ * signed in on the device.</p>
+ */
+export default function KioskPage() {
+  const params = useParams();
+  // "loading" | "locked" | "entry" | "confirm" | "result"
+  const [stage, setStage] = useState("loading");
+  const [event, setEvent] = useState(null);
+  const [input, setInput] = useState("");
+  const [student, setStudent] = useState(null);
+  const [result, setResult] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+  const [message, setMessage] = useState(null);
+  const resetTimerRef = useRef(null);
+
+  const reset = useCallback(() => {
+    clearTimeout(resetTimerRef.current);
+    setInput("");
+    setStudent(null);
+    setResult(null);
+    setMessage(null);
+    setStage("entry");
+  }, []);
+
+  const scheduleReset = useCallback((delay) => {
+    clearTimeout(resetTimerRef.current);
+    resetTimerRef.current = setTimeout(reset, delay);
+  }, [reset]);
+
+  const loadKiosk = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/kiosk/${params.session_id}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to load kiosk");
+      }
+
+      if (data.unlocked) {
+        setEvent(data.event);
+        setStage("entry");
+      } else {
+        setStage("locked");
+      }
+    } catch (error) {
+      console.error("Error loading kiosk:", error);
+      setMessage(error.message);
+      setStage("locked");
+    }
+  }, [params.session_id]);
+
+  useEffect(() => {
+    loadKiosk();
+    return () => clearTimeout(resetTimerRef.current);
+  }, [loadKiosk]);
+
+  /**
+   * Posts to a kiosk endpoint; a 401 means the kiosk was locked remotely
+   *
+   * @param {string} path - Endpoint below /api/kiosk/[session_id]
+   * @param {Object} body - JSON body
+   * @returns {Promise<{ok: boolean, data: Object}>}
+   */
+  const post = async (path, body) => {
+    const response = await fetch(`/api/kiosk/${params.session_id}${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    const data = await response.json();
+
+    if (response.status === 401 && data.code === "KIOSK_LOCKED") {
+      setInput("");
+      setStage("locked");
+    }
+
+    return { ok: response.ok, data };
+  };
+
+  const unlock = async () => {
+    if (!input) return;
+
+    setIsWorking(true);
+    const { ok, data } = await post("/unlock", { pin: input });
+    setIsWorking(false);
+    setInput("");
+
+    if (ok) {
+      setMessage(null);
+      await loadKiosk();
+    } else {
+      setMessage(data.error || "Could not unlock the kiosk");
+    }
+  };
+
+  const lookUp = async () => {
+    if (!input) return;
+
+    setIsWorking(true);
+    const { ok, data } = await post("/lookup", { studentId: input });
+    setIsWorking(false);
+
+    if (!ok) {
+      if (data.code === "KIOSK_LOCKED") return;
+      setResult({ success: false, text: data.error || "Student not found" });
+      setStage("result");
+      scheduleReset(RESULT_RESET_MS);
+      return;
+    }
+
+    if (data.alreadyCheckedIn) {
+      setResult({ success: true, text: `${data.student.name}, you're already checked in.` });
+      setStage("result");
+      scheduleReset(RESULT_RESET_MS);
+      return;
+    }
+
+    setStudent(data.student);
+    setStage("confirm");
+    scheduleReset(CONFIRM_TIMEOUT_MS);
+  };
+
+  const checkIn = async () => {
+    setIsWorking(true);
+    const { ok, data } = await post("/check-in", { studentId: student.studentId });
+    setIsWorking(false);
+
+    if (!ok && data.code === "KIOSK_LOCKED") return;
+
+    setResult(ok
+      ? { success: true, text: `Welcome, ${data.student.name}! You're checked in.` }
+      : { success: false, text: data.error || "Check-in failed" });
+    setStage("result");
+    scheduleReset(RESULT_RESET_MS);
+  };
+
+  const lock = async () => {
+    await fetch(`/api/kiosk/${params.session_id}`, { method: "DELETE" });
+    clearTimeout(resetTimerRef.current);
+    setInput("");
+    setEvent(null);
+    setStage("locked");
+  };
+
+  const handleKey = (key) => {
+    if (key === "clear") setInput("");
+    else if (key === "back") setInput((value) => value.slice(0, -1));
+    else setInput((value) => (value + key).slice(0, MAX_INPUT_LENGTH));
+  };
+
+  const submit = stage === "locked" ? unlock : lookUp;
+
+  // Physical keyboards and ID-card barcode readers type digits and press Enter
+  const submitRef = useRef(submit);
+  submitRef.current = submit;
+
+  useEffect(() => {
+    if (stage !== "entry" && stage !== "locked") return;
+
+    const onKeyDown = (e) => {
+      if (/^\d$/.test(e.key)) handleKey(e.key);
+      else if (e.key === "Backspace") handleKey("back");
+      else if (e.key === "Escape") handleKey("clear");
+      else if (e.key === "Enter") submitRef.current();
+    };
+
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [stage]);
+
+  if (stage === "loading") {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-[#A91827]"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-background to-muted/50 flex items-center justify-center p-4 select-none">
+      <Card className="w-full max-w-lg p-8 space-y-6">
+        {stage === "locked" ? (
+          <>
+            <div className="text-center space-y-2">
+              <Lock className="h-10 w-10 mx-auto text-[#A91827]" />
+              <h1 className="text-2xl font-bold">Kiosk Locked</h1>
+              <p className="text-muted-foreground">Staff: enter the event&apos;s kiosk PIN to start check-in.</p>
+            </div>
+            <div className="h-12 flex items-center justify-center text-3xl tracking-[0.5em]">
+              {"•".repeat(input.length) || <span className="text-muted-foreground text-base tracking-normal">PIN</span>}
+            </div>
+            {message && <p className="text-center text-sm text-red-500">{message}</p>}
+            <Keypad onKey={handleKey} disabled={isWorking} />
+            <Button
+              onClick={unlock}
+              disabled={isWorking || !input}
+              className="w-full h-14 text-lg bg-[#A91827] hover:bg-[#A91827]/90 text-white"
+            >
+              {isWorking ? "Unlocking..." : "Unlock"}
+            </Button>
+          </>
+        ) : (
+          <>
+            <div className="text-center space-y-1">
+              <h1 className="text-2xl font-bold">{event?.title}</h1>
+              <div className="flex flex-wrap justify-center gap-x-4 text-sm text-muted-foreground">
+                <span className="flex items-center gap-1"><Calendar className="h-4 w-4" />{event?.time}</span>
+                {event?.location && (
+                  <span className="flex items-center gap-1"><MapPin className="h-4 w-4" />{event.location}</span>
+                )}
+              </div>
+            </div>
+
+            {stage === "entry" && (
+              <>
+                <p className="text-center text-muted-foreground">Type your student ID or scan your ID card</p>
+                <div className="h-14 flex items-center justify-center rounded-lg border text-3xl font-mono tracking-widest">
+                  {input || <span className="text-muted-foreground text-base font-sans tracking-normal">Student ID</span>}
+                </div>
+                <Keypad onKey={handleKey} disabled={isWorking} />
+                <Button
+                  onClick={lookUp}
+                  disabled={isWorking || !input}
+                  className="w-full h-14 text-lg bg-[#A91827] hover:bg-[#A91827]/90 text-white"
+                >
+                  {isWorking ? "Looking up..." : "Continue"}
+                </Button>
+              </>
+            )}
+
+            {stage === "confirm" && student && (
+              <div className="text-center space-y-6 py-6">
+                <p className="text-muted-foreground">Is this you?</p>
+                <p className="text-4xl font-bold">{student.name}</p>
+                <div className="grid grid-cols-2 gap-3">
+                  <Button variant="outline" onClick={reset} disabled={isWorking} className="h-14 text-lg">
+                    No, go back
+                  </Button>
+                  <Button
+                    onClick={checkIn}
+                    disabled={isWorking}
+                    className="h-14 text-lg bg-[#A91827] hover:bg-[#A91827]/90 text-white"
+                  >
+                    {isWorking ? "Checking in..." : "Yes, check me in"}
+                  </Button>
+                </div>
+              </div>
+            )}
+
+            {stage === "result" && result && (
+              <div className="text-center space-y-4 py-10">
+                {result.success ? (
+                  <CheckCircle className="h-16 w-16 mx-auto text-green-600" />
+                ) : (
+                  <XCircle className="h-16 w-16 mx-auto text-red-500" />
+                )}
+                <p className="text-2xl font-semibold">{result.text}</p>
+              </div>
+            )}
+
+            <div className="flex justify-center">
+              <Button variant="ghost" size="sm" onClick={lock} className="text-muted-foreground">
+                <Lock className="h-4 w-4 mr-1" />
+                Lock kiosk
+              </Button>
+            </div>
+          </>
+        )}
+      </Card>
+    </div>
+  );
+}
@@ -3,9 +3,12 @@
 import { useState } from "react"
 import Link from "next/link"
 import { Calendar, Clock, MapPin, Users, ChevronRight, FileText, CheckCircle } from 'lucide-react'
+import { EventFilters, EMPTY_EVENT_FILTERS } from "@/components/events/EventFilters"
+import { EVENT_TYPES, EVENT_TYPE_LABELS, collectTags, matchesEventFilters } from "@/lib/events/categories"
 
 export default function EventsPage() {
   const [activeTab, setActiveTab] = useState("upcoming")
+  const [filters, setFilters] = useState(EMPTY_EVENT_FILTERS)
 
   // Mock data for events
   const upcomingEvents = [
@@ -17,7 +20,8 @@ export default function EventsPage() {
       location: "University Center, Main Hall",
       attendees: 123,
       description: "Our biggest career fair of the year with over 50 companies from various industries looking to recruit students for internships and full-time positions.",
-      tags: ["All Students", "Job Fair"]
+      eventType: EVENT_TYPES.CAREER_FAIR,
+      tags: ["All Students"]
     },
     {
       id: 2,
@@ -27,7 +31,8 @@ export default function EventsPage() {
       location: "Career Center, Room 202",
       attendees: 45,
       description: "Learn how to create an effective resume that highlights your skills and experiences in the best way possible.",
-      tags: ["Workshop", "Career Development"]
+      eventType: EVENT_TYPES.WORKSHOP,
+      tags: ["Career Development"]
     },
     {
       id: 3,
@@ -37,7 +42,8 @@ export default function EventsPage() {
     location: "Online (Zoom)",
       attendees: 67,
       description: "Practice answering common interview questions and receive feedback from career advisors to improve your interviewing skills.",
-      tags: ["Workshop", "Virtual"]
+      eventType: EVENT_TYPES.WORKSHOP,
+      tags: ["Virtual"]
     },
     {
       id: 4,
@@ -47,7 +53,8 @@ export default function EventsPage() {
       location: "Student Center, Meeting Room A",
       attendees: 38,
       description: "Learn effective networking strategies and how to build professional relationships that can help advance your career.",
-      tags: ["Workshop", "Professional Development"]
+      eventType: EVENT_TYPES.WORKSHOP,
+      tags: ["Professional Development"]
     }
   ]
 
@@ -60,7 +67,8 @@ export default function EventsPage() {
       location: "University Center, Main Hall",
       attendees: 210,
       description: "Our annual fall career fair featuring over 40 companies from various industries.",
-      tags: ["All Students", "Job Fair"]
+      eventType: EVENT_TYPES.CAREER_FAIR,
+      tags: ["All Students"]
     },
     {
       id: 6,
@@ -70,7 +78,8 @@ export default function EventsPage() {
       location: "Career Center, Room 202",
       attendees: 52,
       description: "Learn how to optimize your LinkedIn profile to attract recruiters and showcase your professional brand.",
-      tags: ["Workshop", "Career Development"]
+      eventType: EVENT_TYPES.WORKSHOP,
+      tags: ["Career Development"]
     },
     {
       id: 7,
@@ -80,12 +89,24 @@ export default function EventsPage() {
       location: "Tech Building, Auditorium",
       attendees: 89,
       description: "Panel discussion with industry leaders about current trends and career opportunities in the technology sector.",
-      tags: ["Panel", "Industry Specific"]
+      eventType: EVENT_TYPES.PANEL,
+      tags: ["Industry Specific"]
     }
   ]
 
+  // Events matching the search, type and tag filters
+  const availableTags = collectTags(upcomingEvents.concat(pastEvents))
+  const filteredUpcoming = upcomingEvents.filter((event) => matchesEventFilters(event, filters))
+  const filteredPast = pastEvents.filter((event) => matchesEventFilters(event, filters))
+
   // Function to render event cards
   const renderEventCards = (events) => {
+    if (events.length === 0) {
+      return (
+        <p className="text-center text-muted-foreground py-12">No events match your search and filters.</p>
+      )
+    }
+
     return events.map((event) => (
       <div key={event.id} className="bg-card rounded-lg shadow-sm overflow-hidden hover:shadow-md transition-shadow">
         <div className="p-6">
@@ -114,6 +135,11 @@ export default function EventsPage() {
           </div>
           <p className="text-muted-foreground mb-4">{event.description}</p>
           <div className="flex flex-wrap gap-2 mb-4">
+            {event.eventType && (
+              <span className="text-xs px-2 py-1 bg-primary/10 text-primary rounded-full">
+                {EVENT_TYPE_LABELS[event.eventType]}
+              </span>
+            )}
             {event.tags.map((tag, index) => (
               <span key={index} className="text-xs px-2 py-1 bg-accent rounded-full">
                 {tag}
@@ -189,9 +215,13 @@ export default function EventsPage() {
           </button>
         </div>
 
+        <div className="mb-6">
+          <EventFilters filters={filters} onChange={setFilters} tags={availableTags} />
+        </div>
+
         {/* Event List */}
         <div className="grid grid-cols-1 gap-6">
-          {activeTab === "upcoming" ? renderEventCards(upcomingEvents) : renderEventCards(pastEvents)}
+          {activeTab === "upcoming" ? renderEventCards(filteredUpcoming) : renderEventCards(filteredPast)}
         </div>
 
       </div>
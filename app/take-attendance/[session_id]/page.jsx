@@ -1,9 +1,8 @@
 "use client";
 
-import { useState, useEffect } from "react";
-import { useParams, useRouter } from "next/navigation";
+import { useState, useEffect, useCallback } from "react";
+import { useParams, useRouter, useSearchParams } from "next/navigation";
 import { Card } from "@/components/ui/card";
-import { Input } from "@/components/ui/input";
 import { Button } from "@/components/ui/button";
 import { toast } from "sonner";
 import { Users, Calendar, Clock, MapPin } from "lucide-react";
@@ -20,20 +19,21 @@ import {
 export default function TakeAttendancePage() {
   const params = useParams();
   const router = useRouter();
-  const [studentId, setStudentId] = useState("");
+  const searchParams = useSearchParams();
+  // Present when the event uses a rotating QR code
+  const checkInCode = searchParams.get("code");
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [eventDetails, setEventDetails] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [showSuccess, setShowSuccess] = useState(false);
+  const [isFlagged, setIsFlagged] = useState(false);
+  // "check_in" or "check_out"; check-out is only offered when the event tracks duration
+  const [mode, setMode] = useState("check_in");
+  const [checkOutResult, setCheckOutResult] = useState(null);
   const [user, setUser] = useState(null);
 
-  useEffect(() => {
-    checkUser();
-    fetchEventDetails();
-  }, [params.session_id]);
-
-  const checkUser = async () => {
+  const checkUser = useCallback(async () => {
     const supabase = createClient();
     const { data: { user }, error } = await supabase.auth.getUser();
     
@@ -43,9 +43,9 @@ export default function TakeAttendancePage() {
     }
     
     setUser(user);
-  };
+  }, [router]);
 
-  const fetchEventDetails = async () => {
+  const fetchEventDetails = useCallback(async () => {
     try {
       setIsLoading(true);
       const response = await fetch(`/api/events/details/${params.session_id}`);
@@ -62,27 +62,92 @@ export default function TakeAttendancePage() {
     } finally {
       setIsLoading(false);
     }
+  }, [params.session_id]);
+
+  useEffect(() => {
+    checkUser();
+    fetchEventDetails();
+  }, [checkUser, fetchEventDetails]);
+
+  /**
+   * Reads the device location for geofenced events.
+   * Resolves to null if the browser has no geolocation or the student declines,
+   * and the server decides whether that is acceptable.
+   *
+   * @returns {Promise<{latitude: number, longitude: number, accuracy: number}|null>}
+   */
+  const getDeviceLocation = () => {
+    if (!navigator.geolocation) return Promise.resolve(null);
+
+    return new Promise((resolve) => {
+      navigator.geolocation.getCurrentPosition(
+        ({ coords }) => resolve({
+          latitude: coords.latitude,
+          longitude: coords.longitude,
+          accuracy: coords.accuracy,
+        }),
+        () => resolve(null),
+        { enableHighAccuracy: true, timeout: 10000, maximumAge: 60000 }
+      );
+    });
+  };
+
+  /**
+   * Records a check-out for events that track time in attendance
+   */
+  const submitCheckOut = async () => {
+    try {
+      const location = eventDetails?.requiresLocation ? await getDeviceLocation() : null;
+
+      const response = await fetch("/api/events/attendance/check-out", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          sessionId: params.session_id,
+          code: checkInCode,
+          location,
+        }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to record check-out");
+      }
+
+      setCheckOutResult(data);
+    } catch (error) {
+      console.error("Error recording check-out:", error);
+      toast.error(error.message || "Failed to record check-out. Please try again.");
+    } finally {
+      setIsSubmitting(false);
+    }
   };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    
-    if (!studentId.trim()) {
-      toast.error("Please enter your student ID");
-      return;
-    }
 
     setIsSubmitting(true);
 
+    if (mode === "check_out") {
+      await submitCheckOut();
+      return;
+    }
+
     try {
+      const location = eventDetails?.requiresLocation ? await getDeviceLocation() : null;
+
       const response = await fetch("/api/events/attendance", {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
         },
         body: JSON.stringify({
-          studentId: studentId.trim(),
           sessionId: params.session_id,
+          code: checkInCode,
+          location,
         }),
       });
 
@@ -92,6 +157,7 @@ export default function TakeAttendancePage() {
         throw new Error(data.error || "Failed to record attendance");
       }
 
+      setIsFlagged(Boolean(data.flagged));
       setShowSuccess(true);
     } catch (error) {
       console.error("Error recording attendance:", error);
@@ -123,14 +189,14 @@ export default function TakeAttendancePage() {
 
   return (
     <div className="flex flex-col items-center justify-center min-h-screen p-4 bg-gradient-to-b from-gray-50 to-gray-100/50">
-      {showSuccess && <Confetti />}
+      {showSuccess && !isFlagged && <Confetti />}
       
       <Card className="w-full max-w-md">
         <div className="p-6 space-y-6">
           <div className="text-center space-y-2">
             <h1 className="text-2xl font-bold tracking-tight">Event Check-in</h1>
             <p className="text-sm text-muted-foreground">
-              Enter your student ID to record your attendance
+              Confirm your attendance for this event
             </p>
           </div>
 
@@ -159,17 +225,31 @@ export default function TakeAttendancePage() {
               </div>
 
               <form onSubmit={handleSubmit} className="space-y-4">
-                <div className="space-y-2">
-                  <Input
-                    type="text"
-                    placeholder="Enter your student ID"
-                    value={studentId}
-                    onChange={(e) => setStudentId(e.target.value)}
-                    className="h-11 rounded-xl"
-                    disabled={isSubmitting}
-                  />
-                </div>
-
+                {eventDetails.checkoutEnabled && (
+                  <div className="grid grid-cols-2 gap-2 p-1 rounded-xl bg-muted/50">
+                    {[
+                      { value: "check_in", label: "Check In" },
+                      { value: "check_out", label: "Check Out" },
+                    ].map((option) => (
+                      <Button
+                        key={option.value}
+                        type="button"
+                        variant={mode === option.value ? "default" : "ghost"}
+                        onClick={() => setMode(option.value)}
+                        className={mode === option.value ? "bg-[#A91827] hover:bg-[#A91827]/90 text-white rounded-lg" : "rounded-lg"}
+                        disabled={isSubmitting}
+                      >
+                        {option.label}
+                      </Button>
+                    ))}
+                  </div>
+                )}
+                {eventDetails.checkoutEnabled && eventDetails.minDurationMinutes && (
+                  <p className="text-xs text-center text-muted-foreground">
+                    Check out when you leave. This event counts towards your requirements
+                    after {eventDetails.minDurationMinutes} minutes.
+                  </p>
+                )}
                 <Button
                   type="submit"
                   className="w-full bg-[#A91827] hover:bg-[#A91827]/90 text-white h-11 rounded-xl"
@@ -178,10 +258,10 @@ export default function TakeAttendancePage() {
                   {isSubmitting ? (
                     <>
                       <div className="animate-spin rounded-full h-4 w-4 border-2 border-white/60 border-t-white mr-2" />
-                      Recording Attendance...
+                      {mode === "check_out" ? "Recording Check-out..." : "Recording Attendance..."}
                     </>
                   ) : (
-                    "Check In"
+                    mode === "check_out" ? "Check Out" : "Check In"
                   )}
                 </Button>
               </form>
@@ -194,10 +274,40 @@ export default function TakeAttendancePage() {
         <DialogContent className="sm:max-w-md">
           <DialogHeader>
             <DialogTitle className="text-center text-2xl font-bold text-[#A91827]">
-              Success! 🎉
+              {isFlagged ? "Check-in Received" : "Success! 🎉"}
+            </DialogTitle>
+            <DialogDescription className="text-center text-lg">
+              {isFlagged
+                ? `Your check-in for ${eventDetails?.title} was outside the event's time or location, so an admin will review it before it counts.`
+                : `Attendance recorded for ${eventDetails?.title}`}
+            </DialogDescription>
+          </DialogHeader>
+          <div className="text-center mt-4">
+            <Button
+              onClick={() => router.push('/dashboard/student/')}
+              className="bg-[#A91827] hover:bg-[#A91827]/90 text-white"
+            >
+              Return to Dashboard
+            </Button>
+          </div>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={!!checkOutResult} onOpenChange={(open) => !open && setCheckOutResult(null)}>
+        <DialogContent className="sm:max-w-md">
+          <DialogHeader>
+            <DialogTitle className="text-center text-2xl font-bold text-[#A91827]">
+              Checked Out
             </DialogTitle>
             <DialogDescription className="text-center text-lg">
-              Attendance recorded for {eventDetails?.title}
+              You attended {eventDetails?.title} for {checkOutResult?.durationMinutes} minutes.
+              {checkOutResult?.minDurationMinutes && (
+                checkOutResult.meetsMinimum
+                  ? " This counts towards your workshop requirement."
+                  : ` Events count after ${checkOutResult.minDurationMinutes} minutes, so this one will not count towards your workshop requirement.`
+              )}
+              {checkOutResult?.flagged &&
+                " Your check-out was outside the event's time or location, so an admin will review it before it counts."}
             </DialogDescription>
           </DialogHeader>
           <div className="text-center mt-4">
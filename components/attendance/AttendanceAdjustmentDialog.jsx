@@ -0,0 +1,144 @@
+"use client";
+
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { toast } from "sonner";
+
+/**
+ * Dialog for adding or removing a student's attendance by hand.
+ *
+ * <p>Adding asks for a student ID or email; removing is opened for a specific
+ * record. Both require a reason, which is kept in the adjustment log and sent to
+ * the student.</p>
+ *
+ * @param {Object} props
+ * @param {string} props.eventId - The event's session ID
+ * @param {"add"|"remove"} props.action - The correction to make
+ * @param {Object} [props.student] - The record being removed ({ studentId, studentName })
+ * @param {boolean} props.open - Whether the dialog is shown
+ * @param {Function} props.onOpenChange - Called with false to close the dialog
+ * @param {Function} props.onAdjusted - Called after a successful change
+ */
+export function AttendanceAdjustmentDialog({ eventId, action, student, open, onOpenChange, onAdjusted }) {
+  const [identifier, setIdentifier] = useState("");
+  const [reason, setReason] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  const isRemoval = action === "remove";
+
+  const close = () => {
+    setIdentifier("");
+    setReason("");
+    onOpenChange(false);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!reason.trim()) {
+      toast.error("Please give a reason for this change");
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      const response = await fetch(`/api/dashboard/admin/events/${eventId}/attendance/adjustments`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          identifier: isRemoval ? student.studentId : identifier.trim(),
+          action,
+          reason: reason.trim(),
+        }),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to update attendance");
+      }
+
+      toast.success(isRemoval
+        ? `Removed ${data.student.name} from attendance`
+        : `Added ${data.student.name} to attendance`);
+      close();
+      onAdjusted?.();
+    } catch (error) {
+      console.error("Error adjusting attendance:", error);
+      toast.error(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={(value) => !value && close()}>
+      <DialogContent>
+        <form onSubmit={handleSubmit}>
+          <DialogHeader>
+            <DialogTitle>{isRemoval ? "Remove Attendance" : "Add Student"}</DialogTitle>
+            <DialogDescription>
+              {isRemoval
+                ? `Remove ${student?.studentName} (${student?.studentId}) from this event's attendance.`
+                : "Record attendance for a student who was missed at the door."}
+              {" "}The student will be notified with your reason.
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-4 py-4">
+            {!isRemoval && (
+              <div className="space-y-2">
+                <Label htmlFor="adjust-identifier">Student ID or email</Label>
+                <Input
+                  id="adjust-identifier"
+                  value={identifier}
+                  onChange={(e) => setIdentifier(e.target.value)}
+                  placeholder="e.g. 12345678 or name@ashesi.edu.gh"
+                  required
+                  disabled={isSaving}
+                />
+              </div>
+            )}
+
+            <div className="space-y-2">
+              <Label htmlFor="adjust-reason">Reason</Label>
+              <Textarea
+                id="adjust-reason"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder={isRemoval
+                  ? "e.g. Checked in for a friend who was not present"
+                  : "e.g. Phone died at the door; confirmed on paper sheet"}
+                required
+                disabled={isSaving}
+              />
+            </div>
+          </div>
+
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={close} disabled={isSaving}>
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              disabled={isSaving || !reason.trim() || (!isRemoval && !identifier.trim())}
+              className="bg-[#A91827] hover:bg-[#A91827]/90 text-white"
+            >
+              {isSaving ? "Saving..." : isRemoval ? "Remove" : "Add Student"}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
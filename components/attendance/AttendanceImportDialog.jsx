@@ -0,0 +1,202 @@
+"use client";
+
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Badge } from "@/components/ui/badge";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { toast } from "sonner";
+
+const SKIP_REASON_LABELS = {
+  unknown: "Unknown student",
+  already_checked_in: "Already checked in",
+  repeated_in_file: "Repeated in file",
+};
+
+/**
+ * Dialog for importing attendance from a CSV or XLSX sign-in sheet.
+ *
+ * <p>The admin picks a file and sees a preview of matched, unknown and duplicate
+ * rows before committing. Committing re-uploads the same file so the server
+ * validates it again.</p>
+ *
+ * @param {Object} props
+ * @param {string} props.eventId - The event's session ID
+ * @param {boolean} props.open - Whether the dialog is shown
+ * @param {Function} props.onOpenChange - Called with false to close the dialog
+ * @param {Function} props.onImported - Called after a successful import
+ */
+export function AttendanceImportDialog({ eventId, open, onOpenChange, onImported }) {
+  const [file, setFile] = useState(null);
+  const [note, setNote] = useState("");
+  const [preview, setPreview] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+
+  const reset = () => {
+    setFile(null);
+    setNote("");
+    setPreview(null);
+  };
+
+  const close = () => {
+    reset();
+    onOpenChange(false);
+  };
+
+  /**
+   * Sends the file to the import endpoint
+   *
+   * @param {"preview"|"commit"} mode - Whether to write the matched rows
+   * @returns {Promise<Object>} The endpoint response
+   */
+  const submit = async (mode) => {
+    const formData = new FormData();
+    formData.append("file", file);
+    formData.append("mode", mode);
+    formData.append("note", note);
+
+    const response = await fetch(`/api/dashboard/admin/events/${eventId}/attendance/import`, {
+      method: "POST",
+      body: formData,
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || "Import failed");
+    }
+
+    return data;
+  };
+
+  const handlePreview = async () => {
+    if (!file) {
+      toast.error("Choose a CSV or XLSX file first");
+      return;
+    }
+
+    try {
+      setIsWorking(true);
+      setPreview(await submit("preview"));
+    } catch (error) {
+      console.error("Error previewing import:", error);
+      toast.error(error.message);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleCommit = async () => {
+    try {
+      setIsWorking(true);
+      const result = await submit("commit");
+      toast.success(`Imported ${result.imported} attendance record${result.imported === 1 ? "" : "s"}`);
+      close();
+      onImported?.();
+    } catch (error) {
+      console.error("Error committing import:", error);
+      toast.error(error.message);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={(value) => !value && close()}>
+      <DialogContent className="max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Import Attendance</DialogTitle>
+          <DialogDescription>
+            Upload a CSV or XLSX sign-in sheet with a column of student IDs or emails.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="import-file">Sign-in sheet</Label>
+            <Input
+              id="import-file"
+              type="file"
+              accept=".csv,.xlsx"
+              onChange={(e) => {
+                setFile(e.target.files?.[0] || null);
+                setPreview(null);
+              }}
+              disabled={isWorking}
+            />
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="import-note">Note (optional)</Label>
+            <Textarea
+              id="import-note"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="e.g. Paper sheet from the Wi-Fi outage"
+              disabled={isWorking}
+            />
+          </div>
+
+          {preview && (
+            <div className="space-y-3">
+              <div className="flex flex-wrap gap-2">
+                <Badge>{preview.matched.length} to import</Badge>
+                <Badge variant="secondary">{preview.skipped.length} skipped</Badge>
+              </div>
+
+              <div className="max-h-64 overflow-y-auto rounded-md border divide-y text-sm">
+                {preview.matched.map((item) => (
+                  <div key={`m-${item.row}`} className="flex items-center justify-between gap-2 p-2">
+                    <span className="truncate">
+                      Row {item.row}: {item.student.name} ({item.student.student_id})
+                    </span>
+                    <Badge>Match</Badge>
+                  </div>
+                ))}
+                {preview.skipped.map((item) => (
+                  <div key={`s-${item.row}`} className="flex items-center justify-between gap-2 p-2">
+                    <span className="truncate">
+                      Row {item.row}: {item.student?.name || item.identifier}
+                    </span>
+                    <Badge variant="secondary">{SKIP_REASON_LABELS[item.reason] || item.reason}</Badge>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={close} disabled={isWorking}>
+            Cancel
+          </Button>
+          {preview ? (
+            <Button
+              onClick={handleCommit}
+              disabled={isWorking || preview.matched.length === 0}
+              className="bg-[#A91827] hover:bg-[#A91827]/90 text-white"
+            >
+              {isWorking ? "Importing..." : `Import ${preview.matched.length} Student${preview.matched.length === 1 ? "" : "s"}`}
+            </Button>
+          ) : (
+            <Button
+              onClick={handlePreview}
+              disabled={isWorking || !file}
+              className="bg-[#A91827] hover:bg-[#A91827]/90 text-white"
+            >
+              {isWorking ? "Checking..." : "Preview"}
+            </Button>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
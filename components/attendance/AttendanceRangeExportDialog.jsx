@@ -0,0 +1,141 @@
+"use client";
+
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { toast } from "sonner";
+
+/**
+ * Dialog for exporting attendance across every event in a date range.
+ *
+ * <p>The report has one row per approved student-event attendance and can be
+ * narrowed to a year group or major.</p>
+ *
+ * @param {Object} props
+ * @param {boolean} props.open - Whether the dialog is shown
+ * @param {Function} props.onOpenChange - Called with false to close the dialog
+ */
+export function AttendanceRangeExportDialog({ open, onOpenChange }) {
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [yearGroup, setYearGroup] = useState("");
+  const [major, setMajor] = useState("");
+  const [exportFormat, setExportFormat] = useState("xlsx");
+  const [isExporting, setIsExporting] = useState(false);
+
+  const handleExport = async (e) => {
+    e.preventDefault();
+
+    if (from > to) {
+      toast.error("The start date must be before the end date");
+      return;
+    }
+
+    const query = new URLSearchParams({ from, to, format: exportFormat });
+    if (yearGroup.trim()) query.set("yearGroup", yearGroup.trim());
+    if (major.trim()) query.set("major", major.trim());
+
+    try {
+      setIsExporting(true);
+      const response = await fetch(`/api/dashboard/admin/attendance/export?${query}`);
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || "Failed to export attendance");
+      }
+
+      const link = document.createElement("a");
+      link.href = URL.createObjectURL(await response.blob());
+      link.download = `attendance-${from}-to-${to}.${exportFormat}`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+      onOpenChange(false);
+    } catch (error) {
+      console.error("Error exporting attendance:", error);
+      toast.error(error.message);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent>
+        <form onSubmit={handleExport}>
+          <DialogHeader>
+            <DialogTitle>Export Attendance</DialogTitle>
+            <DialogDescription>
+              Download approved attendance for every event between two dates, one row per student per event.
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="grid grid-cols-2 gap-4 py-4">
+            <div className="space-y-2">
+              <Label htmlFor="export-from">From</Label>
+              <Input id="export-from" type="date" value={from} onChange={(e) => setFrom(e.target.value)} required />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="export-to">To</Label>
+              <Input id="export-to" type="date" value={to} onChange={(e) => setTo(e.target.value)} required />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="export-year-group">Year group (optional)</Label>
+              <Input
+                id="export-year-group"
+                inputMode="numeric"
+                pattern="\d{4}"
+                placeholder="e.g. 2026"
+                value={yearGroup}
+                onChange={(e) => setYearGroup(e.target.value)}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="export-major">Major (optional)</Label>
+              <Input
+                id="export-major"
+                placeholder="e.g. Computer Science"
+                value={major}
+                onChange={(e) => setMajor(e.target.value)}
+              />
+            </div>
+            <div className="space-y-2 col-span-2">
+              <Label htmlFor="export-format">Format</Label>
+              <select
+                id="export-format"
+                className="w-full p-2 border rounded-md bg-background"
+                value={exportFormat}
+                onChange={(e) => setExportFormat(e.target.value)}
+              >
+                <option value="xlsx">Excel (XLSX)</option>
+                <option value="csv">CSV</option>
+                <option value="pdf">PDF</option>
+              </select>
+            </div>
+          </div>
+
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)} disabled={isExporting}>
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              disabled={isExporting || !from || !to}
+              className="bg-[#A91827] hover:bg-[#A91827]/90 text-white"
+            >
+              {isExporting ? "Exporting..." : "Download"}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,169 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Copy, ExternalLink } from "lucide-react";
+import { toast } from "sonner";
+
+/**
+ * Dialog for setting up kiosk check-in on a shared door tablet.
+ *
+ * <p>The admin sets a PIN for the event, then opens the kiosk link on the
+ * tablet and enters the PIN there. Changing the PIN or turning kiosk mode off
+ * locks any tablet that was unlocked with the old PIN.</p>
+ *
+ * @param {Object} props
+ * @param {string} props.eventId - The event's session ID
+ * @param {boolean} props.open - Whether the dialog is shown
+ * @param {Function} props.onOpenChange - Called with false to close the dialog
+ */
+export function KioskSetupDialog({ eventId, open, onOpenChange }) {
+  const [enabled, setEnabled] = useState(false);
+  const [pin, setPin] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  const settingsUrl = `/api/dashboard/admin/events/${eventId}/kiosk`;
+  const kioskPath = `/kiosk/${eventId}`;
+
+  useEffect(() => {
+    if (!open) return;
+
+    setPin("");
+    fetch(settingsUrl)
+      .then((response) => response.json())
+      .then((data) => setEnabled(Boolean(data.enabled)))
+      .catch((error) => console.error("Error fetching kiosk settings:", error));
+  }, [open, settingsUrl]);
+
+  const savePin = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+      const response = await fetch(settingsUrl, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ pin }),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to save kiosk PIN");
+      }
+
+      setEnabled(true);
+      setPin("");
+      toast.success("Kiosk PIN saved", {
+        description: "Open the kiosk link on the tablet and enter the PIN to start.",
+      });
+    } catch (error) {
+      console.error("Error saving kiosk PIN:", error);
+      toast.error(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const turnOff = async () => {
+    try {
+      setIsSaving(true);
+      const response = await fetch(settingsUrl, { method: "DELETE" });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to turn off kiosk mode");
+      }
+
+      setEnabled(false);
+      toast.success("Kiosk mode turned off");
+    } catch (error) {
+      console.error("Error turning off kiosk mode:", error);
+      toast.error(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent>
+        <form onSubmit={savePin}>
+          <DialogHeader>
+            <DialogTitle>Kiosk Check-in</DialogTitle>
+            <DialogDescription>
+              Run check-in on a shared tablet at the door. Students type their ID or scan their ID card and confirm their name.
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-4 py-4">
+            <div className="space-y-2">
+              <Label htmlFor="kiosk-pin">{enabled ? "Change PIN" : "Set a PIN"}</Label>
+              <Input
+                id="kiosk-pin"
+                type="password"
+                inputMode="numeric"
+                autoComplete="off"
+                pattern="\d{4,8}"
+                maxLength={8}
+                placeholder="4 to 8 digits"
+                value={pin}
+                onChange={(e) => setPin(e.target.value.replace(/\D/g, ""))}
+                disabled={isSaving}
+              />
+            </div>
+
+            {enabled && (
+              <div className="space-y-2">
+                <Label>Kiosk link</Label>
+                <div className="flex gap-2">
+                  <Input readOnly value={`${window.location.origin}${kioskPath}`} />
+                  <Button
+                    type="button"
+                    variant="outline"
+                    size="icon"
+                    onClick={() => {
+                      navigator.clipboard.writeText(`${window.location.origin}${kioskPath}`);
+                      toast.success("Kiosk link copied");
+                    }}
+                  >
+                    <Copy className="h-4 w-4" />
+                  </Button>
+                  <Button type="button" variant="outline" size="icon" asChild>
+                    <a href={kioskPath} target="_blank" rel="noopener noreferrer">
+                      <ExternalLink className="h-4 w-4" />
+                    </a>
+                  </Button>
+                </div>
+              </div>
+            )}
+          </div>
+
+          <DialogFooter>
+            {enabled && (
+              <Button type="button" variant="outline" onClick={turnOff} disabled={isSaving}>
+                Turn Off
+              </Button>
+            )}
+            <Button
+              type="submit"
+              disabled={isSaving || pin.length < 4}
+              className="bg-[#A91827] hover:bg-[#A91827]/90 text-white"
+            >
+              {isSaving ? "Saving..." : "Save PIN"}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,128 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { Card } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Activity } from "lucide-react";
+
+const SPARKLINE_MINUTES = 30;
+const NEWEST_ARRIVALS_LIMIT = 5;
+const SPARKLINE_WIDTH = 240;
+const SPARKLINE_HEIGHT = 48;
+
+const MODE_LABELS = {
+  connecting: "Connecting...",
+  live: "Live",
+  polling: "Refreshing every 15s",
+};
+
+/**
+ * Counts check-ins in each of the last SPARKLINE_MINUTES minutes, oldest first
+ *
+ * @param {Array<Object>} records - Attendance records with signupTime
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array<number>} One count per minute
+ */
+function getCheckInsPerMinute(records, now) {
+  const buckets = new Array(SPARKLINE_MINUTES).fill(0);
+
+  records.forEach((record) => {
+    const minutesAgo = Math.floor((now - new Date(record.signupTime).getTime()) / 60000);
+    if (minutesAgo >= 0 && minutesAgo < SPARKLINE_MINUTES) {
+      buckets[SPARKLINE_MINUTES - 1 - minutesAgo] += 1;
+    }
+  });
+
+  return buckets;
+}
+
+/**
+ * Live arrivals summary for the event attendance page.
+ *
+ * <p>Shows the approved check-in count, a check-ins-per-minute sparkline for the
+ * last half hour and the newest arrivals. The page keeps <code>records</code>
+ * current; this component only re-renders the view once a minute so the
+ * sparkline keeps moving between arrivals.</p>
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.records - The event's attendance records
+ * @param {number} props.count - Approved check-ins
+ * @param {"connecting"|"live"|"polling"} props.mode - How updates are received
+ */
+export function LiveAttendancePanel({ records, count, mode }) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    setNow(Date.now());
+  }, [records]);
+
+  const perMinute = getCheckInsPerMinute(records, now);
+  const peak = Math.max(1, ...perMinute);
+  const lastMinute = perMinute[perMinute.length - 1];
+  const points = perMinute
+    .map((value, index) => {
+      const x = (index / (SPARKLINE_MINUTES - 1)) * SPARKLINE_WIDTH;
+      const y = SPARKLINE_HEIGHT - (value / peak) * (SPARKLINE_HEIGHT - 4) - 2;
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(" ");
+
+  const newestArrivals = [...records]
+    .sort((a, b) => new Date(b.signupTime) - new Date(a.signupTime))
+    .slice(0, NEWEST_ARRIVALS_LIMIT);
+
+  return (
+    <Card className="p-6 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-2">
+          <Activity className="h-5 w-5 text-[#A91827]" />
+          <h3 className="font-semibold">Live Arrivals</h3>
+        </div>
+        <Badge variant={mode === "live" ? "default" : "secondary"} className="gap-1.5">
+          {mode === "live" && <span className="h-2 w-2 rounded-full bg-green-400 animate-pulse" />}
+          {MODE_LABELS[mode]}
+        </Badge>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6 items-center">
+        <div>
+          <p className="text-4xl font-bold">{count}</p>
+          <p className="text-sm text-muted-foreground">checked in</p>
+        </div>
+
+        <div>
+          <svg
+            viewBox={`0 0 ${SPARKLINE_WIDTH} ${SPARKLINE_HEIGHT}`}
+            className="w-full h-12"
+            preserveAspectRatio="none"
+            role="img"
+            aria-label={`Check-ins per minute over the last ${SPARKLINE_MINUTES} minutes`}
+          >
+            <polyline points={points} fill="none" stroke="#A91827" strokeWidth="2" strokeLinejoin="round" />
+          </svg>
+          <p className="text-xs text-muted-foreground mt-1">
+            {lastMinute} in the last minute · last {SPARKLINE_MINUTES} min
+          </p>
+        </div>
+
+        <div className="space-y-1 text-sm">
+          {newestArrivals.length > 0 ? (
+            newestArrivals.map((record) => (
+              <div key={record.id} className="flex justify-between gap-2">
+                <span className="truncate">{record.studentName}</span>
+                <span className="text-muted-foreground shrink-0">{record.checkedInAt}</span>
+              </div>
+            ))
+          ) : (
+            <p className="text-muted-foreground">No arrivals yet</p>
+          )}
+        </div>
+      </div>
+    </Card>
+  );
+}
@@ -1,25 +1,39 @@
 "use client";
 
-import { useEffect, useState } from 'react';
+import { useCallback, useEffect, useState } from 'react';
 import { motion } from 'framer-motion';
 import { Card } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
-import { Download, Users } from 'lucide-react';
+import { Download, RefreshCw, Users } from 'lucide-react';
 import { format } from 'date-fns';
 
+/**
+ * Displays the check-in QR code for an event.
+ *
+ * <p>For events in rotating mode the code is re-fetched whenever the server says the
+ * current one is about to change, so the card has to stay open on the projector.</p>
+ *
+ * @param {Object} props
+ * @param {string} props.eventId - The event's session ID
+ * @param {string} props.title - Event title
+ * @param {string} props.date - Event date
+ * @param {string} props.startTime - Event start time
+ * @param {string} props.endTime - Event end time
+ * @param {string} props.location - Event location
+ */
 export function QRCodeCard({ eventId, title, date, startTime, endTime, location }) {
   const [qrCodeUrl, setQrCodeUrl] = useState('');
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [expiryDate, setExpiryDate] = useState(null);
+  const [qrMode, setQrMode] = useState('static');
+  const [rotationSeconds, setRotationSeconds] = useState(null);
+  const [refreshAt, setRefreshAt] = useState(null);
 
-  useEffect(() => {
-    generateQRCode();
-  }, [eventId]);
-
-  const generateQRCode = async () => {
+  const generateQRCode = useCallback(async ({ silent = false } = {}) => {
     try {
-      setIsLoading(true);
+      // Rotating refreshes swap the image in place instead of flashing the spinner
+      if (!silent) setIsLoading(true);
       setError(null);
 
       // Generate event-specific QR code
@@ -47,14 +61,30 @@ export function QRCodeCard({ eventId, title, date, startTime, endTime, location
       });
 
       setQrCodeUrl(qrDataUrl);
-      setExpiryDate(new Date(data.expiresAt));
+      setExpiryDate(data.expiresAt ? new Date(data.expiresAt) : null);
+      setQrMode(data.mode || 'static');
+      setRotationSeconds(data.rotationSeconds || null);
+      setRefreshAt(data.refreshAt ? new Date(data.refreshAt) : null);
     } catch (err) {
       console.error('Attendance QR Code generation failed:', err);
       setError(err.message);
     } finally {
       setIsLoading(false);
     }
-  };
+  }, [eventId]);
+
+  useEffect(() => {
+    generateQRCode();
+  }, [generateQRCode]);
+
+  // Fetch the next rotating code as soon as the current window ends
+  useEffect(() => {
+    if (qrMode !== 'rotating' || !refreshAt) return;
+
+    const delay = Math.max(refreshAt.getTime() - Date.now(), 0);
+    const timer = setTimeout(() => generateQRCode({ silent: true }), delay);
+    return () => clearTimeout(timer);
+  }, [qrMode, refreshAt, generateQRCode]);
 
   const downloadQRImage = async () => {
     const canvas = document.createElement('canvas');
@@ -120,7 +150,7 @@ export function QRCodeCard({ eventId, title, date, startTime, endTime, location
     return (
       <Card className="p-6 text-center">
         <div className="text-red-500 mb-4">{error}</div>
-        <Button onClick={generateQRCode}>Try Again</Button>
+        <Button onClick={() => generateQRCode()}>Try Again</Button>
       </Card>
     );
   }
@@ -138,7 +168,12 @@ export function QRCodeCard({ eventId, title, date, startTime, endTime, location
           <p>{startTime} - {endTime}</p>
           <p>{location}</p>
         </div>
-        {expiryDate && (
+        {qrMode === 'rotating' ? (
+          <div className="flex items-center justify-center gap-2 text-sm text-muted-foreground">
+            <RefreshCw className="h-4 w-4" />
+            Code changes every {rotationSeconds} seconds. Keep this screen open.
+          </div>
+        ) : expiryDate && (
           <div className="text-sm text-muted-foreground">
             QR Code expires at {format(expiryDate, 'h:mm a')}
           </div>
@@ -172,11 +207,16 @@ export function QRCodeCard({ eventId, title, date, startTime, endTime, location
       <Button 
         onClick={downloadQRImage}
         className="w-full bg-[#A91827] hover:bg-[#A91827]/90 text-white"
-        disabled={isLoading || !qrCodeUrl}
+        disabled={isLoading || !qrCodeUrl || qrMode === 'rotating'}
       >
         <Download className="w-4 h-4 mr-2" />
         Download Attendance QR
       </Button>
+      {qrMode === 'rotating' && (
+        <p className="mt-2 text-xs text-center text-muted-foreground">
+          Rotating codes cannot be downloaded because a saved copy stops working.
+        </p>
+      )}
     </Card>
   );
 } 
\ No newline at end of file
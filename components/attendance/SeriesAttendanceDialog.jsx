@@ -0,0 +1,158 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import NextLink from "next/link";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Badge } from "@/components/ui/badge";
+import { format, parseISO } from "date-fns";
+
+/**
+ * Dialog showing attendance rolled up across a recurring series.
+ *
+ * <p>Lists each occurrence with its check-ins and each student with how many of
+ * the occurrences held so far they attended.</p>
+ *
+ * @param {Object} props
+ * @param {string|null} props.seriesId - The series to show
+ * @param {boolean} props.open - Whether the dialog is shown
+ * @param {Function} props.onOpenChange - Called with false to close the dialog
+ */
+export function SeriesAttendanceDialog({ seriesId, open, onOpenChange }) {
+  const [rollup, setRollup] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open || !seriesId) return;
+
+    setRollup(null);
+    setError(null);
+    fetch(`/api/dashboard/admin/series/${seriesId}`)
+      .then(async (response) => {
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || "Failed to load series attendance");
+        setRollup(data);
+      })
+      .catch((error) => {
+        console.error("Error fetching series attendance:", error);
+        setError(error.message);
+      });
+  }, [open, seriesId]);
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-3xl max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{rollup?.series.title || "Series Attendance"}</DialogTitle>
+          <DialogDescription>Approved check-ins across every occurrence of this series.</DialogDescription>
+        </DialogHeader>
+
+        {error && <p className="text-sm text-red-500">{error}</p>}
+
+        {!rollup && !error && (
+          <div className="flex justify-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-[#A91827]"></div>
+          </div>
+        )}
+
+        {rollup && (
+          <div className="space-y-6">
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 text-center">
+              {[
+                ["Held", `${rollup.summary.held} of ${rollup.summary.occurrences}`],
+                ["Unique attendees", rollup.summary.uniqueAttendees],
+                ["Average per session", rollup.summary.averageAttendance],
+                ["Attended all", rollup.summary.attendedAll],
+              ].map(([label, value]) => (
+                <div key={label} className="rounded-lg bg-muted/50 p-3">
+                  <p className="text-2xl font-bold">{value}</p>
+                  <p className="text-xs text-muted-foreground">{label}</p>
+                </div>
+              ))}
+            </div>
+
+            <div className="space-y-2">
+              <h3 className="font-semibold">Occurrences</h3>
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>#</TableHead>
+                    <TableHead>Date</TableHead>
+                    <TableHead>Title</TableHead>
+                    <TableHead className="text-right">Check-ins</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {rollup.occurrences.map((occurrence) => (
+                    <TableRow key={occurrence.id}>
+                      <TableCell>{occurrence.index}</TableCell>
+                      <TableCell>
+                        <NextLink
+                          href={`/dashboard/admin/events/${occurrence.id}/attendance`}
+                          className="text-[#A91827] hover:underline"
+                        >
+                          {format(parseISO(occurrence.date), "EEE d MMM yyyy")}
+                        </NextLink>
+                      </TableCell>
+                      <TableCell>{occurrence.title}</TableCell>
+                      <TableCell className="text-right">
+                        {occurrence.status === "upcoming" && occurrence.checkIns === 0 ? (
+                          <Badge variant="secondary">Upcoming</Badge>
+                        ) : (
+                          occurrence.checkIns
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+
+            <div className="space-y-2">
+              <h3 className="font-semibold">Students</h3>
+              {rollup.students.length === 0 ? (
+                <p className="text-sm text-muted-foreground">No check-ins yet.</p>
+              ) : (
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Student</TableHead>
+                      <TableHead>Student ID</TableHead>
+                      <TableHead className="text-right">Attended</TableHead>
+                      <TableHead className="text-right">Rate</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {rollup.students.map((student) => (
+                      <TableRow key={student.studentId}>
+                        <TableCell>{student.studentName}</TableCell>
+                        <TableCell>{student.studentId}</TableCell>
+                        <TableCell className="text-right">
+                          {student.attended} / {rollup.summary.held}
+                        </TableCell>
+                        <TableCell className="text-right">{student.attendanceRate}%</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+            </div>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
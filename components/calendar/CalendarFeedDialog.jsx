@@ -0,0 +1,116 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { CalendarPlus, Copy } from "lucide-react";
+import { toast } from "sonner";
+
+/**
+ * Dialog with the signed-in user's private calendar feed link.
+ *
+ * <p>Subscribing adds registered events and advising sessions to Google
+ * Calendar, Outlook or Apple Calendar and keeps them up to date. Resetting the
+ * link stops the old one from working.</p>
+ *
+ * @param {Object} props
+ * @param {boolean} props.open - Whether the dialog is shown
+ * @param {Function} props.onOpenChange - Called with false to close the dialog
+ */
+export function CalendarFeedDialog({ open, onOpenChange }) {
+  const [feed, setFeed] = useState(null);
+  const [isResetting, setIsResetting] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+
+    fetch("/api/calendar/subscription")
+      .then(async (response) => {
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || "Failed to load calendar link");
+        setFeed(data);
+      })
+      .catch((error) => {
+        console.error("Error fetching calendar link:", error);
+        toast.error(error.message);
+      });
+  }, [open]);
+
+  const resetLink = async () => {
+    try {
+      setIsResetting(true);
+      const response = await fetch("/api/calendar/subscription", { method: "POST" });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to reset calendar link");
+      }
+
+      setFeed(data);
+      toast.success("Calendar link reset", {
+        description: "Subscribe again with the new link; the old one no longer works.",
+      });
+    } catch (error) {
+      console.error("Error resetting calendar link:", error);
+      toast.error(error.message);
+    } finally {
+      setIsResetting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Subscribe to Your Calendar</DialogTitle>
+          <DialogDescription>
+            Events you register for and your advising sessions appear in your calendar app and update when they change or are cancelled.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-2 py-4">
+          <Label htmlFor="calendar-feed-url">Your private calendar link</Label>
+          <div className="flex gap-2">
+            <Input id="calendar-feed-url" readOnly value={feed?.url || "Loading..."} />
+            <Button
+              type="button"
+              variant="outline"
+              size="icon"
+              disabled={!feed}
+              onClick={() => {
+                navigator.clipboard.writeText(feed.url);
+                toast.success("Calendar link copied");
+              }}
+            >
+              <Copy className="h-4 w-4" />
+            </Button>
+          </div>
+          <p className="text-xs text-muted-foreground">
+            In Google Calendar use &quot;Other calendars → From URL&quot;; in Outlook use &quot;Add calendar → Subscribe from web&quot;. Anyone with this link can see your schedule, so keep it private.
+          </p>
+        </div>
+
+        <DialogFooter>
+          <Button type="button" variant="outline" onClick={resetLink} disabled={!feed || isResetting}>
+            {isResetting ? "Resetting..." : "Reset Link"}
+          </Button>
+          <Button asChild className="bg-[#A91827] hover:bg-[#A91827]/90 text-white" disabled={!feed}>
+            <a href={feed?.webcalUrl}>
+              <CalendarPlus className="h-4 w-4 mr-2" />
+              Open in Calendar App
+            </a>
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,85 @@
+"use client";
+
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+} from "@/components/ui/select";
+import { Search, Tag } from "lucide-react";
+import { EVENT_TYPE_LABELS } from "@/lib/events/categories";
+
+// Filter values that show every event
+export const EMPTY_EVENT_FILTERS = { type: "all", tag: "all", query: "" };
+
+const FIELD_CLASS =
+  "h-11 rounded-xl border-muted-foreground/20 bg-white dark:bg-gray-950 shadow-sm hover:border-muted-foreground/30 focus:border-[#A91827] transition-colors";
+
+/**
+ * Search box with event type and tag filters for event lists.
+ *
+ * <p>Pair with <code>matchesEventFilters</code> from
+ * <code>@/lib/events/categories</code> to apply the filters. Extra controls,
+ * such as a sort select, can be passed as children and are shown at the end of
+ * the row.</p>
+ *
+ * @param {Object} props
+ * @param {{type: string, tag: string, query: string}} props.filters - Current filter values
+ * @param {Function} props.onChange - Called with the new filter values
+ * @param {Array<string>} props.tags - Tags to offer, usually from <code>collectTags</code>
+ * @param {React.ReactNode} [props.children] - Extra controls
+ */
+export function EventFilters({ filters, onChange, tags, children }) {
+  const update = (field, value) => onChange({ ...filters, [field]: value });
+
+  return (
+    <div className="flex flex-col md:flex-row gap-4">
+      <div className="relative flex-grow">
+        <Search className="absolute left-3.5 top-1/2 h-4 w-4 text-muted-foreground transform -translate-y-1/2" />
+        <Input
+          placeholder="Search events by title, location, description or tag..."
+          className={`pl-10 pr-4 ${FIELD_CLASS}`}
+          value={filters.query}
+          onChange={(e) => update("query", e.target.value)}
+        />
+      </div>
+      <div className="flex flex-wrap gap-3">
+        <Select value={filters.type} onValueChange={(value) => update("type", value)}>
+          <SelectTrigger className={`w-[180px] ${FIELD_CLASS}`}>
+            <span className="text-sm">
+              {filters.type === "all" ? "All Types" : EVENT_TYPE_LABELS[filters.type]}
+            </span>
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">All Types</SelectItem>
+            {Object.entries(EVENT_TYPE_LABELS).map(([value, label]) => (
+              <SelectItem key={value} value={value}>
+                {label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+
+        <Select value={filters.tag} onValueChange={(value) => update("tag", value)}>
+          <SelectTrigger className={`w-[180px] ${FIELD_CLASS}`} disabled={tags.length === 0}>
+            <div className="flex items-center gap-2 truncate">
+              <Tag className="h-4 w-4 shrink-0 text-[#A91827]" />
+              <span className="text-sm truncate">{filters.tag === "all" ? "All Tags" : filters.tag}</span>
+            </div>
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">All Tags</SelectItem>
+            {tags.map((tag) => (
+              <SelectItem key={tag} value={tag}>
+                {tag}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+
+        {children}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,160 @@
+"use client";
+
+import { useState } from "react";
+import { format } from "date-fns";
+import { Check, Clock, MapPin, Pencil, Trash2, X } from "lucide-react";
+import { toast } from "sonner";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+
+/**
+ * Dialog listing the team's shared event templates.
+ *
+ * <p>Staff start a new event from a template, rename it or remove it. New
+ * templates are saved from the event form or an event card.</p>
+ *
+ * @param {Object} props
+ * @param {boolean} props.open - Whether the dialog is shown
+ * @param {Function} props.onOpenChange - Called with false to close the dialog
+ * @param {Array<object>} props.templates - The saved templates
+ * @param {Function} props.onTemplatesChange - Called after a template is renamed or removed
+ * @param {Function} props.onUseTemplate - Called with a template to start a new event from it
+ */
+export function EventTemplatesDialog({ open, onOpenChange, templates, onTemplatesChange, onUseTemplate }) {
+  const [renamingId, setRenamingId] = useState(null);
+  const [name, setName] = useState("");
+
+  const handleRename = async (template) => {
+    try {
+      const response = await fetch(`/api/dashboard/admin/event-templates/${template.id}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ name }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Failed to rename template");
+
+      toast.success(`Template renamed to "${data.name}"`);
+      setRenamingId(null);
+      onTemplatesChange();
+    } catch (error) {
+      console.error("Error renaming event template:", error);
+      toast.error(error.message);
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete the template "${template.name}" for everyone? Events created from it are kept.`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/dashboard/admin/event-templates/${template.id}`, { method: "DELETE" });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Failed to delete template");
+
+      toast.success(`Template "${template.name}" deleted`);
+      onTemplatesChange();
+    } catch (error) {
+      console.error("Error deleting event template:", error);
+      toast.error(error.message);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-2xl max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Event Templates</DialogTitle>
+          <DialogDescription>
+            Templates shared by the whole team. Use &ldquo;Save as template&rdquo; on an event or in the event form to add one.
+          </DialogDescription>
+        </DialogHeader>
+
+        {templates.length === 0 && (
+          <p className="text-sm text-muted-foreground py-4 text-center">No templates have been saved yet.</p>
+        )}
+
+        <div className="space-y-2">
+          {templates.map((template) => (
+            <div key={template.id} className="flex items-center justify-between gap-3 rounded-lg border p-3">
+              <div className="min-w-0 flex-1 space-y-1">
+                {renamingId === template.id ? (
+                  <div className="flex items-center gap-2">
+                    <Input
+                      value={name}
+                      onChange={(e) => setName(e.target.value)}
+                      onKeyDown={(e) => e.key === "Enter" && handleRename(template)}
+                      className="h-8"
+                      autoFocus
+                    />
+                    <Button type="button" variant="ghost" size="icon" onClick={() => handleRename(template)}>
+                      <Check className="h-4 w-4" />
+                    </Button>
+                    <Button type="button" variant="ghost" size="icon" onClick={() => setRenamingId(null)}>
+                      <X className="h-4 w-4" />
+                    </Button>
+                  </div>
+                ) : (
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium text-sm truncate">{template.name}</span>
+                    {template.event.eventTypeLabel && <Badge variant="secondary">{template.event.eventTypeLabel}</Badge>}
+                  </div>
+                )}
+                <p className="flex flex-wrap items-center gap-x-3 gap-y-1 text-xs text-muted-foreground">
+                  <span className="truncate">{template.event.title || "Untitled event"}</span>
+                  {template.event.start_time && (
+                    <span className="flex items-center gap-1">
+                      <Clock className="h-3 w-3" />
+                      {template.event.start_time.slice(0, 5)}
+                      {template.event.end_time && ` – ${template.event.end_time.slice(0, 5)}`}
+                    </span>
+                  )}
+                  {template.event.location && (
+                    <span className="flex items-center gap-1">
+                      <MapPin className="h-3 w-3" />
+                      {template.event.location}
+                    </span>
+                  )}
+                  <span>Updated {format(new Date(template.updatedAt), "MMM d, yyyy")}</span>
+                </p>
+              </div>
+              <div className="flex items-center gap-1 shrink-0">
+                <Button
+                  type="button"
+                  size="sm"
+                  className="bg-[#A91827] hover:bg-[#A91827]/90 text-white"
+                  onClick={() => onUseTemplate(template)}
+                >
+                  Use
+                </Button>
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="icon"
+                  onClick={() => {
+                    setRenamingId(template.id);
+                    setName(template.name);
+                  }}
+                >
+                  <Pencil className="h-4 w-4" />
+                </Button>
+                <Button type="button" variant="ghost" size="icon" onClick={() => handleDelete(template)}>
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+            </div>
+          ))}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
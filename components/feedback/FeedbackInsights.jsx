@@ -0,0 +1,208 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import { RefreshCw, ThumbsDown, ThumbsUp } from "lucide-react";
+import { toast } from "sonner";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+} from "@/components/ui/select";
+import { cn } from "@/lib/utils";
+import { SENTIMENTS, SENTIMENT_LABELS, getThemeLabel } from "@/lib/feedback/sentiment";
+
+const SENTIMENT_STYLES = {
+  [SENTIMENTS.POSITIVE]: "bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300",
+  [SENTIMENTS.NEUTRAL]: "bg-gray-100 text-gray-700 dark:bg-gray-800 dark:text-gray-300",
+  [SENTIMENTS.NEGATIVE]: "bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-300",
+};
+
+// Filter value showing every response
+const ALL = "all";
+
+/**
+ * Sentiment and theme summary of an event's feedback comments, with the
+ * comments themselves filterable by sentiment.
+ *
+ * @param {Object} props
+ * @param {string} props.eventId - The event whose feedback to show
+ */
+export function FeedbackInsights({ eventId }) {
+  const [insights, setInsights] = useState(null);
+  const [error, setError] = useState(null);
+  const [filter, setFilter] = useState(ALL);
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
+
+  const fetchInsights = useCallback(async (method = "GET") => {
+    const response = await fetch(`/api/dashboard/admin/events/${eventId}/feedback-insights`, { method });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || "Failed to load feedback");
+    setInsights(data);
+    return data;
+  }, [eventId]);
+
+  useEffect(() => {
+    setInsights(null);
+    setError(null);
+    setFilter(ALL);
+    fetchInsights().catch((error) => {
+      console.error("Error fetching feedback insights:", error);
+      setError(error.message);
+    });
+  }, [fetchInsights]);
+
+  const handleReanalyze = async () => {
+    try {
+      setIsAnalyzing(true);
+      const data = await fetchInsights("POST");
+      toast.success(`Re-analysed ${data.analyzed} response${data.analyzed === 1 ? "" : "s"}`);
+    } catch (error) {
+      console.error("Error analysing feedback:", error);
+      toast.error(error.message);
+    } finally {
+      setIsAnalyzing(false);
+    }
+  };
+
+  if (error) return <p className="text-sm text-destructive">{error}</p>;
+  if (!insights) return <p className="text-sm text-muted-foreground">Loading feedback...</p>;
+  if (insights.comments.length === 0) {
+    return (
+      <div className="text-center py-4">
+        <p className="text-muted-foreground">No feedback has been submitted for this event yet.</p>
+      </div>
+    );
+  }
+
+  const comments = filter === ALL
+    ? insights.comments
+    : insights.comments.filter((comment) => comment.sentiment === filter);
+
+  return (
+    <div className="space-y-4">
+      {insights.total > 0 && (
+        <>
+          <div className="flex flex-wrap items-center gap-2">
+            {Object.values(SENTIMENTS).map((sentiment) => (
+              <Badge key={sentiment} variant="outline" className={cn("border-none", SENTIMENT_STYLES[sentiment])}>
+                {SENTIMENT_LABELS[sentiment]}: {insights.sentiment[sentiment]}
+              </Badge>
+            ))}
+            <Button
+              type="button"
+              variant="ghost"
+              size="sm"
+              className="ml-auto h-7 px-2 text-xs"
+              onClick={handleReanalyze}
+              disabled={isAnalyzing}
+            >
+              <RefreshCw className={cn("h-3 w-3 mr-1", isAnalyzing && "animate-spin")} />
+              Re-analyse
+            </Button>
+          </div>
+
+          {insights.themes.length > 0 && (
+            <div className="space-y-1">
+              <h4 className="text-sm font-medium">Top themes</h4>
+              <div className="flex flex-wrap gap-1.5">
+                {insights.themes.map((theme) => (
+                  <Badge key={theme.id} variant="secondary" className="font-normal">
+                    {theme.label} · {theme.count}
+                    {theme.negative > theme.positive && <ThumbsDown className="h-3 w-3 ml-1 text-red-600" />}
+                    {theme.positive > theme.negative && <ThumbsUp className="h-3 w-3 ml-1 text-green-600" />}
+                  </Badge>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            {[
+              { key: "positive", title: "What worked", empty: "No positive comments" },
+              { key: "negative", title: "What to improve", empty: "No negative comments" },
+            ].map(({ key, title, empty }) => (
+              <div key={key} className="rounded-md border p-3 space-y-2">
+                <h4 className="text-sm font-medium">{title}</h4>
+                {insights.highlights[key].length === 0 ? (
+                  <p className="text-xs text-muted-foreground">{empty}</p>
+                ) : (
+                  <ul className="space-y-1.5">
+                    {insights.highlights[key].map((comment, index) => (
+                      <li key={index} className="text-xs text-muted-foreground">
+                        &ldquo;{comment.highlight}&rdquo;
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+
+      <div className="flex items-center justify-between gap-4">
+        <h4 className="font-medium">
+          {comments.length} response{comments.length === 1 ? "" : "s"}
+        </h4>
+        <Select value={filter} onValueChange={setFilter}>
+          <SelectTrigger className="w-[160px] h-8">
+            <span className="text-sm">{filter === ALL ? "All comments" : SENTIMENT_LABELS[filter]}</span>
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value={ALL}>All comments</SelectItem>
+            {Object.values(SENTIMENTS).map((sentiment) => (
+              <SelectItem key={sentiment} value={sentiment}>
+                {SENTIMENT_LABELS[sentiment]}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      <div className="space-y-3 max-h-64 overflow-y-auto pr-2">
+        {comments.map((comment, index) => (
+          <div key={index} className="p-3 border rounded-md bg-white dark:bg-gray-900">
+            <div className="flex items-center mb-1 justify-between gap-2">
+              <div className="flex items-center gap-2">
+                {comment.rating != null && (
+                  <div className="flex">
+                    {[1, 2, 3, 4, 5].map((star) => (
+                      <span
+                        key={star}
+                        className={`text-yellow-400 ${star <= comment.rating ? "opacity-100" : "opacity-30"}`}
+                      >
+                        ★
+                      </span>
+                    ))}
+                  </div>
+                )}
+                {comment.sentiment && (
+                  <Badge variant="outline" className={cn("border-none text-[10px] px-1.5 py-0", SENTIMENT_STYLES[comment.sentiment])}>
+                    {SENTIMENT_LABELS[comment.sentiment]}
+                  </Badge>
+                )}
+              </div>
+              <span className="text-xs text-gray-500 font-medium">{comment.studentName}</span>
+            </div>
+            {comment.text && <p className="text-sm text-muted-foreground mt-1 whitespace-pre-wrap">{comment.text}</p>}
+            {comment.themes.length > 0 && (
+              <div className="flex flex-wrap gap-1 mt-2">
+                {comment.themes.map((themeId) => (
+                  <span key={themeId} className="text-[10px] rounded-full bg-muted px-2 py-0.5 text-muted-foreground">
+                    {getThemeLabel(themeId)}
+                  </span>
+                ))}
+              </div>
+            )}
+          </div>
+        ))}
+        {comments.length === 0 && (
+          <p className="text-sm text-muted-foreground">No {SENTIMENT_LABELS[filter]?.toLowerCase()} comments.</p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,154 @@
+"use client";
+
+import { Label } from "@/components/ui/label";
+import { cn } from "@/lib/utils";
+import { LIKERT_LABELS, QUESTION_TYPES } from "@/lib/feedback/surveys";
+
+/**
+ * Row of numbered buttons for scale questions
+ *
+ * @param {Object} props
+ * @param {number} props.min - Lowest answer
+ * @param {number} props.max - Highest answer
+ * @param {number|undefined} props.value - Current answer
+ * @param {Function} props.onChange - Called with the chosen number
+ * @param {string[]} [props.labels] - Accessible labels, one per answer
+ */
+function ScaleButtons({ min, max, value, onChange, labels }) {
+  const values = Array.from({ length: max - min + 1 }, (_, index) => min + index);
+
+  return (
+    <div className="flex flex-wrap gap-1">
+      {values.map((option, index) => (
+        <button
+          key={option}
+          type="button"
+          onClick={() => onChange(option)}
+          title={labels?.[index]}
+          aria-label={labels?.[index] ?? String(option)}
+          className={cn(
+            "h-9 min-w-9 px-2 rounded-md border text-sm transition-colors",
+            value === option
+              ? "bg-[#A91827] border-[#A91827] text-white"
+              : "hover:bg-muted"
+          )}
+        >
+          {option}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * One survey question with the input for its type
+ *
+ * @param {Object} props
+ * @param {object} props.question - <code>{ id, type, prompt, required, options }</code>
+ * @param {*} props.value - Current answer
+ * @param {Function} props.onChange - Called with the new answer
+ */
+function SurveyQuestion({ question, value, onChange }) {
+  const inputId = `survey-${question.id}`;
+
+  switch (question.type) {
+    case QUESTION_TYPES.RATING:
+      return (
+        <div className="flex gap-1">
+          {[1, 2, 3, 4, 5].map((star) => (
+            <button
+              key={star}
+              type="button"
+              onClick={() => onChange(star)}
+              className={`text-2xl ${star <= (value || 0) ? "text-yellow-400" : "text-gray-300"}`}
+              aria-label={`Rate ${star} star${star !== 1 ? "s" : ""}`}
+            >
+              ★
+            </button>
+          ))}
+        </div>
+      );
+
+    case QUESTION_TYPES.LIKERT:
+      return (
+        <div className="space-y-1">
+          <ScaleButtons min={1} max={5} value={value} onChange={onChange} labels={LIKERT_LABELS} />
+          <div className="flex justify-between text-xs text-muted-foreground max-w-[220px]">
+            <span>{LIKERT_LABELS[0]}</span>
+            <span>{LIKERT_LABELS[LIKERT_LABELS.length - 1]}</span>
+          </div>
+        </div>
+      );
+
+    case QUESTION_TYPES.NPS:
+      return (
+        <div className="space-y-1">
+          <ScaleButtons min={0} max={10} value={value} onChange={onChange} />
+          <div className="flex justify-between text-xs text-muted-foreground">
+            <span>Not at all likely</span>
+            <span>Extremely likely</span>
+          </div>
+        </div>
+      );
+
+    case QUESTION_TYPES.MULTIPLE_CHOICE:
+      return (
+        <div className="space-y-2">
+          {question.options.map((option) => (
+            <label key={option} className="flex items-center gap-2 text-sm cursor-pointer">
+              <input
+                type="radio"
+                name={inputId}
+                value={option}
+                checked={value === option}
+                onChange={() => onChange(option)}
+                className="accent-[#A91827]"
+              />
+              {option}
+            </label>
+          ))}
+        </div>
+      );
+
+    default:
+      return (
+        <textarea
+          id={inputId}
+          className="w-full p-2 border rounded-md min-h-[100px]"
+          placeholder="Share your thoughts about this event..."
+          value={value || ""}
+          onChange={(e) => onChange(e.target.value)}
+        />
+      );
+  }
+}
+
+/**
+ * The questions of a feedback survey, as a controlled form.
+ *
+ * @param {Object} props
+ * @param {Array<object>} props.questions - The survey template's questions
+ * @param {object} props.answers - Answers keyed by question id
+ * @param {Function} props.onChange - Called with <code>(questionId, value)</code>
+ */
+export function SurveyForm({ questions, answers, onChange }) {
+  return (
+    <div className="space-y-5">
+      {questions.map((question) => (
+        <div key={question.id} className="space-y-2">
+          <Label htmlFor={`survey-${question.id}`} className="font-medium">
+            {question.prompt}
+            {!question.required && (
+              <span className="ml-1 text-xs font-normal text-muted-foreground">(optional)</span>
+            )}
+          </Label>
+          <SurveyQuestion
+            question={question}
+            value={answers[question.id]}
+            onChange={(value) => onChange(question.id, value)}
+          />
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,172 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { Download } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Progress } from "@/components/ui/progress";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { QUESTION_TYPES } from "@/lib/feedback/surveys";
+
+/**
+ * Bars showing how many responses chose each answer
+ *
+ * @param {Object} props
+ * @param {Array<{label: string, count: number}>} props.rows - One row per answer
+ * @param {number} props.total - Responses to the question
+ */
+function AnswerBars({ rows, total }) {
+  return (
+    <div className="space-y-1.5">
+      {rows.map((row) => (
+        <div key={row.label} className="grid grid-cols-[140px_1fr_48px] items-center gap-3 text-sm">
+          <span className="truncate text-muted-foreground">{row.label}</span>
+          <Progress value={total > 0 ? (row.count / total) * 100 : 0} className="h-2" />
+          <span className="text-right tabular-nums">{row.count}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Aggregates for one question
+ *
+ * @param {Object} props
+ * @param {object} props.question - An entry of the results' <code>questions</code>
+ */
+function QuestionResults({ question }) {
+  if (question.type === QUESTION_TYPES.TEXT) {
+    return question.answers.length > 0 ? (
+      <ul className="space-y-2 max-h-48 overflow-y-auto pr-2">
+        {question.answers.map((answer, index) => (
+          <li key={index} className="p-2 border rounded-md text-sm text-muted-foreground">
+            {answer}
+          </li>
+        ))}
+      </ul>
+    ) : (
+      <p className="text-sm text-muted-foreground">No answers yet.</p>
+    );
+  }
+
+  if (question.type === QUESTION_TYPES.MULTIPLE_CHOICE) {
+    return (
+      <AnswerBars
+        rows={question.options.map((item) => ({ label: `${item.option} (${item.percent}%)`, count: item.count }))}
+        total={question.responses}
+      />
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap gap-4 text-sm">
+        <span>
+          Average: <span className="font-semibold">{question.average ?? "-"}</span>
+        </span>
+        {question.type === QUESTION_TYPES.NPS && (
+          <>
+            <span>
+              NPS: <span className="font-semibold">{question.score ?? "-"}</span>
+            </span>
+            <span className="text-muted-foreground">
+              {question.promoters} promoters · {question.passives} passives · {question.detractors} detractors
+            </span>
+          </>
+        )}
+      </div>
+      <AnswerBars rows={question.distribution} total={question.responses} />
+    </div>
+  );
+}
+
+/**
+ * Dialog with the per-question results of an event's feedback survey.
+ *
+ * <p>Responses can be downloaded as CSV, one row per student and one column
+ * per question.</p>
+ *
+ * @param {Object} props
+ * @param {string|null} props.eventId - The event whose results to show
+ * @param {boolean} props.open - Whether the dialog is shown
+ * @param {Function} props.onOpenChange - Called with false to close the dialog
+ */
+export function SurveyResultsDialog({ eventId, open, onOpenChange }) {
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!open || !eventId) return;
+
+    setResults(null);
+    setError(null);
+    fetch(`/api/dashboard/admin/events/${eventId}/survey`)
+      .then(async (response) => {
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || "Failed to load survey results");
+        setResults(data);
+      })
+      .catch((error) => {
+        console.error("Error fetching survey results:", error);
+        setError(error.message);
+      });
+  }, [open, eventId]);
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-2xl max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{results?.event.title || "Survey Results"}</DialogTitle>
+          <DialogDescription>
+            {results
+              ? `${results.template.name} · ${results.responseCount} response${results.responseCount === 1 ? "" : "s"}`
+              : "Feedback survey results for this event."}
+          </DialogDescription>
+        </DialogHeader>
+
+        {error && <p className="text-sm text-destructive">{error}</p>}
+        {!results && !error && <p className="text-sm text-muted-foreground">Loading results...</p>}
+
+        {results && (
+          <div className="space-y-6">
+            {results.otherResponses > 0 && (
+              <p className="text-xs text-muted-foreground">
+                {results.otherResponses} earlier response{results.otherResponses === 1 ? " was" : "s were"} given to a
+                different survey and {results.otherResponses === 1 ? "is" : "are"} not included.
+              </p>
+            )}
+
+            {results.questions.map((question, index) => (
+              <div key={question.id} className="space-y-2">
+                <div className="flex items-baseline justify-between gap-4">
+                  <h4 className="font-medium text-sm">
+                    {index + 1}. {question.prompt}
+                  </h4>
+                  <span className="text-xs text-muted-foreground whitespace-nowrap">
+                    {question.responses} answered
+                  </span>
+                </div>
+                <QuestionResults question={question} />
+              </div>
+            ))}
+
+            <div className="flex justify-end">
+              <Button variant="outline" asChild>
+                <a href={`/api/dashboard/admin/events/${eventId}/survey?format=csv`}>
+                  <Download className="h-4 w-4 mr-2" />
+                  Export CSV
+                </a>
+              </Button>
+            </div>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
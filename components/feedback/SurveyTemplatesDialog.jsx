@@ -0,0 +1,251 @@
+"use client";
+
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Textarea } from "@/components/ui/textarea";
+import { Badge } from "@/components/ui/badge";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+} from "@/components/ui/select";
+import { Plus, Trash2 } from "lucide-react";
+import { toast } from "sonner";
+import { MAX_QUESTIONS, QUESTION_TYPES, QUESTION_TYPE_LABELS } from "@/lib/feedback/surveys";
+
+const EMPTY_QUESTION = {
+  type: QUESTION_TYPES.RATING,
+  prompt: "",
+  required: true,
+  options: "",
+};
+
+const EMPTY_TEMPLATE = {
+  name: "",
+  description: "",
+  questions: [EMPTY_QUESTION],
+};
+
+/**
+ * Dialog where staff build feedback survey templates and remove unused ones.
+ *
+ * <p>Templates cannot be edited once saved, so earlier responses always match
+ * the questions they answered; staff save a new template instead.</p>
+ *
+ * @param {Object} props
+ * @param {boolean} props.open - Whether the dialog is shown
+ * @param {Function} props.onOpenChange - Called with false to close the dialog
+ * @param {Array<object>} props.templates - The saved templates
+ * @param {Function} props.onTemplatesChange - Called after a template is saved or removed
+ */
+export function SurveyTemplatesDialog({ open, onOpenChange, templates, onTemplatesChange }) {
+  const [draft, setDraft] = useState(EMPTY_TEMPLATE);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const updateQuestion = (index, field, value) => {
+    setDraft((prev) => ({
+      ...prev,
+      questions: prev.questions.map((question, i) => (i === index ? { ...question, [field]: value } : question)),
+    }));
+  };
+
+  const handleSave = async () => {
+    try {
+      setIsSaving(true);
+      const response = await fetch("/api/dashboard/admin/surveys", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          ...draft,
+          questions: draft.questions.map((question) => ({
+            ...question,
+            options: question.options.split("\n"),
+          })),
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Failed to save survey");
+
+      toast.success(`Survey "${data.name}" saved`);
+      setDraft(EMPTY_TEMPLATE);
+      onTemplatesChange();
+    } catch (error) {
+      console.error("Error saving survey template:", error);
+      toast.error(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete the survey "${template.name}"? Events using it will ask the default questions.`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/dashboard/admin/surveys/${template.id}`, { method: "DELETE" });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Failed to delete survey");
+
+      toast.success(`Survey "${template.name}" deleted`);
+      onTemplatesChange();
+    } catch (error) {
+      console.error("Error deleting survey template:", error);
+      toast.error(error.message);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-3xl max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Feedback Surveys</DialogTitle>
+          <DialogDescription>
+            Surveys students fill in after attending an event. Events without a survey of their own use the default.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-2">
+          {templates.map((template) => (
+            <div key={template.id} className="flex items-center justify-between gap-3 rounded-lg border p-3">
+              <div className="min-w-0">
+                <div className="flex items-center gap-2">
+                  <span className="font-medium text-sm truncate">{template.name}</span>
+                  {template.is_default && <Badge variant="secondary">Default</Badge>}
+                </div>
+                <p className="text-xs text-muted-foreground">
+                  {template.questions.length} question{template.questions.length === 1 ? "" : "s"}
+                  {template.description && ` · ${template.description}`}
+                </p>
+              </div>
+              {!template.is_default && (
+                <Button type="button" variant="ghost" size="icon" onClick={() => handleDelete(template)}>
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <div className="space-y-4 border-t pt-4">
+          <h4 className="font-medium">New survey</h4>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="survey-name">Name</Label>
+              <Input
+                id="survey-name"
+                placeholder="e.g. Workshop feedback"
+                value={draft.name}
+                onChange={(e) => setDraft((prev) => ({ ...prev, name: e.target.value }))}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="survey-description">Description (optional)</Label>
+              <Input
+                id="survey-description"
+                value={draft.description}
+                onChange={(e) => setDraft((prev) => ({ ...prev, description: e.target.value }))}
+              />
+            </div>
+          </div>
+
+          {draft.questions.map((question, index) => (
+            <div key={index} className="rounded-lg border p-4 space-y-3">
+              <div className="grid grid-cols-1 sm:grid-cols-[220px_1fr_auto] gap-3 items-end">
+                <div className="space-y-1">
+                  <Label className="text-xs">Question type</Label>
+                  <Select value={question.type} onValueChange={(value) => updateQuestion(index, "type", value)}>
+                    <SelectTrigger>
+                      <span className="text-sm">{QUESTION_TYPE_LABELS[question.type]}</span>
+                    </SelectTrigger>
+                    <SelectContent>
+                      {Object.entries(QUESTION_TYPE_LABELS).map(([value, label]) => (
+                        <SelectItem key={value} value={value}>
+                          {label}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="space-y-1">
+                  <Label className="text-xs">Question {index + 1}</Label>
+                  <Input
+                    placeholder="e.g. The session was relevant to my career plans"
+                    value={question.prompt}
+                    onChange={(e) => updateQuestion(index, "prompt", e.target.value)}
+                  />
+                </div>
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="icon"
+                  disabled={draft.questions.length === 1}
+                  onClick={() =>
+                    setDraft((prev) => ({ ...prev, questions: prev.questions.filter((_, i) => i !== index) }))
+                  }
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+
+              {question.type === QUESTION_TYPES.MULTIPLE_CHOICE && (
+                <div className="space-y-1">
+                  <Label className="text-xs">Options, one per line</Label>
+                  <Textarea
+                    rows={3}
+                    value={question.options}
+                    onChange={(e) => updateQuestion(index, "options", e.target.value)}
+                  />
+                </div>
+              )}
+
+              <div className="flex items-center gap-2">
+                <Switch
+                  id={`question-required-${index}`}
+                  checked={question.required}
+                  onCheckedChange={(checked) => updateQuestion(index, "required", checked)}
+                />
+                <Label htmlFor={`question-required-${index}`} className="text-sm font-normal">
+                  Required
+                </Label>
+              </div>
+            </div>
+          ))}
+
+          <Button
+            type="button"
+            variant="outline"
+            disabled={draft.questions.length >= MAX_QUESTIONS}
+            onClick={() => setDraft((prev) => ({ ...prev, questions: [...prev.questions, EMPTY_QUESTION] }))}
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            Add Question
+          </Button>
+        </div>
+
+        <DialogFooter>
+          <Button
+            type="button"
+            className="bg-[#A91827] hover:bg-[#A91827]/90 text-white"
+            onClick={handleSave}
+            disabled={isSaving}
+          >
+            {isSaving ? "Saving..." : "Save Survey"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
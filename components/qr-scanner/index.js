@@ -15,12 +15,29 @@ import { motion } from 'framer-motion';
  * @param {Function} props.onScan - Callback function when QR is successfully scanned
  * @param {Function} props.onError - Callback function when an error occurs
  * @param {boolean} props.showScannerByDefault - Whether to show scanner immediately
+ * @param {boolean} props.continuous - Keep the camera running after each scan (door scanning)
+ * @param {number} props.repeatDelayMs - In continuous mode, how long the same code is ignored after it is read
  */
-export function QRScanner({ onScan, onError, showScannerByDefault = false }) {
+export function QRScanner({
+  onScan,
+  onError,
+  showScannerByDefault = false,
+  continuous = false,
+  repeatDelayMs = 3000
+}) {
   const [isScannerVisible, setScannerVisible] = useState(showScannerByDefault);
   const [hasPermission, setHasPermission] = useState(null);
   const scannerRef = useRef(null);
   const containerRef = useRef(null);
+  const lastScanRef = useRef({ text: null, at: 0 });
+
+  // Keep the latest callbacks in refs so re-renders of the parent do not restart the camera
+  const onScanRef = useRef(onScan);
+  const onErrorRef = useRef(onError);
+  useEffect(() => {
+    onScanRef.current = onScan;
+    onErrorRef.current = onError;
+  }, [onScan, onError]);
 
   useEffect(() => {
     let html5QrCode;
@@ -38,12 +55,12 @@ export function QRScanner({ onScan, onError, showScannerByDefault = false }) {
             setHasPermission(true);
           } else {
             setHasPermission(false);
-            if (onError) onError('No cameras found');
+            if (onErrorRef.current) onErrorRef.current('No cameras found');
           }
         } catch (err) {
           console.error('Camera permission error:', err);
           setHasPermission(false);
-          if (onError) onError('Camera permission denied');
+          if (onErrorRef.current) onErrorRef.current('Camera permission denied');
         }
       }
     };
@@ -57,10 +74,21 @@ export function QRScanner({ onScan, onError, showScannerByDefault = false }) {
             qrbox: { width: 250, height: 250 },
           },
           (decodedText) => {
-            if (onScan) {
-              onScan(decodedText);
-              setScannerVisible(false);
+            if (!onScanRef.current) return;
+
+            if (continuous) {
+              // The camera reads the same code many times a second while it is in frame
+              const now = Date.now();
+              const last = lastScanRef.current;
+              if (last.text === decodedText && now - last.at < repeatDelayMs) return;
+              lastScanRef.current = { text: decodedText, at: now };
+
+              onScanRef.current(decodedText);
+              return;
             }
+
+            onScanRef.current(decodedText);
+            setScannerVisible(false);
           },
           (errorMessage) => {
             // Ignore errors during scanning as they're usually just "QR code not found in frame"
@@ -68,7 +96,7 @@ export function QRScanner({ onScan, onError, showScannerByDefault = false }) {
         );
       } catch (err) {
         console.error('Scanner start error:', err);
-        if (onError) onError(err.message || 'Failed to start scanner');
+        if (onErrorRef.current) onErrorRef.current(err.message || 'Failed to start scanner');
       }
     };
 
@@ -83,7 +111,7 @@ export function QRScanner({ onScan, onError, showScannerByDefault = false }) {
           .catch(error => console.error('Error stopping scanner:', error));
       }
     };
-  }, [isScannerVisible, onScan, onError]);
+  }, [isScannerVisible, continuous, repeatDelayMs]);
 
   const handleClose = async () => {
     if (scannerRef.current) {
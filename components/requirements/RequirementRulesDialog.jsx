@@ -0,0 +1,332 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+} from "@/components/ui/select";
+import { Plus, Trash2 } from "lucide-react";
+import { toast } from "sonner";
+import { EVENT_TYPE_LABELS } from "@/lib/events/categories";
+import {
+  DEFAULT_RULES,
+  REQUIREMENT_RULE_TYPES,
+  REQUIREMENT_RULE_TYPE_LABELS,
+  describeRule,
+} from "@/lib/requirements/rules";
+
+// Value used for "a new year group" in the year group picker
+const NEW_GROUP = "new";
+
+const EMPTY_RULE = {
+  rule_type: REQUIREMENT_RULE_TYPES.EVENT_ATTENDANCE,
+  min_count: 1,
+  event_type: "",
+  event_tag: "",
+  description: "",
+  is_required: true,
+};
+
+/**
+ * Turns stored rules into editable form rows
+ *
+ * @param {Array<object>} rules - requirement_items rows
+ * @returns {Array<object>} Rows with blank strings for empty fields
+ */
+function toFormRules(rules) {
+  return rules.map((rule) => ({
+    ...EMPTY_RULE,
+    ...rule,
+    // Default rules are templates, not rows to update
+    id: String(rule.id).startsWith("default-") ? undefined : rule.id,
+    event_type: rule.event_type || "",
+    event_tag: rule.event_tag || "",
+    // Generated labels are left blank so they follow later edits to the rule
+    description: rule.description === describeRule({ ...rule, description: "" }) ? "" : rule.description || "",
+  }));
+}
+
+/**
+ * Dialog where staff set the internship eligibility rules for each year group.
+ *
+ * <p>Year groups without rules of their own use the default requirements,
+ * which are offered as the starting point for a new year group.</p>
+ *
+ * @param {Object} props
+ * @param {boolean} props.open - Whether the dialog is shown
+ * @param {Function} props.onOpenChange - Called with false to close the dialog
+ */
+export function RequirementRulesDialog({ open, onOpenChange }) {
+  const [groups, setGroups] = useState([]);
+  const [selectedGroupId, setSelectedGroupId] = useState(NEW_GROUP);
+  const [yearGroup, setYearGroup] = useState("");
+  const [rules, setRules] = useState(toFormRules(DEFAULT_RULES));
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Loads a group into the form; unknown IDs start a new year group from the defaults
+  const selectGroup = useCallback((groupId, groupList) => {
+    const group = groupList.find((item) => item.id === groupId);
+    setSelectedGroupId(group ? group.id : NEW_GROUP);
+    setYearGroup(group ? String(group.year_group) : "");
+    setRules(toFormRules(group ? group.rules : DEFAULT_RULES));
+  }, []);
+
+  const fetchGroups = useCallback(async (groupId) => {
+    try {
+      const response = await fetch("/api/dashboard/admin/requirements");
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Failed to load requirements");
+
+      setGroups(data.groups);
+      selectGroup(groupId ?? data.groups[0]?.id, data.groups);
+    } catch (error) {
+      console.error("Error fetching requirement groups:", error);
+      toast.error(error.message);
+    }
+  }, [selectGroup]);
+
+  useEffect(() => {
+    if (open) fetchGroups();
+  }, [open, fetchGroups]);
+
+  const updateRule = (index, field, value) => {
+    setRules((prev) => prev.map((rule, i) => (i === index ? { ...rule, [field]: value } : rule)));
+  };
+
+  const handleSave = async () => {
+    try {
+      setIsSaving(true);
+      const isNew = selectedGroupId === NEW_GROUP;
+      const response = await fetch(
+        isNew ? "/api/dashboard/admin/requirements" : `/api/dashboard/admin/requirements/${selectedGroupId}`,
+        {
+          method: isNew ? "POST" : "PUT",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            year_group: yearGroup,
+            rules: rules.map((rule) => ({ ...rule, min_count: Number(rule.min_count) })),
+          }),
+        }
+      );
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Failed to save requirements");
+
+      toast.success(`Requirements for ${data.year_group} saved`);
+      await fetchGroups(data.id);
+    } catch (error) {
+      console.error("Error saving requirements:", error);
+      toast.error(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Remove the rules for ${yearGroup}? Students in this year group will get the default requirements.`)) {
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      const response = await fetch(`/api/dashboard/admin/requirements/${selectedGroupId}`, { method: "DELETE" });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Failed to delete requirements");
+
+      toast.success(`Requirements for ${yearGroup} removed`);
+      await fetchGroups();
+    } catch (error) {
+      console.error("Error deleting requirements:", error);
+      toast.error(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const selectedLabel = selectedGroupId === NEW_GROUP
+    ? "New year group"
+    : `Class of ${yearGroup}`;
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-3xl max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Internship Eligibility Rules</DialogTitle>
+          <DialogDescription>
+            What students must do before they can request an internship letter. Year groups without rules of their own use the default requirements.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div className="space-y-2">
+            <Label>Year group</Label>
+            <Select value={selectedGroupId} onValueChange={(value) => selectGroup(value, groups)}>
+              <SelectTrigger>
+                <span className="text-sm">{selectedLabel}</span>
+              </SelectTrigger>
+              <SelectContent>
+                {groups.map((group) => (
+                  <SelectItem key={group.id} value={group.id}>
+                    Class of {group.year_group}
+                  </SelectItem>
+                ))}
+                <SelectItem value={NEW_GROUP}>New year group</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+          {selectedGroupId === NEW_GROUP && (
+            <div className="space-y-2">
+              <Label htmlFor="year-group">Class of</Label>
+              <Input
+                id="year-group"
+                inputMode="numeric"
+                maxLength={4}
+                placeholder="e.g. 2027"
+                value={yearGroup}
+                onChange={(e) => setYearGroup(e.target.value)}
+              />
+            </div>
+          )}
+        </div>
+
+        <div className="space-y-3">
+          {rules.length === 0 && (
+            <p className="text-sm text-muted-foreground">
+              No rules: students in this year group can request a letter straight away.
+            </p>
+          )}
+          {rules.map((rule, index) => {
+            const isAttendance = rule.rule_type === REQUIREMENT_RULE_TYPES.EVENT_ATTENDANCE;
+            const isManual = rule.rule_type === REQUIREMENT_RULE_TYPES.MANUAL;
+
+            return (
+              <div key={rule.id || `new-${index}`} className="rounded-lg border p-4 space-y-3">
+                <div className="grid grid-cols-1 sm:grid-cols-[1fr_100px_auto] gap-3 items-end">
+                  <div className="space-y-1">
+                    <Label className="text-xs">Requirement</Label>
+                    <Select value={rule.rule_type} onValueChange={(value) => updateRule(index, "rule_type", value)}>
+                      <SelectTrigger>
+                        <span className="text-sm">{REQUIREMENT_RULE_TYPE_LABELS[rule.rule_type]}</span>
+                      </SelectTrigger>
+                      <SelectContent>
+                        {Object.entries(REQUIREMENT_RULE_TYPE_LABELS).map(([value, label]) => (
+                          <SelectItem key={value} value={value}>
+                            {label}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  <div className="space-y-1">
+                    <Label className="text-xs">How many</Label>
+                    <Input
+                      type="number"
+                      min={1}
+                      disabled={isManual}
+                      value={isManual ? 1 : rule.min_count}
+                      onChange={(e) => updateRule(index, "min_count", e.target.value)}
+                    />
+                  </div>
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="icon"
+                    onClick={() => setRules((prev) => prev.filter((_, i) => i !== index))}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+
+                {isAttendance && (
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                    <div className="space-y-1">
+                      <Label className="text-xs">Event type</Label>
+                      <Select
+                        value={rule.event_type || "any"}
+                        onValueChange={(value) => updateRule(index, "event_type", value === "any" ? "" : value)}
+                      >
+                        <SelectTrigger>
+                          <span className="text-sm">{EVENT_TYPE_LABELS[rule.event_type] || "Any type"}</span>
+                        </SelectTrigger>
+                        <SelectContent>
+                          <SelectItem value="any">Any type</SelectItem>
+                          {Object.entries(EVENT_TYPE_LABELS).map(([value, label]) => (
+                            <SelectItem key={value} value={value}>
+                              {label}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                    <div className="space-y-1">
+                      <Label className="text-xs">With tag (optional)</Label>
+                      <Input
+                        placeholder="e.g. Resume"
+                        value={rule.event_tag}
+                        onChange={(e) => updateRule(index, "event_tag", e.target.value)}
+                      />
+                    </div>
+                  </div>
+                )}
+
+                <div className="space-y-1">
+                  <Label className="text-xs">{isManual ? "What students confirm" : "Label shown to students (optional)"}</Label>
+                  <Input
+                    placeholder={isManual ? "e.g. Upload an updated CV" : describeRule({ ...rule, min_count: Number(rule.min_count) || 1 })}
+                    value={rule.description}
+                    onChange={(e) => updateRule(index, "description", e.target.value)}
+                  />
+                </div>
+
+                <div className="flex items-center gap-2">
+                  <Switch
+                    id={`rule-required-${index}`}
+                    checked={rule.is_required}
+                    onCheckedChange={(checked) => updateRule(index, "is_required", checked)}
+                  />
+                  <Label htmlFor={`rule-required-${index}`} className="text-sm font-normal">
+                    Required for eligibility
+                  </Label>
+                </div>
+              </div>
+            );
+          })}
+
+          <Button type="button" variant="outline" onClick={() => setRules((prev) => [...prev, EMPTY_RULE])}>
+            <Plus className="h-4 w-4 mr-2" />
+            Add Rule
+          </Button>
+        </div>
+
+        <DialogFooter className="gap-2">
+          {selectedGroupId !== NEW_GROUP && (
+            <Button type="button" variant="outline" onClick={handleDelete} disabled={isSaving}>
+              Use Defaults
+            </Button>
+          )}
+          <Button
+            type="button"
+            className="bg-[#A91827] hover:bg-[#A91827]/90 text-white"
+            onClick={handleSave}
+            disabled={isSaving}
+          >
+            {isSaving ? "Saving..." : "Save Rules"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
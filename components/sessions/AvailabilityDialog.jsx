@@ -0,0 +1,312 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { Plus, Trash2 } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+} from "@/components/ui/select";
+import {
+  MAX_BUFFER_MINUTES,
+  MAX_RESCHEDULE_NOTICE_HOURS,
+  SLOT_LENGTHS,
+  WEEKDAY_LABELS,
+} from "@/lib/sessions/availability";
+
+// Monday first, as advisors read their week
+const WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+const EMPTY_BLACKOUT = { startsOn: "", endsOn: "", reason: "" };
+
+/**
+ * Dialog where an advisor publishes the weekly hours students can book and
+ * blocks out days they are away.
+ *
+ * <p>Slots start at the beginning of each window and repeat every slot length
+ * plus buffer. Changes only affect new bookings. The reschedule notice is how
+ * many hours before a session students can still move it themselves.</p>
+ *
+ * @param {Object} props
+ * @param {boolean} props.open - Whether the dialog is shown
+ * @param {Function} props.onOpenChange - Called with false to close the dialog
+ */
+export function AvailabilityDialog({ open, onOpenChange }) {
+  const [availability, setAvailability] = useState(null);
+  const [blackouts, setBlackouts] = useState([]);
+  const [blackoutDraft, setBlackoutDraft] = useState(EMPTY_BLACKOUT);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+
+    setAvailability(null);
+    fetch("/api/dashboard/admin/availability")
+      .then(async (response) => {
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || "Failed to load availability");
+        setAvailability(data.availability);
+        setBlackouts(data.blackouts);
+      })
+      .catch((error) => {
+        console.error("Error fetching availability:", error);
+        toast.error(error.message);
+      });
+  }, [open]);
+
+  const updateWindow = (index, field, value) => {
+    setAvailability((prev) => ({
+      ...prev,
+      weeklyHours: prev.weeklyHours.map((range, i) => (i === index ? { ...range, [field]: value } : range)),
+    }));
+  };
+
+  const handleSave = async () => {
+    try {
+      setIsSaving(true);
+      const response = await fetch("/api/dashboard/admin/availability", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(availability),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Failed to save availability");
+
+      setAvailability(data);
+      toast.success("Availability saved");
+      onOpenChange(false);
+    } catch (error) {
+      console.error("Error saving availability:", error);
+      toast.error(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleAddBlackout = async () => {
+    try {
+      const response = await fetch("/api/dashboard/admin/availability/blackouts", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(blackoutDraft),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Failed to add blackout dates");
+
+      setBlackouts((prev) => [...prev, data].sort((a, b) => a.startsOn.localeCompare(b.startsOn)));
+      setBlackoutDraft(EMPTY_BLACKOUT);
+    } catch (error) {
+      console.error("Error adding blackout:", error);
+      toast.error(error.message);
+    }
+  };
+
+  const handleDeleteBlackout = async (blackout) => {
+    try {
+      const response = await fetch(`/api/dashboard/admin/availability/blackouts/${blackout.id}`, { method: "DELETE" });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Failed to remove blackout dates");
+
+      setBlackouts((prev) => prev.filter((item) => item.id !== blackout.id));
+    } catch (error) {
+      console.error("Error removing blackout:", error);
+      toast.error(error.message);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-2xl max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Availability</DialogTitle>
+          <DialogDescription>
+            Students can only book open slots inside your weekly hours. Sessions you have already booked are kept.
+          </DialogDescription>
+        </DialogHeader>
+
+        {!availability ? (
+          <p className="text-sm text-muted-foreground">Loading availability...</p>
+        ) : (
+          <div className="space-y-6">
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div className="space-y-2">
+                <Label>Slot length</Label>
+                <Select
+                  value={String(availability.slotMinutes)}
+                  onValueChange={(value) => setAvailability((prev) => ({ ...prev, slotMinutes: Number(value) }))}
+                >
+                  <SelectTrigger>
+                    <span className="text-sm">{availability.slotMinutes} minutes</span>
+                  </SelectTrigger>
+                  <SelectContent>
+                    {SLOT_LENGTHS.map((minutes) => (
+                      <SelectItem key={minutes} value={String(minutes)}>
+                        {minutes} minutes
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="buffer-minutes">Buffer between sessions (minutes)</Label>
+                <Input
+                  id="buffer-minutes"
+                  type="number"
+                  min={0}
+                  max={MAX_BUFFER_MINUTES}
+                  value={availability.bufferMinutes}
+                  onChange={(e) => setAvailability((prev) => ({ ...prev, bufferMinutes: e.target.value }))}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="reschedule-notice">Reschedule notice (hours)</Label>
+                <Input
+                  id="reschedule-notice"
+                  type="number"
+                  min={0}
+                  max={MAX_RESCHEDULE_NOTICE_HOURS}
+                  value={availability.rescheduleNoticeHours}
+                  onChange={(e) => setAvailability((prev) => ({ ...prev, rescheduleNoticeHours: e.target.value }))}
+                />
+              </div>
+            </div>
+
+            <div className="space-y-3">
+              <h4 className="font-medium">Weekly hours</h4>
+              {WEEKDAY_ORDER.map((weekday) => {
+                const windows = availability.weeklyHours
+                  .map((range, index) => ({ ...range, index }))
+                  .filter((range) => range.weekday === weekday);
+
+                return (
+                  <div key={weekday} className="grid grid-cols-[100px_1fr] gap-3 items-start">
+                    <span className="text-sm font-medium pt-2">{WEEKDAY_LABELS[weekday]}</span>
+                    <div className="space-y-2">
+                      {windows.length === 0 && <p className="text-sm text-muted-foreground pt-2">Unavailable</p>}
+                      {windows.map((range) => (
+                        <div key={range.index} className="flex items-center gap-2">
+                          <Input
+                            type="time"
+                            className="w-32"
+                            value={range.start}
+                            onChange={(e) => updateWindow(range.index, "start", e.target.value)}
+                          />
+                          <span className="text-sm text-muted-foreground">to</span>
+                          <Input
+                            type="time"
+                            className="w-32"
+                            value={range.end}
+                            onChange={(e) => updateWindow(range.index, "end", e.target.value)}
+                          />
+                          <Button
+                            type="button"
+                            variant="ghost"
+                            size="icon"
+                            onClick={() =>
+                              setAvailability((prev) => ({
+                                ...prev,
+                                weeklyHours: prev.weeklyHours.filter((_, i) => i !== range.index),
+                              }))
+                            }
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </Button>
+                        </div>
+                      ))}
+                      <Button
+                        type="button"
+                        variant="ghost"
+                        size="sm"
+                        className="h-7 px-2 text-xs"
+                        onClick={() =>
+                          setAvailability((prev) => ({
+                            ...prev,
+                            weeklyHours: [...prev.weeklyHours, { weekday, start: "09:00", end: "17:00" }],
+                          }))
+                        }
+                      >
+                        <Plus className="h-3 w-3 mr-1" />
+                        Add hours
+                      </Button>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+
+            <div className="space-y-3 border-t pt-4">
+              <h4 className="font-medium">Blackout dates</h4>
+              {blackouts.length === 0 && <p className="text-sm text-muted-foreground">No upcoming blackouts.</p>}
+              {blackouts.map((blackout) => (
+                <div key={blackout.id} className="flex items-center justify-between gap-3 rounded-lg border p-2 px-3">
+                  <span className="text-sm">
+                    {blackout.startsOn}
+                    {blackout.endsOn !== blackout.startsOn && ` – ${blackout.endsOn}`}
+                    {blackout.reason && <span className="text-muted-foreground"> · {blackout.reason}</span>}
+                  </span>
+                  <Button type="button" variant="ghost" size="icon" onClick={() => handleDeleteBlackout(blackout)}>
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              ))}
+              <div className="grid grid-cols-1 sm:grid-cols-[auto_auto_1fr_auto] gap-2 items-end">
+                <div className="space-y-1">
+                  <Label htmlFor="blackout-start" className="text-xs">From</Label>
+                  <Input
+                    id="blackout-start"
+                    type="date"
+                    value={blackoutDraft.startsOn}
+                    onChange={(e) => setBlackoutDraft((prev) => ({ ...prev, startsOn: e.target.value }))}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label htmlFor="blackout-end" className="text-xs">To (optional)</Label>
+                  <Input
+                    id="blackout-end"
+                    type="date"
+                    value={blackoutDraft.endsOn}
+                    onChange={(e) => setBlackoutDraft((prev) => ({ ...prev, endsOn: e.target.value }))}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label htmlFor="blackout-reason" className="text-xs">Reason (optional)</Label>
+                  <Input
+                    id="blackout-reason"
+                    placeholder="e.g. Conference"
+                    value={blackoutDraft.reason}
+                    onChange={(e) => setBlackoutDraft((prev) => ({ ...prev, reason: e.target.value }))}
+                  />
+                </div>
+                <Button type="button" variant="outline" onClick={handleAddBlackout} disabled={!blackoutDraft.startsOn}>
+                  Add
+                </Button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button type="button" onClick={handleSave} disabled={!availability || isSaving}>
+            {isSaving ? "Saving..." : "Save Availability"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,174 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { toast } from "sonner";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { format } from "@/lib/date-utils";
+import { MAX_NO_SHOW_LIMIT } from "@/lib/sessions/no-shows";
+
+/**
+ * Dialog where staff set how many no-shows a student may have in a semester
+ * before booking is blocked, and let blocked students book again.
+ *
+ * <p>Letting a student book forgives their no-shows so far this semester;
+ * they are blocked again after another full limit's worth.</p>
+ *
+ * @param {Object} props
+ * @param {boolean} props.open - Whether the dialog is shown
+ * @param {Function} props.onOpenChange - Called with false to close the dialog
+ */
+export function NoShowsDialog({ open, onOpenChange }) {
+  const [noShows, setNoShows] = useState(null);
+  const [limit, setLimit] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+  const [unblockingId, setUnblockingId] = useState(null);
+
+  const fetchNoShows = async () => {
+    try {
+      const response = await fetch("/api/dashboard/admin/no-shows");
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Failed to load no-shows");
+      setNoShows(data);
+      setLimit(String(data.limit));
+    } catch (error) {
+      console.error("Error fetching no-shows:", error);
+      toast.error(error.message);
+    }
+  };
+
+  useEffect(() => {
+    if (!open) return;
+
+    setNoShows(null);
+    fetchNoShows();
+  }, [open]);
+
+  const handleSaveLimit = async () => {
+    try {
+      setIsSaving(true);
+      const response = await fetch("/api/dashboard/admin/no-shows", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ limit: Number(limit) }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Failed to save the no-show limit");
+
+      toast.success(
+        data.limit === 0 ? "Students are no longer blocked for no-shows" : `Booking is blocked after ${data.limit} no-shows`,
+      );
+      fetchNoShows();
+    } catch (error) {
+      console.error("Error saving no-show limit:", error);
+      toast.error(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleAllowBooking = async (student) => {
+    try {
+      setUnblockingId(student.id);
+      const response = await fetch(`/api/dashboard/admin/no-shows/${student.id}/override`, { method: "POST" });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Failed to lift the booking block");
+
+      toast.success(`${student.fname} ${student.lname} can book sessions again`);
+      fetchNoShows();
+    } catch (error) {
+      console.error("Error lifting booking block:", error);
+      toast.error(error.message);
+    } finally {
+      setUnblockingId(null);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-lg max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>No-shows</DialogTitle>
+          <DialogDescription>
+            {noShows
+              ? `Students with no-shows this semester (since ${format(new Date(noShows.semesterStart), "MMMM d, yyyy")}).`
+              : "Students with no-shows this semester."}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-2">
+          <Label htmlFor="no-show-limit">Block booking after this many no-shows (0 never blocks)</Label>
+          <div className="flex items-center gap-2">
+            <Input
+              id="no-show-limit"
+              type="number"
+              min={0}
+              max={MAX_NO_SHOW_LIMIT}
+              className="w-24"
+              value={limit}
+              onChange={(e) => setLimit(e.target.value)}
+            />
+            <Button
+              type="button"
+              variant="outline"
+              onClick={handleSaveLimit}
+              disabled={isSaving || !noShows || limit === String(noShows.limit)}
+            >
+              {isSaving ? "Saving..." : "Save Limit"}
+            </Button>
+          </div>
+        </div>
+
+        <div className="space-y-3">
+          {!noShows && <p className="text-sm text-muted-foreground">Loading no-shows...</p>}
+          {noShows?.students.length === 0 && (
+            <p className="text-sm text-muted-foreground">No students have missed a session this semester.</p>
+          )}
+          {noShows?.students.map((student) => (
+            <div key={student.id} className="flex items-center justify-between gap-3 rounded-lg border p-3">
+              <div className="space-y-1">
+                <div className="flex items-center gap-2">
+                  <span className="font-medium">
+                    {student.fname} {student.lname}
+                  </span>
+                  {student.blocked && <Badge variant="destructive">Blocked</Badge>}
+                </div>
+                <p className="text-xs text-muted-foreground">
+                  {student.noShows} {student.noShows === 1 ? "no-show" : "no-shows"}
+                  {student.forgiven > 0 && `, ${student.forgiven} forgiven`}
+                  {student.student_id && ` · ID: ${student.student_id}`}
+                </p>
+              </div>
+              {student.blocked && (
+                <Button
+                  type="button"
+                  size="sm"
+                  onClick={() => handleAllowBooking(student)}
+                  disabled={unblockingId === student.id}
+                >
+                  {unblockingId === student.id ? "Allowing..." : "Allow Booking"}
+                </Button>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <DialogFooter>
+          <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+            Close
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,263 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { AlertCircle, CalendarIcon } from "lucide-react";
+import { format as formatDate } from "date-fns";
+import { toast } from "sonner";
+import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert";
+import { Button } from "@/components/ui/button";
+import Calendar from "@/components/ui/calendar";
+import { Label } from "@/components/ui/label";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+} from "@/components/ui/select";
+import { format } from "@/lib/date-utils";
+import { canReschedule, isBlackedOut } from "@/lib/sessions/availability";
+
+// "14:00" -> "2:00 PM"
+const formatTime = (time) => {
+  const [hours, minutes] = time.split(":");
+  const hour = Number.parseInt(hours, 10);
+  return `${hour % 12 || 12}:${minutes} ${hour >= 12 ? "PM" : "AM"}`;
+};
+
+const fetchSchedule = async (advisorId, date, sessionTypeId) => {
+  const query = date
+    ? `?date=${formatDate(date, "yyyy-MM-dd")}${sessionTypeId ? `&type=${sessionTypeId}` : ""}`
+    : "";
+  const response = await fetch(`/api/dashboard/student/advisors/${advisorId}/slots${query}`);
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || "Failed to load availability");
+  return data;
+};
+
+/**
+ * Dialog where a student moves an upcoming session to another open slot,
+ * with the same advisor or a different one.
+ *
+ * <p>The session keeps its notes and history. Once the current advisor's
+ * reschedule notice has passed the student can only cancel.</p>
+ *
+ * @param {Object} props
+ * @param {boolean} props.open - Whether the dialog is shown
+ * @param {Function} props.onOpenChange - Called with false to close the dialog
+ * @param {Object|null} props.session - The session to move, with <code>advisor</code> joined
+ * @param {Array<Object>} props.advisors - Advisors taking bookings
+ * @param {Function} props.onRescheduled - Called with the updated session
+ */
+export function RescheduleSessionDialog({ open, onOpenChange, session, advisors, onRescheduled }) {
+  const [noticeHours, setNoticeHours] = useState(null);
+  const [advisorId, setAdvisorId] = useState("");
+  const [schedule, setSchedule] = useState(null);
+  const [date, setDate] = useState(null);
+  const [time, setTime] = useState("");
+  const [slots, setSlots] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // The notice period is the current advisor's
+  useEffect(() => {
+    if (!open || !session) return;
+
+    setNoticeHours(null);
+    setDate(null);
+    setAdvisorId(String(session.advisor_id));
+    fetchSchedule(session.advisor_id)
+      .then((data) => setNoticeHours(data.rescheduleNoticeHours))
+      .catch((error) => {
+        console.error("Error fetching reschedule notice:", error);
+        toast.error(error.message);
+      });
+  }, [open, session]);
+
+  useEffect(() => {
+    if (!open || !advisorId) return;
+
+    setSchedule(null);
+    setDate(null);
+    fetchSchedule(advisorId)
+      .then(setSchedule)
+      .catch((error) => {
+        console.error("Error fetching advisor availability:", error);
+        toast.error(error.message);
+      });
+  }, [open, advisorId]);
+
+  useEffect(() => {
+    setTime("");
+    setSlots([]);
+    if (!advisorId || !date) return;
+
+    // Slots long enough for the session's type
+    fetchSchedule(advisorId, date, session?.session_type_id)
+      .then((data) => setSlots(data.slots))
+      .catch((error) => console.error("Error fetching open slots:", error));
+  }, [advisorId, date, session]);
+
+  const isDateUnavailable = (day) => {
+    if (!schedule) return true;
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const lastDay = new Date(today);
+    lastDay.setDate(lastDay.getDate() + schedule.horizonDays);
+
+    return (
+      day < today ||
+      day > lastDay ||
+      !schedule.weekdays.includes(day.getDay()) ||
+      isBlackedOut(formatDate(day, "yyyy-MM-dd"), schedule.blackouts)
+    );
+  };
+
+  const handleReschedule = async () => {
+    try {
+      setIsSaving(true);
+      const response = await fetch(`/api/sessions/${session.id}/reschedule`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ advisorId, date: formatDate(date, "yyyy-MM-dd"), time }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Failed to reschedule session");
+
+      toast.success(`Session moved to ${format(date, "MMMM d, yyyy")} at ${formatTime(time)}`);
+      onRescheduled(data);
+      onOpenChange(false);
+    } catch (error) {
+      console.error("Error rescheduling session:", error);
+      toast.error(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const isTooLate = session && noticeHours !== null && !canReschedule(session, noticeHours);
+  const advisorOptions = session && !advisors.some((advisor) => advisor.id === session.advisor_id)
+    ? [session.advisor, ...advisors]
+    : advisors;
+  const selectedAdvisor = advisorOptions.find((advisor) => String(advisor.id) === advisorId);
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle>Reschedule Session</DialogTitle>
+          <DialogDescription>
+            Pick another open slot. Your notes stay with the session and both you and your advisor are notified.
+          </DialogDescription>
+        </DialogHeader>
+
+        {session && (
+          <div className="p-3 bg-muted rounded-md">
+            <p className="font-medium">
+              Currently {format(new Date(session.date), "MMMM d, yyyy")} at {formatTime(session.time)}
+            </p>
+            <p className="text-sm text-muted-foreground">
+              With {session.advisor.fname} {session.advisor.lname}
+            </p>
+          </div>
+        )}
+
+        {isTooLate ? (
+          <Alert variant="warning">
+            <AlertCircle className="h-4 w-4" />
+            <AlertTitle>Too Late to Reschedule</AlertTitle>
+            <AlertDescription>
+              Sessions can only be moved at least {noticeHours} hours before they start. You can still cancel it.
+            </AlertDescription>
+          </Alert>
+        ) : (
+          <div className="grid gap-4 py-2">
+            <div className="space-y-2">
+              <Label>Advisor</Label>
+              <Select value={advisorId} onValueChange={setAdvisorId}>
+                <SelectTrigger className="w-full">
+                  <span className="text-sm">
+                    {selectedAdvisor ? `${selectedAdvisor.fname} ${selectedAdvisor.lname}` : "Select an advisor"}
+                  </span>
+                </SelectTrigger>
+                <SelectContent className="max-h-[300px]">
+                  {advisorOptions.map((advisor) => (
+                    <SelectItem key={advisor.id} value={String(advisor.id)}>
+                      {advisor.fname} {advisor.lname}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="space-y-2">
+              <Label>New Date</Label>
+              <Popover>
+                <PopoverTrigger asChild>
+                  <Button variant="outline" className="w-full justify-start text-left font-normal">
+                    <CalendarIcon className="mr-2 h-4 w-4" />
+                    {date ? format(date, "PPP") : "Select a date"}
+                  </Button>
+                </PopoverTrigger>
+                <PopoverContent className="w-auto p-0 bg-white border rounded-md shadow-md">
+                  <Calendar
+                    mode="single"
+                    selected={date}
+                    onSelect={setDate}
+                    disabled={isDateUnavailable}
+                    className="rounded-md border-0"
+                  />
+                </PopoverContent>
+              </Popover>
+            </div>
+
+            <div className="space-y-2">
+              <Label>New Time</Label>
+              <Select value={time} onValueChange={setTime} disabled={!date || slots.length === 0}>
+                <SelectTrigger className="w-full">
+                  <span className="text-sm">
+                    {time
+                      ? formatTime(time)
+                      : !date
+                        ? "Select a date first"
+                        : slots.length === 0
+                          ? "No open slots on this day"
+                          : "Select a time"}
+                  </span>
+                </SelectTrigger>
+                <SelectContent className="max-h-[300px] overflow-y-auto">
+                  {slots.map((slot) => (
+                    <SelectItem key={slot.time} value={slot.time}>
+                      {formatTime(slot.time)} – {formatTime(slot.endTime)}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+            Close
+          </Button>
+          <Button
+            type="button"
+            onClick={handleReschedule}
+            disabled={isTooLate || noticeHours === null || !date || !time || isSaving}
+          >
+            {isSaving ? "Rescheduling..." : "Reschedule"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,24 @@
+"use client";
+
+/**
+ * The intake answers a student gave when booking a session, with the
+ * questions as they were asked.
+ *
+ * @param {Object} props
+ * @param {Array<{question_id: string, prompt: string, answer: string}>} props.answers - sessions.intake_answers
+ */
+export function SessionIntakeAnswers({ answers }) {
+  if (!answers?.length) return null;
+
+  return (
+    <div className="text-sm mt-2 p-3 bg-muted rounded-md space-y-2">
+      <p className="font-medium">Intake answers</p>
+      {answers.map((item) => (
+        <div key={item.question_id}>
+          <p className="text-muted-foreground">{item.prompt}</p>
+          <p className="whitespace-pre-wrap">{item.answer}</p>
+        </div>
+      ))}
+    </div>
+  );
+}
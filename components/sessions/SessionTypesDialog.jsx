@@ -0,0 +1,294 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { Clock, MapPin, Pencil, Plus, Trash2 } from "lucide-react";
+import { toast } from "sonner";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+} from "@/components/ui/select";
+import { SLOT_LENGTHS } from "@/lib/sessions/availability";
+import { MAX_INTAKE_QUESTIONS } from "@/lib/sessions/types";
+
+const EMPTY_SESSION_TYPE = {
+  name: "",
+  description: "",
+  durationMinutes: 60,
+  locationOptions: ["Career Center, Room 203", "Career Center, Room 204", "Online (Zoom)"],
+  intakeQuestions: [],
+  isActive: true,
+};
+
+/**
+ * Dialog where staff define the session types students can book, each with
+ * its length, locations and intake questions.
+ *
+ * <p>Types are switched off rather than deleted, so past sessions keep their
+ * type. Edits only affect new bookings.</p>
+ *
+ * @param {Object} props
+ * @param {boolean} props.open - Whether the dialog is shown
+ * @param {Function} props.onOpenChange - Called with false to close the dialog
+ */
+export function SessionTypesDialog({ open, onOpenChange }) {
+  const [sessionTypes, setSessionTypes] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const fetchSessionTypes = async () => {
+    try {
+      const response = await fetch("/api/dashboard/admin/session-types");
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Failed to load session types");
+      setSessionTypes(data.sessionTypes);
+    } catch (error) {
+      console.error("Error fetching session types:", error);
+      toast.error(error.message);
+    }
+  };
+
+  useEffect(() => {
+    if (!open) return;
+
+    setDraft(null);
+    fetchSessionTypes();
+  }, [open]);
+
+  const updateQuestion = (index, changes) => {
+    setDraft((prev) => ({
+      ...prev,
+      intakeQuestions: prev.intakeQuestions.map((question, i) => (i === index ? { ...question, ...changes } : question)),
+    }));
+  };
+
+  const handleSave = async () => {
+    try {
+      setIsSaving(true);
+      const response = await fetch(
+        draft.id ? `/api/dashboard/admin/session-types/${draft.id}` : "/api/dashboard/admin/session-types",
+        {
+          method: draft.id ? "PUT" : "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            ...draft,
+            locationOptions: draft.locationText.split("\n"),
+          }),
+        },
+      );
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || "Failed to save session type");
+
+      toast.success(`Saved "${data.name}"`);
+      setDraft(null);
+      fetchSessionTypes();
+    } catch (error) {
+      console.error("Error saving session type:", error);
+      toast.error(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const startEditing = (sessionType) => {
+    setDraft({ ...sessionType, locationText: sessionType.locationOptions.join("\n") });
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-2xl max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{draft ? (draft.id ? "Edit Session Type" : "New Session Type") : "Session Types"}</DialogTitle>
+          <DialogDescription>
+            Students pick a session type when booking. Its length decides how long the session lasts.
+          </DialogDescription>
+        </DialogHeader>
+
+        {!draft ? (
+          <div className="space-y-3">
+            {!sessionTypes && <p className="text-sm text-muted-foreground">Loading session types...</p>}
+            {sessionTypes?.length === 0 && (
+              <p className="text-sm text-muted-foreground">No session types yet. Sessions use your slot length.</p>
+            )}
+            {sessionTypes?.map((sessionType) => (
+              <div key={sessionType.id} className="flex items-start justify-between gap-3 rounded-lg border p-3">
+                <div className="space-y-1">
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium">{sessionType.name}</span>
+                    {!sessionType.isActive && <Badge variant="outline">Not offered</Badge>}
+                  </div>
+                  {sessionType.description && (
+                    <p className="text-sm text-muted-foreground">{sessionType.description}</p>
+                  )}
+                  <div className="flex flex-wrap items-center gap-3 text-xs text-muted-foreground">
+                    <span className="flex items-center gap-1">
+                      <Clock className="h-3 w-3" />
+                      {sessionType.durationMinutes} min
+                    </span>
+                    {sessionType.locationOptions.length > 0 && (
+                      <span className="flex items-center gap-1">
+                        <MapPin className="h-3 w-3" />
+                        {sessionType.locationOptions.join(", ")}
+                      </span>
+                    )}
+                    <span>
+                      {sessionType.intakeQuestions.length} intake{" "}
+                      {sessionType.intakeQuestions.length === 1 ? "question" : "questions"}
+                    </span>
+                  </div>
+                </div>
+                <Button type="button" variant="ghost" size="icon" onClick={() => startEditing(sessionType)}>
+                  <Pencil className="h-4 w-4" />
+                </Button>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <div className="grid grid-cols-1 sm:grid-cols-[1fr_160px] gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="session-type-name">Name</Label>
+                <Input
+                  id="session-type-name"
+                  placeholder="e.g. Resume review"
+                  value={draft.name}
+                  onChange={(e) => setDraft((prev) => ({ ...prev, name: e.target.value }))}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label>Length</Label>
+                <Select
+                  value={String(draft.durationMinutes)}
+                  onValueChange={(value) => setDraft((prev) => ({ ...prev, durationMinutes: Number(value) }))}
+                >
+                  <SelectTrigger>
+                    <span className="text-sm">{draft.durationMinutes} minutes</span>
+                  </SelectTrigger>
+                  <SelectContent>
+                    {SLOT_LENGTHS.map((minutes) => (
+                      <SelectItem key={minutes} value={String(minutes)}>
+                        {minutes} minutes
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="session-type-description">Description (optional)</Label>
+              <Input
+                id="session-type-description"
+                value={draft.description ?? ""}
+                onChange={(e) => setDraft((prev) => ({ ...prev, description: e.target.value }))}
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="session-type-locations">Locations, one per line</Label>
+              <Textarea
+                id="session-type-locations"
+                rows={3}
+                value={draft.locationText}
+                onChange={(e) => setDraft((prev) => ({ ...prev, locationText: e.target.value }))}
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label>Intake questions</Label>
+              {draft.intakeQuestions.map((question, index) => (
+                <div key={question.id ?? index} className="flex items-center gap-2">
+                  <Input
+                    placeholder="Question for the student"
+                    value={question.prompt}
+                    onChange={(e) => updateQuestion(index, { prompt: e.target.value })}
+                  />
+                  <label className="flex items-center gap-2 text-sm whitespace-nowrap">
+                    <Switch
+                      checked={question.required}
+                      onCheckedChange={(checked) => updateQuestion(index, { required: checked })}
+                    />
+                    Required
+                  </label>
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="icon"
+                    onClick={() =>
+                      setDraft((prev) => ({
+                        ...prev,
+                        intakeQuestions: prev.intakeQuestions.filter((_, i) => i !== index),
+                      }))
+                    }
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              ))}
+              <Button
+                type="button"
+                variant="ghost"
+                size="sm"
+                className="h-7 px-2 text-xs"
+                disabled={draft.intakeQuestions.length >= MAX_INTAKE_QUESTIONS}
+                onClick={() =>
+                  setDraft((prev) => ({
+                    ...prev,
+                    intakeQuestions: [...prev.intakeQuestions, { prompt: "", required: false }],
+                  }))
+                }
+              >
+                <Plus className="h-3 w-3 mr-1" />
+                Add question
+              </Button>
+            </div>
+
+            <label className="flex items-center gap-2 text-sm">
+              <Switch
+                checked={draft.isActive}
+                onCheckedChange={(checked) => setDraft((prev) => ({ ...prev, isActive: checked }))}
+              />
+              Students can book this session type
+            </label>
+          </div>
+        )}
+
+        <DialogFooter>
+          {draft ? (
+            <>
+              <Button type="button" variant="outline" onClick={() => setDraft(null)}>
+                Back
+              </Button>
+              <Button type="button" onClick={handleSave} disabled={isSaving || !draft.name.trim()}>
+                {isSaving ? "Saving..." : "Save Session Type"}
+              </Button>
+            </>
+          ) : (
+            <Button
+              type="button"
+              onClick={() => setDraft({ ...EMPTY_SESSION_TYPE, locationText: EMPTY_SESSION_TYPE.locationOptions.join("\n") })}
+            >
+              <Plus className="h-4 w-4 mr-2" />
+              New Session Type
+            </Button>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
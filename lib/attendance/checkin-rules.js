@@ -0,0 +1,247 @@
+/**
+ * Check-in window and venue geofence rules for events
+ *
+ * <p>An event may limit self check-in to a window around its start and end time
+ * and to a radius around its venue. Depending on
+ * <code>career_sessions.checkin_enforcement</code>, a check-in that breaks a rule is
+ * either refused or recorded as a flagged attendance row for an admin to review.</p>
+ *
+ * @module attendance/checkin-rules
+ */
+
+/**
+ * What happens to a check-in that breaks a rule, stored in
+ * career_sessions.checkin_enforcement
+ */
+export const CHECKIN_ENFORCEMENT = {
+  FLAG: 'flag',
+  REJECT: 'reject'
+};
+
+/**
+ * Review states stored in attendance.review_status. Only approved rows count.
+ */
+export const REVIEW_STATUSES = {
+  APPROVED: 'approved',
+  FLAGGED: 'flagged',
+  REJECTED: 'rejected'
+};
+
+/**
+ * Reasons a check-in broke a rule, stored in attendance.flag_reasons
+ */
+export const CHECKIN_FLAGS = {
+  OUTSIDE_WINDOW: 'outside_window',
+  OUTSIDE_VENUE: 'outside_venue',
+  LOCATION_UNAVAILABLE: 'location_unavailable'
+};
+
+/**
+ * Admin-facing labels for CHECKIN_FLAGS
+ */
+export const CHECKIN_FLAG_LABELS = {
+  [CHECKIN_FLAGS.OUTSIDE_WINDOW]: 'Outside check-in window',
+  [CHECKIN_FLAGS.OUTSIDE_VENUE]: 'Outside venue radius',
+  [CHECKIN_FLAGS.LOCATION_UNAVAILABLE]: 'No location shared'
+};
+
+const EARTH_RADIUS_METERS = 6371000;
+
+/**
+ * Parses an event date and time of day into a Date.
+ *
+ * <p>Event dates and times are entered in campus time, which is GMT with no
+ * daylight saving, so they are read as UTC.</p>
+ *
+ * @param {string} date - Event date (YYYY-MM-DD)
+ * @param {string} time - Time of day (HH:MM or HH:MM:SS)
+ * @returns {Date|null} The moment, or null if either part is missing or invalid
+ */
+export function parseEventTime(date, time) {
+  if (!date || !time) return null;
+  const value = new Date(`${date}T${time.length === 5 ? `${time}:00` : time}Z`);
+  return Number.isNaN(value.getTime()) ? null : value;
+}
+
+/**
+ * Works out when check-in opens and closes for an event
+ *
+ * @param {object} event - The career_sessions row
+ * @returns {{opensAt: Date|null, closesAt: Date|null}|null} The window bounds, or
+ *   null if the event has no window configured
+ */
+export function getCheckInWindow(event) {
+  const hasOpen = event.checkin_opens_minutes_before != null;
+  const hasClose = event.checkin_closes_minutes_after != null;
+  if (!hasOpen && !hasClose) return null;
+
+  const start = parseEventTime(event.date, event.start_time);
+  const end = parseEventTime(event.date, event.end_time) || start;
+  if (!start) return null;
+
+  return {
+    opensAt: hasOpen
+      ? new Date(start.getTime() - event.checkin_opens_minutes_before * 60000)
+      : null,
+    closesAt: hasClose
+      ? new Date(end.getTime() + event.checkin_closes_minutes_after * 60000)
+      : null
+  };
+}
+
+/**
+ * Great-circle distance between two points (haversine formula)
+ *
+ * @param {{latitude: number, longitude: number}} a - First point
+ * @param {{latitude: number, longitude: number}} b - Second point
+ * @returns {number} Distance in meters
+ */
+export function distanceInMeters(a, b) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Validates a browser geolocation reading sent with a check-in
+ *
+ * @param {object} input - { latitude, longitude, accuracy } from the request body
+ * @returns {{latitude: number, longitude: number, accuracy: number|null}|null} The
+ *   location, or null if it is missing or out of range
+ */
+export function parseLocation(input) {
+  if (!input) return null;
+
+  const latitude = Number(input.latitude);
+  const longitude = Number(input.longitude);
+  if (!Number.isFinite(latitude) || Math.abs(latitude) > 90) return null;
+  if (!Number.isFinite(longitude) || Math.abs(longitude) > 180) return null;
+
+  const accuracy = Number(input.accuracy);
+  return {
+    latitude,
+    longitude,
+    accuracy: Number.isFinite(accuracy) && accuracy >= 0 ? accuracy : null
+  };
+}
+
+/**
+ * Checks a check-in against the event's window and geofence
+ *
+ * <p>The reported GPS accuracy is given as benefit of the doubt, up to the size
+ * of the radius itself, so a poor fix just outside the venue is not flagged.</p>
+ *
+ * @param {object} event - The career_sessions row
+ * @param {object} attempt
+ * @param {Date} attempt.at - When the check-in happened
+ * @param {object|null} attempt.location - Result of {@link parseLocation}
+ * @returns {Array<string>} The CHECKIN_FLAGS the check-in triggered (empty if none)
+ */
+export function evaluateCheckIn(event, { at, location }) {
+  const flags = [];
+
+  const window = getCheckInWindow(event);
+  if (window) {
+    const tooEarly = window.opensAt && at < window.opensAt;
+    const tooLate = window.closesAt && at > window.closesAt;
+    if (tooEarly || tooLate) flags.push(CHECKIN_FLAGS.OUTSIDE_WINDOW);
+  }
+
+  const hasVenue =
+    event.venue_latitude != null &&
+    event.venue_longitude != null &&
+    event.venue_radius_meters != null;
+
+  if (hasVenue) {
+    if (!location) {
+      flags.push(CHECKIN_FLAGS.LOCATION_UNAVAILABLE);
+    } else {
+      const distance = distanceInMeters(location, {
+        latitude: event.venue_latitude,
+        longitude: event.venue_longitude
+      });
+      const tolerance = Math.min(location.accuracy || 0, event.venue_radius_meters);
+      if (distance > event.venue_radius_meters + tolerance) {
+        flags.push(CHECKIN_FLAGS.OUTSIDE_VENUE);
+      }
+    }
+  }
+
+  return flags;
+}
+
+/**
+ * Parses an optional non-negative whole number from an event form
+ *
+ * @param {*} value - Submitted value; empty means "not set"
+ * @returns {number|null} The number, or null
+ */
+function optionalWholeNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = Number.parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed < 0 ? null : parsed;
+}
+
+/**
+ * Parses an optional coordinate from an event form
+ *
+ * @param {*} value - Submitted value; empty means "not set"
+ * @param {number} limit - Largest absolute value allowed (90 or 180)
+ * @returns {number|null} The coordinate, or null
+ */
+function optionalCoordinate(value, limit) {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && Math.abs(parsed) <= limit ? parsed : null;
+}
+
+/**
+ * Converts event form input into career_sessions check-in rule columns
+ *
+ * <p>The geofence is only stored when latitude, longitude and radius are all
+ * valid, so a half-filled venue never blocks check-in.</p>
+ *
+ * @param {object} input - Request body fields
+ * @returns {object} Column values for career_sessions
+ */
+export function normalizeCheckInRules(input) {
+  const latitude = optionalCoordinate(input.venue_latitude, 90);
+  const longitude = optionalCoordinate(input.venue_longitude, 180);
+  const radius = optionalWholeNumber(input.venue_radius_meters);
+  const hasVenue = latitude !== null && longitude !== null && radius > 0;
+
+  return {
+    checkin_opens_minutes_before: optionalWholeNumber(input.checkin_opens_minutes_before),
+    checkin_closes_minutes_after: optionalWholeNumber(input.checkin_closes_minutes_after),
+    venue_latitude: hasVenue ? latitude : null,
+    venue_longitude: hasVenue ? longitude : null,
+    venue_radius_meters: hasVenue ? radius : null,
+    checkin_enforcement:
+      input.checkin_enforcement === CHECKIN_ENFORCEMENT.REJECT
+        ? CHECKIN_ENFORCEMENT.REJECT
+        : CHECKIN_ENFORCEMENT.FLAG
+  };
+}
+
+/**
+ * Formats an event's check-in rule columns for API responses
+ *
+ * @param {object} event - The career_sessions row
+ * @returns {object} camelCase check-in rule fields
+ */
+export function formatCheckInRules(event) {
+  return {
+    checkinOpensMinutesBefore: event.checkin_opens_minutes_before ?? null,
+    checkinClosesMinutesAfter: event.checkin_closes_minutes_after ?? null,
+    venueLatitude: event.venue_latitude ?? null,
+    venueLongitude: event.venue_longitude ?? null,
+    venueRadiusMeters: event.venue_radius_meters ?? null,
+    checkinEnforcement: event.checkin_enforcement || CHECKIN_ENFORCEMENT.FLAG
+  };
+}
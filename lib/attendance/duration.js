@@ -0,0 +1,70 @@
+/**
+ * Check-out and minimum-duration rules for events
+ *
+ * <p>An event can ask students to check out as well as in. When it also sets
+ * <code>min_duration_minutes</code>, an attendance only counts towards the
+ * internship workshop requirement if the student checked out after staying at
+ * least that long. Attendance an admin adds by hand or imports has no
+ * check-out, so adjust_attendance and import_attendance give it the event's
+ * length instead.</p>
+ *
+ * <p>Safe to import from client components.</p>
+ *
+ * @module attendance/duration
+ */
+
+/**
+ * Whole minutes between check-in and check-out
+ *
+ * @param {string|Date} checkedInAt - Check-in time
+ * @param {string|Date} checkedOutAt - Check-out time
+ * @returns {number} Minutes attended, never negative
+ */
+export function getDurationMinutes(checkedInAt, checkedOutAt) {
+  const milliseconds = new Date(checkedOutAt) - new Date(checkedInAt);
+  return Math.max(0, Math.floor(milliseconds / 60000));
+}
+
+/**
+ * Whether an attendance meets its event's minimum-duration rule
+ *
+ * @param {object} record - The attendance row (duration_minutes)
+ * @param {object} event - The career_sessions row (checkout_enabled, min_duration_minutes)
+ * @returns {boolean} True if the event has no rule or the student stayed long enough
+ */
+export function meetsDurationRule(record, event) {
+  if (!event?.checkout_enabled || !event.min_duration_minutes) return true;
+  return record.duration_minutes != null && record.duration_minutes >= event.min_duration_minutes;
+}
+
+/**
+ * Converts event form input into career_sessions check-out columns
+ *
+ * <p>A minimum duration needs a check-out time, so it is dropped when check-out
+ * is turned off.</p>
+ *
+ * @param {object} input - Request body fields
+ * @returns {{checkout_enabled: boolean, min_duration_minutes: number|null}} Column values
+ */
+export function normalizeCheckoutSettings(input) {
+  const enabled = input.checkout_enabled === true || input.checkout_enabled === 'true';
+  const minutes = Number.parseInt(input.min_duration_minutes, 10);
+
+  return {
+    checkout_enabled: enabled,
+    min_duration_minutes: enabled && minutes > 0 ? minutes : null
+  };
+}
+
+/**
+ * Formats an event's check-out columns for API responses
+ *
+ * @param {object} event - The career_sessions row
+ * @returns {{checkoutEnabled: boolean, minDurationMinutes: number|null}} camelCase fields
+ */
+export function formatCheckoutSettings(event) {
+  return {
+    checkoutEnabled: Boolean(event.checkout_enabled),
+    minDurationMinutes: event.min_duration_minutes ?? null
+  };
+}
@@ -0,0 +1,258 @@
+import ExcelJS from 'exceljs';
+import { jsPDF } from 'jspdf';
+import { format } from 'date-fns';
+import { REVIEW_STATUSES } from '@/lib/attendance/checkin-rules';
+import { meetsDurationRule } from '@/lib/attendance/duration';
+import { getYearGroup } from '@/lib/students';
+
+/**
+ * Attendance roster exports in CSV, XLSX and PDF
+ *
+ * <p>An export is described as a title, an optional subtitle, a list of columns
+ * (<code>{ key, header, width }</code>) and plain row objects keyed by column.
+ * {@link buildExport} renders it in the requested format. Widths are in
+ * characters for XLSX and are used as relative weights in the PDF table.</p>
+ *
+ * @module attendance/export
+ */
+
+export const EXPORT_FORMATS = {
+  CSV: 'csv',
+  XLSX: 'xlsx',
+  PDF: 'pdf'
+};
+
+const CONTENT_TYPES = {
+  [EXPORT_FORMATS.CSV]: 'text/csv; charset=utf-8',
+  [EXPORT_FORMATS.XLSX]: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  [EXPORT_FORMATS.PDF]: 'application/pdf'
+};
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+// PDF layout, in millimetres on landscape A4
+const PDF_MARGIN = 12;
+const PDF_ROW_HEIGHT = 7;
+const PDF_FONT_SIZE = 8;
+
+/**
+ * Columns shared by the single-event and date-range rosters
+ */
+export const ROSTER_COLUMNS = {
+  eventTitle: { key: 'eventTitle', header: 'Event', width: 30 },
+  eventDate: { key: 'eventDate', header: 'Event Date', width: 12 },
+  studentName: { key: 'studentName', header: 'Student Name', width: 24 },
+  studentId: { key: 'studentId', header: 'Student ID', width: 12 },
+  email: { key: 'email', header: 'Email', width: 30 },
+  yearGroup: { key: 'yearGroup', header: 'Year Group', width: 10 },
+  major: { key: 'major', header: 'Major', width: 22 },
+  checkedInAt: { key: 'checkedInAt', header: 'Check-in', width: 17 },
+  checkedOutAt: { key: 'checkedOutAt', header: 'Check-out', width: 17 },
+  durationMinutes: { key: 'durationMinutes', header: 'Minutes', width: 9 },
+  reviewStatus: { key: 'reviewStatus', header: 'Status', width: 10 },
+  counted: { key: 'counted', header: 'Counts', width: 8 },
+  source: { key: 'source', header: 'Source', width: 16 },
+  signature: { key: 'signature', header: 'Signature', width: 24 }
+};
+
+/**
+ * Flattens an attendance row and its student and event into roster values
+ *
+ * @param {object} record - attendance row with a <code>users</code> embed
+ * @param {object} event - The career_sessions row the record belongs to
+ * @returns {object} Values keyed by {@link ROSTER_COLUMNS} keys
+ */
+export function toRosterRow(record, event) {
+  const approved = record.review_status === REVIEW_STATUSES.APPROVED;
+
+  return {
+    eventTitle: event.title,
+    eventDate: event.date,
+    studentName: `${record.users.fname} ${record.users.lname}`,
+    studentId: record.users.student_id,
+    email: record.users.email,
+    yearGroup: getYearGroup(record.users.student_id) || '',
+    major: record.users.major || '',
+    checkedInAt: format(new Date(record.signup_time), 'yyyy-MM-dd HH:mm'),
+    checkedOutAt: record.checked_out_at
+      ? format(new Date(record.checked_out_at), 'yyyy-MM-dd HH:mm')
+      : '',
+    durationMinutes: record.duration_minutes ?? '',
+    reviewStatus: record.review_status,
+    counted: approved && meetsDurationRule(record, event) ? 'Yes' : 'No',
+    source: record.source || '',
+    signature: ''
+  };
+}
+
+/**
+ * Quotes a CSV cell and neutralises spreadsheet formulas
+ *
+ * @param {*} value - The cell value
+ * @returns {string} The escaped cell
+ */
+function escapeCsvCell(value) {
+  let text = value == null ? '' : String(value);
+
+  if (FORMULA_PREFIXES.some((prefix) => text.startsWith(prefix))) {
+    text = `'${text}`;
+  }
+
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Renders rows as CSV with a header line
+ *
+ * @param {Array<object>} columns - Column definitions
+ * @param {Array<object>} rows - Row values keyed by column
+ * @returns {string} CSV text, with a BOM so Excel reads it as UTF-8
+ */
+function buildCsv(columns, rows) {
+  const lines = [
+    columns.map((column) => escapeCsvCell(column.header)).join(','),
+    ...rows.map((row) => columns.map((column) => escapeCsvCell(row[column.key])).join(','))
+  ];
+
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Renders rows as a single-sheet XLSX workbook
+ *
+ * @param {object} roster - The title, subtitle, columns and rows
+ * @returns {Promise<Buffer>} The workbook file
+ */
+async function buildXlsx({ title, subtitle, columns, rows }) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  const sheet = workbook.addWorksheet('Attendance');
+  sheet.columns = columns.map(({ key, width }) => ({ key, width }));
+
+  sheet.addRow([title]).font = { bold: true, size: 14 };
+  if (subtitle) sheet.addRow([subtitle]);
+  sheet.addRow([]);
+
+  const headerRow = sheet.addRow(columns.map((column) => column.header));
+  headerRow.font = { bold: true };
+  sheet.views = [{ state: 'frozen', ySplit: headerRow.number }];
+  sheet.autoFilter = {
+    from: { row: headerRow.number, column: 1 },
+    to: { row: headerRow.number, column: columns.length }
+  };
+
+  rows.forEach((row) => sheet.addRow(columns.map((column) => row[column.key])));
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Renders rows as a printable PDF table, repeating the header on every page
+ *
+ * @param {object} roster - The title, subtitle, columns and rows
+ * @returns {Buffer} The PDF file
+ */
+function buildPdf({ title, subtitle, columns, rows }) {
+  const doc = new jsPDF({ orientation: 'landscape', unit: 'mm', format: 'a4' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+
+  const totalWeight = columns.reduce((sum, column) => sum + column.width, 0);
+  const tableWidth = pageWidth - PDF_MARGIN * 2;
+  const widths = columns.map((column) => (column.width / totalWeight) * tableWidth);
+
+  const drawRow = (values, y, bold) => {
+    doc.setFont('helvetica', bold ? 'bold' : 'normal');
+    let x = PDF_MARGIN;
+    values.forEach((value, index) => {
+      doc.rect(x, y, widths[index], PDF_ROW_HEIGHT);
+      // Long values are cut to one line so every row keeps the same height
+      const [line = ''] = doc.splitTextToSize(value == null ? '' : String(value), widths[index] - 2);
+      doc.text(line, x + 1, y + PDF_ROW_HEIGHT - 2.2);
+      x += widths[index];
+    });
+  };
+
+  doc.setFontSize(14);
+  doc.setFont('helvetica', 'bold');
+  doc.text(title, PDF_MARGIN, PDF_MARGIN + 4);
+
+  let y = PDF_MARGIN + 8;
+  if (subtitle) {
+    doc.setFontSize(10);
+    doc.setFont('helvetica', 'normal');
+    doc.text(subtitle, PDF_MARGIN, y + 2);
+    y += 6;
+  }
+
+  doc.setFontSize(PDF_FONT_SIZE);
+  const headers = columns.map((column) => column.header);
+  drawRow(headers, y, true);
+  y += PDF_ROW_HEIGHT;
+
+  rows.forEach((row) => {
+    if (y + PDF_ROW_HEIGHT > pageHeight - PDF_MARGIN) {
+      doc.addPage();
+      y = PDF_MARGIN;
+      drawRow(headers, y, true);
+      y += PDF_ROW_HEIGHT;
+    }
+    drawRow(columns.map((column) => row[column.key]), y, false);
+    y += PDF_ROW_HEIGHT;
+  });
+
+  const pageCount = doc.getNumberOfPages();
+  doc.setFont('helvetica', 'normal');
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.text(
+      `${rows.length} record${rows.length === 1 ? '' : 's'} · Page ${page} of ${pageCount}`,
+      pageWidth - PDF_MARGIN,
+      pageHeight - 5,
+      { align: 'right' }
+    );
+  }
+
+  return Buffer.from(doc.output('arraybuffer'));
+}
+
+/**
+ * Renders a roster in the requested format
+ *
+ * @param {string} exportFormat - One of EXPORT_FORMATS
+ * @param {object} roster
+ * @param {string} roster.title - Heading for XLSX and PDF
+ * @param {string} [roster.subtitle] - Second heading line
+ * @param {Array<object>} roster.columns - Column definitions
+ * @param {Array<object>} roster.rows - Row values keyed by column
+ * @returns {Promise<{body: string|Buffer, contentType: string}>} The file and its MIME type
+ */
+export async function buildExport(exportFormat, roster) {
+  let body;
+
+  if (exportFormat === EXPORT_FORMATS.XLSX) {
+    body = await buildXlsx(roster);
+  } else if (exportFormat === EXPORT_FORMATS.PDF) {
+    body = buildPdf(roster);
+  } else {
+    body = buildCsv(roster.columns, roster.rows);
+  }
+
+  return { body, contentType: CONTENT_TYPES[exportFormat] || CONTENT_TYPES[EXPORT_FORMATS.CSV] };
+}
+
+/**
+ * Makes a string safe to use as a download file name
+ *
+ * @param {string} name - The base name, e.g. an event title
+ * @returns {string} Lowercase name with only letters, digits and dashes
+ */
+export function toFileName(name) {
+  return String(name || 'attendance')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80) || 'attendance';
+}
@@ -0,0 +1,246 @@
+import ExcelJS from 'exceljs';
+
+/**
+ * Bulk attendance import from CSV/XLSX sign-in sheets
+ *
+ * <p>A sheet lists one student per row by school ID or email. The identifier
+ * column is found from the header row ("Student ID", "Email", ...); without a
+ * recognised header the first column is used. Rows are matched against
+ * <code>users</code> and sorted into matched, unknown and duplicate rows for the
+ * admin to preview before committing.</p>
+ *
+ * @module attendance/import
+ */
+
+export const MAX_IMPORT_ROWS = 2000;
+export const MAX_IMPORT_FILE_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Why a row will not be imported
+ */
+export const SKIP_REASONS = {
+  UNKNOWN: 'unknown',
+  ALREADY_CHECKED_IN: 'already_checked_in',
+  REPEATED_IN_FILE: 'repeated_in_file'
+};
+
+// Identifiers per users lookup, keeping the PostgREST query string short
+const LOOKUP_CHUNK_SIZE = 200;
+
+// Header names (lowercased, spaces and underscores removed) that hold an identifier
+const IDENTIFIER_HEADERS = ['studentid', 'id', 'idnumber', 'email', 'emailaddress', 'ashesiemail'];
+
+/**
+ * Splits CSV text into rows of cells, handling quoted fields, escaped quotes and
+ * CRLF line endings
+ *
+ * @param {string} text - The CSV file contents
+ * @returns {Array<Array<string>>} Rows of cell values
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Reads the first worksheet of an XLSX file as rows of display text
+ *
+ * @param {ArrayBuffer} buffer - The XLSX file contents
+ * @returns {Promise<Array<Array<string>>>} Rows of cell values
+ */
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: true }, (row) => {
+    const cells = [];
+    for (let column = 1; column <= row.cellCount; column++) {
+      // cell.text flattens hyperlinks, rich text and formula results to a string
+      cells.push(row.getCell(column).text);
+    }
+    rows.push(cells);
+  });
+
+  return rows;
+}
+
+/**
+ * Reads a sign-in sheet into a list of identifiers with their sheet row numbers
+ *
+ * @param {File} file - The uploaded CSV or XLSX file
+ * @returns {Promise<{data: Array<{row: number, identifier: string}>|null, error: string|null}>}
+ */
+export async function readSignInSheet(file) {
+  const name = file.name.toLowerCase();
+  let rows;
+
+  if (name.endsWith('.csv')) {
+    rows = parseCsv(await file.text());
+  } else if (name.endsWith('.xlsx')) {
+    try {
+      rows = await parseXlsx(await file.arrayBuffer());
+    } catch (error) {
+      console.error('Error reading XLSX file:', error);
+      return { data: null, error: 'Could not read the spreadsheet. Save it as .xlsx or .csv and try again.' };
+    }
+  } else {
+    return { data: null, error: 'Upload a .csv or .xlsx file' };
+  }
+
+  // Find the identifier column from the header row, if there is one
+  const header = (rows[0] || []).map((cell) => cell.toLowerCase().replace(/[\s_]/g, ''));
+  const headerColumn = header.findIndex((cell) => IDENTIFIER_HEADERS.includes(cell));
+  const column = headerColumn === -1 ? 0 : headerColumn;
+  const firstDataRow = headerColumn === -1 ? 0 : 1;
+
+  const identifiers = [];
+  for (let index = firstDataRow; index < rows.length; index++) {
+    const identifier = (rows[index][column] || '').trim();
+    if (identifier) identifiers.push({ row: index + 1, identifier });
+  }
+
+  if (identifiers.length === 0) {
+    return { data: null, error: 'No student IDs or emails found in the file' };
+  }
+
+  if (identifiers.length > MAX_IMPORT_ROWS) {
+    return { data: null, error: `A file can contain at most ${MAX_IMPORT_ROWS} students` };
+  }
+
+  return { data: identifiers, error: null };
+}
+
+/**
+ * Fetches users whose column matches any of the values, in chunks
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {string} column - 'student_id' or 'email'
+ * @param {Array<string>} values - Values to look up
+ * @returns {Promise<{data: Array<object>|null, error: object|null}>} Matching users
+ */
+async function findUsersIn(supabase, column, values) {
+  const users = [];
+
+  for (let start = 0; start < values.length; start += LOOKUP_CHUNK_SIZE) {
+    const { data, error } = await supabase
+      .from('users')
+      .select('id, student_id, fname, lname, email')
+      .in(column, values.slice(start, start + LOOKUP_CHUNK_SIZE));
+
+    if (error) return { data: null, error };
+    users.push(...data);
+  }
+
+  return { data: users, error: null };
+}
+
+/**
+ * Matches sheet rows to students and sorts them for the import preview
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {string} sessionId - The event being imported into
+ * @param {Array<{row: number, identifier: string}>} identifiers - Rows from {@link readSignInSheet}
+ * @returns {Promise<{data: {matched: Array<object>, skipped: Array<object>}|null, error: object|null}>}
+ *   <code>matched</code> rows carry the student; <code>skipped</code> rows carry a SKIP_REASONS reason
+ */
+export async function buildImportPreview(supabase, sessionId, identifiers) {
+  const emails = [...new Set(
+    identifiers.filter(({ identifier }) => identifier.includes('@'))
+      .map(({ identifier }) => identifier.toLowerCase())
+  )];
+  const studentIds = [...new Set(
+    identifiers.filter(({ identifier }) => !identifier.includes('@'))
+      .map(({ identifier }) => identifier)
+  )];
+
+  const [byStudentId, byEmail, existing] = await Promise.all([
+    findUsersIn(supabase, 'student_id', studentIds),
+    findUsersIn(supabase, 'email', emails),
+    supabase.from('attendance').select('student_id').eq('session_id', sessionId)
+  ]);
+
+  const lookupError = byStudentId.error || byEmail.error || existing.error;
+  if (lookupError) {
+    console.error('Import lookup error:', lookupError);
+    return { data: null, error: lookupError };
+  }
+
+  const studentsById = new Map(byStudentId.data.map((user) => [user.student_id, user]));
+  const studentsByEmail = new Map(byEmail.data.map((user) => [user.email.toLowerCase(), user]));
+  const checkedIn = new Set(existing.data.map((record) => record.student_id));
+  const seen = new Set();
+
+  const matched = [];
+  const skipped = [];
+
+  identifiers.forEach(({ row, identifier }) => {
+    const student = identifier.includes('@')
+      ? studentsByEmail.get(identifier.toLowerCase())
+      : studentsById.get(identifier);
+
+    // Users without a school ID cannot hold attendance
+    if (!student || !student.student_id) {
+      skipped.push({ row, identifier, reason: SKIP_REASONS.UNKNOWN });
+      return;
+    }
+
+    const summary = {
+      user_id: student.id,
+      student_id: student.student_id,
+      name: `${student.fname} ${student.lname}`,
+      email: student.email
+    };
+
+    if (checkedIn.has(student.student_id)) {
+      skipped.push({ row, identifier, reason: SKIP_REASONS.ALREADY_CHECKED_IN, student: summary });
+    } else if (seen.has(student.student_id)) {
+      skipped.push({ row, identifier, reason: SKIP_REASONS.REPEATED_IN_FILE, student: summary });
+    } else {
+      seen.add(student.student_id);
+      matched.push({ row, identifier, student: summary });
+    }
+  });
+
+  return { data: { matched, skipped }, error: null };
+}
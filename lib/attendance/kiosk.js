@@ -0,0 +1,239 @@
+import crypto from 'crypto';
+import { cookies } from 'next/headers';
+import { NextResponse } from 'next/server';
+import { createServiceClient } from '@/utils/supabase/server';
+import { getSigningSecret } from '@/lib/signing';
+
+/**
+ * Kiosk mode for checking students in on a shared door tablet
+ *
+ * <p>An admin sets a PIN for an event (stored in <code>event_kiosks</code> as a
+ * salted scrypt hash). Entering the PIN on the tablet sets a signed, HTTP-only
+ * kiosk cookie bound to that event and to the current PIN, so changing or
+ * removing the PIN locks every kiosk that was unlocked with the old one. No user
+ * is signed in on the tablet; kiosk routes use the service role once the cookie
+ * checks out.</p>
+ *
+ * @module attendance/kiosk
+ */
+
+export const KIOSK_COOKIE = 'csoft_kiosk';
+export const KIOSK_SESSION_HOURS = 12;
+export const MIN_PIN_LENGTH = 4;
+export const MAX_PIN_LENGTH = 8;
+
+// Wrong PINs allowed before the kiosk refuses attempts for LOCKOUT_MINUTES
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MINUTES = 5;
+
+const SCRYPT_KEY_LENGTH = 32;
+
+/**
+ * Error codes returned by the kiosk helpers
+ */
+export const KIOSK_ERRORS = {
+  INVALID_PIN: 'INVALID_PIN',
+  KIOSK_NOT_ENABLED: 'KIOSK_NOT_ENABLED',
+  KIOSK_LOCKED_OUT: 'KIOSK_LOCKED_OUT',
+  KIOSK_LOCKED: 'KIOSK_LOCKED',
+  LOOKUP_FAILED: 'LOOKUP_FAILED'
+};
+
+/**
+ * Builds a kiosk error result
+ *
+ * @param {string} code - One of KIOSK_ERRORS
+ * @param {string} message - Human readable message
+ * @param {number} status - HTTP status code for route handlers
+ * @returns {{data: null, error: {code: string, message: string, status: number}}}
+ */
+function failure(code, message, status) {
+  return { data: null, error: { code, message, status } };
+}
+
+/**
+ * Compares two strings in constant time
+ *
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Whether a PIN has the accepted shape (4 to 8 digits)
+ *
+ * @param {string} pin - The PIN to check
+ * @returns {boolean} True if the PIN can be used
+ */
+export function isValidPin(pin) {
+  return typeof pin === 'string' &&
+    new RegExp(`^\\d{${MIN_PIN_LENGTH},${MAX_PIN_LENGTH}}$`).test(pin);
+}
+
+/**
+ * Hashes a kiosk PIN for storage
+ *
+ * @param {string} pin - The PIN
+ * @returns {string} <code>salt$hash</code>, both base64url
+ */
+export function hashPin(pin) {
+  const salt = crypto.randomBytes(16).toString('base64url');
+  const hash = crypto.scryptSync(pin, salt, SCRYPT_KEY_LENGTH).toString('base64url');
+  return `${salt}$${hash}`;
+}
+
+/**
+ * Checks a PIN against a stored hash
+ *
+ * @param {string} pin - The PIN entered on the kiosk
+ * @param {string} stored - The stored <code>salt$hash</code>
+ * @returns {boolean} True if the PIN matches
+ */
+function verifyPin(pin, stored) {
+  const [salt, hash] = stored.split('$');
+  if (!salt || !hash) return false;
+  return safeEqual(crypto.scryptSync(pin, salt, SCRYPT_KEY_LENGTH).toString('base64url'), hash);
+}
+
+/**
+ * Signs a kiosk session for an event and PIN
+ *
+ * @param {string} sessionId - The event's session ID
+ * @param {number} expires - Expiry as seconds since the epoch
+ * @param {string} pinHash - The stored PIN hash the kiosk was unlocked with
+ * @returns {string} The URL-safe signature
+ */
+function sign(sessionId, expires, pinHash) {
+  return crypto
+    .createHmac('sha256', getSigningSecret())
+    .update(`kiosk:${sessionId}:${expires}:${pinHash}`)
+    .digest('base64url');
+}
+
+/**
+ * Unlocks the kiosk for an event if the PIN is right
+ *
+ * <p>Repeated wrong PINs lock the kiosk out for a few minutes. Each attempt is
+ * counted by the begin_kiosk_unlock database function before the PIN is
+ * checked, in the same statement that checks the lockout, so parallel guesses
+ * cannot get past the limit.</p>
+ *
+ * @param {object} supabase - Kiosk (service role) Supabase client
+ * @param {string} sessionId - The event's session ID
+ * @param {string} pin - The PIN entered on the tablet
+ * @returns {Promise<{data: {cookie: string, expiresAt: Date}|null, error: object|null}>}
+ *   The value for the kiosk cookie
+ */
+export async function unlockKiosk(supabase, sessionId, pin) {
+  const { data: kiosk, error } = await supabase
+    .rpc('begin_kiosk_unlock', {
+      p_session_id: sessionId,
+      p_max_attempts: MAX_FAILED_ATTEMPTS,
+      p_lockout_minutes: LOCKOUT_MINUTES
+    })
+    .maybeSingle();
+
+  if (error) {
+    console.error('Kiosk lookup error:', error);
+    return failure(KIOSK_ERRORS.LOOKUP_FAILED, 'Failed to unlock kiosk', 500);
+  }
+
+  if (!kiosk) {
+    return failure(KIOSK_ERRORS.KIOSK_NOT_ENABLED, 'Kiosk mode is not set up for this event', 404);
+  }
+
+  if (kiosk.locked_out) {
+    return failure(KIOSK_ERRORS.KIOSK_LOCKED_OUT, 'Too many wrong PINs. Try again in a few minutes.', 429);
+  }
+
+  if (!isValidPin(pin) || !verifyPin(pin, kiosk.pin_hash)) {
+    return failure(KIOSK_ERRORS.INVALID_PIN, 'Incorrect PIN', 401);
+  }
+
+  await supabase
+    .from('event_kiosks')
+    .update({ failed_attempts: 0, locked_until: null })
+    .eq('session_id', sessionId);
+
+  const expires = Math.floor(Date.now() / 1000) + KIOSK_SESSION_HOURS * 3600;
+
+  return {
+    data: {
+      cookie: `${sessionId}.${expires}.${sign(sessionId, expires, kiosk.pin_hash)}`,
+      expiresAt: new Date(expires * 1000)
+    },
+    error: null
+  };
+}
+
+/**
+ * Verifies the kiosk cookie for an event and returns a service role client
+ *
+ * @param {string} sessionId - The event the kiosk request is for
+ * @returns {Promise<{supabase: object|null, response: NextResponse|null}>}
+ *   The kiosk client, or an error response when the kiosk is locked
+ */
+export async function requireKiosk(sessionId) {
+  const locked = {
+    supabase: null,
+    response: NextResponse.json(
+      { error: 'This kiosk is locked. Ask a staff member to unlock it.', code: KIOSK_ERRORS.KIOSK_LOCKED },
+      { status: 401 }
+    )
+  };
+
+  const cookieStore = await cookies();
+  const value = cookieStore.get(KIOSK_COOKIE)?.value;
+  if (!value) return locked;
+
+  // Session IDs may contain dots, so split from the right
+  const signatureStart = value.lastIndexOf('.');
+  const expiresStart = value.lastIndexOf('.', signatureStart - 1);
+  const cookieSessionId = value.slice(0, expiresStart);
+  const expires = Number.parseInt(value.slice(expiresStart + 1, signatureStart), 10);
+  const signature = value.slice(signatureStart + 1);
+
+  if (cookieSessionId !== sessionId || Number.isNaN(expires) || expires * 1000 < Date.now()) {
+    return locked;
+  }
+
+  const supabase = await createServiceClient();
+  const { data: kiosk, error } = await supabase
+    .from('event_kiosks')
+    .select('pin_hash')
+    .eq('session_id', sessionId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Kiosk lookup error:', error);
+    return {
+      supabase: null,
+      response: NextResponse.json({ error: 'Failed to verify kiosk' }, { status: 500 })
+    };
+  }
+
+  if (!kiosk || !safeEqual(sign(sessionId, expires, kiosk.pin_hash), signature)) {
+    return locked;
+  }
+
+  return { supabase, response: null };
+}
+
+/**
+ * Shortens a name for the kiosk confirmation screen
+ *
+ * <p>Anyone at the door can type an ID, so the kiosk shows only enough of the
+ * name for the student to recognise themselves.</p>
+ *
+ * @param {object} student - users row with fname and lname
+ * @returns {string} e.g. "Ama M."
+ */
+export function getKioskDisplayName(student) {
+  const initial = student.lname ? ` ${student.lname.trim().charAt(0)}.` : '';
+  return `${student.fname}${initial}`;
+}
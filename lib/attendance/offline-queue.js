@@ -0,0 +1,126 @@
+/**
+ * IndexedDB queue for door scans made while the scanner is offline
+ *
+ * <p>Each queued scan is stored with the time it was made so the server can judge
+ * token expiry at scan time when the queue is synced later. Scans are read back in
+ * the order they were made.</p>
+ *
+ * <p>Browser only: every function resolves to an empty result when IndexedDB is
+ * unavailable (e.g. during server rendering).</p>
+ *
+ * @module attendance/offline-queue
+ */
+
+const DB_NAME = 'csoft-attendance';
+const DB_VERSION = 1;
+const STORE_NAME = 'pending_scans';
+
+/**
+ * Opens (and on first use creates) the scan queue database
+ *
+ * @returns {Promise<IDBDatabase|null>} The database, or null without IndexedDB
+ */
+function openDatabase() {
+  if (typeof window === 'undefined' || !window.indexedDB) {
+    return Promise.resolve(null);
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        store.createIndex('sessionId', 'sessionId', { unique: false });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Runs a callback inside a transaction and resolves once it commits
+ *
+ * @param {"readonly"|"readwrite"} mode - Transaction mode
+ * @param {Function} callback - Receives the object store; its return value is resolved
+ * @returns {Promise<*>} Whatever the callback produced, or null without IndexedDB
+ */
+async function withStore(mode, callback) {
+  const db = await openDatabase();
+  if (!db) return null;
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    let result;
+
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+
+    const request = callback(transaction.objectStore(STORE_NAME));
+    if (request) {
+      request.onsuccess = () => {
+        result = request.result;
+      };
+    }
+  });
+}
+
+/**
+ * Adds a scan to the queue
+ *
+ * @param {object} scan
+ * @param {string} scan.sessionId - Event the scan is for
+ * @param {string} scan.token - Personal attendance token read from the QR code
+ * @param {string} [scan.action] - 'check_in' or 'check_out'
+ * @param {Date} [scan.scannedAt] - When the code was scanned; defaults to now
+ * @returns {Promise<object>} The stored scan
+ */
+export async function enqueueScan({ sessionId, token, action = 'check_in', scannedAt = new Date() }) {
+  const scan = {
+    id: crypto.randomUUID(),
+    sessionId,
+    token,
+    action,
+    scannedAt: scannedAt.toISOString()
+  };
+
+  await withStore('readwrite', (store) => store.add(scan));
+  return scan;
+}
+
+/**
+ * Lists queued scans for an event, oldest first
+ *
+ * @param {string} sessionId - Event to list scans for
+ * @returns {Promise<Array<object>>} The queued scans
+ */
+export async function getPendingScans(sessionId) {
+  const scans = await withStore('readonly', (store) =>
+    store.index('sessionId').getAll(sessionId)
+  );
+
+  return (scans || []).sort((a, b) => a.scannedAt.localeCompare(b.scannedAt));
+}
+
+/**
+ * Removes scans from the queue once the server has returned a result for them
+ *
+ * @param {Array<string>} ids - IDs of the scans to remove
+ * @returns {Promise<void>}
+ */
+export async function removeScans(ids) {
+  if (!ids.length) return;
+
+  await withStore('readwrite', (store) => {
+    ids.forEach((id) => store.delete(id));
+  });
+}
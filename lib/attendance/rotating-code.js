@@ -0,0 +1,113 @@
+import crypto from 'crypto';
+import { getSigningSecret } from '@/lib/signing';
+
+/**
+ * Rotating check-in codes for event attendance QR codes
+ *
+ * <p>A rotating code is bound to one event and one time window. It is an HMAC of
+ * the session ID and the window index, so it can be verified without storing
+ * anything. A screenshot of the projected QR code stops working shortly after
+ * the code on screen changes.</p>
+ *
+ * @module attendance/rotating-code
+ */
+
+/**
+ * Check-in QR modes stored in career_sessions.qr_mode
+ */
+export const QR_MODES = {
+  STATIC: 'static',
+  ROTATING: 'rotating'
+};
+
+export const DEFAULT_ROTATION_SECONDS = 30;
+export const MIN_ROTATION_SECONDS = 10;
+export const MAX_ROTATION_SECONDS = 300;
+
+// How long after its window ends a code is still accepted. This gives a
+// student time to type their student ID after scanning.
+const GRACE_SECONDS = 120;
+
+/**
+ * Coerces a requested QR mode to one of QR_MODES
+ *
+ * @param {string} mode - Requested mode
+ * @returns {string} 'rotating' if requested, otherwise 'static'
+ */
+export function normalizeQrMode(mode) {
+  return mode === QR_MODES.ROTATING ? QR_MODES.ROTATING : QR_MODES.STATIC;
+}
+
+/**
+ * Clamps a rotation period to the supported range
+ *
+ * @param {number} seconds - Requested rotation period
+ * @returns {number} A valid rotation period in seconds
+ */
+export function normalizeRotationSeconds(seconds) {
+  const value = Number.parseInt(seconds, 10);
+  if (Number.isNaN(value)) return DEFAULT_ROTATION_SECONDS;
+  return Math.min(Math.max(value, MIN_ROTATION_SECONDS), MAX_ROTATION_SECONDS);
+}
+
+/**
+ * Signs a session and window index
+ *
+ * @param {string} sessionId - The event's session ID
+ * @param {number} window - The window index
+ * @returns {string} The URL-safe signature
+ */
+function sign(sessionId, window) {
+  return crypto
+    .createHmac('sha256', getSigningSecret())
+    .update(`${sessionId}:${window}`)
+    .digest('base64url')
+    .slice(0, 16);
+}
+
+/**
+ * Generates the code for the window containing the given time
+ *
+ * @param {string} sessionId - The event's session ID
+ * @param {number} rotationSeconds - Length of each window in seconds
+ * @param {number} now - Current time in milliseconds
+ * @returns {{code: string, refreshAt: string}} The code and when the next one starts
+ */
+export function generateRotatingCode(sessionId, rotationSeconds, now = Date.now()) {
+  const period = normalizeRotationSeconds(rotationSeconds);
+  const window = Math.floor(now / 1000 / period);
+
+  return {
+    code: `${window}.${sign(sessionId, window)}`,
+    refreshAt: new Date((window + 1) * period * 1000).toISOString()
+  };
+}
+
+/**
+ * Verifies a code against a session and the current time
+ *
+ * @param {string} sessionId - The event's session ID
+ * @param {string} code - The code from the scanned QR URL
+ * @param {number} rotationSeconds - Length of each window in seconds
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True if the code was issued for this session and is still in its window
+ */
+export function verifyRotatingCode(sessionId, code, rotationSeconds, now = Date.now()) {
+  if (typeof code !== 'string') return false;
+
+  const [windowPart, signature] = code.split('.');
+  const window = Number.parseInt(windowPart, 10);
+  if (Number.isNaN(window) || !signature) return false;
+
+  const period = normalizeRotationSeconds(rotationSeconds);
+  const windowEnd = (window + 1) * period * 1000;
+
+  // Reject codes from the future and codes whose window ended too long ago
+  if (window * period * 1000 > now || now > windowEnd + GRACE_SECONDS * 1000) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(sessionId, window));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
@@ -0,0 +1,677 @@
+import { QR_MODES, verifyRotatingCode } from '@/lib/attendance/rotating-code';
+import {
+  CHECKIN_ENFORCEMENT,
+  CHECKIN_FLAGS,
+  REVIEW_STATUSES,
+  evaluateCheckIn
+} from '@/lib/attendance/checkin-rules';
+import { getDurationMinutes, meetsDurationRule } from '@/lib/attendance/duration';
+
+/**
+ * Attendance service shared by every check-in route
+ *
+ * <p>All attendance is written to the <code>attendance</code> table, one row per
+ * student per event:</p>
+ * <pre>
+ * { session_id, student_id, user_id, signup_time, source }
+ * </pre>
+ * <p><code>student_id</code> is the student's school ID (users.student_id) and
+ * <code>user_id</code> is their users.id. Routes validate their own credentials
+ * (rotating code, personal token, event token) and then call
+ * {@link recordAttendance}, which handles lookups and duplicate detection.</p>
+ *
+ * <p>Check-ins made from a student's own device are also checked against the
+ * event's check-in window and venue geofence (see attendance/checkin-rules). They
+ * are refused or stored with <code>review_status = 'flagged'</code> depending on
+ * the event's enforcement mode.</p>
+ *
+ * <p>Events with check-out enabled record <code>checked_out_at</code> and
+ * <code>duration_minutes</code> on the same row through {@link recordCheckOut}.</p>
+ *
+ * <p>Functions return <code>{ data, error }</code>. Errors carry a machine-readable
+ * <code>code</code>, a user-facing <code>message</code> and an HTTP <code>status</code>.</p>
+ *
+ * @module attendance/service
+ */
+
+/**
+ * How an attendance record was created
+ */
+export const ATTENDANCE_SOURCES = {
+  SELF_CHECK_IN: 'self_check_in',
+  PERSONAL_QR: 'personal_qr',
+  EVENT_QR: 'event_qr',
+  BULK_IMPORT: 'bulk_import',
+  MANUAL_ADJUSTMENT: 'manual_adjustment',
+  KIOSK: 'kiosk',
+  // Reconciled from the old attendance_records table by 20261019000200
+  LEGACY_RECORD: 'legacy_record'
+};
+
+/**
+ * Manual corrections an admin can make, stored in attendance_adjustments.action
+ */
+export const ADJUSTMENT_ACTIONS = {
+  ADD: 'add',
+  REMOVE: 'remove'
+};
+
+/**
+ * What a door scan records
+ */
+export const SCAN_ACTIONS = {
+  CHECK_IN: 'check_in',
+  CHECK_OUT: 'check_out'
+};
+
+// Sources submitted from the student's own device, from the shared event QR
+// code or a personal token they submit themselves. A screenshot can replay
+// these, so rotating events require a fresh code for them, and they are checked
+// against the event's window and geofence. Staff scanning a student at the door
+// vouch for them; the door scanner routes only accept staff.
+const SELF_SUBMITTED_SOURCES = [
+  ATTENDANCE_SOURCES.SELF_CHECK_IN,
+  ATTENDANCE_SOURCES.EVENT_QR
+];
+
+/**
+ * Error codes returned by the attendance service
+ */
+export const ATTENDANCE_ERRORS = {
+  EVENT_NOT_FOUND: 'EVENT_NOT_FOUND',
+  STUDENT_NOT_FOUND: 'STUDENT_NOT_FOUND',
+  CHECKIN_CODE_EXPIRED: 'CHECKIN_CODE_EXPIRED',
+  ALREADY_CHECKED_IN: 'ALREADY_CHECKED_IN',
+  INVALID_TOKEN: 'INVALID_TOKEN',
+  TOKEN_EXPIRED: 'TOKEN_EXPIRED',
+  TOKEN_USED: 'TOKEN_USED',
+  WRONG_EVENT: 'WRONG_EVENT',
+  STUDENT_MISMATCH: 'STUDENT_MISMATCH',
+  OUTSIDE_CHECKIN_WINDOW: 'OUTSIDE_CHECKIN_WINDOW',
+  OUTSIDE_VENUE: 'OUTSIDE_VENUE',
+  LOCATION_REQUIRED: 'LOCATION_REQUIRED',
+  CHECKOUT_DISABLED: 'CHECKOUT_DISABLED',
+  NOT_CHECKED_IN: 'NOT_CHECKED_IN',
+  ALREADY_CHECKED_OUT: 'ALREADY_CHECKED_OUT',
+  INVALID_ADJUSTMENT: 'INVALID_ADJUSTMENT',
+  FORBIDDEN: 'FORBIDDEN',
+  ADJUSTMENT_FAILED: 'ADJUSTMENT_FAILED',
+  LOOKUP_FAILED: 'LOOKUP_FAILED',
+  INSERT_FAILED: 'INSERT_FAILED'
+};
+
+// PostgREST "no rows returned" and Postgres unique violation codes
+const NOT_FOUND_CODE = 'PGRST116';
+const UNIQUE_VIOLATION_CODE = '23505';
+
+/**
+ * Builds a service error
+ *
+ * @param {string} code - One of ATTENDANCE_ERRORS
+ * @param {string} message - User-facing message
+ * @param {number} status - HTTP status for routes to use
+ * @returns {{code: string, message: string, status: number}}
+ */
+function attendanceError(code, message, status) {
+  return { code, message, status };
+}
+
+/**
+ * Wraps a service error in the { data, error } result shape
+ *
+ * @param {string} code - One of ATTENDANCE_ERRORS
+ * @param {string} message - User-facing message
+ * @param {number} status - HTTP status for routes to use
+ * @returns {{data: null, error: object}}
+ */
+function failure(code, message, status) {
+  return { data: null, error: attendanceError(code, message, status) };
+}
+
+/**
+ * Looks up an event by its session ID
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {string} sessionId - The event's session ID
+ * @returns {Promise<{data: object|null, error: object|null}>} The career_sessions row
+ */
+export async function findEvent(supabase, sessionId) {
+  const { data: event, error } = await supabase
+    .from('career_sessions')
+    .select('*')
+    .eq('session_id', sessionId)
+    .single();
+
+  if (error && error.code !== NOT_FOUND_CODE) {
+    console.error('Event lookup error:', error);
+    return failure(ATTENDANCE_ERRORS.LOOKUP_FAILED, 'Failed to lookup event', 500);
+  }
+
+  if (!event) {
+    return failure(ATTENDANCE_ERRORS.EVENT_NOT_FOUND, 'Event not found', 404);
+  }
+
+  return { data: event, error: null };
+}
+
+/**
+ * Looks up a student by school ID, users.id or email
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {object} identity - Exactly one of the identifiers
+ * @param {string} [identity.studentId] - The school student ID
+ * @param {string} [identity.userId] - The users.id UUID
+ * @param {string} [identity.email] - The student's email address
+ * @returns {Promise<{data: object|null, error: object|null}>} The users row
+ */
+export async function findStudent(supabase, { studentId, userId, email }) {
+  const query = supabase
+    .from('users')
+    .select('id, student_id, fname, lname, email');
+
+  let filtered;
+  if (userId) filtered = query.eq('id', userId);
+  else if (email) filtered = query.eq('email', email.toLowerCase());
+  else filtered = query.eq('student_id', studentId);
+
+  const { data: student, error } = await filtered.single();
+
+  if (error && error.code !== NOT_FOUND_CODE) {
+    console.error('Student lookup error:', error);
+    return failure(ATTENDANCE_ERRORS.LOOKUP_FAILED, 'Failed to lookup student', 500);
+  }
+
+  if (!student || !student.student_id) {
+    return failure(ATTENDANCE_ERRORS.STUDENT_NOT_FOUND, 'Student not found', 404);
+  }
+
+  return { data: student, error: null };
+}
+
+/**
+ * Checks a rotating check-in code when the event requires one
+ *
+ * @param {object} event - The career_sessions row
+ * @param {string} code - The code from the scanned QR URL, if any
+ * @returns {object|null} A service error, or null if the code is acceptable
+ */
+export function checkRotatingCode(event, code) {
+  if (event.qr_mode !== QR_MODES.ROTATING) return null;
+
+  if (!verifyRotatingCode(event.session_id, code, event.qr_rotation_seconds)) {
+    return attendanceError(
+      ATTENDANCE_ERRORS.CHECKIN_CODE_EXPIRED,
+      'This check-in code has expired. Please scan the QR code on screen again.',
+      403
+    );
+  }
+
+  return null;
+}
+
+// Errors returned for each rule when the event refuses out-of-bounds check-ins
+// and check-outs, in the order they are reported
+const REJECTED_FLAG_ERRORS = [
+  [
+    CHECKIN_FLAGS.OUTSIDE_WINDOW,
+    ATTENDANCE_ERRORS.OUTSIDE_CHECKIN_WINDOW,
+    'Check-in is not open for this event right now',
+    'Check-out is not open for this event right now'
+  ],
+  [
+    CHECKIN_FLAGS.LOCATION_UNAVAILABLE,
+    ATTENDANCE_ERRORS.LOCATION_REQUIRED,
+    'Please allow location access to check in to this event',
+    'Please allow location access to check out of this event'
+  ],
+  [
+    CHECKIN_FLAGS.OUTSIDE_VENUE,
+    ATTENDANCE_ERRORS.OUTSIDE_VENUE,
+    'You must be at the event venue to check in',
+    'You must be at the event venue to check out'
+  ]
+];
+
+/**
+ * The error for the first rule a refused check-in or check-out broke
+ *
+ * @param {Array<string>} flags - CHECKIN_FLAGS from evaluateCheckIn
+ * @param {boolean} [checkingOut] - Word the message for a check-out
+ * @returns {{data: null, error: object}}
+ */
+function rejectedCheckIn(flags, checkingOut = false) {
+  const [, errorCode, checkInMessage, checkOutMessage] = REJECTED_FLAG_ERRORS.find(([flag]) => flags.includes(flag));
+  return failure(errorCode, checkingOut ? checkOutMessage : checkInMessage, 403);
+}
+
+/**
+ * Records a student's attendance for an event
+ *
+ * <p>Duplicate check-ins are detected both by a lookup and by the unique
+ * (session_id, student_id) index, so concurrent scans cannot create two rows.</p>
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {object} params
+ * @param {string} params.sessionId - The event's session ID
+ * @param {string} [params.studentId] - The school student ID
+ * @param {string} [params.userId] - The users.id UUID (used instead of studentId)
+ * @param {string} params.source - One of ATTENDANCE_SOURCES
+ * @param {string} [params.code] - Rotating check-in code, for events that use one
+ *   (only checked for sources that come from the shared event QR code)
+ * @param {Date} [params.checkedInAt] - When the student was checked in; defaults to now
+ *   (offline scans are synced later with their original scan time)
+ * @param {object} [params.location] - Device location from
+ *   {@link module:attendance/checkin-rules.parseLocation}, for geofenced events
+ * @returns {Promise<{data: {record: object, event: object, student: object, flags: Array<string>}|null, error: object|null}>}
+ *   <code>flags</code> lists the rules the check-in broke; when non-empty the
+ *   record is held for admin review
+ */
+export async function recordAttendance(supabase, { sessionId, studentId, userId, source, code, checkedInAt, location }) {
+  const { data: event, error: eventError } = await findEvent(supabase, sessionId);
+  if (eventError) return { data: null, error: eventError };
+
+  const at = checkedInAt || new Date();
+  let flags = [];
+
+  if (SELF_SUBMITTED_SOURCES.includes(source)) {
+    const codeError = checkRotatingCode(event, code);
+    if (codeError) return { data: null, error: codeError };
+
+    flags = evaluateCheckIn(event, { at, location });
+  }
+
+  if (flags.length > 0 && event.checkin_enforcement === CHECKIN_ENFORCEMENT.REJECT) {
+    return rejectedCheckIn(flags);
+  }
+
+  const { data: student, error: studentError } = await findStudent(supabase, { studentId, userId });
+  if (studentError) return { data: null, error: studentError };
+
+  // Check if attendance already exists
+  const { data: existing, error: existingError } = await supabase
+    .from('attendance')
+    .select('id')
+    .eq('session_id', event.session_id)
+    .eq('student_id', student.student_id)
+    .maybeSingle();
+
+  if (existingError) {
+    console.error('Attendance check error:', existingError);
+    return failure(ATTENDANCE_ERRORS.LOOKUP_FAILED, 'Failed to check existing attendance', 500);
+  }
+
+  if (existing) {
+    return failure(
+      ATTENDANCE_ERRORS.ALREADY_CHECKED_IN,
+      'You have already checked in for this event',
+      409
+    );
+  }
+
+  const { data: record, error: insertError } = await supabase
+    .from('attendance')
+    .insert([
+      {
+        session_id: event.session_id,
+        student_id: student.student_id,
+        user_id: student.id,
+        signup_time: at.toISOString(),
+        source,
+        review_status: flags.length > 0 ? REVIEW_STATUSES.FLAGGED : REVIEW_STATUSES.APPROVED,
+        flag_reasons: flags.length > 0 ? flags : null,
+        checkin_latitude: location?.latitude ?? null,
+        checkin_longitude: location?.longitude ?? null,
+        checkin_accuracy_meters: location?.accuracy ?? null
+      }
+    ])
+    .select()
+    .single();
+
+  if (insertError) {
+    // Another request inserted the same check-in between the lookup and the insert
+    if (insertError.code === UNIQUE_VIOLATION_CODE) {
+      return failure(
+        ATTENDANCE_ERRORS.ALREADY_CHECKED_IN,
+        'You have already checked in for this event',
+        409
+      );
+    }
+
+    console.error('Attendance insert error:', insertError);
+    return failure(ATTENDANCE_ERRORS.INSERT_FAILED, 'Failed to record attendance', 500);
+  }
+
+  return { data: { record, event, student, flags }, error: null };
+}
+
+/**
+ * Looks up a personal attendance token
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {string} token - The personal attendance token
+ * @param {string} [sessionId] - Event the scanner is working on; the token must belong to it when given
+ * @returns {Promise<{data: object|null, error: object|null}>} The attendance_tokens row
+ */
+async function findToken(supabase, token, sessionId) {
+  const { data: tokenData, error } = await supabase
+    .from('attendance_tokens')
+    .select('*')
+    .eq('token', token)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Token lookup error:', error);
+    return failure(ATTENDANCE_ERRORS.LOOKUP_FAILED, 'Failed to verify token', 500);
+  }
+
+  if (!tokenData) {
+    return failure(ATTENDANCE_ERRORS.INVALID_TOKEN, 'Invalid or expired token', 400);
+  }
+
+  if (sessionId && tokenData.event_id !== sessionId) {
+    return failure(ATTENDANCE_ERRORS.WRONG_EVENT, 'This QR code is for a different event', 422);
+  }
+
+  return { data: tokenData, error: null };
+}
+
+/**
+ * Records attendance from a student's personal QR token
+ *
+ * <p>Personal tokens are issued by /api/dashboard/student/attendance/qr and stored in
+ * <code>attendance_tokens</code>. They are used either by the student on the
+ * /checkin page or by staff scanning students at the door. A token the student
+ * submits themselves must be their own and is recorded as a self check-in, so
+ * the rotating code, window and geofence apply as they would to any other.</p>
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {object} params
+ * @param {string} params.token - The personal attendance token
+ * @param {string} [params.sessionId] - Event the scanner is checking people into; the
+ *   token must belong to it when given
+ * @param {string} [params.studentId] - School ID typed in by the student; must match
+ *   the token's owner when given
+ * @param {Date} [params.scannedAt] - When the token was scanned; expiry is judged at this
+ *   time so offline scans synced later are not rejected. Defaults to now
+ * @param {object} [params.submittedBy] - Set when the student submits the token from
+ *   their own device rather than staff scanning it
+ * @param {string} params.submittedBy.userId - The signed-in user's users.id
+ * @param {string} [params.submittedBy.code] - Rotating check-in code, for events that use one
+ * @param {object} [params.submittedBy.location] - Device location from
+ *   {@link module:attendance/checkin-rules.parseLocation}
+ * @returns {Promise<{data: {record: object, event: object, student: object, flags: Array<string>}|null, error: object|null}>}
+ */
+export async function recordTokenAttendance(supabase, { token, sessionId, studentId, scannedAt, submittedBy }) {
+  const checkedInAt = scannedAt || new Date();
+
+  const { data: tokenData, error: tokenError } = await findToken(supabase, token, sessionId);
+  if (tokenError) return { data: null, error: tokenError };
+
+  if (new Date(tokenData.expires_at) < checkedInAt) {
+    return failure(ATTENDANCE_ERRORS.TOKEN_EXPIRED, 'Token has expired', 410);
+  }
+
+  if (tokenData.used_at) {
+    return failure(ATTENDANCE_ERRORS.TOKEN_USED, 'Token has already been used', 409);
+  }
+
+  // The token belongs to one student; the attendance is always theirs
+  const { data: owner, error: ownerError } = await findStudent(supabase, {
+    userId: tokenData.student_id
+  });
+  if (ownerError) return { data: null, error: ownerError };
+
+  if (studentId && owner.student_id !== studentId) {
+    return failure(ATTENDANCE_ERRORS.STUDENT_MISMATCH, 'Invalid student ID', 400);
+  }
+
+  if (submittedBy && submittedBy.userId !== owner.id) {
+    return failure(ATTENDANCE_ERRORS.STUDENT_MISMATCH, 'This QR code belongs to another student', 403);
+  }
+
+  const result = await recordAttendance(supabase, {
+    sessionId: tokenData.event_id,
+    userId: owner.id,
+    source: submittedBy ? ATTENDANCE_SOURCES.SELF_CHECK_IN : ATTENDANCE_SOURCES.PERSONAL_QR,
+    code: submittedBy?.code,
+    location: submittedBy?.location,
+    checkedInAt
+  });
+  if (result.error) return result;
+
+  // Mark the token as used
+  const { error: updateError } = await supabase
+    .from('attendance_tokens')
+    .update({ used_at: new Date().toISOString() })
+    .eq('token', token);
+
+  if (updateError) {
+    console.error('Error updating token:', updateError);
+    // Don't fail since attendance was already recorded
+  }
+
+  return result;
+}
+
+/**
+ * Records a student's check-out and time in attendance
+ *
+ * <p>Check-outs from the student's own device are held to the same window and
+ * geofence as check-ins, so time cannot be earned away from the venue. Under
+ * the flag enforcement mode a check-out that breaks a rule puts the attendance
+ * back up for admin review.</p>
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {object} params
+ * @param {string} params.sessionId - The event's session ID
+ * @param {string} [params.studentId] - The school student ID
+ * @param {string} [params.userId] - The users.id UUID (used instead of studentId)
+ * @param {string} params.source - One of ATTENDANCE_SOURCES
+ * @param {string} [params.code] - Rotating check-in code, for events that use one
+ * @param {Date} [params.checkedOutAt] - When the student checked out; defaults to now
+ * @param {object} [params.location] - Device location from
+ *   {@link module:attendance/checkin-rules.parseLocation}, for geofenced events
+ * @returns {Promise<{data: {record: object, event: object, student: object, meetsMinimum: boolean, flags: Array<string>}|null, error: object|null}>}
+ *   <code>flags</code> lists the rules the check-out broke
+ */
+export async function recordCheckOut(supabase, { sessionId, studentId, userId, source, code, checkedOutAt, location }) {
+  const { data: event, error: eventError } = await findEvent(supabase, sessionId);
+  if (eventError) return { data: null, error: eventError };
+
+  if (!event.checkout_enabled) {
+    return failure(ATTENDANCE_ERRORS.CHECKOUT_DISABLED, 'This event does not use check-out', 400);
+  }
+
+  const at = checkedOutAt || new Date();
+  let flags = [];
+
+  if (SELF_SUBMITTED_SOURCES.includes(source)) {
+    const codeError = checkRotatingCode(event, code);
+    if (codeError) return { data: null, error: codeError };
+
+    flags = evaluateCheckIn(event, { at, location });
+  }
+
+  if (flags.length > 0 && event.checkin_enforcement === CHECKIN_ENFORCEMENT.REJECT) {
+    return rejectedCheckIn(flags, true);
+  }
+
+  const { data: student, error: studentError } = await findStudent(supabase, { studentId, userId });
+  if (studentError) return { data: null, error: studentError };
+
+  const { data: existing, error: existingError } = await supabase
+    .from('attendance')
+    .select('id, signup_time, checked_out_at, review_status, flag_reasons')
+    .eq('session_id', event.session_id)
+    .eq('student_id', student.student_id)
+    .maybeSingle();
+
+  if (existingError) {
+    console.error('Attendance check error:', existingError);
+    return failure(ATTENDANCE_ERRORS.LOOKUP_FAILED, 'Failed to check existing attendance', 500);
+  }
+
+  if (!existing) {
+    return failure(ATTENDANCE_ERRORS.NOT_CHECKED_IN, 'You have not checked in to this event', 404);
+  }
+
+  if (existing.checked_out_at) {
+    return failure(ATTENDANCE_ERRORS.ALREADY_CHECKED_OUT, 'You have already checked out of this event', 409);
+  }
+
+  // An admin's rejection stands; otherwise a rule-breaking check-out needs review
+  const review = flags.length > 0 && existing.review_status !== REVIEW_STATUSES.REJECTED
+    ? {
+      review_status: REVIEW_STATUSES.FLAGGED,
+      flag_reasons: [...new Set([...(existing.flag_reasons ?? []), ...flags])]
+    }
+    : {};
+
+  // Only update a row that is still checked in, so two scans cannot both check out
+  const { data: record, error: updateError } = await supabase
+    .from('attendance')
+    .update({
+      checked_out_at: at.toISOString(),
+      duration_minutes: getDurationMinutes(existing.signup_time, at),
+      ...review
+    })
+    .eq('id', existing.id)
+    .is('checked_out_at', null)
+    .select()
+    .maybeSingle();
+
+  if (updateError) {
+    console.error('Check-out update error:', updateError);
+    return failure(ATTENDANCE_ERRORS.INSERT_FAILED, 'Failed to record check-out', 500);
+  }
+
+  if (!record) {
+    return failure(ATTENDANCE_ERRORS.ALREADY_CHECKED_OUT, 'You have already checked out of this event', 409);
+  }
+
+  return {
+    data: { record, event, student, meetsMinimum: meetsDurationRule(record, event), flags },
+    error: null
+  };
+}
+
+/**
+ * Records a check-out from a student's personal QR token
+ *
+ * <p>The token was already used to check in and expires when the event ends, so
+ * neither is checked here; a token only identifies its owner at its own event.</p>
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {object} params
+ * @param {string} params.token - The personal attendance token
+ * @param {string} [params.sessionId] - Event the scanner is working on
+ * @param {Date} [params.scannedAt] - When the token was scanned; defaults to now
+ * @returns {Promise<{data: object|null, error: object|null}>} See {@link recordCheckOut}
+ */
+export async function recordTokenCheckOut(supabase, { token, sessionId, scannedAt }) {
+  const { data: tokenData, error: tokenError } = await findToken(supabase, token, sessionId);
+  if (tokenError) return { data: null, error: tokenError };
+
+  return recordCheckOut(supabase, {
+    sessionId: tokenData.event_id,
+    userId: tokenData.student_id,
+    source: ATTENDANCE_SOURCES.PERSONAL_QR,
+    checkedOutAt: scannedAt
+  });
+}
+
+/**
+ * Lists a student's attendances that count towards requirements
+ *
+ * <p>An attendance counts when it is approved and meets its event's
+ * minimum-duration rule. Each record carries the event's type and tags so
+ * requirement rules can count specific kinds of events.</p>
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {string} studentId - The school student ID
+ * @returns {Promise<{data: Array<{sessionId: string, eventType: string|null, tags: Array<string>}>|null, error: object|null}>}
+ *   The qualifying attendances
+ */
+export async function listQualifyingAttendance(supabase, studentId) {
+  const { data: records, error } = await supabase
+    .from('attendance')
+    .select('session_id, duration_minutes, career_sessions (checkout_enabled, min_duration_minutes, event_type, tags)')
+    .eq('student_id', studentId)
+    .eq('review_status', REVIEW_STATUSES.APPROVED);
+
+  if (error) {
+    console.error('Qualifying attendance lookup error:', error);
+    return failure(ATTENDANCE_ERRORS.LOOKUP_FAILED, 'Failed to fetch attendance', 500);
+  }
+
+  return {
+    data: records
+      .filter((record) => meetsDurationRule(record, record.career_sessions))
+      .map((record) => ({
+        sessionId: record.session_id,
+        eventType: record.career_sessions?.event_type ?? null,
+        tags: record.career_sessions?.tags ?? []
+      })),
+    error: null
+  };
+}
+
+// Postgres error codes raised by the adjust_attendance database function
+const ADJUSTMENT_DB_ERRORS = {
+  '42501': [ATTENDANCE_ERRORS.FORBIDDEN, 403],
+  '22023': [ATTENDANCE_ERRORS.INVALID_ADJUSTMENT, 400],
+  'P0002': [ATTENDANCE_ERRORS.NOT_CHECKED_IN, 404],
+  [UNIQUE_VIOLATION_CODE]: [ATTENDANCE_ERRORS.ALREADY_CHECKED_IN, 409]
+};
+
+/**
+ * Adds or removes a student's attendance by hand and logs the change
+ *
+ * <p>The attendance change and its attendance_adjustments log entry are written
+ * together by the adjust_attendance database function. Adding a student whose
+ * check-in was flagged or rejected approves it instead of creating a second row.</p>
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {object} params
+ * @param {string} params.sessionId - The event's session ID
+ * @param {string} params.identifier - The student's school ID or email
+ * @param {string} params.action - One of ADJUSTMENT_ACTIONS
+ * @param {string} params.reason - Why the change was made; required
+ * @returns {Promise<{data: {adjustmentId: string, event: object, student: object}|null, error: object|null}>}
+ */
+export async function adjustAttendance(supabase, { sessionId, identifier, action, reason }) {
+  if (!Object.values(ADJUSTMENT_ACTIONS).includes(action)) {
+    return failure(ATTENDANCE_ERRORS.INVALID_ADJUSTMENT, 'Action must be add or remove', 400);
+  }
+
+  if (!reason || !reason.trim()) {
+    return failure(ATTENDANCE_ERRORS.INVALID_ADJUSTMENT, 'A reason is required', 400);
+  }
+
+  const { data: event, error: eventError } = await findEvent(supabase, sessionId);
+  if (eventError) return { data: null, error: eventError };
+
+  const trimmed = (identifier || '').trim();
+  const { data: student, error: studentError } = await findStudent(
+    supabase,
+    trimmed.includes('@') ? { email: trimmed } : { studentId: trimmed }
+  );
+  if (studentError) return { data: null, error: studentError };
+
+  const { data: result, error: adjustError } = await supabase.rpc('adjust_attendance', {
+    p_session_id: event.session_id,
+    p_student_id: student.student_id,
+    p_action: action,
+    p_reason: reason
+  });
+
+  if (adjustError) {
+    const mapped = ADJUSTMENT_DB_ERRORS[adjustError.code];
+    if (mapped) return failure(mapped[0], adjustError.message, mapped[1]);
+
+    console.error('Attendance adjustment error:', adjustError);
+    return failure(ATTENDANCE_ERRORS.ADJUSTMENT_FAILED, 'Failed to update attendance', 500);
+  }
+
+  return { data: { adjustmentId: result.adjustment_id, event, student }, error: null };
+}
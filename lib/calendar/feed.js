@@ -0,0 +1,263 @@
+import crypto from 'crypto';
+import { subDays, format } from 'date-fns';
+import { REGISTRATION_STATUSES } from '@/lib/events/registration';
+import { ICAL_STATUSES, buildUid } from '@/lib/calendar/ical';
+import { getSigningSecret } from '@/lib/signing';
+
+/**
+ * Private calendar feeds and the entries they contain
+ *
+ * <p>A feed URL carries <code>userId.version.signature</code>, where the
+ * signature is an HMAC over the user and the feed version in
+ * <code>calendar_feeds</code>. Nothing secret is stored: the URL can be shown
+ * again at any time, and rotating the feed bumps the version so every older URL
+ * stops working. Calendar apps fetch the feed without a login, so the feed
+ * route reads with the service role once the token checks out.</p>
+ *
+ * <p>A feed holds the events the user registered for (waitlisted ones as
+ * tentative) and their one-on-one advising sessions, as student or advisor,
+ * from {@link FEED_HISTORY_DAYS} days ago onwards.</p>
+ *
+ * @module calendar/feed
+ */
+
+export const FEED_HISTORY_DAYS = 90;
+
+/**
+ * Error codes returned by the feed helpers
+ */
+export const FEED_ERRORS = {
+  INVALID_FEED_TOKEN: 'INVALID_FEED_TOKEN',
+  FEED_FAILED: 'FEED_FAILED'
+};
+
+/**
+ * Signs a user's feed at a version
+ *
+ * @param {string} userId - The public.users ID
+ * @param {number} version - The feed version
+ * @returns {string} The URL-safe signature
+ */
+function sign(userId, version) {
+  return crypto
+    .createHmac('sha256', getSigningSecret())
+    .update(`calendar:${userId}:${version}`)
+    .digest('base64url');
+}
+
+/**
+ * Builds the token for a user's feed URL
+ *
+ * @param {string} userId - The public.users ID
+ * @param {number} version - The feed version
+ * @returns {string} <code>userId.version.signature</code>
+ */
+export function createFeedToken(userId, version) {
+  return `${userId}.${version}.${sign(userId, version)}`;
+}
+
+/**
+ * The current feed version for a user; users who never rotated are on 1
+ *
+ * @param {object} supabase - Supabase server client that can read the row
+ * @param {string} userId - The public.users ID
+ * @returns {Promise<{data: number|null, error: object|null}>} The version
+ */
+export async function getFeedVersion(supabase, userId) {
+  const { data, error } = await supabase
+    .from('calendar_feeds')
+    .select('version')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching calendar feed version:', error);
+    return {
+      data: null,
+      error: { code: FEED_ERRORS.FEED_FAILED, message: 'Failed to fetch calendar link', status: 500 }
+    };
+  }
+
+  return { data: data?.version ?? 1, error: null };
+}
+
+/**
+ * Invalidates a user's current feed URL
+ *
+ * @param {object} supabase - Supabase server client for the user
+ * @param {string} userId - The public.users ID
+ * @returns {Promise<{data: {version: number}|null, error: object|null}>} The new version
+ */
+export async function rotateFeed(supabase, userId) {
+  const { data: current, error: versionError } = await getFeedVersion(supabase, userId);
+  if (versionError) return { data: null, error: versionError };
+
+  const version = current + 1;
+
+  const { error } = await supabase
+    .from('calendar_feeds')
+    .upsert({ user_id: userId, version, rotated_at: new Date().toISOString() });
+
+  if (error) {
+    console.error('Error rotating calendar feed:', error);
+    return {
+      data: null,
+      error: { code: FEED_ERRORS.FEED_FAILED, message: 'Failed to reset calendar link', status: 500 }
+    };
+  }
+
+  return { data: { version }, error: null };
+}
+
+/**
+ * Checks a feed token against the user's current feed version
+ *
+ * @param {object} supabase - Service-role client from createServiceClient
+ * @param {string} token - The token from the feed URL
+ * @returns {Promise<{data: {userId: string}|null, error: object|null}>}
+ */
+export async function verifyFeedToken(supabase, token) {
+  const invalid = {
+    data: null,
+    error: { code: FEED_ERRORS.INVALID_FEED_TOKEN, message: 'Calendar link is invalid or has been reset', status: 404 }
+  };
+
+  const [userId, versionText, signature] = String(token || '').split('.');
+  const version = Number.parseInt(versionText, 10);
+  if (!userId || !version || !signature) return invalid;
+
+  const expected = Buffer.from(sign(userId, version));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return invalid;
+  }
+
+  // A failed lookup rejects the token rather than falling back to version 1,
+  // which would revive URLs from before the last reset
+  const { data: current, error } = await getFeedVersion(supabase, userId);
+  if (error) return { data: null, error };
+  if (current !== version) return invalid;
+
+  return { data: { userId }, error: null };
+}
+
+/**
+ * Calendar entry for an event the user registered for
+ *
+ * @param {object} event - The career_sessions row
+ * @param {object} [registration] - The user's event_registrations row
+ * @param {string} baseUrl - App origin for the entry's link
+ * @returns {object} Entry for buildCalendar
+ */
+export function toEventEntry(event, registration, baseUrl) {
+  const status = {
+    [REGISTRATION_STATUSES.CANCELLED]: ICAL_STATUSES.CANCELLED,
+    [REGISTRATION_STATUSES.WAITLISTED]: ICAL_STATUSES.TENTATIVE
+  }[registration?.status] || ICAL_STATUSES.CONFIRMED;
+
+  return {
+    uid: buildUid('event', event.session_id),
+    sequence: (event.calendar_sequence || 0) + (registration?.calendar_sequence || 0),
+    date: event.date,
+    startTime: event.start_time,
+    endTime: event.end_time,
+    summary: status === ICAL_STATUSES.TENTATIVE ? `${event.title} (waitlisted)` : event.title,
+    description: event.description,
+    location: event.location,
+    status,
+    url: `${baseUrl}/dashboard/student/events`,
+    updatedAt: event.updated_at
+  };
+}
+
+/**
+ * Calendar entry for a one-on-one advising session
+ *
+ * @param {object} session - The sessions row with <code>advisor</code> and <code>student</code> embeds
+ * @param {string} viewerId - The public.users ID the entry is for
+ * @param {string} baseUrl - App origin for the entry's link
+ * @returns {object} Entry for buildCalendar
+ */
+export function toAdvisingEntry(session, viewerId, baseUrl) {
+  const isAdvisor = session.advisor_id === viewerId;
+  const other = isAdvisor ? session.student : session.advisor;
+  const otherName = other ? `${other.fname} ${other.lname}` : null;
+
+  return {
+    uid: buildUid('advising', session.id),
+    sequence: session.calendar_sequence || 0,
+    date: session.date,
+    startTime: session.time,
+    endTime: session.end_time,
+    summary: otherName
+      ? `Career advising with ${otherName}`
+      : 'Career advising session',
+    description: session.status === 'cancelled' && session.cancellation_reason
+      ? `Cancelled: ${session.cancellation_reason}`
+      : null,
+    location: session.location,
+    status: session.status === 'cancelled' ? ICAL_STATUSES.CANCELLED : ICAL_STATUSES.CONFIRMED,
+    url: `${baseUrl}/dashboard/${isAdvisor ? 'admin/sessions' : 'student/one-on-one'}`,
+    updatedAt: session.updated_at
+  };
+}
+
+// Columns read from sessions for calendar entries
+export const ADVISING_SESSION_COLUMNS = `
+  id,
+  student_id,
+  advisor_id,
+  date,
+  time,
+  end_time,
+  location,
+  status,
+  cancellation_reason,
+  calendar_sequence,
+  updated_at,
+  advisor:advisor_id (fname, lname),
+  student:student_id (fname, lname)
+`;
+
+/**
+ * Everything in a user's feed
+ *
+ * @param {object} supabase - Service-role client from createServiceClient
+ * @param {string} userId - The public.users ID
+ * @param {string} baseUrl - App origin for entry links
+ * @returns {Promise<{data: Array<object>|null, error: object|null}>} Calendar entries
+ */
+export async function getFeedEntries(supabase, userId, baseUrl) {
+  const since = format(subDays(new Date(), FEED_HISTORY_DAYS), 'yyyy-MM-dd');
+
+  const [registrations, sessions] = await Promise.all([
+    supabase
+      .from('event_registrations')
+      .select('status, calendar_sequence, career_sessions!inner (*)')
+      .eq('user_id', userId)
+      .gte('career_sessions.date', since),
+    supabase
+      .from('sessions')
+      .select(ADVISING_SESSION_COLUMNS)
+      .or(`student_id.eq.${userId},advisor_id.eq.${userId}`)
+      .gte('date', since)
+  ]);
+
+  const failed = registrations.error || sessions.error;
+  if (failed) {
+    console.error('Error building calendar feed:', failed);
+    return {
+      data: null,
+      error: { code: FEED_ERRORS.FEED_FAILED, message: 'Failed to build calendar', status: 500 }
+    };
+  }
+
+  return {
+    data: [
+      ...registrations.data.map((registration) =>
+        toEventEntry(registration.career_sessions, registration, baseUrl)),
+      ...sessions.data.map((session) => toAdvisingEntry(session, userId, baseUrl))
+    ],
+    error: null
+  };
+}
@@ -0,0 +1,181 @@
+/**
+ * iCalendar (RFC 5545) output for events and advising sessions
+ *
+ * <p>Builds VCALENDAR text for both the subscription feed and single-entry
+ * .ics downloads. Every entry has a stable UID derived from its database row,
+ * so calendar apps update the entry they already have instead of adding a
+ * second one, and a SEQUENCE that goes up with each change. Cancelled entries
+ * are sent with <code>STATUS:CANCELLED</code> rather than dropped so that
+ * imported copies are cancelled too.</p>
+ *
+ * <p>Times are stored as local wall-clock dates and times, so entries are
+ * written in {@link CALENDAR_TIMEZONE}.</p>
+ *
+ * @module calendar/ical
+ */
+
+export const CALENDAR_TIMEZONE = 'Africa/Accra';
+
+export const ICAL_STATUSES = {
+  CONFIRMED: 'CONFIRMED',
+  TENTATIVE: 'TENTATIVE',
+  CANCELLED: 'CANCELLED'
+};
+
+const PRODUCT_ID = '-//CSOFT//Career Services//EN';
+const UID_DOMAIN = 'csoft';
+
+// Africa/Accra is on GMT all year, without daylight saving
+const TIMEZONE_BLOCK = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${CALENDAR_TIMEZONE}`,
+  'BEGIN:STANDARD',
+  'DTSTART:19700101T000000',
+  'TZOFFSETFROM:+0000',
+  'TZOFFSETTO:+0000',
+  'TZNAME:GMT',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+// Lines longer than this many octets are folded onto continuation lines
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escapes a TEXT property value
+ *
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line at 75 octets without splitting a UTF-8 character
+ *
+ * @param {string} line - The unfolded line
+ * @returns {string} The folded line, joined with CRLF and a leading space
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Formats a stored date and time as a local DATE-TIME value
+ *
+ * @param {string} date - yyyy-MM-dd
+ * @param {string} time - HH:mm or HH:mm:ss
+ * @returns {string} e.g. 20261026T140000
+ */
+function formatLocalDateTime(date, time) {
+  const [hours = '00', minutes = '00', seconds = '00'] = String(time).split(':');
+  return `${date.replace(/-/g, '')}T${hours.padStart(2, '0')}${minutes.padStart(2, '0')}${seconds.slice(0, 2).padStart(2, '0')}`;
+}
+
+/**
+ * Formats an instant as a UTC DATE-TIME value
+ *
+ * @param {Date|string} value - The instant
+ * @returns {string} e.g. 20261019T083000Z
+ */
+function formatUtcDateTime(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Builds a stable UID for a database row
+ *
+ * @param {'event'|'advising'} kind - Which table the row is from
+ * @param {string|number} id - The row's primary key
+ * @returns {string} The UID
+ */
+export function buildUid(kind, id) {
+  return `${kind}-${id}@${UID_DOMAIN}`;
+}
+
+/**
+ * Renders one VEVENT
+ *
+ * @param {object} entry - Calendar entry
+ * @param {string} entry.uid - Stable UID from {@link buildUid}
+ * @param {number} entry.sequence - Revision number
+ * @param {string} entry.date - yyyy-MM-dd
+ * @param {string} entry.startTime - Local start time
+ * @param {string} entry.endTime - Local end time
+ * @param {string} entry.summary - Title
+ * @param {string} [entry.description] - Description
+ * @param {string} [entry.location] - Location
+ * @param {string} [entry.status] - One of ICAL_STATUSES
+ * @param {string} [entry.url] - Link back to the app
+ * @param {string|Date} [entry.updatedAt] - When the row last changed
+ * @returns {Array<string>} Unfolded content lines
+ */
+function renderEvent(entry) {
+  const now = formatUtcDateTime(new Date());
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${entry.uid}`,
+    `SEQUENCE:${entry.sequence || 0}`,
+    `DTSTAMP:${now}`,
+    ...(entry.updatedAt ? [`LAST-MODIFIED:${formatUtcDateTime(entry.updatedAt)}`] : []),
+    `DTSTART;TZID=${CALENDAR_TIMEZONE}:${formatLocalDateTime(entry.date, entry.startTime)}`,
+    `DTEND;TZID=${CALENDAR_TIMEZONE}:${formatLocalDateTime(entry.date, entry.endTime || entry.startTime)}`,
+    `SUMMARY:${escapeText(entry.summary)}`,
+    ...(entry.description ? [`DESCRIPTION:${escapeText(entry.description)}`] : []),
+    ...(entry.location ? [`LOCATION:${escapeText(entry.location)}`] : []),
+    ...(entry.url ? [`URL:${entry.url}`] : []),
+    `STATUS:${entry.status || ICAL_STATUSES.CONFIRMED}`,
+    'END:VEVENT'
+  ];
+}
+
+/**
+ * Builds a VCALENDAR document
+ *
+ * @param {object} options
+ * @param {string} options.name - Calendar name shown by subscribing apps
+ * @param {Array<object>} options.entries - Entries for {@link renderEvent}
+ * @returns {string} The .ics body with CRLF line endings
+ */
+export function buildCalendar({ name, entries }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${CALENDAR_TIMEZONE}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...TIMEZONE_BLOCK,
+    ...entries.flatMap(renderEvent),
+    'END:VCALENDAR'
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
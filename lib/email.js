@@ -0,0 +1,47 @@
+/**
+ * Sending plain-text email through Resend's HTTP API
+ *
+ * <p>Email is optional: without <code>RESEND_API_KEY</code> and
+ * <code>EMAIL_FROM</code> nothing is sent and callers rely on in-app
+ * notifications alone.</p>
+ *
+ * @module email
+ */
+
+const RESEND_URL = 'https://api.resend.com/emails';
+
+/**
+ * Whether email sending is configured
+ *
+ * @returns {boolean}
+ */
+export function isEmailConfigured() {
+  return Boolean(process.env.RESEND_API_KEY && process.env.EMAIL_FROM);
+}
+
+/**
+ * Sends one email
+ *
+ * @param {object} message - <code>{ to, subject, text }</code>
+ * @returns {Promise<{data: {sent: boolean}|null, error: object|null}>} <code>sent</code> is false when
+ *   email is not configured
+ */
+export async function sendEmail({ to, subject, text }) {
+  if (!isEmailConfigured()) return { data: { sent: false }, error: null };
+
+  const response = await fetch(RESEND_URL, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${process.env.RESEND_API_KEY}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ from: process.env.EMAIL_FROM, to, subject, text })
+  });
+
+  if (!response.ok) {
+    console.error('Error sending email:', response.status, await response.text());
+    return { data: null, error: { message: 'Failed to send email', status: response.status } };
+  }
+
+  return { data: { sent: true }, error: null };
+}
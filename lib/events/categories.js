@@ -0,0 +1,124 @@
+/**
+ * Event types and tags
+ *
+ * <p>Every event can have one type from {@link EVENT_TYPES}, which drives the
+ * category filter, and any number of free-form tags. Tags are trimmed, have
+ * their whitespace collapsed and are de-duplicated without regard to case, so
+ * "Tech" and "tech " end up as one tag.</p>
+ *
+ * <p>Safe to import from client components, which use the labels and the
+ * filter helpers for the event list filters.</p>
+ *
+ * @module events/categories
+ */
+
+/**
+ * Supported event types, as stored in <code>career_sessions.event_type</code>
+ */
+export const EVENT_TYPES = {
+  WORKSHOP: 'workshop',
+  CAREER_FAIR: 'career_fair',
+  INFO_SESSION: 'info_session',
+  EMPLOYER_TALK: 'employer_talk',
+  PANEL: 'panel'
+};
+
+/**
+ * Display names for each event type
+ */
+export const EVENT_TYPE_LABELS = {
+  [EVENT_TYPES.WORKSHOP]: 'Workshop',
+  [EVENT_TYPES.CAREER_FAIR]: 'Career Fair',
+  [EVENT_TYPES.INFO_SESSION]: 'Info Session',
+  [EVENT_TYPES.EMPLOYER_TALK]: 'Employer Talk',
+  [EVENT_TYPES.PANEL]: 'Panel'
+};
+
+export const MAX_TAGS = 10;
+export const MAX_TAG_LENGTH = 30;
+
+/**
+ * Cleans a list of tags
+ *
+ * @param {Array<string>|string} [value] - Tags, or a comma-separated string of them
+ * @param {number} [limit] - Most tags to keep
+ * @returns {Array<string>} Unique tags, at most {@link MAX_TAGS} by default
+ */
+export function normalizeTags(value, limit = MAX_TAGS) {
+  const values = Array.isArray(value) ? value : String(value ?? '').split(',');
+  const tags = new Map();
+
+  for (const item of values) {
+    const tag = String(item ?? '').trim().replace(/\s+/g, ' ').slice(0, MAX_TAG_LENGTH);
+    if (tag && !tags.has(tag.toLowerCase())) {
+      tags.set(tag.toLowerCase(), tag);
+    }
+  }
+
+  return [...tags.values()].slice(0, limit);
+}
+
+/**
+ * Reads the type and tags from an event create/update request body
+ *
+ * @param {object} input - The request body
+ * @returns {{event_type: string|null, tags: Array<string>}} Column values for career_sessions
+ */
+export function normalizeEventCategories(input) {
+  const eventType = Object.values(EVENT_TYPES).includes(input.event_type) ? input.event_type : null;
+
+  return {
+    event_type: eventType,
+    tags: normalizeTags(input.tags)
+  };
+}
+
+/**
+ * Formats an event's type and tags for API responses
+ *
+ * @param {object} event - The career_sessions row
+ * @returns {{eventType: string|null, eventTypeLabel: string|null, tags: Array<string>}}
+ *   camelCase fields
+ */
+export function formatEventCategories(event) {
+  return {
+    eventType: event.event_type ?? null,
+    eventTypeLabel: EVENT_TYPE_LABELS[event.event_type] ?? null,
+    tags: event.tags ?? []
+  };
+}
+
+/**
+ * Every tag used by a list of formatted events
+ *
+ * @param {Array<object>} events - Events with a <code>tags</code> array
+ * @returns {Array<string>} Unique tags in alphabetical order
+ */
+export function collectTags(events) {
+  return normalizeTags(events.flatMap((event) => event.tags || []), Infinity)
+    .sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Whether a formatted event passes the list filters
+ *
+ * @param {object} event - Event with <code>eventType</code>, <code>tags</code>,
+ *   <code>title</code>, <code>description</code> and <code>location</code>
+ * @param {object} filters
+ * @param {string} [filters.type] - Event type, or "all"
+ * @param {string} [filters.tag] - Tag, or "all"
+ * @param {string} [filters.query] - Search text matched against the title, description, location and tags
+ * @returns {boolean} True if the event should be shown
+ */
+export function matchesEventFilters(event, { type = 'all', tag = 'all', query = '' } = {}) {
+  if (type !== 'all' && event.eventType !== type) return false;
+
+  const tags = (event.tags || []).map((item) => item.toLowerCase());
+  if (tag !== 'all' && !tags.includes(tag.toLowerCase())) return false;
+
+  const search = query.trim().toLowerCase();
+  if (!search) return true;
+
+  return [event.title, event.description, event.location, ...tags]
+    .some((value) => String(value ?? '').toLowerCase().includes(search));
+}
@@ -0,0 +1,253 @@
+import { REVIEW_STATUSES } from '@/lib/attendance/checkin-rules';
+
+/**
+ * Event registration (RSVP) with seat caps, waitlists and deadlines
+ *
+ * <p>Registrations are written only by the register_for_event and
+ * cancel_event_registration database functions, which lock the event so seats
+ * are never oversold and promote the waitlist in order when a seat frees up.
+ * The helpers here convert form input, format API fields and map database
+ * errors to the <code>{ data, error }</code> shape used by the attendance
+ * service.</p>
+ *
+ * @module events/registration
+ */
+
+/**
+ * Values of event_registrations.status
+ */
+export const REGISTRATION_STATUSES = {
+  REGISTERED: 'registered',
+  WAITLISTED: 'waitlisted',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Error codes returned by the registration helpers
+ */
+export const REGISTRATION_ERRORS = {
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  EVENT_NOT_FOUND: 'EVENT_NOT_FOUND',
+  NOT_REGISTERED: 'NOT_REGISTERED',
+  REGISTRATION_NOT_REQUIRED: 'REGISTRATION_NOT_REQUIRED',
+  REGISTRATION_CLOSED: 'REGISTRATION_CLOSED',
+  REGISTRATION_FAILED: 'REGISTRATION_FAILED'
+};
+
+/**
+ * Converts event form input into career_sessions registration columns
+ *
+ * <p>Capacity and deadline only apply when registration is required.</p>
+ *
+ * @param {object} input - Request body fields
+ * @returns {{registration_required: boolean, capacity: number|null, registration_deadline: string|null}}
+ *   Column values
+ */
+export function normalizeRegistrationSettings(input) {
+  const required = input.registration_required === true || input.registration_required === 'true';
+  const capacity = Number.parseInt(input.capacity, 10);
+  const deadline = input.registration_deadline ? new Date(input.registration_deadline) : null;
+
+  return {
+    registration_required: required,
+    capacity: required && capacity > 0 ? capacity : null,
+    registration_deadline: required && deadline && !Number.isNaN(deadline.getTime())
+      ? deadline.toISOString()
+      : null
+  };
+}
+
+/**
+ * Formats an event's registration columns for API responses
+ *
+ * @param {object} event - The career_sessions row
+ * @returns {{registrationRequired: boolean, capacity: number|null, registrationDeadline: string|null}}
+ *   camelCase fields
+ */
+export function formatRegistrationSettings(event) {
+  return {
+    registrationRequired: Boolean(event.registration_required),
+    capacity: event.capacity ?? null,
+    registrationDeadline: event.registration_deadline ?? null
+  };
+}
+
+/**
+ * Whether the event's registration deadline has passed
+ *
+ * @param {object} event - The career_sessions row
+ * @param {Date} [now] - Time to compare against
+ * @returns {boolean} True if a deadline is set and has passed
+ */
+export function isRegistrationClosed(event, now = new Date()) {
+  return Boolean(event.registration_deadline) && now > new Date(event.registration_deadline);
+}
+
+// Postgres error codes raised by the registration functions
+const REGISTRATION_DB_ERRORS = {
+  '42501': [REGISTRATION_ERRORS.UNAUTHORIZED, 401],
+  'P0002': [REGISTRATION_ERRORS.NOT_REGISTERED, 404],
+  'CSR00': [REGISTRATION_ERRORS.EVENT_NOT_FOUND, 404],
+  'CSR01': [REGISTRATION_ERRORS.REGISTRATION_NOT_REQUIRED, 400],
+  'CSR02': [REGISTRATION_ERRORS.REGISTRATION_CLOSED, 409]
+};
+
+/**
+ * Converts a database function error into a registration error
+ *
+ * @param {object} dbError - The PostgREST error
+ * @param {string} action - What failed, for the log and fallback message
+ * @returns {{data: null, error: {code: string, message: string, status: number}}}
+ */
+function toRegistrationError(dbError, action) {
+  const mapped = REGISTRATION_DB_ERRORS[dbError.code];
+  if (mapped) {
+    return { data: null, error: { code: mapped[0], message: dbError.message, status: mapped[1] } };
+  }
+
+  console.error(`Event registration error (${action}):`, dbError);
+  return {
+    data: null,
+    error: { code: REGISTRATION_ERRORS.REGISTRATION_FAILED, message: `Failed to ${action}`, status: 500 }
+  };
+}
+
+/**
+ * Registers the signed-in student for an event, or waitlists them if it is full
+ *
+ * @param {object} supabase - Supabase server client for the student
+ * @param {string} sessionId - The event's session ID
+ * @returns {Promise<{data: {status: string, waitlistPosition: number|null}|null, error: object|null}>}
+ */
+export async function registerForEvent(supabase, sessionId) {
+  const { data, error } = await supabase.rpc('register_for_event', { p_session_id: sessionId });
+  if (error) return toRegistrationError(error, 'register for this event');
+
+  return {
+    data: { status: data.status, waitlistPosition: data.waitlist_position ?? null },
+    error: null
+  };
+}
+
+/**
+ * Cancels the signed-in student's registration and promotes the waitlist
+ *
+ * @param {object} supabase - Supabase server client for the student
+ * @param {string} sessionId - The event's session ID
+ * @returns {Promise<{data: {promoted: number}|null, error: object|null}>}
+ *   How many waitlisted students got a seat
+ */
+export async function cancelRegistration(supabase, sessionId) {
+  const { data, error } = await supabase.rpc('cancel_event_registration', { p_session_id: sessionId });
+  if (error) return toRegistrationError(error, 'cancel your registration');
+
+  return { data: { promoted: data.promoted }, error: null };
+}
+
+/**
+ * Registered and waitlisted counts for a set of events
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {Array<string>} sessionIds - Events to count
+ * @returns {Promise<Map<string, {registered: number, waitlisted: number}>>}
+ *   Counts by session ID; events without registrations are absent
+ */
+export async function getRegistrationCounts(supabase, sessionIds) {
+  const counts = new Map();
+  if (sessionIds.length === 0) return counts;
+
+  const { data, error } = await supabase.rpc('event_registration_counts', { p_session_ids: sessionIds });
+
+  if (error) {
+    console.error('Error fetching registration counts:', error);
+    return counts;
+  }
+
+  data.forEach((row) => counts.set(row.session_id, {
+    registered: row.registered,
+    waitlisted: row.waitlisted
+  }));
+  return counts;
+}
+
+/**
+ * Registration list for an event, with attendance matched against it
+ *
+ * <p>Registered students with no check-in (or only a rejected one) are no-shows.
+ * Cancelled registrations are left out.</p>
+ *
+ * @param {object} supabase - Supabase server client for a staff user
+ * @param {string} sessionId - The event's session ID
+ * @returns {Promise<{data: {registrations: Array<object>, summary: object}|null, error: object|null}>}
+ *   Registrations oldest first, and registered, waitlisted, attended and no-show counts
+ */
+export async function getRegistrationReport(supabase, sessionId) {
+  const { data: registrations, error: registrationError } = await supabase
+    .from('event_registrations')
+    .select(`
+      id,
+      status,
+      queued_at,
+      promoted_at,
+      created_at,
+      users!event_registrations_user_id_fkey (
+        fname,
+        lname,
+        email,
+        student_id
+      )
+    `)
+    .eq('session_id', sessionId)
+    .neq('status', REGISTRATION_STATUSES.CANCELLED)
+    .order('queued_at', { ascending: true });
+
+  if (registrationError) {
+    console.error('Error fetching event registrations:', registrationError);
+    return {
+      data: null,
+      error: { code: REGISTRATION_ERRORS.REGISTRATION_FAILED, message: 'Failed to fetch registrations', status: 500 }
+    };
+  }
+
+  const { data: attendance, error: attendanceError } = await supabase
+    .from('attendance')
+    .select('student_id')
+    .eq('session_id', sessionId)
+    .neq('review_status', REVIEW_STATUSES.REJECTED);
+
+  if (attendanceError) {
+    console.error('Error fetching attendance for registrations:', attendanceError);
+    return {
+      data: null,
+      error: { code: REGISTRATION_ERRORS.REGISTRATION_FAILED, message: 'Failed to fetch attendance', status: 500 }
+    };
+  }
+
+  const attendedIds = new Set(attendance.map((record) => record.student_id));
+  const rows = registrations.map((registration) => ({
+    id: registration.id,
+    status: registration.status,
+    registeredAt: registration.queued_at,
+    promotedAt: registration.promoted_at,
+    studentName: `${registration.users.fname} ${registration.users.lname}`,
+    studentId: registration.users.student_id,
+    email: registration.users.email,
+    attended: attendedIds.has(registration.users.student_id)
+  }));
+
+  const registered = rows.filter((row) => row.status === REGISTRATION_STATUSES.REGISTERED);
+  const attended = registered.filter((row) => row.attended).length;
+
+  return {
+    data: {
+      registrations: rows,
+      summary: {
+        registered: registered.length,
+        waitlisted: rows.length - registered.length,
+        attended,
+        noShows: registered.length - attended
+      }
+    },
+    error: null
+  };
+}
@@ -0,0 +1,345 @@
+import { addDays, addWeeks, differenceInCalendarDays, format, isValid, parseISO } from 'date-fns';
+import { REVIEW_STATUSES } from '@/lib/attendance/checkin-rules';
+
+/**
+ * Recurring event series
+ *
+ * <p>A recurrence rule is <code>{ frequency, count, until, dates, exceptions }</code>.
+ * Weekly and biweekly rules repeat from the first event's date until
+ * <code>count</code> weeks have been scheduled or <code>until</code> is reached;
+ * custom rules list their extra <code>dates</code>. Dates in
+ * <code>exceptions</code> are skipped, so a ten-week series with a reading week
+ * off has nine occurrences. All dates are <code>yyyy-MM-dd</code> strings.</p>
+ *
+ * <p>The expansion helpers are safe to import from client components, which
+ * use them to preview the dates before the series is created.</p>
+ *
+ * @module events/series
+ */
+
+/**
+ * Supported recurrence frequencies
+ */
+export const RECURRENCE_FREQUENCIES = {
+  WEEKLY: 'weekly',
+  BIWEEKLY: 'biweekly',
+  CUSTOM: 'custom'
+};
+
+/**
+ * Which occurrences an edit applies to
+ */
+export const SERIES_EDIT_SCOPES = {
+  THIS: 'this',
+  FUTURE: 'future'
+};
+
+/**
+ * Error codes returned by the series helpers
+ */
+export const SERIES_ERRORS = {
+  INVALID_RECURRENCE: 'INVALID_RECURRENCE',
+  SERIES_NOT_FOUND: 'SERIES_NOT_FOUND',
+  SERIES_FAILED: 'SERIES_FAILED'
+};
+
+// Upper bound on occurrences so a typo in the end date cannot create years of events
+export const MAX_OCCURRENCES = 52;
+
+const WEEKS_BETWEEN = {
+  [RECURRENCE_FREQUENCIES.WEEKLY]: 1,
+  [RECURRENCE_FREQUENCIES.BIWEEKLY]: 2
+};
+
+/**
+ * Parses a yyyy-MM-dd string, or returns null if it is not a date
+ *
+ * @param {string} value - The date string
+ * @returns {Date|null} The parsed date
+ */
+function parseDate(value) {
+  if (typeof value !== 'string') return null;
+  const date = parseISO(value);
+  return isValid(date) ? date : null;
+}
+
+/**
+ * Cleans a list of date strings, dropping invalid entries and duplicates
+ *
+ * @param {Array<string>} [values] - Date strings
+ * @returns {Array<string>} Sorted yyyy-MM-dd strings
+ */
+function toDateList(values) {
+  if (!Array.isArray(values)) return [];
+
+  const dates = values
+    .map(parseDate)
+    .filter(Boolean)
+    .map((date) => format(date, 'yyyy-MM-dd'));
+
+  return [...new Set(dates)].sort();
+}
+
+/**
+ * Converts the event form's recurrence input into a rule
+ *
+ * @param {object} [input] - The request body's <code>recurrence</code> field
+ * @returns {{frequency: string, count: number|null, until: string|null, dates: Array<string>, exceptions: Array<string>}|null}
+ *   The rule, or null for a one-off event
+ */
+export function normalizeRecurrence(input) {
+  if (!input || !Object.values(RECURRENCE_FREQUENCIES).includes(input.frequency)) {
+    return null;
+  }
+
+  const count = Number.parseInt(input.count, 10);
+  const until = parseDate(input.until);
+
+  return {
+    frequency: input.frequency,
+    count: count > 0 ? count : null,
+    until: until ? format(until, 'yyyy-MM-dd') : null,
+    dates: toDateList(input.dates),
+    exceptions: toDateList(input.exceptions)
+  };
+}
+
+/**
+ * Every date a rule schedules, before exceptions are removed
+ *
+ * @param {string} startDate - The first occurrence's date
+ * @param {object} rule - A rule from {@link normalizeRecurrence}
+ * @returns {Array<string>} yyyy-MM-dd strings in order
+ */
+export function getScheduledDates(startDate, rule) {
+  const start = parseDate(startDate);
+  if (!start || !rule) return [];
+
+  if (rule.frequency === RECURRENCE_FREQUENCIES.CUSTOM) {
+    return toDateList([startDate, ...rule.dates]).filter((date) => date >= startDate);
+  }
+
+  const until = rule.until ? parseDate(rule.until) : null;
+  const limit = Math.min(rule.count ?? MAX_OCCURRENCES + 1, MAX_OCCURRENCES + 1);
+  const dates = [];
+
+  for (let i = 0; i < limit; i++) {
+    const date = addWeeks(start, i * WEEKS_BETWEEN[rule.frequency]);
+    if (until && date > until) break;
+    dates.push(format(date, 'yyyy-MM-dd'));
+  }
+
+  return dates;
+}
+
+/**
+ * Expands a rule into the dates to create occurrences on
+ *
+ * @param {string} startDate - The first occurrence's date
+ * @param {object} rule - A rule from {@link normalizeRecurrence}
+ * @returns {{data: Array<string>|null, error: {code: string, message: string, status: number}|null}}
+ *   Occurrence dates in order
+ */
+export function expandRecurrence(startDate, rule) {
+  const invalid = (message) => ({
+    data: null,
+    error: { code: SERIES_ERRORS.INVALID_RECURRENCE, message, status: 400 }
+  });
+
+  if (!parseDate(startDate)) {
+    return invalid('The series needs a valid start date');
+  }
+
+  if (rule.frequency !== RECURRENCE_FREQUENCIES.CUSTOM && !rule.count && !rule.until) {
+    return invalid('Choose how many times the event repeats or when it ends');
+  }
+
+  const scheduled = getScheduledDates(startDate, rule);
+  if (scheduled.length > MAX_OCCURRENCES) {
+    return invalid(`A series can have at most ${MAX_OCCURRENCES} occurrences`);
+  }
+
+  const exceptions = new Set(rule.exceptions);
+  const dates = scheduled.filter((date) => !exceptions.has(date));
+
+  if (dates.length < 2) {
+    return invalid('A series needs at least two occurrences');
+  }
+
+  return { data: dates, error: null };
+}
+
+/**
+ * Moves a timestamp tied to one occurrence onto another occurrence
+ *
+ * <p>Used for registration deadlines, which are absolute times: a deadline the
+ * day before the first occurrence becomes the day before each later one.</p>
+ *
+ * @param {string|null} timestamp - ISO timestamp set for the source occurrence
+ * @param {string} fromDate - The source occurrence's date
+ * @param {string} toDate - The target occurrence's date
+ * @returns {string|null} The shifted ISO timestamp
+ */
+export function shiftToOccurrence(timestamp, fromDate, toDate) {
+  if (!timestamp) return null;
+  const days = differenceInCalendarDays(parseISO(toDate), parseISO(fromDate));
+  return addDays(new Date(timestamp), days).toISOString();
+}
+
+/**
+ * Formats an event's series columns for API responses
+ *
+ * @param {object} event - The career_sessions row
+ * @param {Map<string, number>} [seriesSizes] - Occurrence counts by series ID
+ * @returns {{series: {id: string, index: number, total: number|null}|null}}
+ */
+export function formatSeriesFields(event, seriesSizes) {
+  if (!event.series_id) return { series: null };
+
+  return {
+    series: {
+      id: event.series_id,
+      index: event.series_index,
+      total: seriesSizes?.get(event.series_id) ?? null
+    }
+  };
+}
+
+/**
+ * Counts occurrences per series in a list of events
+ *
+ * @param {Array<object>} events - career_sessions rows
+ * @returns {Map<string, number>} Occurrence counts by series ID
+ */
+export function countSeriesOccurrences(events) {
+  const sizes = new Map();
+  events.forEach((event) => {
+    if (event.series_id) sizes.set(event.series_id, (sizes.get(event.series_id) || 0) + 1);
+  });
+  return sizes;
+}
+
+/**
+ * Attendance rolled up across every occurrence of a series
+ *
+ * <p>Only approved check-ins count. Attendance rates are measured against the
+ * occurrences that have already taken place.</p>
+ *
+ * @param {object} supabase - Supabase server client for a staff user
+ * @param {string} seriesId - The series ID
+ * @returns {Promise<{data: object|null, error: object|null}>}
+ *   The series, its occurrences with check-in counts, each student's
+ *   attendance and summary totals
+ */
+export async function getSeriesRollup(supabase, seriesId) {
+  const { data: series, error: seriesError } = await supabase
+    .from('event_series')
+    .select('id, title, recurrence, created_at')
+    .eq('id', seriesId)
+    .maybeSingle();
+
+  if (seriesError || !series) {
+    if (seriesError) console.error('Error fetching event series:', seriesError);
+    return {
+      data: null,
+      error: seriesError
+        ? { code: SERIES_ERRORS.SERIES_FAILED, message: 'Failed to fetch series', status: 500 }
+        : { code: SERIES_ERRORS.SERIES_NOT_FOUND, message: 'Series not found', status: 404 }
+    };
+  }
+
+  const { data: events, error: eventsError } = await supabase
+    .from('career_sessions')
+    .select('session_id, title, date, start_time, end_time, location, series_index')
+    .eq('series_id', seriesId)
+    .order('date', { ascending: true });
+
+  if (eventsError) {
+    console.error('Error fetching series occurrences:', eventsError);
+    return {
+      data: null,
+      error: { code: SERIES_ERRORS.SERIES_FAILED, message: 'Failed to fetch occurrences', status: 500 }
+    };
+  }
+
+  const sessionIds = events.map((event) => event.session_id);
+  const { data: records, error: attendanceError } = sessionIds.length > 0
+    ? await supabase
+      .from('attendance')
+      .select(`
+        session_id,
+        student_id,
+        users!attendance_student_id_fkey!inner (
+          fname,
+          lname,
+          email
+        )
+      `)
+      .in('session_id', sessionIds)
+      .eq('review_status', REVIEW_STATUSES.APPROVED)
+    : { data: [], error: null };
+
+  if (attendanceError) {
+    console.error('Error fetching series attendance:', attendanceError);
+    return {
+      data: null,
+      error: { code: SERIES_ERRORS.SERIES_FAILED, message: 'Failed to fetch attendance', status: 500 }
+    };
+  }
+
+  const today = format(new Date(), 'yyyy-MM-dd');
+  const held = events.filter((event) => event.date <= today).length;
+  const checkIns = new Map();
+  const students = new Map();
+
+  records.forEach((record) => {
+    checkIns.set(record.session_id, (checkIns.get(record.session_id) || 0) + 1);
+
+    const student = students.get(record.student_id) || {
+      studentId: record.student_id,
+      studentName: `${record.users.fname} ${record.users.lname}`,
+      email: record.users.email,
+      attended: 0
+    };
+    student.attended++;
+    students.set(record.student_id, student);
+  });
+
+  const studentRows = [...students.values()]
+    .map((student) => ({
+      ...student,
+      attendanceRate: held > 0 ? Math.round((student.attended / held) * 100) : 0
+    }))
+    .sort((a, b) => b.attended - a.attended || a.studentName.localeCompare(b.studentName));
+
+  return {
+    data: {
+      series: {
+        id: series.id,
+        title: series.title,
+        recurrence: series.recurrence
+      },
+      occurrences: events.map((event) => ({
+        id: event.session_id,
+        title: event.title,
+        date: event.date,
+        startTime: event.start_time,
+        endTime: event.end_time,
+        location: event.location,
+        index: event.series_index,
+        checkIns: checkIns.get(event.session_id) || 0,
+        status: event.date >= today ? 'upcoming' : 'past'
+      })),
+      students: studentRows,
+      summary: {
+        occurrences: events.length,
+        held,
+        totalCheckIns: records.length,
+        uniqueAttendees: studentRows.length,
+        averageAttendance: held > 0 ? Math.round(records.length / held) : 0,
+        attendedAll: held > 0 ? studentRows.filter((student) => student.attended >= held).length : 0
+      }
+    },
+    error: null
+  };
+}
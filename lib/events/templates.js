@@ -0,0 +1,248 @@
+import { normalizeQrMode, normalizeRotationSeconds } from '@/lib/attendance/rotating-code';
+import { formatCheckInRules, normalizeCheckInRules } from '@/lib/attendance/checkin-rules';
+import { formatCheckoutSettings, normalizeCheckoutSettings } from '@/lib/attendance/duration';
+import { formatEventCategories, normalizeEventCategories } from '@/lib/events/categories';
+import { formatFeedbackSettings, normalizeFeedbackSettings } from '@/lib/feedback/eligibility';
+
+/**
+ * Shared library of event templates
+ *
+ * <p>A template keeps the career_sessions column values staff would otherwise
+ * retype for every event: title, description, location, times, type and tags,
+ * and the check-in, registration and feedback settings. The date and the
+ * registration deadline belong to one occurrence, so they are never stored.
+ * Every staff member can use, rename, overwrite and delete every template.</p>
+ *
+ * @module events/templates
+ */
+
+/**
+ * Error codes for template requests that cannot be completed
+ */
+export const EVENT_TEMPLATE_ERRORS = {
+  INVALID_TEMPLATE: 'INVALID_TEMPLATE',
+  TEMPLATE_NOT_FOUND: 'TEMPLATE_NOT_FOUND',
+  TEMPLATE_FAILED: 'TEMPLATE_FAILED'
+};
+
+export const MAX_TEMPLATE_NAME_LENGTH = 100;
+
+// PostgREST "no rows returned" code
+const NOT_FOUND_CODE = 'PGRST116';
+
+const TEMPLATE_COLUMNS = 'id, name, fields, created_by, created_at, updated_at';
+
+/**
+ * Wraps a service error in the { data, error } result shape
+ *
+ * @param {string} code - One of EVENT_TEMPLATE_ERRORS
+ * @param {string} message - User-facing message
+ * @param {number} status - HTTP status for routes to use
+ * @returns {{data: null, error: object}}
+ */
+function failure(code, message, status) {
+  return { data: null, error: { code, message, status } };
+}
+
+/**
+ * Trims an optional text field, turning blanks into null
+ *
+ * @param {*} value - Raw input
+ * @returns {string|null}
+ */
+function optionalText(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+/**
+ * Converts event form input into the career_sessions columns a template keeps
+ *
+ * @param {object} input - Event form fields, as sent to the events API
+ * @returns {object} Column values for the template's <code>fields</code>
+ */
+export function normalizeTemplateFields(input) {
+  const registrationRequired = input.registration_required === true || input.registration_required === 'true';
+  const capacity = Number.parseInt(input.capacity, 10);
+
+  return {
+    title: optionalText(input.title),
+    description: optionalText(input.description),
+    location: optionalText(input.location),
+    start_time: optionalText(input.start_time),
+    end_time: optionalText(input.end_time),
+    ...normalizeEventCategories(input),
+    survey_template_id: input.survey_template_id || null,
+    ...normalizeFeedbackSettings(input),
+    qr_mode: normalizeQrMode(input.qr_mode),
+    qr_rotation_seconds: normalizeRotationSeconds(input.qr_rotation_seconds),
+    ...normalizeCheckInRules(input),
+    ...normalizeCheckoutSettings(input),
+    registration_required: registrationRequired,
+    capacity: registrationRequired && capacity > 0 ? capacity : null
+  };
+}
+
+/**
+ * Validates a template name
+ *
+ * @param {*} name - Raw input
+ * @returns {{data: string|null, error: object|null}} The trimmed name
+ */
+function normalizeTemplateName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+
+  if (!trimmed) {
+    return failure(EVENT_TEMPLATE_ERRORS.INVALID_TEMPLATE, 'Please give the template a name', 400);
+  }
+  if (trimmed.length > MAX_TEMPLATE_NAME_LENGTH) {
+    return failure(
+      EVENT_TEMPLATE_ERRORS.INVALID_TEMPLATE,
+      `Template names can be at most ${MAX_TEMPLATE_NAME_LENGTH} characters`,
+      400
+    );
+  }
+
+  return { data: trimmed, error: null };
+}
+
+/**
+ * Formats a template for API responses
+ *
+ * <p><code>event</code> has the same camelCase fields as events returned by
+ * the admin events API, so the event form fills from either the same way.</p>
+ *
+ * @param {object} template - The event_templates row
+ * @returns {{id: string, name: string, createdBy: string|null, updatedAt: string, event: object}}
+ */
+export function formatEventTemplate(template) {
+  const fields = template.fields || {};
+
+  return {
+    id: template.id,
+    name: template.name,
+    createdBy: template.created_by ?? null,
+    updatedAt: template.updated_at,
+    event: {
+      title: fields.title || '',
+      start_time: fields.start_time || '',
+      end_time: fields.end_time || '',
+      location: fields.location || '',
+      description: fields.description || '',
+      ...formatEventCategories(fields),
+      surveyTemplateId: fields.survey_template_id ?? null,
+      feedbackWindowDays: formatFeedbackSettings(fields).feedbackWindowDays,
+      qrMode: fields.qr_mode || 'static',
+      qrRotationSeconds: fields.qr_rotation_seconds ?? null,
+      ...formatCheckInRules(fields),
+      ...formatCheckoutSettings(fields),
+      registrationRequired: Boolean(fields.registration_required),
+      capacity: fields.capacity ?? null
+    }
+  };
+}
+
+/**
+ * Every event template, most recently updated first
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @returns {Promise<{data: Array<object>|null, error: object|null}>} Formatted templates
+ */
+export async function listEventTemplates(supabase) {
+  const { data, error } = await supabase
+    .from('event_templates')
+    .select(TEMPLATE_COLUMNS)
+    .order('updated_at', { ascending: false });
+
+  if (error) {
+    console.error('Error fetching event templates:', error);
+    return failure(EVENT_TEMPLATE_ERRORS.TEMPLATE_FAILED, 'Failed to fetch event templates', 500);
+  }
+
+  return { data: data.map(formatEventTemplate), error: null };
+}
+
+/**
+ * Saves an event's details as a new template
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {object} input - <code>{ name, event }</code>, where <code>event</code> holds event form fields
+ * @param {string} userId - The staff member's public.users ID
+ * @returns {Promise<{data: object|null, error: object|null}>} The formatted template
+ */
+export async function createEventTemplate(supabase, input, userId) {
+  const { data: name, error: nameError } = normalizeTemplateName(input.name);
+  if (nameError) return { data: null, error: nameError };
+
+  const { data, error } = await supabase
+    .from('event_templates')
+    .insert({ name, fields: normalizeTemplateFields(input.event || {}), created_by: userId })
+    .select(TEMPLATE_COLUMNS)
+    .single();
+
+  if (error) {
+    console.error('Error creating event template:', error);
+    return failure(EVENT_TEMPLATE_ERRORS.TEMPLATE_FAILED, 'Failed to save event template', 500);
+  }
+
+  return { data: formatEventTemplate(data), error: null };
+}
+
+/**
+ * Renames a template and, when <code>event</code> is given, replaces its details
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {string} templateId - The event_templates ID
+ * @param {object} input - <code>{ name, event? }</code>
+ * @returns {Promise<{data: object|null, error: object|null}>} The formatted template
+ */
+export async function updateEventTemplate(supabase, templateId, input) {
+  const { data: name, error: nameError } = normalizeTemplateName(input.name);
+  if (nameError) return { data: null, error: nameError };
+
+  const { data, error } = await supabase
+    .from('event_templates')
+    .update({
+      name,
+      ...(input.event && { fields: normalizeTemplateFields(input.event) }),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', templateId)
+    .select(TEMPLATE_COLUMNS)
+    .single();
+
+  if (error) {
+    if (error.code === NOT_FOUND_CODE) {
+      return failure(EVENT_TEMPLATE_ERRORS.TEMPLATE_NOT_FOUND, 'Event template not found', 404);
+    }
+    console.error('Error updating event template:', error);
+    return failure(EVENT_TEMPLATE_ERRORS.TEMPLATE_FAILED, 'Failed to update event template', 500);
+  }
+
+  return { data: formatEventTemplate(data), error: null };
+}
+
+/**
+ * Deletes a template. Events created from it are unaffected.
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {string} templateId - The event_templates ID
+ * @returns {Promise<{data: {id: string}|null, error: object|null}>}
+ */
+export async function deleteEventTemplate(supabase, templateId) {
+  const { data, error } = await supabase
+    .from('event_templates')
+    .delete()
+    .eq('id', templateId)
+    .select('id');
+
+  if (error) {
+    console.error('Error deleting event template:', error);
+    return failure(EVENT_TEMPLATE_ERRORS.TEMPLATE_FAILED, 'Failed to delete event template', 500);
+  }
+
+  if (data.length === 0) {
+    return failure(EVENT_TEMPLATE_ERRORS.TEMPLATE_NOT_FOUND, 'Event template not found', 404);
+  }
+
+  return { data: { id: templateId }, error: null };
+}
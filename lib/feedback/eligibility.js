@@ -0,0 +1,107 @@
+import { parseEventTime } from '@/lib/attendance/checkin-rules';
+
+/**
+ * Who may give feedback on an event, and when
+ *
+ * <p>Feedback opens when the event ends and stays open for
+ * <code>career_sessions.feedback_window_days</code> days. Only students with an
+ * approved attendance that meets the event's duration rule may submit it; the
+ * attendance lookup itself lives in feedback/service.</p>
+ *
+ * <p>Safe to import from client components.</p>
+ *
+ * @module feedback/eligibility
+ */
+
+/**
+ * Error codes for feedback that cannot be accepted
+ */
+export const FEEDBACK_ERRORS = {
+  NOT_ATTENDED: 'NOT_ATTENDED',
+  FEEDBACK_NOT_OPEN: 'FEEDBACK_NOT_OPEN',
+  FEEDBACK_CLOSED: 'FEEDBACK_CLOSED'
+};
+
+export const DEFAULT_FEEDBACK_WINDOW_DAYS = 14;
+export const MAX_FEEDBACK_WINDOW_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Works out when feedback opens and closes for an event
+ *
+ * <p>Events without an end time open for feedback at their start time, and
+ * events without any time at the end of their day.</p>
+ *
+ * @param {object} event - The career_sessions row
+ * @returns {{opensAt: Date, closesAt: Date}|null} The window, or null if the event has no valid date
+ */
+export function getFeedbackWindow(event) {
+  const opensAt = parseEventTime(event.date, event.end_time)
+    || parseEventTime(event.date, event.start_time)
+    || parseEventTime(event.date, '23:59');
+  if (!opensAt) return null;
+
+  const days = event.feedback_window_days ?? DEFAULT_FEEDBACK_WINDOW_DAYS;
+  return { opensAt, closesAt: new Date(opensAt.getTime() + days * DAY_MS) };
+}
+
+/**
+ * Checks that feedback for an event is open
+ *
+ * @param {object} event - The career_sessions row
+ * @param {Date} [now] - Time to compare against
+ * @returns {{code: string, message: string, status: number}|null} An error, or null when open
+ */
+export function checkFeedbackWindow(event, now = new Date()) {
+  const feedbackWindow = getFeedbackWindow(event);
+
+  if (!feedbackWindow || now < feedbackWindow.opensAt) {
+    return {
+      code: FEEDBACK_ERRORS.FEEDBACK_NOT_OPEN,
+      message: 'Feedback opens once the event has ended',
+      status: 403
+    };
+  }
+
+  if (now > feedbackWindow.closesAt) {
+    return {
+      code: FEEDBACK_ERRORS.FEEDBACK_CLOSED,
+      message: 'The feedback period for this event has closed',
+      status: 403
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Converts event form input into the career_sessions feedback column
+ *
+ * @param {object} input - Request body fields
+ * @returns {{feedback_window_days: number}} Column values; blank or invalid input gets the default
+ */
+export function normalizeFeedbackSettings(input) {
+  const days = Number.parseInt(input.feedback_window_days, 10);
+
+  return {
+    feedback_window_days: days > 0
+      ? Math.min(days, MAX_FEEDBACK_WINDOW_DAYS)
+      : DEFAULT_FEEDBACK_WINDOW_DAYS
+  };
+}
+
+/**
+ * Formats an event's feedback window for API responses
+ *
+ * @param {object} event - The career_sessions row
+ * @returns {{feedbackWindowDays: number, feedbackClosesAt: string|null}} camelCase fields
+ */
+export function formatFeedbackSettings(event) {
+  const feedbackWindow = getFeedbackWindow(event);
+
+  return {
+    feedbackWindowDays: event.feedback_window_days ?? DEFAULT_FEEDBACK_WINDOW_DAYS,
+    feedbackClosesAt: feedbackWindow ? feedbackWindow.closesAt.toISOString() : null
+  };
+}
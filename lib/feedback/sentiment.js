@@ -0,0 +1,353 @@
+/**
+ * Sentiment and theme tagging for free-text event feedback
+ *
+ * <p>Everything here runs locally with no external service. Sentiment is
+ * scored by summing word weights from a small lexicon, with negation
+ * ("not useful") and intensifiers ("very useful") applied to the next
+ * sentiment word. Themes come from a fixed keyword list; comments that match
+ * none of them are clustered by the keywords they share with other comments
+ * on the same event.</p>
+ *
+ * <p>Each comment is tagged with {@link analyzeComment} when it is submitted
+ * and the tags are stored on event_feedback. {@link summarizeFeedback} builds
+ * the per-event summary from the tags.</p>
+ *
+ * <p>Safe to import from client components.</p>
+ *
+ * @module feedback/sentiment
+ */
+
+/**
+ * Values of event_feedback.sentiment
+ */
+export const SENTIMENTS = {
+  POSITIVE: 'positive',
+  NEUTRAL: 'neutral',
+  NEGATIVE: 'negative'
+};
+
+/**
+ * Admin-facing labels for SENTIMENTS
+ */
+export const SENTIMENT_LABELS = {
+  [SENTIMENTS.POSITIVE]: 'Positive',
+  [SENTIMENTS.NEUTRAL]: 'Neutral',
+  [SENTIMENTS.NEGATIVE]: 'Negative'
+};
+
+// Word weights from -3 to 3. Entries are matched against the word and its stem.
+const LEXICON = {
+  // Positive
+  amazing: 3, awesome: 3, brilliant: 3, excellent: 3, fantastic: 3, outstanding: 3,
+  superb: 3, wonderful: 3, love: 3, loved: 3, perfect: 3, inspiring: 3, best: 3,
+  great: 2, good: 2, helpful: 2, useful: 2, valuable: 2, informative: 2, insightful: 2,
+  enjoy: 2, enjoyed: 2, engaging: 2, interesting: 2, clear: 2, relevant: 2, practical: 2,
+  impressive: 2, recommend: 2, motivating: 2, beneficial: 2, thank: 2, thanks: 2,
+  knowledgeable: 2, friendly: 2, welcoming: 2, organised: 2, organized: 2, smooth: 2,
+  nice: 1, liked: 1, fun: 1, better: 1, learned: 1, learnt: 1,
+  interactive: 1, concise: 1, fine: 1, happy: 1, glad: 1, easy: 1, worth: 1,
+  // Negative
+  awful: -3, terrible: -3, horrible: -3, worst: -3, waste: -3, useless: -3, hate: -3,
+  bad: -2, boring: -2, poor: -2, confusing: -2, disappointing: -2, disappointed: -2,
+  irrelevant: -2, disorganised: -2, disorganized: -2, rushed: -2, chaotic: -2,
+  unhelpful: -2, frustrating: -2, annoying: -2, late: -2, crowded: -2, overcrowded: -2,
+  unclear: -2, pointless: -2, noisy: -2, rude: -2, cancelled: -2, canceled: -2,
+  long: -1, slow: -1, hard: -1, difficult: -1, short: -1, cramped: -1, hot: -1,
+  repetitive: -1, generic: -1, vague: -1, basic: -1, dull: -1, tired: -1, lacking: -1,
+  missing: -1, problem: -1, issue: -1, delay: -1, delayed: -1, unfortunately: -1
+};
+
+// Negation applies to a sentiment word at most this many words later
+const NEGATION_SCOPE = 3;
+
+const NEGATORS = new Set(['not', 'no', 'never', 'nothing', 'hardly', 'barely', 'without', 'neither', 'nor']);
+
+const INTENSIFIERS = {
+  very: 1.5, really: 1.5, extremely: 2, so: 1.5, super: 1.5, incredibly: 2, too: 1.5, quite: 1.25,
+  slightly: 0.5, somewhat: 0.5, bit: 0.5
+};
+
+// Words that carry no theme and are never used as keywords
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'because',
+  'been', 'before', 'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'during', 'each', 'even',
+  'event', 'for', 'from', 'get', 'got', 'had', 'has', 'have', 'he', 'her', 'here', 'his', 'how', 'i',
+  'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me', 'more', 'most', 'much', 'my', 'of', 'on', 'one',
+  'or', 'other', 'our', 'out', 'over', 'session', 'she', 'should', 'some', 'such', 'than', 'that', 'the',
+  'their', 'them', 'then', 'there', 'these', 'they', 'thing', 'things', 'this', 'those', 'through', 'to',
+  'up', 'us', 'was', 'way', 'we', 'were', 'what', 'when', 'which', 'while', 'who', 'will', 'with',
+  'would', 'you', 'your', 'lot', 'lots', 'workshop', 'next', 'time', 'though', 'please', 'okay', 'ok',
+  'like', 'yes', 'overall', 'maybe', 'bit', 'too', 'still'
+]);
+
+/**
+ * Fixed themes and the word stems that mark them
+ */
+export const FEEDBACK_THEMES = [
+  { id: 'speakers', label: 'Speakers', keywords: ['speaker', 'presenter', 'panelist', 'panel', 'host', 'facilitator', 'guest', 'talk'] },
+  { id: 'content', label: 'Content', keywords: ['content', 'topic', 'information', 'insight', 'example', 'advice', 'tip', 'detail', 'relevant', 'practical'] },
+  { id: 'networking', label: 'Networking', keywords: ['network', 'connect', 'connection', 'recruiter', 'employer', 'company', 'companies', 'contact', 'booth'] },
+  { id: 'opportunities', label: 'Jobs and internships', keywords: ['internship', 'job', 'opportunit', 'hiring', 'role', 'position', 'application', 'career', 'graduate'] },
+  { id: 'organisation', label: 'Organisation', keywords: ['organis', 'organiz', 'registration', 'queue', 'line', 'schedule', 'plan', 'crowd', 'communication', 'check'] },
+  { id: 'timing', label: 'Timing', keywords: ['time', 'timing', 'long', 'short', 'late', 'start', 'rush', 'duration', 'minute', 'hour', 'delay', 'overran'] },
+  { id: 'venue', label: 'Venue', keywords: ['venue', 'room', 'hall', 'location', 'seat', 'space', 'sound', 'audio', 'mic', 'projector', 'hot', 'cold', 'air'] },
+  { id: 'interaction', label: 'Q&A and interaction', keywords: ['q&a', 'question', 'answer', 'interactive', 'discussion', 'engag', 'activit', 'group', 'hands'] },
+  { id: 'materials', label: 'Slides and materials', keywords: ['slide', 'material', 'resource', 'handout', 'recording', 'link', 'template'] },
+  { id: 'food', label: 'Food and refreshments', keywords: ['food', 'snack', 'refreshment', 'drink', 'lunch', 'coffee', 'pizza'] }
+];
+
+const THEME_LABELS = Object.fromEntries(FEEDBACK_THEMES.map((theme) => [theme.id, theme.label]));
+
+// Prefix for clustered keyword themes, e.g. "keyword:cv"
+const KEYWORD_THEME_PREFIX = 'keyword:';
+
+// Sums at or beyond these count as positive or negative
+const POSITIVE_THRESHOLD = 1;
+const NEGATIVE_THRESHOLD = -1;
+
+const MAX_KEYWORDS = 8;
+
+/**
+ * Splits text into lower-case words, expanding "n't" into "not"
+ *
+ * @param {string} text - The comment
+ * @returns {string[]} The words
+ */
+function tokenize(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .replace(/n['’]t\b/g, ' not')
+    .split(/[^a-z&]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Strips common English suffixes so "speakers" and "speaker" match
+ *
+ * @param {string} word - A lower-case word
+ * @returns {string} The stem
+ */
+function stem(word) {
+  if (word.length <= 4) return word;
+  for (const suffix of ['ations', 'ation', 'ings', 'ing', 'ies', 'ers', 'ed', 'es', 'ly', 's']) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 3) {
+      return suffix === 'ies' ? `${word.slice(0, -3)}y` : word.slice(0, -suffix.length);
+    }
+  }
+  return word;
+}
+
+/**
+ * Weight of a word in the lexicon
+ *
+ * @param {string} word - A lower-case word
+ * @returns {number} Its weight, or 0 if it carries no sentiment
+ */
+function wordWeight(word) {
+  return LEXICON[word] ?? LEXICON[stem(word)] ?? 0;
+}
+
+/**
+ * Lexicon sentiment score of a piece of text
+ *
+ * @param {string} text - The text
+ * @returns {number} Sum of word weights after negation and intensifiers
+ */
+function scoreText(text) {
+  const words = tokenize(text);
+  let total = 0;
+  let negateFor = 0;
+  let boost = 1;
+
+  for (const word of words) {
+    if (NEGATORS.has(word)) {
+      negateFor = NEGATION_SCOPE;
+      continue;
+    }
+    if (INTENSIFIERS[word]) {
+      boost *= INTENSIFIERS[word];
+      continue;
+    }
+
+    const weight = wordWeight(word);
+    if (weight !== 0) {
+      // Negation flips and softens: "not great" is mildly negative
+      total += (negateFor > 0 ? -weight * 0.5 : weight) * boost;
+      negateFor = 0;
+      boost = 1;
+    } else {
+      negateFor = Math.max(0, negateFor - 1);
+      boost = 1;
+    }
+  }
+
+  return Math.round(total * 10) / 10;
+}
+
+/**
+ * Maps a score to one of SENTIMENTS
+ *
+ * @param {number} score - A lexicon score
+ * @returns {string} The sentiment
+ */
+function toSentiment(score) {
+  if (score >= POSITIVE_THRESHOLD) return SENTIMENTS.POSITIVE;
+  if (score <= NEGATIVE_THRESHOLD) return SENTIMENTS.NEGATIVE;
+  return SENTIMENTS.NEUTRAL;
+}
+
+/**
+ * Whether a word matches a theme keyword stem
+ *
+ * @param {string} word - A lower-case word
+ * @param {string} keyword - A theme keyword stem
+ * @returns {boolean}
+ */
+function matchesKeyword(word, keyword) {
+  return word === keyword || (word.startsWith(keyword) && word.length - keyword.length <= 4);
+}
+
+/**
+ * Tags one comment with its sentiment, themes and keywords
+ *
+ * @param {string} text - The comment
+ * @returns {{sentiment: string, score: number, themes: string[], keywords: string[]}|null}
+ *   The tags, or null when there is no text to analyse
+ */
+export function analyzeComment(text) {
+  const words = tokenize(text);
+  if (words.length === 0) return null;
+
+  const score = scoreText(text);
+  const themes = FEEDBACK_THEMES
+    .filter((theme) => words.some((word) => theme.keywords.some((keyword) => matchesKeyword(word, keyword))))
+    .map((theme) => theme.id);
+
+  const keywords = [...new Set(
+    words
+      .filter((word) => word.length >= 2 && !STOP_WORDS.has(word) && !NEGATORS.has(word)
+        && !INTENSIFIERS[word] && wordWeight(word) === 0)
+      .map(stem)
+  )].slice(0, MAX_KEYWORDS);
+
+  return { sentiment: toSentiment(score), score, themes, keywords };
+}
+
+/**
+ * The sentence of a comment that best shows its sentiment
+ *
+ * @param {string} text - The comment
+ * @param {number} sign - 1 for the most positive sentence, -1 for the most negative
+ * @returns {string} The sentence, or the whole comment if it has only one
+ */
+function pickHighlight(text, sign) {
+  const sentences = String(text).split(/(?<=[.!?])\s+|\n+/).map((sentence) => sentence.trim()).filter(Boolean);
+  if (sentences.length <= 1) return String(text).trim();
+
+  return sentences.reduce((best, sentence) =>
+    scoreText(sentence) * sign > scoreText(best) * sign ? sentence : best);
+}
+
+/**
+ * Admin-facing label for a theme id
+ *
+ * @param {string} themeId - A FEEDBACK_THEMES id or a clustered keyword theme
+ * @returns {string} The label
+ */
+export function getThemeLabel(themeId) {
+  if (themeId.startsWith(KEYWORD_THEME_PREFIX)) {
+    const keyword = themeId.slice(KEYWORD_THEME_PREFIX.length);
+    return `Mentions of "${keyword}"`;
+  }
+  return THEME_LABELS[themeId] ?? themeId;
+}
+
+/**
+ * Groups comments without a fixed theme by the keyword they share with the
+ * most other comments
+ *
+ * @param {Array<object>} comments - Tagged comments
+ * @returns {Map<object, string>} Clustered theme id for each comment that got one
+ */
+function clusterByKeyword(comments) {
+  const frequency = new Map();
+  for (const comment of comments) {
+    for (const keyword of comment.keywords || []) {
+      frequency.set(keyword, (frequency.get(keyword) || 0) + 1);
+    }
+  }
+
+  const clusters = new Map();
+  for (const comment of comments) {
+    if (comment.themes?.length > 0) continue;
+
+    const shared = (comment.keywords || [])
+      .filter((keyword) => frequency.get(keyword) >= 2)
+      .sort((a, b) => frequency.get(b) - frequency.get(a) || a.localeCompare(b));
+    if (shared.length > 0) clusters.set(comment, `${KEYWORD_THEME_PREFIX}${shared[0]}`);
+  }
+  return clusters;
+}
+
+/**
+ * Per-event summary of tagged comments
+ *
+ * <p>Comments without stored tags are analysed on the fly. Every comment in the
+ * result carries its sentiment, score and themes, including any clustered
+ * keyword theme; responses with no text stay in the list with a null
+ * sentiment but are left out of the counts.</p>
+ *
+ * @param {Array<{text: string, sentiment?: string, score?: number, themes?: string[], keywords?: string[]}>} comments
+ *   The comments, with any other fields the caller wants passed through
+ * @param {object} [options]
+ * @param {number} [options.themeLimit=6] - How many themes to return
+ * @param {number} [options.highlightLimit=3] - How many highlights of each kind to return
+ * @returns {{total: number, sentiment: object, themes: Array<object>, highlights: object, comments: Array<object>}}
+ *   <code>total</code> counts the comments with text
+ */
+export function summarizeFeedback(comments, { themeLimit = 6, highlightLimit = 3 } = {}) {
+  const tagged = comments.map((comment) => {
+    if (comment.sentiment) return comment;
+    return { ...comment, sentiment: null, score: null, themes: [], keywords: [], ...analyzeComment(comment.text) };
+  });
+
+  const clusters = clusterByKeyword(tagged);
+  const withThemes = tagged.map((comment) => ({
+    ...comment,
+    themes: clusters.has(comment) ? [clusters.get(comment)] : comment.themes || []
+  }));
+  const analyzed = withThemes.filter((comment) => comment.sentiment);
+
+  const sentiment = { [SENTIMENTS.POSITIVE]: 0, [SENTIMENTS.NEUTRAL]: 0, [SENTIMENTS.NEGATIVE]: 0 };
+  const themeCounts = new Map();
+  for (const comment of analyzed) {
+    sentiment[comment.sentiment] += 1;
+    for (const themeId of comment.themes) {
+      const counts = themeCounts.get(themeId) || { count: 0, positive: 0, negative: 0 };
+      counts.count += 1;
+      if (comment.sentiment === SENTIMENTS.POSITIVE) counts.positive += 1;
+      if (comment.sentiment === SENTIMENTS.NEGATIVE) counts.negative += 1;
+      themeCounts.set(themeId, counts);
+    }
+  }
+
+  const themes = [...themeCounts.entries()]
+    .map(([id, counts]) => ({ id, label: getThemeLabel(id), ...counts }))
+    .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label))
+    .slice(0, themeLimit);
+
+  const byScore = [...analyzed].sort((a, b) => b.score - a.score);
+  const highlights = {
+    positive: byScore
+      .filter((comment) => comment.sentiment === SENTIMENTS.POSITIVE)
+      .slice(0, highlightLimit)
+      .map((comment) => ({ ...comment, highlight: pickHighlight(comment.text, 1) })),
+    negative: byScore
+      .filter((comment) => comment.sentiment === SENTIMENTS.NEGATIVE)
+      .reverse()
+      .slice(0, highlightLimit)
+      .map((comment) => ({ ...comment, highlight: pickHighlight(comment.text, -1) }))
+  };
+
+  return { total: analyzed.length, sentiment, themes, highlights, comments: withThemes };
+}
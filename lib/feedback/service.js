@@ -0,0 +1,440 @@
+import { findEvent } from '@/lib/attendance/service';
+import { REVIEW_STATUSES } from '@/lib/attendance/checkin-rules';
+import { meetsDurationRule } from '@/lib/attendance/duration';
+import { FEEDBACK_ERRORS, checkFeedbackWindow } from '@/lib/feedback/eligibility';
+import { analyzeComment, summarizeFeedback } from '@/lib/feedback/sentiment';
+import {
+  DEFAULT_SURVEY_TEMPLATE,
+  SURVEY_ERRORS,
+  aggregateResponses,
+  collectTextAnswers,
+  normalizeSurveyTemplate,
+  validateAnswers
+} from '@/lib/feedback/surveys';
+
+/**
+ * Loading and saving survey templates, responses and results
+ *
+ * @module feedback/service
+ */
+
+// PostgREST "no rows returned" and Postgres foreign key violation codes
+const NOT_FOUND_CODE = 'PGRST116';
+const FOREIGN_KEY_VIOLATION_CODE = '23503';
+
+const TEMPLATE_COLUMNS = 'id, name, description, questions, is_default, created_at';
+
+/**
+ * Wraps a service error in the { data, error } result shape
+ *
+ * @param {string} code - One of SURVEY_ERRORS
+ * @param {string} message - User-facing message
+ * @param {number} status - HTTP status for routes to use
+ * @returns {{data: null, error: object}}
+ */
+function failure(code, message, status) {
+  return { data: null, error: { code, message, status } };
+}
+
+/**
+ * Every survey template, the default first
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @returns {Promise<{data: Array<object>|null, error: object|null}>} The templates
+ */
+export async function listSurveyTemplates(supabase) {
+  const { data, error } = await supabase
+    .from('survey_templates')
+    .select(TEMPLATE_COLUMNS)
+    .order('is_default', { ascending: false })
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    console.error('Error fetching survey templates:', error);
+    return failure(SURVEY_ERRORS.SURVEY_FAILED, 'Failed to fetch survey templates', 500);
+  }
+
+  return { data, error: null };
+}
+
+/**
+ * Saves a new survey template
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {object} input - <code>{ name, description, questions }</code> from the editor
+ * @param {string} userId - The staff member's public.users ID
+ * @returns {Promise<{data: object|null, error: object|null}>} The saved template
+ */
+export async function createSurveyTemplate(supabase, input, userId) {
+  const { data: template, error: templateError } = normalizeSurveyTemplate(input);
+  if (templateError) return { data: null, error: templateError };
+
+  const { data, error } = await supabase
+    .from('survey_templates')
+    .insert({ ...template, created_by: userId })
+    .select(TEMPLATE_COLUMNS)
+    .single();
+
+  if (error) {
+    console.error('Error creating survey template:', error);
+    return failure(SURVEY_ERRORS.SURVEY_FAILED, 'Failed to save survey template', 500);
+  }
+
+  return { data, error: null };
+}
+
+/**
+ * Deletes a survey template that no one has answered yet
+ *
+ * <p>Events using it go back to the default template.</p>
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {string} templateId - The survey_templates ID
+ * @returns {Promise<{data: {id: string}|null, error: object|null}>}
+ */
+export async function deleteSurveyTemplate(supabase, templateId) {
+  if (templateId === DEFAULT_SURVEY_TEMPLATE.id) {
+    return failure(SURVEY_ERRORS.TEMPLATE_IN_USE, 'The default survey cannot be deleted', 409);
+  }
+
+  const { data, error } = await supabase
+    .from('survey_templates')
+    .delete()
+    .eq('id', templateId)
+    .select('id');
+
+  if (error) {
+    if (error.code === FOREIGN_KEY_VIOLATION_CODE) {
+      return failure(SURVEY_ERRORS.TEMPLATE_IN_USE, 'This survey already has responses and cannot be deleted', 409);
+    }
+    console.error('Error deleting survey template:', error);
+    return failure(SURVEY_ERRORS.SURVEY_FAILED, 'Failed to delete survey template', 500);
+  }
+
+  if (data.length === 0) {
+    return failure(SURVEY_ERRORS.TEMPLATE_NOT_FOUND, 'Survey template not found', 404);
+  }
+
+  return { data: { id: templateId }, error: null };
+}
+
+/**
+ * Loads a survey template, falling back to the default
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {string|null} templateId - The survey_templates ID, if any
+ * @returns {Promise<{data: object|null, error: object|null}>} The template
+ */
+async function loadTemplate(supabase, templateId) {
+  if (!templateId || templateId === DEFAULT_SURVEY_TEMPLATE.id) {
+    return { data: DEFAULT_SURVEY_TEMPLATE, error: null };
+  }
+
+  const { data, error } = await supabase
+    .from('survey_templates')
+    .select(TEMPLATE_COLUMNS)
+    .eq('id', templateId)
+    .single();
+
+  if (error) {
+    if (error.code === NOT_FOUND_CODE) {
+      return { data: DEFAULT_SURVEY_TEMPLATE, error: null };
+    }
+    console.error('Error fetching survey template:', error);
+    return failure(SURVEY_ERRORS.SURVEY_FAILED, 'Failed to fetch survey', 500);
+  }
+
+  return { data, error: null };
+}
+
+/**
+ * Sentiment and theme columns for a response's open text answers
+ *
+ * @param {string} text - The text answers
+ * @returns {object} event_feedback column values; all empty when there is no text
+ */
+function analysisColumns(text) {
+  const analysis = analyzeComment(text);
+
+  return {
+    sentiment: analysis?.sentiment ?? null,
+    sentiment_score: analysis?.score ?? null,
+    themes: analysis?.themes ?? [],
+    keywords: analysis?.keywords ?? [],
+    analyzed_at: new Date().toISOString()
+  };
+}
+
+/**
+ * The survey attached to an event
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {string} sessionId - The event's session ID
+ * @returns {Promise<{data: {event: object, template: object}|null, error: object|null}>}
+ */
+export async function getEventSurvey(supabase, sessionId) {
+  const { data: event, error: eventError } = await findEvent(supabase, sessionId);
+  if (eventError) return { data: null, error: eventError };
+
+  const { data: template, error } = await loadTemplate(supabase, event.survey_template_id);
+  if (error) return { data: null, error };
+
+  return { data: { event, template }, error: null };
+}
+
+/**
+ * A student's own answers to an event's survey
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {string} sessionId - The event's session ID
+ * @param {string} userId - The student's public.users ID
+ * @returns {Promise<{data: object|null, error: object|null}>} The event_feedback row, or null
+ */
+export async function getSurveyResponse(supabase, sessionId, userId) {
+  const { data, error } = await supabase
+    .from('event_feedback')
+    .select('answers, survey_template_id, submitted_at')
+    .eq('event_id', sessionId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching survey response:', error);
+    return failure(SURVEY_ERRORS.SURVEY_FAILED, 'Failed to fetch your feedback', 500);
+  }
+
+  return { data, error: null };
+}
+
+/**
+ * Checks that a student may give feedback on an event now
+ *
+ * <p>The event's feedback window must be open and the student must have an
+ * approved attendance that meets the event's duration rule.</p>
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {object} event - The career_sessions row
+ * @param {string} userId - The student's public.users ID
+ * @returns {Promise<object|null>} A service error, or null when feedback is allowed
+ */
+export async function checkFeedbackEligibility(supabase, event, userId) {
+  const windowError = checkFeedbackWindow(event);
+  if (windowError) return windowError;
+
+  const { data: attendance, error } = await supabase
+    .from('attendance')
+    .select('duration_minutes')
+    .eq('session_id', event.session_id)
+    .eq('user_id', userId)
+    .eq('review_status', REVIEW_STATUSES.APPROVED)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error checking feedback attendance:', error);
+    return { code: SURVEY_ERRORS.SURVEY_FAILED, message: 'Failed to check your attendance', status: 500 };
+  }
+
+  if (!attendance || !meetsDurationRule(attendance, event)) {
+    return {
+      code: FEEDBACK_ERRORS.NOT_ATTENDED,
+      message: 'Only students who attended this event can give feedback on it',
+      status: 403
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Saves a student's answers to an event's survey, replacing earlier ones
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {object} params
+ * @param {string} params.sessionId - The event's session ID
+ * @param {string} params.userId - The student's public.users ID
+ * @param {object} params.answers - Answers keyed by question id
+ * @returns {Promise<{data: object|null, error: object|null}>} The saved event_feedback row
+ */
+export async function submitSurveyResponse(supabase, { sessionId, userId, answers }) {
+  const { data: survey, error: surveyError } = await getEventSurvey(supabase, sessionId);
+  if (surveyError) return { data: null, error: surveyError };
+
+  const eligibilityError = await checkFeedbackEligibility(supabase, survey.event, userId);
+  if (eligibilityError) return { data: null, error: eligibilityError };
+
+  const { data: response, error: answersError } = validateAnswers(survey.template.questions, answers);
+  if (answersError) return { data: null, error: answersError };
+
+  const { data, error } = await supabase
+    .from('event_feedback')
+    .upsert({
+      event_id: sessionId,
+      user_id: userId,
+      survey_template_id: survey.template.id,
+      answers: response.answers,
+      rating: response.rating,
+      comments: response.comments,
+      ...analysisColumns(collectTextAnswers(survey.template.questions, response.answers)),
+      submitted_at: new Date().toISOString()
+    }, { onConflict: ['event_id', 'user_id'] })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error submitting feedback:', error);
+    return failure(SURVEY_ERRORS.SURVEY_FAILED, 'Failed to submit feedback', 500);
+  }
+
+  return { data, error: null };
+}
+
+/**
+ * Per-question results of an event's survey
+ *
+ * <p>Only responses to the event's current template are aggregated; if the
+ * template was changed after students answered, the earlier responses are
+ * counted in <code>otherResponses</code>.</p>
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {string} sessionId - The event's session ID
+ * @returns {Promise<{data: object|null, error: object|null}>}
+ *   <code>{ event, template, responseCount, otherResponses, questions, responses }</code>
+ */
+export async function getSurveyResults(supabase, sessionId) {
+  const { data: survey, error: surveyError } = await getEventSurvey(supabase, sessionId);
+  if (surveyError) return { data: null, error: surveyError };
+
+  const { data: rows, error } = await supabase
+    .from('event_feedback')
+    .select('answers, survey_template_id, submitted_at, users (fname, lname, student_id)')
+    .eq('event_id', sessionId)
+    .order('submitted_at', { ascending: true });
+
+  if (error) {
+    console.error('Error fetching survey responses:', error);
+    return failure(SURVEY_ERRORS.SURVEY_FAILED, 'Failed to fetch survey responses', 500);
+  }
+
+  const { event, template } = survey;
+  const responses = rows.filter((row) =>
+    (row.survey_template_id ?? DEFAULT_SURVEY_TEMPLATE.id) === template.id);
+
+  return {
+    data: {
+      event: { id: event.session_id, title: event.title, date: event.date },
+      template,
+      responseCount: responses.length,
+      otherResponses: rows.length - responses.length,
+      questions: aggregateResponses(template.questions, responses),
+      responses: responses.map((row) => ({
+        studentName: row.users ? `${row.users.fname} ${row.users.lname}` : '',
+        studentId: row.users?.student_id ?? '',
+        submittedAt: row.submitted_at,
+        answers: row.answers
+      }))
+    },
+    error: null
+  };
+}
+
+/**
+ * Loads an event's feedback with the text each response's template asked for
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {string} sessionId - The event's session ID
+ * @returns {Promise<{data: Array<object>|null, error: object|null}>} event_feedback rows with <code>text</code>
+ */
+async function loadFeedbackText(supabase, sessionId) {
+  const { data: rows, error } = await supabase
+    .from('event_feedback')
+    .select('user_id, rating, comments, answers, survey_template_id, submitted_at, '
+      + 'sentiment, sentiment_score, themes, keywords, users (fname, lname)')
+    .eq('event_id', sessionId)
+    .order('submitted_at', { ascending: false });
+
+  if (error) {
+    console.error('Error fetching feedback comments:', error);
+    return failure(SURVEY_ERRORS.SURVEY_FAILED, 'Failed to fetch feedback', 500);
+  }
+
+  const templateIds = [...new Set(rows.map((row) => row.survey_template_id ?? DEFAULT_SURVEY_TEMPLATE.id))];
+  const templates = new Map();
+  for (const templateId of templateIds) {
+    const { data: template, error: templateError } = await loadTemplate(supabase, templateId);
+    if (templateError) return { data: null, error: templateError };
+    templates.set(templateId, template);
+  }
+
+  return {
+    data: rows.map((row) => {
+      const template = templates.get(row.survey_template_id ?? DEFAULT_SURVEY_TEMPLATE.id);
+      return { ...row, text: collectTextAnswers(template.questions, row.answers) || row.comments || '' };
+    }),
+    error: null
+  };
+}
+
+/**
+ * Re-tags every comment on an event with the current sentiment lexicon and themes
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {string} sessionId - The event's session ID
+ * @returns {Promise<{data: {analyzed: number}|null, error: object|null}>} How many responses were tagged
+ */
+export async function analyzeEventFeedback(supabase, sessionId) {
+  const { error: eventError } = await findEvent(supabase, sessionId);
+  if (eventError) return { data: null, error: eventError };
+
+  const { data: rows, error: rowsError } = await loadFeedbackText(supabase, sessionId);
+  if (rowsError) return { data: null, error: rowsError };
+
+  const results = await Promise.all(rows.map((row) =>
+    supabase
+      .from('event_feedback')
+      .update(analysisColumns(row.text))
+      .eq('event_id', sessionId)
+      .eq('user_id', row.user_id)));
+
+  const failed = results.find((result) => result.error);
+  if (failed) {
+    console.error('Error saving feedback analysis:', failed.error);
+    return failure(SURVEY_ERRORS.SURVEY_FAILED, 'Failed to save feedback analysis', 500);
+  }
+
+  return { data: { analyzed: rows.length }, error: null };
+}
+
+/**
+ * Sentiment and theme summary of an event's comments
+ *
+ * <p>Responses submitted before tagging existed are analysed on the fly; re-run
+ * {@link analyzeEventFeedback} to store their tags.</p>
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {string} sessionId - The event's session ID
+ * @returns {Promise<{data: object|null, error: object|null}>}
+ *   The summarizeFeedback result, each comment with <code>studentName</code>,
+ *   <code>rating</code> and <code>submittedAt</code>
+ */
+export async function getFeedbackInsights(supabase, sessionId) {
+  const { error: eventError } = await findEvent(supabase, sessionId);
+  if (eventError) return { data: null, error: eventError };
+
+  const { data: rows, error } = await loadFeedbackText(supabase, sessionId);
+  if (error) return { data: null, error };
+
+  const comments = rows.map((row) => ({
+    text: row.text,
+    studentName: row.users ? `${row.users.fname} ${row.users.lname}` : '',
+    rating: row.rating,
+    submittedAt: row.submitted_at,
+    ...(row.sentiment && {
+      sentiment: row.sentiment,
+      score: Number(row.sentiment_score),
+      themes: row.themes,
+      keywords: row.keywords
+    })
+  }));
+
+  return { data: summarizeFeedback(comments), error: null };
+}
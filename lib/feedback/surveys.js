@@ -0,0 +1,312 @@
+/**
+ * Post-event feedback survey templates, answers and results
+ *
+ * <p>A template is a list of questions
+ * <code>{ id, type, prompt, required, options }</code>. Answers are stored as
+ * an object keyed by question id: a number for rating, Likert and NPS
+ * questions, one of the options for multiple choice and a string for open
+ * text. The first rating answer and the first open text answer are also
+ * stored in <code>event_feedback.rating</code> and <code>comments</code>.</p>
+ *
+ * <p>Safe to import from client components, which render the survey form and
+ * the template editor from these definitions.</p>
+ *
+ * @module feedback/surveys
+ */
+
+/**
+ * Supported question types
+ */
+export const QUESTION_TYPES = {
+  RATING: 'rating',
+  LIKERT: 'likert',
+  MULTIPLE_CHOICE: 'multiple_choice',
+  NPS: 'nps',
+  TEXT: 'text'
+};
+
+/**
+ * Admin-facing labels for QUESTION_TYPES
+ */
+export const QUESTION_TYPE_LABELS = {
+  [QUESTION_TYPES.RATING]: 'Star rating (1-5)',
+  [QUESTION_TYPES.LIKERT]: 'Agree/disagree (Likert)',
+  [QUESTION_TYPES.MULTIPLE_CHOICE]: 'Multiple choice',
+  [QUESTION_TYPES.NPS]: 'Likelihood to recommend (NPS 0-10)',
+  [QUESTION_TYPES.TEXT]: 'Open text'
+};
+
+/**
+ * Labels for Likert answers 1-5
+ */
+export const LIKERT_LABELS = ['Strongly disagree', 'Disagree', 'Neutral', 'Agree', 'Strongly agree'];
+
+/**
+ * Error codes returned by the survey helpers
+ */
+export const SURVEY_ERRORS = {
+  INVALID_TEMPLATE: 'INVALID_TEMPLATE',
+  INVALID_ANSWERS: 'INVALID_ANSWERS',
+  TEMPLATE_NOT_FOUND: 'TEMPLATE_NOT_FOUND',
+  TEMPLATE_IN_USE: 'TEMPLATE_IN_USE',
+  SURVEY_FAILED: 'SURVEY_FAILED'
+};
+
+// Seeded by the feedback_surveys migration
+export const DEFAULT_SURVEY_TEMPLATE_ID = '00000000-0000-0000-0000-000000000001';
+
+/**
+ * The default template: the 1-5 rating and comment feedback always asked for
+ */
+export const DEFAULT_SURVEY_TEMPLATE = {
+  id: DEFAULT_SURVEY_TEMPLATE_ID,
+  name: 'Event rating',
+  description: 'A 1-5 star rating with optional comments.',
+  is_default: true,
+  questions: [
+    { id: 'rating', type: QUESTION_TYPES.RATING, prompt: 'How would you rate this event?', required: true },
+    { id: 'comments', type: QUESTION_TYPES.TEXT, prompt: 'Comments', required: false }
+  ]
+};
+
+export const MAX_QUESTIONS = 20;
+export const MAX_OPTIONS = 10;
+export const MAX_TEXT_ANSWER_LENGTH = 2000;
+
+// Inclusive answer ranges for scale questions
+const SCALES = {
+  [QUESTION_TYPES.RATING]: [1, 5],
+  [QUESTION_TYPES.LIKERT]: [1, 5],
+  [QUESTION_TYPES.NPS]: [0, 10]
+};
+
+/**
+ * Builds a validation error
+ *
+ * @param {string} code - One of SURVEY_ERRORS
+ * @param {string} message - User-facing message
+ * @returns {{data: null, error: object}}
+ */
+function invalid(code, message) {
+  return { data: null, error: { code, message, status: 400 } };
+}
+
+/**
+ * Validates a template from the template editor
+ *
+ * <p>Question ids are assigned here from the question order, so templates are
+ * never edited after they have responses; staff create a new one instead.</p>
+ *
+ * @param {object} input - <code>{ name, description, questions }</code>
+ * @returns {{data: {name: string, description: string|null, questions: Array<object>}|null, error: object|null}}
+ */
+export function normalizeSurveyTemplate(input) {
+  const name = String(input?.name ?? '').trim();
+  if (!name) {
+    return invalid(SURVEY_ERRORS.INVALID_TEMPLATE, 'Give the survey a name');
+  }
+
+  const questions = Array.isArray(input.questions) ? input.questions : [];
+  if (questions.length === 0 || questions.length > MAX_QUESTIONS) {
+    return invalid(SURVEY_ERRORS.INVALID_TEMPLATE, `A survey needs between 1 and ${MAX_QUESTIONS} questions`);
+  }
+
+  const normalized = [];
+  for (const [index, question] of questions.entries()) {
+    const prompt = String(question?.prompt ?? '').trim();
+    if (!Object.values(QUESTION_TYPES).includes(question?.type) || !prompt) {
+      return invalid(SURVEY_ERRORS.INVALID_TEMPLATE, `Question ${index + 1} needs a type and a prompt`);
+    }
+
+    const item = {
+      id: `q${index + 1}`,
+      type: question.type,
+      prompt,
+      required: question.required !== false
+    };
+
+    if (question.type === QUESTION_TYPES.MULTIPLE_CHOICE) {
+      const options = [...new Set((question.options || []).map((option) => String(option).trim()).filter(Boolean))];
+      if (options.length < 2 || options.length > MAX_OPTIONS) {
+        return invalid(SURVEY_ERRORS.INVALID_TEMPLATE, `Question ${index + 1} needs between 2 and ${MAX_OPTIONS} options`);
+      }
+      item.options = options;
+    }
+
+    normalized.push(item);
+  }
+
+  return {
+    data: {
+      name,
+      description: String(input.description ?? '').trim() || null,
+      questions: normalized
+    },
+    error: null
+  };
+}
+
+/**
+ * Whether an answer was left empty
+ *
+ * @param {*} value - The answer
+ * @returns {boolean} True for missing values and blank text
+ */
+function isBlank(value) {
+  return value == null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Checks a student's answers against a template
+ *
+ * @param {Array<object>} questions - The template's questions
+ * @param {object} input - Answers keyed by question id
+ * @returns {{data: {answers: object, rating: number|null, comments: string|null}|null, error: object|null}}
+ *   Cleaned answers and the values for the legacy rating and comments columns
+ */
+export function validateAnswers(questions, input) {
+  const answers = {};
+
+  for (const question of questions) {
+    const value = input?.[question.id];
+
+    if (isBlank(value)) {
+      if (question.required) {
+        return invalid(SURVEY_ERRORS.INVALID_ANSWERS, `Please answer "${question.prompt}"`);
+      }
+      continue;
+    }
+
+    if (SCALES[question.type]) {
+      const [min, max] = SCALES[question.type];
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < min || number > max) {
+        return invalid(SURVEY_ERRORS.INVALID_ANSWERS, `"${question.prompt}" needs an answer from ${min} to ${max}`);
+      }
+      answers[question.id] = number;
+    } else if (question.type === QUESTION_TYPES.MULTIPLE_CHOICE) {
+      if (!question.options.includes(value)) {
+        return invalid(SURVEY_ERRORS.INVALID_ANSWERS, `Choose one of the options for "${question.prompt}"`);
+      }
+      answers[question.id] = value;
+    } else {
+      answers[question.id] = String(value).trim().slice(0, MAX_TEXT_ANSWER_LENGTH);
+    }
+  }
+
+  const ratingQuestion = questions.find((question) => question.type === QUESTION_TYPES.RATING);
+  const textQuestion = questions.find((question) => question.type === QUESTION_TYPES.TEXT);
+
+  return {
+    data: {
+      answers,
+      rating: ratingQuestion ? answers[ratingQuestion.id] ?? null : null,
+      comments: textQuestion ? answers[textQuestion.id] ?? null : null
+    },
+    error: null
+  };
+}
+
+/**
+ * The open text answers of one response, for comment analysis
+ *
+ * @param {Array<object>} questions - The template's questions
+ * @param {object} answers - Answers keyed by question id
+ * @returns {string} The text answers, one per line
+ */
+export function collectTextAnswers(questions, answers) {
+  return questions
+    .filter((question) => question.type === QUESTION_TYPES.TEXT)
+    .map((question) => answers?.[question.id])
+    .filter((value) => !isBlank(value))
+    .join('\n');
+}
+
+/**
+ * Rounds to one decimal place
+ *
+ * @param {number} value - The value
+ * @returns {number} The rounded value
+ */
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Summarises the answers to one question
+ *
+ * @param {object} question - The question
+ * @param {Array<*>} values - Non-empty answers to it
+ * @returns {object} Type-specific aggregates
+ */
+function aggregateQuestion(question, values) {
+  if (SCALES[question.type]) {
+    const [min, max] = SCALES[question.type];
+    const distribution = [];
+    for (let value = min; value <= max; value += 1) {
+      distribution.push({
+        value,
+        label: question.type === QUESTION_TYPES.LIKERT ? LIKERT_LABELS[value - 1] : String(value),
+        count: values.filter((answer) => answer === value).length
+      });
+    }
+
+    const average = values.length > 0
+      ? round(values.reduce((sum, value) => sum + value, 0) / values.length)
+      : null;
+
+    if (question.type !== QUESTION_TYPES.NPS) {
+      return { average, distribution };
+    }
+
+    // Promoters answer 9-10 and detractors 0-6
+    const promoters = values.filter((value) => value >= 9).length;
+    const detractors = values.filter((value) => value <= 6).length;
+    return {
+      average,
+      distribution,
+      promoters,
+      passives: values.length - promoters - detractors,
+      detractors,
+      score: values.length > 0 ? Math.round(((promoters - detractors) / values.length) * 100) : null
+    };
+  }
+
+  if (question.type === QUESTION_TYPES.MULTIPLE_CHOICE) {
+    return {
+      options: question.options.map((option) => {
+        const count = values.filter((value) => value === option).length;
+        return {
+          option,
+          count,
+          percent: values.length > 0 ? Math.round((count / values.length) * 100) : 0
+        };
+      })
+    };
+  }
+
+  return { answers: values };
+}
+
+/**
+ * Per-question results for a set of responses to one template
+ *
+ * @param {Array<object>} questions - The template's questions
+ * @param {Array<{answers: object}>} responses - event_feedback rows
+ * @returns {Array<object>} <code>{ id, type, prompt, responses, ...aggregates }</code> per question
+ */
+export function aggregateResponses(questions, responses) {
+  return questions.map((question) => {
+    const values = responses
+      .map((response) => response.answers?.[question.id])
+      .filter((value) => !isBlank(value));
+
+    return {
+      id: question.id,
+      type: question.type,
+      prompt: question.prompt,
+      responses: values.length,
+      ...aggregateQuestion(question, values)
+    };
+  });
+}
@@ -0,0 +1,91 @@
+/**
+ * useLiveAttendance Hook
+ *
+ * Calls onChange whenever attendance for an event changes, using Supabase
+ * Realtime. While the Realtime channel is not connected (blocked websockets,
+ * publication missing, network drop) it polls on an interval instead.
+ */
+
+"use client"
+
+import { useEffect, useRef, useState } from 'react'
+import { createClient } from '@/utils/supabase/client'
+
+export const POLL_INTERVAL_MS = 15000
+
+// Bursts of check-ins at the door are collapsed into one refresh
+const REFRESH_DEBOUNCE_MS = 1000
+
+/**
+ * @param {string} sessionId - The event's session ID
+ * @param {Function} onChange - Refreshes the page's attendance data
+ * @returns {{ mode: "connecting"|"live"|"polling" }} How updates are being received
+ */
+export function useLiveAttendance(sessionId, onChange) {
+  const [mode, setMode] = useState('connecting')
+  const onChangeRef = useRef(onChange)
+
+  useEffect(() => {
+    onChangeRef.current = onChange
+  }, [onChange])
+
+  useEffect(() => {
+    if (!sessionId) return
+
+    const supabase = createClient()
+    let debounceTimer = null
+    let pollTimer = null
+
+    const refresh = () => {
+      clearTimeout(debounceTimer)
+      debounceTimer = setTimeout(() => onChangeRef.current?.(), REFRESH_DEBOUNCE_MS)
+    }
+
+    const startPolling = () => {
+      setMode('polling')
+      if (!pollTimer) pollTimer = setInterval(() => onChangeRef.current?.(), POLL_INTERVAL_MS)
+    }
+
+    const stopPolling = () => {
+      clearInterval(pollTimer)
+      pollTimer = null
+    }
+
+    const channel = supabase
+      .channel(`attendance-${sessionId}`)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'attendance',
+          filter: `session_id=eq.${sessionId}`
+        },
+        refresh
+      )
+      .subscribe((status) => {
+        if (status === 'SUBSCRIBED') {
+          stopPolling()
+          setMode('live')
+          // Catch anything that arrived while the channel was down
+          refresh()
+        } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT' || status === 'CLOSED') {
+          startPolling()
+        }
+      })
+
+    // Poll until the channel confirms it is connected
+    const connectTimer = setTimeout(() => {
+      if (channel.state !== 'joined') startPolling()
+    }, POLL_INTERVAL_MS)
+
+    return () => {
+      clearTimeout(connectTimer)
+      clearTimeout(debounceTimer)
+      stopPolling()
+      supabase.removeChannel(channel)
+    }
+  }, [sessionId])
+
+  return { mode }
+}
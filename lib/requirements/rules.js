@@ -0,0 +1,236 @@
+import { EVENT_TYPE_LABELS } from '@/lib/events/categories';
+
+/**
+ * Internship eligibility rules
+ *
+ * <p>Each year group has a list of rules stored as
+ * <code>requirement_items</code> rows. A rule is
+ * <code>{ id, description, is_required, rule_type, event_type, event_tag, min_count }</code>;
+ * depending on {@link REQUIREMENT_RULE_TYPES} it counts the student's approved
+ * attendances (optionally only events of one type and/or with one tag),
+ * feedback submissions, completed advising sessions, or a box the student
+ * ticks themselves.</p>
+ *
+ * <p>{@link evaluateRules} is the single place rules are checked; the student
+ * progress view and the submission check both go through it via
+ * <code>lib/requirements/service</code>. Safe to import from client
+ * components, which use the labels and {@link describeRule} in the rule
+ * editor.</p>
+ *
+ * @module requirements/rules
+ */
+
+/**
+ * What a rule counts, stored in requirement_items.rule_type
+ */
+export const REQUIREMENT_RULE_TYPES = {
+  EVENT_ATTENDANCE: 'event_attendance',
+  FEEDBACK: 'feedback',
+  ADVISING_SESSION: 'advising_session',
+  MANUAL: 'manual'
+};
+
+/**
+ * Admin-facing labels for REQUIREMENT_RULE_TYPES
+ */
+export const REQUIREMENT_RULE_TYPE_LABELS = {
+  [REQUIREMENT_RULE_TYPES.EVENT_ATTENDANCE]: 'Attend events',
+  [REQUIREMENT_RULE_TYPES.FEEDBACK]: 'Submit event feedback',
+  [REQUIREMENT_RULE_TYPES.ADVISING_SESSION]: 'Complete advising sessions',
+  [REQUIREMENT_RULE_TYPES.MANUAL]: 'Student confirms'
+};
+
+/**
+ * Error codes returned by the requirement helpers
+ */
+export const REQUIREMENT_ERRORS = {
+  INVALID_RULE: 'INVALID_RULE',
+  INVALID_YEAR_GROUP: 'INVALID_YEAR_GROUP',
+  GROUP_NOT_FOUND: 'GROUP_NOT_FOUND',
+  GROUP_EXISTS: 'GROUP_EXISTS',
+  REQUIREMENTS_NOT_MET: 'REQUIREMENTS_NOT_MET',
+  LOOKUP_FAILED: 'LOOKUP_FAILED',
+  SAVE_FAILED: 'SAVE_FAILED'
+};
+
+export const MAX_RULE_COUNT = 50;
+
+/**
+ * Rules for year groups that have no requirement group of their own; these
+ * are the minimums that applied to everyone before rules were configurable
+ */
+export const DEFAULT_RULES = [
+  {
+    id: 'default-attendance',
+    description: 'Career services workshops/events attendance',
+    is_required: true,
+    rule_type: REQUIREMENT_RULE_TYPES.EVENT_ATTENDANCE,
+    event_type: null,
+    event_tag: null,
+    min_count: 3
+  },
+  {
+    id: 'default-feedback',
+    description: 'Workshop feedback submissions',
+    is_required: true,
+    rule_type: REQUIREMENT_RULE_TYPES.FEEDBACK,
+    event_type: null,
+    event_tag: null,
+    min_count: 3
+  },
+  {
+    id: 'default-sessions',
+    description: '1-on-1 sessions completed',
+    is_required: true,
+    rule_type: REQUIREMENT_RULE_TYPES.ADVISING_SESSION,
+    event_type: null,
+    event_tag: null,
+    min_count: 1
+  }
+];
+
+/**
+ * Adds an "s" when a count is not one
+ *
+ * @param {number} count - The count
+ * @param {string} noun - Singular noun
+ * @returns {string} e.g. "2 workshops"
+ */
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Plain-language summary of what a rule asks for
+ *
+ * @param {object} rule - The requirement_items row
+ * @returns {string} e.g. 'Attend 2 Workshop events tagged "Resume"'
+ */
+export function describeRule(rule) {
+  switch (rule.rule_type) {
+    case REQUIREMENT_RULE_TYPES.EVENT_ATTENDANCE: {
+      const kind = EVENT_TYPE_LABELS[rule.event_type] || 'career services';
+      const tag = rule.event_tag ? ` tagged "${rule.event_tag}"` : '';
+      return `Attend ${plural(rule.min_count, `${kind} event`)}${tag}`;
+    }
+    case REQUIREMENT_RULE_TYPES.FEEDBACK:
+      return `Submit ${plural(rule.min_count, 'event feedback form')}`;
+    case REQUIREMENT_RULE_TYPES.ADVISING_SESSION:
+      return `Complete ${plural(rule.min_count, 'one-on-one advising session')}`;
+    default:
+      return rule.description || 'Confirm this requirement yourself';
+  }
+}
+
+/**
+ * Validates a rule from the admin rule editor
+ *
+ * @param {object} input - Rule fields from the request body
+ * @param {number} position - Where the rule appears in the list
+ * @returns {{data: object|null, error: object|null}} requirement_items column values
+ */
+export function normalizeRequirementRule(input, position) {
+  const ruleType = input?.rule_type;
+  const count = Number(input?.min_count ?? 1);
+
+  if (!Object.values(REQUIREMENT_RULE_TYPES).includes(ruleType)
+      || !Number.isInteger(count) || count < 1 || count > MAX_RULE_COUNT) {
+    return {
+      data: null,
+      error: {
+        code: REQUIREMENT_ERRORS.INVALID_RULE,
+        message: `Rule ${position + 1} needs a type and a count between 1 and ${MAX_RULE_COUNT}`,
+        status: 400
+      }
+    };
+  }
+
+  const description = String(input.description ?? '').trim();
+  if (ruleType === REQUIREMENT_RULE_TYPES.MANUAL && !description) {
+    return {
+      data: null,
+      error: {
+        code: REQUIREMENT_ERRORS.INVALID_RULE,
+        message: `Rule ${position + 1} needs a description for students to confirm`,
+        status: 400
+      }
+    };
+  }
+
+  const isAttendance = ruleType === REQUIREMENT_RULE_TYPES.EVENT_ATTENDANCE;
+  const rule = {
+    rule_type: ruleType,
+    event_type: isAttendance && EVENT_TYPE_LABELS[input.event_type] ? input.event_type : null,
+    event_tag: isAttendance && String(input.event_tag ?? '').trim() ? String(input.event_tag).trim() : null,
+    min_count: ruleType === REQUIREMENT_RULE_TYPES.MANUAL ? 1 : count,
+    is_required: input.is_required !== false,
+    position
+  };
+
+  return {
+    data: { ...rule, description: description || describeRule(rule) },
+    error: null
+  };
+}
+
+/**
+ * How many times the student has done what a rule counts
+ *
+ * @param {object} rule - The requirement_items row
+ * @param {object} activity - See {@link evaluateRules}
+ * @returns {number} The count
+ */
+function countProgress(rule, activity) {
+  switch (rule.rule_type) {
+    case REQUIREMENT_RULE_TYPES.EVENT_ATTENDANCE: {
+      const tag = rule.event_tag?.toLowerCase();
+      return activity.attendance.filter((record) =>
+        (!rule.event_type || record.eventType === rule.event_type)
+        && (!tag || record.tags.some((item) => item.toLowerCase() === tag))).length;
+    }
+    case REQUIREMENT_RULE_TYPES.FEEDBACK:
+      return activity.feedbackCount;
+    case REQUIREMENT_RULE_TYPES.ADVISING_SESSION:
+      return activity.completedSessions;
+    default:
+      return activity.confirmedRequirementIds.has(rule.id) ? 1 : 0;
+  }
+}
+
+/**
+ * Checks a student's activity against a list of rules
+ *
+ * @param {Array<object>} rules - requirement_items rows
+ * @param {object} activity
+ * @param {Array<{eventType: string|null, tags: Array<string>}>} activity.attendance - Qualifying attendances
+ * @param {number} activity.feedbackCount - Feedback submissions
+ * @param {number} activity.completedSessions - Completed advising sessions
+ * @param {Set<string>} activity.confirmedRequirementIds - Manual rules the student ticked off
+ * @returns {{requirements: Array<object>, eligible: boolean}} Progress on each rule, and
+ *   whether every required rule is met
+ */
+export function evaluateRules(rules, activity) {
+  const requirements = rules.map((rule) => {
+    const total = countProgress(rule, activity);
+    const isManual = rule.rule_type === REQUIREMENT_RULE_TYPES.MANUAL;
+
+    return {
+      id: rule.id,
+      description: rule.description || describeRule(rule),
+      details: isManual
+        ? (total > 0 ? 'Confirmed' : 'Not confirmed yet')
+        : `${describeRule(rule)} (${Math.min(total, rule.min_count)} of ${rule.min_count} done)`,
+      ruleType: rule.rule_type,
+      required: rule.is_required !== false,
+      manual: isManual,
+      target: rule.min_count,
+      total,
+      completed: total >= rule.min_count
+    };
+  });
+
+  return {
+    requirements,
+    eligible: requirements.every((requirement) => !requirement.required || requirement.completed)
+  };
+}
@@ -0,0 +1,348 @@
+import { listQualifyingAttendance } from '@/lib/attendance/service';
+import { getYearGroup } from '@/lib/students';
+import {
+  DEFAULT_RULES,
+  REQUIREMENT_ERRORS,
+  evaluateRules,
+  normalizeRequirementRule
+} from '@/lib/requirements/rules';
+
+/**
+ * Loading, evaluating and saving internship eligibility rules
+ *
+ * <p>A student's rules come from the <code>requirement_groups</code> row for
+ * the year group at the end of their student ID. Year groups without a row
+ * use {@link DEFAULT_RULES}; a group saved with no rules has no
+ * requirements.</p>
+ *
+ * @module requirements/service
+ */
+
+// PostgREST "no rows returned", Postgres unique violation and
+// replace_requirement_rules' unknown rule ID codes
+const NOT_FOUND_CODE = 'PGRST116';
+const UNIQUE_VIOLATION_CODE = '23505';
+const INVALID_PARAMETER_CODE = '22023';
+
+// Columns read for each rule, in list order
+const RULE_COLUMNS = 'id, description, is_required, rule_type, event_type, event_tag, min_count, position';
+
+/**
+ * Wraps a service error in the { data, error } result shape
+ *
+ * @param {string} code - One of REQUIREMENT_ERRORS
+ * @param {string} message - User-facing message
+ * @param {number} status - HTTP status for routes to use
+ * @returns {{data: null, error: object}}
+ */
+function failure(code, message, status) {
+  return { data: null, error: { code, message, status } };
+}
+
+/**
+ * Sorts a group's rules into list order
+ *
+ * @param {object} group - requirement_groups row with a <code>rules</code> embed
+ * @returns {object} The group with sorted rules
+ */
+function sortRules(group) {
+  return {
+    ...group,
+    rules: [...(group.rules || [])].sort((a, b) => a.position - b.position)
+  };
+}
+
+/**
+ * The rules that apply to a year group
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {string|null} yearGroup - Four-digit year group
+ * @returns {Promise<{data: {groupId: string|null, rules: Array<object>}|null, error: object|null}>}
+ */
+export async function getRulesForYearGroup(supabase, yearGroup) {
+  if (!yearGroup) {
+    return { data: { groupId: null, rules: DEFAULT_RULES }, error: null };
+  }
+
+  const { data: group, error } = await supabase
+    .from('requirement_groups')
+    .select(`id, rules:requirement_items (${RULE_COLUMNS})`)
+    .eq('year_group', yearGroup)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching requirement rules:', error);
+    return failure(REQUIREMENT_ERRORS.LOOKUP_FAILED, 'Failed to fetch requirements', 500);
+  }
+
+  if (!group) {
+    return { data: { groupId: null, rules: DEFAULT_RULES }, error: null };
+  }
+
+  return { data: { groupId: group.id, rules: sortRules(group).rules }, error: null };
+}
+
+/**
+ * Everything a student has done that rules can count
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {object} profile - The student's public.users profile
+ * @returns {Promise<{data: object|null, error: object|null}>} Activity for evaluateRules
+ */
+export async function getStudentActivity(supabase, profile) {
+  const [attendance, feedback, sessions, confirmed] = await Promise.all([
+    listQualifyingAttendance(supabase, profile.student_id),
+    supabase
+      .from('event_feedback')
+      .select('event_id')
+      .eq('user_id', profile.id),
+    supabase
+      .from('sessions')
+      .select('*', { count: 'exact', head: true })
+      .eq('student_id', profile.id)
+      .eq('status', 'completed'),
+    supabase
+      .from('student_requirements')
+      .select('requirement_id')
+      .eq('student_id', profile.id)
+  ]);
+
+  const failed = attendance.error || feedback.error || sessions.error || confirmed.error;
+  if (failed) {
+    console.error('Error fetching requirement progress:', failed);
+    return failure(REQUIREMENT_ERRORS.LOOKUP_FAILED, 'Failed to fetch requirement progress', 500);
+  }
+
+  // Feedback only counts for events the student attended
+  const attendedIds = new Set(attendance.data.map((record) => record.sessionId));
+
+  return {
+    data: {
+      attendance: attendance.data,
+      feedbackCount: feedback.data.filter((row) => attendedIds.has(row.event_id)).length,
+      completedSessions: sessions.count || 0,
+      confirmedRequirementIds: new Set(confirmed.data.map((row) => row.requirement_id))
+    },
+    error: null
+  };
+}
+
+/**
+ * Checks a student against their year group's rules
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {object} profile - The student's public.users profile
+ * @returns {Promise<{data: object|null, error: object|null}>}
+ *   <code>{ yearGroup, groupId, requirements, eligible, stats }</code>
+ */
+export async function evaluateEligibility(supabase, profile) {
+  const yearGroup = getYearGroup(profile.student_id);
+
+  const [rules, activity] = await Promise.all([
+    getRulesForYearGroup(supabase, yearGroup),
+    getStudentActivity(supabase, profile)
+  ]);
+
+  if (rules.error) return rules;
+  if (activity.error) return activity;
+
+  const { requirements, eligible } = evaluateRules(rules.data.rules, activity.data);
+
+  return {
+    data: {
+      yearGroup,
+      groupId: rules.data.groupId,
+      requirements,
+      eligible,
+      stats: {
+        totalAttendance: activity.data.attendance.length,
+        completedSessions: activity.data.completedSessions,
+        totalFeedback: activity.data.feedbackCount
+      }
+    },
+    error: null
+  };
+}
+
+/**
+ * Every year group's rules, newest year group first
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @returns {Promise<{data: Array<object>|null, error: object|null}>} Groups with sorted rules
+ */
+export async function listRequirementGroups(supabase) {
+  const { data, error } = await supabase
+    .from('requirement_groups')
+    .select(`id, year_group, rules:requirement_items (${RULE_COLUMNS})`)
+    .order('year_group', { ascending: false });
+
+  if (error) {
+    console.error('Error fetching requirement groups:', error);
+    return failure(REQUIREMENT_ERRORS.LOOKUP_FAILED, 'Failed to fetch requirement groups', 500);
+  }
+
+  return { data: data.map(sortRules), error: null };
+}
+
+/**
+ * Validates a rule list from the rule editor
+ *
+ * @param {Array<object>} input - Rules in display order
+ * @returns {{data: Array<object>|null, error: object|null}} requirement_items column values
+ */
+function normalizeRules(input) {
+  if (!Array.isArray(input)) {
+    return failure(REQUIREMENT_ERRORS.INVALID_RULE, 'Rules must be a list', 400);
+  }
+
+  const rules = [];
+  for (const [position, item] of input.entries()) {
+    const { data, error } = normalizeRequirementRule(item, position);
+    if (error) return { data: null, error };
+    rules.push({ ...data, ...(item.id && { id: String(item.id) }) });
+  }
+  return { data: rules, error: null };
+}
+
+/**
+ * Replaces a group's rules
+ *
+ * <p>Rules sent with an ID are updated in place, so students keep their
+ * confirmations on manual rules; rules left out are removed. The
+ * replace_requirement_rules database function does this in one transaction
+ * and refuses IDs that are not already rules of the group.</p>
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {string} groupId - The requirement_groups ID
+ * @param {Array<object>} rules - Normalized rules
+ * @returns {Promise<{data: null, error: object|null}>}
+ */
+async function replaceRules(supabase, groupId, rules) {
+  const { error } = await supabase.rpc('replace_requirement_rules', {
+    p_group_id: groupId,
+    p_rules: rules
+  });
+
+  if (error) {
+    if (error.code === INVALID_PARAMETER_CODE) {
+      return failure(REQUIREMENT_ERRORS.INVALID_RULE, error.message, 400);
+    }
+    console.error('Error saving requirement rules:', error);
+    return failure(REQUIREMENT_ERRORS.SAVE_FAILED, 'Failed to save requirements', 500);
+  }
+
+  return { data: null, error: null };
+}
+
+/**
+ * Creates a year group's rules
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {object} params
+ * @param {string|number} params.yearGroup - Four-digit year group
+ * @param {Array<object>} params.rules - Rules from the editor
+ * @returns {Promise<{data: object|null, error: object|null}>} The saved group
+ */
+export async function createRequirementGroup(supabase, { yearGroup, rules }) {
+  const year = Number.parseInt(yearGroup, 10);
+  if (!/^\d{4}$/.test(String(yearGroup ?? '').trim()) || !year) {
+    return failure(REQUIREMENT_ERRORS.INVALID_YEAR_GROUP, 'Enter a four-digit year group, e.g. 2027', 400);
+  }
+
+  const normalized = normalizeRules(rules);
+  if (normalized.error) return normalized;
+
+  const { data: group, error } = await supabase
+    .from('requirement_groups')
+    .insert({ year_group: year })
+    .select('id')
+    .single();
+
+  if (error) {
+    if (error.code === UNIQUE_VIOLATION_CODE) {
+      return failure(REQUIREMENT_ERRORS.GROUP_EXISTS, `Rules for ${year} already exist`, 409);
+    }
+    console.error('Error creating requirement group:', error);
+    return failure(REQUIREMENT_ERRORS.SAVE_FAILED, 'Failed to save requirements', 500);
+  }
+
+  const { error: rulesError } = await replaceRules(supabase, group.id, normalized.data);
+  if (rulesError) {
+    await supabase.from('requirement_groups').delete().eq('id', group.id);
+    return { data: null, error: rulesError };
+  }
+
+  return getRequirementGroup(supabase, group.id);
+}
+
+/**
+ * Replaces the rules of an existing year group
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {string} groupId - The requirement_groups ID
+ * @param {Array<object>} rules - Rules from the editor
+ * @returns {Promise<{data: object|null, error: object|null}>} The saved group
+ */
+export async function updateRequirementGroup(supabase, groupId, rules) {
+  const existing = await getRequirementGroup(supabase, groupId);
+  if (existing.error) return existing;
+
+  const normalized = normalizeRules(rules);
+  if (normalized.error) return normalized;
+
+  const { error } = await replaceRules(supabase, groupId, normalized.data);
+  if (error) return { data: null, error };
+
+  return getRequirementGroup(supabase, groupId);
+}
+
+/**
+ * One year group's rules
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {string} groupId - The requirement_groups ID
+ * @returns {Promise<{data: object|null, error: object|null}>} The group with sorted rules
+ */
+export async function getRequirementGroup(supabase, groupId) {
+  const { data, error } = await supabase
+    .from('requirement_groups')
+    .select(`id, year_group, rules:requirement_items (${RULE_COLUMNS})`)
+    .eq('id', groupId)
+    .single();
+
+  if (error) {
+    if (error.code === NOT_FOUND_CODE) {
+      return failure(REQUIREMENT_ERRORS.GROUP_NOT_FOUND, 'Requirement group not found', 404);
+    }
+    console.error('Error fetching requirement group:', error);
+    return failure(REQUIREMENT_ERRORS.LOOKUP_FAILED, 'Failed to fetch requirement group', 500);
+  }
+
+  return { data: sortRules(data), error: null };
+}
+
+/**
+ * Removes a year group's rules so the group falls back to DEFAULT_RULES
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {string} groupId - The requirement_groups ID
+ * @returns {Promise<{data: {id: string}|null, error: object|null}>}
+ */
+export async function deleteRequirementGroup(supabase, groupId) {
+  const { data, error } = await supabase
+    .from('requirement_groups')
+    .delete()
+    .eq('id', groupId)
+    .select('id');
+
+  if (error) {
+    console.error('Error deleting requirement group:', error);
+    return failure(REQUIREMENT_ERRORS.SAVE_FAILED, 'Failed to delete requirements', 500);
+  }
+
+  if (data.length === 0) {
+    return failure(REQUIREMENT_ERRORS.GROUP_NOT_FOUND, 'Requirement group not found', 404);
+  }
+
+  return { data: { id: groupId }, error: null };
+}
@@ -0,0 +1,93 @@
+import { NextResponse } from 'next/server';
+
+/**
+ * Server-side authentication helpers for API route handlers
+ *
+ * <p>Resolves the signed-in Supabase user to their public.users profile and
+ * guards routes by role. Failures are returned as a ready-made NextResponse so
+ * handlers can simply return it.</p>
+ *
+ * @module server-auth
+ */
+
+/**
+ * Role IDs stored in public.users.role_id
+ */
+export const ROLES = {
+  SUPER_ADMIN: 1,
+  ADMIN: 2,
+  STUDENT: 3
+};
+
+/**
+ * Roles allowed to manage events and attendance
+ */
+export const STAFF_ROLES = [ROLES.SUPER_ADMIN, ROLES.ADMIN];
+
+/**
+ * Gets the authenticated user and their public.users profile
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @returns {Promise<{user: object|null, profile: object|null, response: NextResponse|null}>}
+ *   The auth user and profile, or an error response when either lookup fails
+ */
+export async function getCurrentProfile(supabase) {
+  const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+  if (userError || !user) {
+    return {
+      user: null,
+      profile: null,
+      response: NextResponse.json(
+        { error: 'Unauthorized. Please log in.' },
+        { status: 401 }
+      )
+    };
+  }
+
+  // Profiles are keyed by email, matching the rest of the API routes
+  const { data: profile, error: profileError } = await supabase
+    .from('users')
+    .select('id, student_id, fname, lname, email, role_id')
+    .eq('email', user.email)
+    .single();
+
+  if (profileError || !profile) {
+    console.error('Error fetching user profile:', profileError);
+    return {
+      user,
+      profile: null,
+      response: NextResponse.json(
+        { error: 'User not found' },
+        { status: 404 }
+      )
+    };
+  }
+
+  return { user, profile, response: null };
+}
+
+/**
+ * Gets the authenticated profile and verifies it has one of the given roles
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {number[]} roles - Allowed role IDs (see ROLES)
+ * @returns {Promise<{user: object|null, profile: object|null, response: NextResponse|null}>}
+ *   The auth user and profile, or an error response when access is denied
+ */
+export async function requireRole(supabase, roles) {
+  const result = await getCurrentProfile(supabase);
+  if (result.response) return result;
+
+  if (!roles.includes(result.profile.role_id)) {
+    return {
+      ...result,
+      response: NextResponse.json(
+        { error: 'Unauthorized - You do not have permission to perform this action' },
+        { status: 403 }
+      )
+    };
+  }
+
+  return result;
+}
@@ -0,0 +1,318 @@
+/**
+ * Advisor availability and bookable slots for one-on-one sessions
+ *
+ * <p>An advisor's availability is a set of weekly windows, a slot length and a
+ * buffer kept free after every session. Slots start at the beginning of each
+ * window and repeat every slot length plus buffer, as long as the session (the
+ * slot length, or its session type's duration) ends inside the window.
+ * Blackout date ranges remove whole days. The same rules are enforced by the
+ * check_session_slot database trigger; these helpers validate the advisor's
+ * form and list the slots students can pick.</p>
+ *
+ * <p>Safe to import from client components.</p>
+ *
+ * @module sessions/availability
+ */
+
+/**
+ * Error codes for availability and slot problems
+ */
+export const AVAILABILITY_ERRORS = {
+  INVALID_AVAILABILITY: 'INVALID_AVAILABILITY',
+  INVALID_BLACKOUT: 'INVALID_BLACKOUT',
+  SLOT_CONFLICT: 'SLOT_CONFLICT',
+  ADVISOR_AWAY: 'ADVISOR_AWAY',
+  SLOT_UNAVAILABLE: 'SLOT_UNAVAILABLE',
+  AVAILABILITY_FAILED: 'AVAILABILITY_FAILED'
+};
+
+/**
+ * Day names by JavaScript and Postgres weekday number (Sunday = 0)
+ */
+export const WEEKDAY_LABELS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+export const SLOT_LENGTHS = [15, 30, 45, 60, 90, 120];
+export const MAX_BUFFER_MINUTES = 120;
+
+// How late students may reschedule, in hours before the session starts
+export const DEFAULT_RESCHEDULE_NOTICE_HOURS = 24;
+export const MAX_RESCHEDULE_NOTICE_HOURS = 168;
+
+// How far ahead students can book
+export const BOOKING_HORIZON_DAYS = 60;
+
+/**
+ * Availability for advisors who have not published their own, matching the
+ * advisor_availability column defaults
+ */
+export const DEFAULT_AVAILABILITY = {
+  weekly_hours: [1, 2, 3, 4, 5].flatMap((weekday) => [
+    { weekday, start: '09:00', end: '12:00' },
+    { weekday, start: '13:00', end: '17:00' }
+  ]),
+  slot_minutes: 60,
+  buffer_minutes: 0,
+  reschedule_notice_hours: DEFAULT_RESCHEDULE_NOTICE_HOURS
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)(:\d{2})?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Wraps a validation error in the { data, error } result shape
+ *
+ * @param {string} code - One of AVAILABILITY_ERRORS
+ * @param {string} message - User-facing message
+ * @returns {{data: null, error: object}}
+ */
+function invalid(code, message) {
+  return { data: null, error: { code, message, status: 400 } };
+}
+
+/**
+ * Minutes since midnight for an "HH:MM" or "HH:MM:SS" time
+ *
+ * @param {string} time - Time of day
+ * @returns {number|null} Minutes, or null if the time is malformed
+ */
+export function toMinutes(time) {
+  const match = TIME_PATTERN.exec(time ?? '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * "HH:MM" for minutes since midnight
+ *
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string}
+ */
+export function fromMinutes(minutes) {
+  const hours = Math.floor(minutes / 60);
+  return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Weekday of a "yyyy-MM-dd" date, Sunday = 0
+ *
+ * @param {string} date - Calendar date
+ * @returns {number}
+ */
+export function getWeekday(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(year, month - 1, day).getDay();
+}
+
+/**
+ * Converts the advisor's availability form into advisor_availability columns
+ *
+ * <p>Windows on the same day may not overlap, and each must fit at least one
+ * slot.</p>
+ *
+ * @param {object} input - <code>{ weeklyHours, slotMinutes, bufferMinutes, rescheduleNoticeHours }</code>
+ * @returns {{data: object|null, error: object|null}} Column values
+ */
+export function normalizeAvailability(input) {
+  const slotMinutes = Number.parseInt(input.slotMinutes, 10);
+  const bufferMinutes = Number.parseInt(input.bufferMinutes, 10) || 0;
+  const noticeHours = Number.parseInt(input.rescheduleNoticeHours, 10);
+  const rescheduleNoticeHours = Number.isNaN(noticeHours) ? DEFAULT_RESCHEDULE_NOTICE_HOURS : noticeHours;
+
+  if (!SLOT_LENGTHS.includes(slotMinutes)) {
+    return invalid(AVAILABILITY_ERRORS.INVALID_AVAILABILITY, `Slots must be ${SLOT_LENGTHS.join(', ')} minutes long`);
+  }
+  if (bufferMinutes < 0 || bufferMinutes > MAX_BUFFER_MINUTES) {
+    return invalid(
+      AVAILABILITY_ERRORS.INVALID_AVAILABILITY,
+      `Buffer time must be between 0 and ${MAX_BUFFER_MINUTES} minutes`
+    );
+  }
+  if (rescheduleNoticeHours < 0 || rescheduleNoticeHours > MAX_RESCHEDULE_NOTICE_HOURS) {
+    return invalid(
+      AVAILABILITY_ERRORS.INVALID_AVAILABILITY,
+      `Reschedule notice must be between 0 and ${MAX_RESCHEDULE_NOTICE_HOURS} hours`
+    );
+  }
+
+  const windows = [];
+  for (const range of Array.isArray(input.weeklyHours) ? input.weeklyHours : []) {
+    const weekday = Number(range.weekday);
+    const start = toMinutes(range.start);
+    const end = toMinutes(range.end);
+    const label = WEEKDAY_LABELS[weekday];
+
+    if (!label || start === null || end === null) {
+      return invalid(AVAILABILITY_ERRORS.INVALID_AVAILABILITY, 'Each window needs a day, a start and an end time');
+    }
+    if (end - start < slotMinutes) {
+      return invalid(
+        AVAILABILITY_ERRORS.INVALID_AVAILABILITY,
+        `${label} ${fromMinutes(start)}-${fromMinutes(end)} is too short for a ${slotMinutes} minute slot`
+      );
+    }
+    windows.push({ weekday, start, end });
+  }
+
+  windows.sort((a, b) => a.weekday - b.weekday || a.start - b.start);
+  for (let i = 1; i < windows.length; i++) {
+    const previous = windows[i - 1];
+    if (windows[i].weekday === previous.weekday && windows[i].start < previous.end) {
+      return invalid(
+        AVAILABILITY_ERRORS.INVALID_AVAILABILITY,
+        `Your ${WEEKDAY_LABELS[previous.weekday]} hours overlap`
+      );
+    }
+  }
+
+  return {
+    data: {
+      weekly_hours: windows.map((range) => ({
+        weekday: range.weekday,
+        start: fromMinutes(range.start),
+        end: fromMinutes(range.end)
+      })),
+      slot_minutes: slotMinutes,
+      buffer_minutes: bufferMinutes,
+      reschedule_notice_hours: rescheduleNoticeHours
+    },
+    error: null
+  };
+}
+
+/**
+ * Formats an advisor_availability row for API responses
+ *
+ * @param {object|null} availability - The row, or null for an advisor without one
+ * @returns {{weeklyHours: Array<object>, slotMinutes: number, bufferMinutes: number, rescheduleNoticeHours: number}}
+ *   camelCase fields
+ */
+export function formatAvailability(availability) {
+  const row = availability ?? DEFAULT_AVAILABILITY;
+
+  return {
+    weeklyHours: row.weekly_hours,
+    slotMinutes: row.slot_minutes,
+    bufferMinutes: row.buffer_minutes,
+    rescheduleNoticeHours: row.reschedule_notice_hours ?? DEFAULT_RESCHEDULE_NOTICE_HOURS
+  };
+}
+
+/**
+ * Converts the blackout form into advisor_blackouts columns
+ *
+ * @param {object} input - <code>{ startsOn, endsOn, reason }</code>; a blank end means one day
+ * @returns {{data: object|null, error: object|null}} Column values
+ */
+export function normalizeBlackout(input) {
+  const startsOn = input.startsOn;
+  const endsOn = input.endsOn || startsOn;
+
+  if (!DATE_PATTERN.test(startsOn ?? '') || !DATE_PATTERN.test(endsOn ?? '')) {
+    return invalid(AVAILABILITY_ERRORS.INVALID_BLACKOUT, 'Please choose the dates you are away');
+  }
+  if (endsOn < startsOn) {
+    return invalid(AVAILABILITY_ERRORS.INVALID_BLACKOUT, 'The last day cannot be before the first');
+  }
+
+  return {
+    data: {
+      starts_on: startsOn,
+      ends_on: endsOn,
+      reason: typeof input.reason === 'string' && input.reason.trim() ? input.reason.trim() : null
+    },
+    error: null
+  };
+}
+
+/**
+ * Formats an advisor_blackouts row for API responses
+ *
+ * @param {object} blackout - The row
+ * @returns {{id: string, startsOn: string, endsOn: string, reason: string|null}}
+ */
+export function formatBlackout(blackout) {
+  return {
+    id: blackout.id,
+    startsOn: blackout.starts_on,
+    endsOn: blackout.ends_on,
+    reason: blackout.reason ?? null
+  };
+}
+
+/**
+ * Whether a date falls in any blackout range
+ *
+ * @param {string} date - "yyyy-MM-dd"
+ * @param {Array<{startsOn: string, endsOn: string}>} blackouts - Formatted blackouts
+ * @returns {boolean}
+ */
+export function isBlackedOut(date, blackouts) {
+  return blackouts.some((blackout) => date >= blackout.startsOn && date <= blackout.endsOn);
+}
+
+/**
+ * Open slots on one day
+ *
+ * <p>A slot is open when it starts in the future and neither it nor its buffer
+ * overlaps a booked session, or that session's buffer.</p>
+ *
+ * @param {object} availability - Formatted availability
+ * @param {string} date - "yyyy-MM-dd"
+ * @param {Object} [options]
+ * @param {Array<{time: string, end_time: string}>} [options.booked] - Scheduled sessions that day
+ * @param {Array<object>} [options.blackouts] - Formatted blackouts
+ * @param {Date} [options.now] - Slots starting before this are left out
+ * @param {number} [options.durationMinutes] - Session length, the advisor's slot length by default
+ * @returns {Array<{time: string, endTime: string}>} Open slots in order
+ */
+export function getOpenSlots(
+  availability,
+  date,
+  { booked = [], blackouts = [], now = new Date(), durationMinutes = availability.slotMinutes } = {}
+) {
+  if (isBlackedOut(date, blackouts)) return [];
+
+  const { slotMinutes, bufferMinutes } = availability;
+  const [year, month, day] = date.split('-').map(Number);
+  const weekday = getWeekday(date);
+  const taken = booked.map((session) => ({
+    start: toMinutes(session.time),
+    end: toMinutes(session.end_time)
+  }));
+
+  const slots = [];
+  for (const range of availability.weeklyHours.filter((item) => item.weekday === weekday)) {
+    const windowEnd = toMinutes(range.end);
+
+    for (let start = toMinutes(range.start); start + durationMinutes <= windowEnd; start += slotMinutes + bufferMinutes) {
+      const end = start + durationMinutes;
+      const startsAt = new Date(year, month - 1, day, Math.floor(start / 60), start % 60);
+      const overlaps = taken.some((session) =>
+        start < session.end + bufferMinutes && session.start < end + bufferMinutes);
+
+      if (startsAt > now && !overlaps) {
+        slots.push({ time: fromMinutes(start), endTime: fromMinutes(end) });
+      }
+    }
+  }
+
+  return slots.sort((a, b) => a.time.localeCompare(b.time));
+}
+
+/**
+ * Whether a student can still reschedule a session themselves
+ *
+ * <p>Mirrors the notice check in reschedule_advising_session; staff are not
+ * limited.</p>
+ *
+ * @param {{date: string, time: string}} session - The sessions row
+ * @param {number} noticeHours - The advisor's reschedule notice
+ * @param {Date} [now] - Time to compare against
+ * @returns {boolean}
+ */
+export function canReschedule(session, noticeHours, now = new Date()) {
+  const [year, month, day] = session.date.split('-').map(Number);
+  const start = toMinutes(session.time);
+  const startsAt = new Date(year, month - 1, day, Math.floor(start / 60), start % 60);
+
+  return startsAt.getTime() - now.getTime() >= noticeHours * 60 * 60 * 1000;
+}
@@ -0,0 +1,315 @@
+import { format } from 'date-fns';
+import { AVAILABILITY_ERRORS, toMinutes } from '@/lib/sessions/availability';
+import { SESSION_TYPE_ERRORS, getSessionType, normalizeIntakeAnswers } from '@/lib/sessions/types';
+
+/**
+ * Booking, rescheduling, cancelling and completing one-on-one sessions
+ *
+ * <p>Sessions are created and moved only by the book_advising_session,
+ * reschedule_advising_session, cancel_advising_session,
+ * complete_advising_session and mark_session_no_show database functions. They
+ * check the caller's role, take the advisor's lock so the slot check cannot
+ * race, and notify the other party in the same transaction. The helpers here
+ * validate request input, call them and map their errors to the
+ * <code>{ data, error }</code> shape.</p>
+ *
+ * @module sessions/booking
+ */
+
+/**
+ * Values of sessions.status
+ */
+export const SESSION_STATUSES = {
+  SCHEDULED: 'scheduled',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+  NO_SHOW: 'no_show'
+};
+
+/**
+ * Error codes returned by the booking helpers, alongside the slot errors in
+ * AVAILABILITY_ERRORS
+ */
+export const SESSION_ERRORS = {
+  INVALID_SESSION: 'INVALID_SESSION',
+  FORBIDDEN: 'FORBIDDEN',
+  SESSION_NOT_FOUND: 'SESSION_NOT_FOUND',
+  SESSION_NOT_SCHEDULED: 'SESSION_NOT_SCHEDULED',
+  BOOKING_DISABLED: 'BOOKING_DISABLED',
+  RESCHEDULE_TOO_LATE: 'RESCHEDULE_TOO_LATE',
+  BOOKING_BLOCKED: 'BOOKING_BLOCKED',
+  SESSION_NOT_STARTED: 'SESSION_NOT_STARTED',
+  SESSION_FAILED: 'SESSION_FAILED'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const STUDENT_COLUMNS = 'id, fname, lname, email, student_id';
+const ADVISOR_COLUMNS = 'id, fname, lname, email';
+const SESSION_TYPE_COLUMNS = 'id, name, duration_minutes';
+
+// Postgres error codes raised by the session functions and check_session_slot
+const SESSION_DB_ERRORS = {
+  '42501': [SESSION_ERRORS.FORBIDDEN, 403],
+  'P0002': [SESSION_ERRORS.SESSION_NOT_FOUND, 404],
+  '22023': [SESSION_ERRORS.INVALID_SESSION, 400],
+  'CSS01': [AVAILABILITY_ERRORS.SLOT_CONFLICT, 409],
+  'CSS02': [AVAILABILITY_ERRORS.ADVISOR_AWAY, 409],
+  'CSS03': [AVAILABILITY_ERRORS.SLOT_UNAVAILABLE, 409],
+  'CSS04': [SESSION_ERRORS.BOOKING_DISABLED, 409],
+  'CSS05': [SESSION_ERRORS.SESSION_NOT_SCHEDULED, 409],
+  'CSS06': [SESSION_ERRORS.RESCHEDULE_TOO_LATE, 409],
+  'CSS07': [SESSION_TYPE_ERRORS.INVALID_SESSION_TYPE, 400],
+  'CSS08': [SESSION_ERRORS.BOOKING_BLOCKED, 403],
+  'CSS09': [SESSION_ERRORS.SESSION_NOT_STARTED, 409],
+  'CSS10': [SESSION_TYPE_ERRORS.INVALID_INTAKE, 400]
+};
+
+/**
+ * Wraps a service error in the { data, error } result shape
+ *
+ * @param {string} code - One of SESSION_ERRORS
+ * @param {string} message - User-facing message
+ * @param {number} status - HTTP status for routes to use
+ * @returns {{data: null, error: object}}
+ */
+function failure(code, message, status) {
+  return { data: null, error: { code, message, status } };
+}
+
+/**
+ * Converts a database function error into a session error
+ *
+ * @param {object} dbError - The PostgREST error
+ * @param {string} action - What failed, for the log and fallback message
+ * @returns {{data: null, error: {code: string, message: string, status: number}}}
+ */
+function toSessionError(dbError, action) {
+  const mapped = SESSION_DB_ERRORS[dbError.code];
+  if (mapped) return failure(mapped[0], dbError.message, mapped[1]);
+
+  console.error(`Advising session error (${action}):`, dbError);
+  return failure(SESSION_ERRORS.SESSION_FAILED, `Failed to ${action}`, 500);
+}
+
+/**
+ * Checks a requested date and start time
+ *
+ * @param {object} input - <code>{ date, time }</code>
+ * @returns {{data: null, error: object}|null} A failed result, or null if both are well formed
+ */
+function validateSlot(input) {
+  if (!DATE_PATTERN.test(input.date ?? '') || toMinutes(input.time) === null) {
+    return failure(SESSION_ERRORS.INVALID_SESSION, 'Please select a date and time', 400);
+  }
+  return null;
+}
+
+/**
+ * Splits sessions into upcoming (scheduled, today or later) and past
+ *
+ * @param {Array<object>} sessions - sessions rows ordered by date
+ * @param {Date} [now] - Time to compare against
+ * @returns {{upcomingSessions: Array<object>, pastSessions: Array<object>}}
+ */
+export function splitSessions(sessions, now = new Date()) {
+  const today = format(now, 'yyyy-MM-dd');
+  const isUpcoming = (session) => session.status === SESSION_STATUSES.SCHEDULED && session.date >= today;
+
+  return {
+    upcomingSessions: sessions.filter(isUpcoming),
+    pastSessions: sessions.filter((session) => !isUpcoming(session))
+  };
+}
+
+/**
+ * Sessions with the people involved
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {Object} [filter]
+ * @param {string} [filter.studentId] - Only this student's sessions
+ * @param {string} [filter.advisorId] - Only this advisor's sessions
+ * @returns {Promise<{data: {upcomingSessions: Array<object>, pastSessions: Array<object>}|null, error: object|null}>}
+ *   Session rows with <code>student</code>, <code>advisor</code> and <code>session_type</code> joined
+ */
+export async function listSessions(supabase, { studentId, advisorId } = {}) {
+  let query = supabase
+    .from('sessions')
+    .select(`
+      *,
+      student:student_id (${STUDENT_COLUMNS}),
+      advisor:advisor_id (${ADVISOR_COLUMNS}),
+      session_type:session_type_id (${SESSION_TYPE_COLUMNS})
+    `)
+    .order('date', { ascending: true })
+    .order('time', { ascending: true });
+
+  if (studentId) query = query.eq('student_id', studentId);
+  if (advisorId) query = query.eq('advisor_id', advisorId);
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('Error fetching advising sessions:', error);
+    return failure(SESSION_ERRORS.SESSION_FAILED, 'Failed to fetch sessions', 500);
+  }
+
+  return { data: splitSessions(data), error: null };
+}
+
+/**
+ * Books a session
+ *
+ * <p>Students book for themselves and must pick an open slot with an advisor
+ * who is taking bookings. Staff book a student in, with themselves unless
+ * another advisor is given. Students who reached the semester's no-show limit
+ * are refused (see sessions/no-shows). With a session type, the session lasts
+ * the type's duration and the intake answers are checked against its
+ * questions; without one it lasts the advisor's slot length.</p>
+ *
+ * @param {object} supabase - Supabase server client for the caller
+ * @param {object} input - <code>{ advisorId, studentId, date, time, location,
+ *   sessionTypeId, intakeAnswers }</code>, with answers keyed by question ID
+ * @returns {Promise<{data: object|null, error: object|null}>} The new sessions row
+ */
+export async function bookSession(supabase, input) {
+  const invalidSlot = validateSlot(input);
+  if (invalidSlot) return invalidSlot;
+
+  let intakeAnswers = [];
+  if (input.sessionTypeId) {
+    const { data: sessionType, error: typeError } = await getSessionType(supabase, input.sessionTypeId);
+    if (typeError) return { data: null, error: typeError };
+
+    const { data: answers, error: intakeError } = normalizeIntakeAnswers(sessionType, input.intakeAnswers);
+    if (intakeError) return { data: null, error: intakeError };
+    intakeAnswers = answers;
+  }
+
+  const { data, error } = await supabase.rpc('book_advising_session', {
+    p_advisor_id: input.advisorId || null,
+    p_student_id: input.studentId || null,
+    p_date: input.date,
+    p_time: input.time,
+    p_location: typeof input.location === 'string' ? input.location.trim() : null,
+    p_session_type_id: input.sessionTypeId || null,
+    p_intake_answers: intakeAnswers
+  });
+
+  if (error) return toSessionError(error, 'book this session');
+  return { data, error: null };
+}
+
+/**
+ * Moves a scheduled session to another slot, optionally with another advisor
+ *
+ * <p>The session keeps its ID, notes and calendar entry, and the move is
+ * appended to its reschedule_history. Students must do this at least the
+ * advisor's reschedule notice before the session starts.</p>
+ *
+ * @param {object} supabase - Supabase server client for the session's student or staff
+ * @param {string} sessionId - The sessions ID
+ * @param {object} input - <code>{ date, time, advisorId }</code>
+ * @returns {Promise<{data: object|null, error: object|null}>} The updated sessions row
+ */
+export async function rescheduleSession(supabase, sessionId, input) {
+  const invalidSlot = validateSlot(input);
+  if (invalidSlot) return invalidSlot;
+
+  const { data, error } = await supabase.rpc('reschedule_advising_session', {
+    p_session_id: sessionId,
+    p_date: input.date,
+    p_time: input.time,
+    p_advisor_id: input.advisorId || null
+  });
+
+  if (error) return toSessionError(error, 'reschedule this session');
+  return { data, error: null };
+}
+
+/**
+ * Cancels a scheduled session and notifies the other party
+ *
+ * @param {object} supabase - Supabase server client for the session's student or staff
+ * @param {string} sessionId - The sessions ID
+ * @param {string} reason - Why the session is cancelled
+ * @returns {Promise<{data: object|null, error: object|null}>} The updated sessions row
+ */
+export async function cancelSession(supabase, sessionId, reason) {
+  if (typeof reason !== 'string' || !reason.trim()) {
+    return failure(SESSION_ERRORS.INVALID_SESSION, 'Please give a reason for cancelling', 400);
+  }
+
+  const { data, error } = await supabase.rpc('cancel_advising_session', {
+    p_session_id: sessionId,
+    p_reason: reason.trim()
+  });
+
+  if (error) return toSessionError(error, 'cancel this session');
+  return { data, error: null };
+}
+
+/**
+ * Marks a scheduled session as completed and notifies the student
+ *
+ * @param {object} supabase - Supabase server client for a staff user
+ * @param {string} sessionId - The sessions ID
+ * @param {string} [notes] - Advisor notes; omitted keeps the existing notes
+ * @returns {Promise<{data: object|null, error: object|null}>} The updated sessions row
+ */
+export async function completeSession(supabase, sessionId, notes) {
+  const { data, error } = await supabase.rpc('complete_advising_session', {
+    p_session_id: sessionId,
+    p_notes: typeof notes === 'string' ? notes : null
+  });
+
+  if (error) return toSessionError(error, 'complete this session');
+  return { data, error: null };
+}
+
+/**
+ * Marks a session the student missed as a no-show and notifies them
+ *
+ * <p>Only once the session has started. No-shows count towards the
+ * semester's limit in sessions/no-shows.</p>
+ *
+ * @param {object} supabase - Supabase server client for a staff user
+ * @param {string} sessionId - The sessions ID
+ * @returns {Promise<{data: object|null, error: object|null}>} The updated sessions row
+ */
+export async function markNoShow(supabase, sessionId) {
+  const { data, error } = await supabase.rpc('mark_session_no_show', { p_session_id: sessionId });
+
+  if (error) return toSessionError(error, 'mark this session as a no-show');
+  return { data, error: null };
+}
+
+/**
+ * Saves the advisor's notes on a session
+ *
+ * @param {object} supabase - Supabase server client for a staff user
+ * @param {string} sessionId - The sessions ID
+ * @param {string} notes - The notes, replacing any existing ones
+ * @returns {Promise<{data: object|null, error: object|null}>} The updated sessions row
+ */
+export async function updateSessionNotes(supabase, sessionId, notes) {
+  if (typeof notes !== 'string') {
+    return failure(SESSION_ERRORS.INVALID_SESSION, 'Notes must be text', 400);
+  }
+
+  const { data, error } = await supabase
+    .from('sessions')
+    .update({ notes })
+    .eq('id', sessionId)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error updating session notes:', error);
+    return failure(SESSION_ERRORS.SESSION_FAILED, 'Failed to save notes', 500);
+  }
+
+  if (!data) return failure(SESSION_ERRORS.SESSION_NOT_FOUND, 'Session not found', 404);
+
+  return { data, error: null };
+}
@@ -0,0 +1,216 @@
+import { format } from 'date-fns';
+
+/**
+ * No-show limits and booking blocks
+ *
+ * <p>Advisors mark sessions a student missed as no-shows. Once a student
+ * reaches the no-show limit in the current semester, book_advising_session and
+ * reschedule_advising_session refuse them until the semester ends or an
+ * advisor lifts the block. Lifting it forgives the no-shows so far, so the
+ * student is blocked again only after another full limit's worth. A limit of 0
+ * never blocks.</p>
+ *
+ * <p>Semesters start on 1 January, 1 June and 1 August, as in the
+ * semester_start database function.</p>
+ *
+ * @module sessions/no-shows
+ */
+
+/**
+ * Error codes returned by the no-show helpers
+ */
+export const NO_SHOW_ERRORS = {
+  INVALID_NO_SHOW_LIMIT: 'INVALID_NO_SHOW_LIMIT',
+  FORBIDDEN: 'FORBIDDEN',
+  NO_SHOWS_FAILED: 'NO_SHOWS_FAILED'
+};
+
+export const DEFAULT_NO_SHOW_LIMIT = 3;
+export const MAX_NO_SHOW_LIMIT = 20;
+
+// Months (0-based) that semesters start in, latest first
+const SEMESTER_START_MONTHS = [7, 5, 0];
+
+/**
+ * Wraps a service error in the { data, error } result shape
+ *
+ * @param {string} code - One of NO_SHOW_ERRORS
+ * @param {string} message - User-facing message
+ * @param {number} status - HTTP status for routes to use
+ * @returns {{data: null, error: object}}
+ */
+function failure(code, message, status) {
+  return { data: null, error: { code, message, status } };
+}
+
+/**
+ * First day of the semester a date falls in
+ *
+ * @param {Date} [date] - Day to look up
+ * @returns {string} <code>yyyy-MM-dd</code>
+ */
+export function getSemesterStart(date = new Date()) {
+  const month = SEMESTER_START_MONTHS.find((start) => date.getMonth() >= start);
+  return format(new Date(date.getFullYear(), month, 1), 'yyyy-MM-dd');
+}
+
+/**
+ * Formats a student_no_show_standing row for API responses
+ *
+ * @param {object} row - <code>{ no_shows, forgiven, no_show_limit, blocked }</code>
+ * @returns {{noShows: number, forgiven: number, limit: number, blocked: boolean}}
+ */
+function formatStanding(row) {
+  return {
+    noShows: row.no_shows,
+    forgiven: row.forgiven,
+    limit: row.no_show_limit,
+    blocked: row.blocked
+  };
+}
+
+/**
+ * The configured no-show limit
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @returns {Promise<{data: number|null, error: object|null}>} The limit
+ */
+export async function getNoShowLimit(supabase) {
+  const { data, error } = await supabase
+    .from('session_policies')
+    .select('no_show_limit')
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching no-show limit:', error);
+    return failure(NO_SHOW_ERRORS.NO_SHOWS_FAILED, 'Failed to fetch the no-show limit', 500);
+  }
+
+  return { data: data?.no_show_limit ?? DEFAULT_NO_SHOW_LIMIT, error: null };
+}
+
+/**
+ * Changes the no-show limit for all students
+ *
+ * @param {object} supabase - Supabase server client for a staff user
+ * @param {number|string} limit - No-shows per semester before booking is blocked; 0 never blocks
+ * @returns {Promise<{data: number|null, error: object|null}>} The saved limit
+ */
+export async function updateNoShowLimit(supabase, limit) {
+  const value = Number(limit);
+  if (!Number.isInteger(value) || value < 0 || value > MAX_NO_SHOW_LIMIT) {
+    return failure(
+      NO_SHOW_ERRORS.INVALID_NO_SHOW_LIMIT,
+      `The no-show limit must be a whole number from 0 to ${MAX_NO_SHOW_LIMIT}`,
+      400
+    );
+  }
+
+  const { data, error } = await supabase
+    .from('session_policies')
+    .update({ no_show_limit: value, updated_at: new Date().toISOString() })
+    .eq('id', true)
+    .select('no_show_limit')
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error updating no-show limit:', error);
+    return failure(NO_SHOW_ERRORS.NO_SHOWS_FAILED, 'Failed to save the no-show limit', 500);
+  }
+
+  return { data: data.no_show_limit, error: null };
+}
+
+/**
+ * A student's no-shows this semester and whether they can book
+ *
+ * @param {object} supabase - Supabase server client for the student or staff
+ * @param {string} studentId - The student's public.users ID
+ * @returns {Promise<{data: {noShows: number, forgiven: number, limit: number, blocked: boolean}|null,
+ *   error: object|null}>}
+ */
+export async function getNoShowStanding(supabase, studentId) {
+  const { data, error } = await supabase
+    .rpc('student_no_show_standing', { p_student_id: studentId })
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching no-show standing:', error);
+    return failure(NO_SHOW_ERRORS.NO_SHOWS_FAILED, 'Failed to fetch no-shows', 500);
+  }
+
+  if (!data) return failure(NO_SHOW_ERRORS.FORBIDDEN, 'You cannot view this student\'s no-shows', 403);
+
+  return { data: formatStanding(data), error: null };
+}
+
+/**
+ * Students with no-shows this semester, blocked ones first
+ *
+ * @param {object} supabase - Supabase server client for a staff user
+ * @returns {Promise<{data: {limit: number, semesterStart: string, students: Array<object>}|null,
+ *   error: object|null}>} Each student with <code>noShows</code>, <code>forgiven</code> and
+ *   <code>blocked</code>
+ */
+export async function listNoShowStudents(supabase) {
+  const semesterStart = getSemesterStart();
+
+  const { data: limit, error: limitError } = await getNoShowLimit(supabase);
+  if (limitError) return { data: null, error: limitError };
+
+  const [{ data: sessions, error: sessionsError }, { data: overrides, error: overridesError }] = await Promise.all([
+    supabase
+      .from('sessions')
+      .select('student:student_id (id, fname, lname, email, student_id)')
+      .eq('status', 'no_show')
+      .gte('date', semesterStart),
+    supabase
+      .from('no_show_overrides')
+      .select('student_id, forgiven_count')
+      .eq('semester_start', semesterStart)
+  ]);
+
+  if (sessionsError || overridesError) {
+    console.error('Error fetching no-shows:', sessionsError || overridesError);
+    return failure(NO_SHOW_ERRORS.NO_SHOWS_FAILED, 'Failed to fetch no-shows', 500);
+  }
+
+  const forgivenById = new Map(overrides.map((override) => [override.student_id, override.forgiven_count]));
+  const byStudent = new Map();
+
+  for (const { student } of sessions) {
+    if (!student) continue;
+    const entry = byStudent.get(student.id) ?? { ...student, noShows: 0 };
+    entry.noShows += 1;
+    byStudent.set(student.id, entry);
+  }
+
+  const students = [...byStudent.values()]
+    .map((student) => {
+      const forgiven = forgivenById.get(student.id) ?? 0;
+      return { ...student, forgiven, blocked: limit > 0 && student.noShows - forgiven >= limit };
+    })
+    .sort((a, b) => Number(b.blocked) - Number(a.blocked) || b.noShows - a.noShows);
+
+  return { data: { limit, semesterStart, students }, error: null };
+}
+
+/**
+ * Lets a blocked student book again for the rest of the semester
+ *
+ * @param {object} supabase - Supabase server client for a staff user
+ * @param {string} studentId - The student's public.users ID
+ * @returns {Promise<{data: object|null, error: object|null}>} The no_show_overrides row
+ */
+export async function liftBookingBlock(supabase, studentId) {
+  const { data, error } = await supabase.rpc('override_no_show_block', { p_student_id: studentId });
+
+  if (error) {
+    if (error.code === '42501') return failure(NO_SHOW_ERRORS.FORBIDDEN, error.message, 403);
+
+    console.error('Error lifting booking block:', error);
+    return failure(NO_SHOW_ERRORS.NO_SHOWS_FAILED, 'Failed to lift the booking block', 500);
+  }
+
+  return { data, error: null };
+}
@@ -0,0 +1,130 @@
+import crypto from 'crypto';
+import { format } from 'date-fns';
+import { sendEmail } from '@/lib/email';
+
+/**
+ * Reminders before booked advising sessions
+ *
+ * <p>The cron route calls {@link sendSessionReminders} every
+ * {@link REMINDER_INTERVAL_MINUTES} minutes. For each reminder,
+ * claim_session_reminders marks the sessions starting within its offset as
+ * reminded and adds in-app notifications in one statement, so a session is
+ * reminded once per offset even if runs overlap. The student and advisor are
+ * then emailed; a failed email is logged and not retried. Rescheduling a
+ * session clears its reminders.</p>
+ *
+ * @module sessions/reminders
+ */
+
+/**
+ * Error codes returned by the reminder helpers
+ */
+export const REMINDER_ERRORS = {
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  REMINDERS_FAILED: 'REMINDERS_FAILED'
+};
+
+// Matches the schedule in vercel.json
+export const REMINDER_INTERVAL_MINUTES = 15;
+
+/**
+ * Reminders sent before each session, furthest first. Each covers sessions
+ * starting within <code>within</code> but after <code>skip</code>, which the
+ * next reminder covers, so a session booked late gets only one of them.
+ */
+export const SESSION_REMINDERS = [
+  { kind: '24h', within: '24 hours', skip: '1 hour' },
+  { kind: '1h', within: '1 hour', skip: '0 hours' }
+];
+
+/**
+ * Checks the cron secret Vercel sends as a bearer token
+ *
+ * @param {Request} request - The incoming request
+ * @returns {{data: null, error: object|null}} An error if the secret is missing or wrong
+ */
+export function verifyCronRequest(request) {
+  const secret = process.env.CRON_SECRET;
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const given = Buffer.from(request.headers.get('authorization') ?? '');
+
+  if (!secret || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { data: null, error: { code: REMINDER_ERRORS.UNAUTHORIZED, message: 'Unauthorized', status: 401 } };
+  }
+
+  return { data: null, error: null };
+}
+
+/**
+ * Builds the reminder email for one person at a session
+ *
+ * @param {object} session - A claim_session_reminders row
+ * @param {string} name - The recipient's first name
+ * @param {string} withWhom - Who they are meeting
+ * @returns {{subject: string, text: string}}
+ */
+function buildReminderEmail(session, name, withWhom) {
+  const startsAt = new Date(`${session.date}T${session.time}`);
+  const what = session.session_type ? `${session.session_type} session` : 'career advising session';
+  const when = `${format(startsAt, 'EEEE, MMMM d')} at ${format(startsAt, 'h:mm a')}`;
+
+  return {
+    subject: `Reminder: ${what} on ${when}`,
+    text: [
+      `Hi ${name},`,
+      '',
+      `This is a reminder of your ${what} with ${withWhom} on ${when}.`,
+      `Location: ${session.location}`,
+      '',
+      'If you can no longer make it, please cancel or reschedule from your dashboard.',
+      '',
+      'Ashesi Career Services'
+    ].join('\n')
+  };
+}
+
+/**
+ * Sends every reminder that is due
+ *
+ * @param {object} supabase - Service-role client from createServiceClient
+ * @returns {Promise<{data: {reminded: number, emailed: number}|null, error: object|null}>}
+ *   Sessions reminded and emails sent in this run
+ */
+export async function sendSessionReminders(supabase) {
+  let reminded = 0;
+  let emailed = 0;
+
+  for (const reminder of SESSION_REMINDERS) {
+    const { data: sessions, error } = await supabase.rpc('claim_session_reminders', {
+      p_kind: reminder.kind,
+      p_within: reminder.within,
+      p_skip: reminder.skip
+    });
+
+    if (error) {
+      console.error(`Error claiming ${reminder.kind} session reminders:`, error);
+      return { data: null, error: { code: REMINDER_ERRORS.REMINDERS_FAILED, message: 'Failed to send reminders', status: 500 } };
+    }
+
+    reminded += sessions.length;
+
+    for (const session of sessions) {
+      const emails = [
+        { to: session.student_email, ...buildReminderEmail(session, session.student_name, session.advisor_name) },
+        { to: session.advisor_email, ...buildReminderEmail(session, session.advisor_name, session.student_name) }
+      ];
+
+      for (const email of emails) {
+        if (!email.to) continue;
+        try {
+          const { data: result } = await sendEmail(email);
+          if (result?.sent) emailed += 1;
+        } catch (emailError) {
+          console.error('Error emailing session reminder:', emailError);
+        }
+      }
+    }
+  }
+
+  return { data: { reminded, emailed }, error: null };
+}
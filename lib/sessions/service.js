@@ -0,0 +1,210 @@
+import { format, addDays } from 'date-fns';
+import {
+  AVAILABILITY_ERRORS,
+  BOOKING_HORIZON_DAYS,
+  formatAvailability,
+  formatBlackout,
+  getOpenSlots,
+  normalizeAvailability,
+  normalizeBlackout
+} from '@/lib/sessions/availability';
+import { getSessionType } from '@/lib/sessions/types';
+
+/**
+ * Loading and saving advisor availability, and listing open slots
+ *
+ * @module sessions/service
+ */
+
+const AVAILABILITY_COLUMNS =
+  'advisor_id, weekly_hours, slot_minutes, buffer_minutes, reschedule_notice_hours, updated_at';
+const BLACKOUT_COLUMNS = 'id, starts_on, ends_on, reason';
+
+/**
+ * Wraps a service error in the { data, error } result shape
+ *
+ * @param {string} code - One of AVAILABILITY_ERRORS
+ * @param {string} message - User-facing message
+ * @param {number} status - HTTP status for routes to use
+ * @returns {{data: null, error: object}}
+ */
+function failure(code, message, status) {
+  return { data: null, error: { code, message, status } };
+}
+
+/**
+ * An advisor's weekly hours, slot settings and upcoming blackouts
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {string} advisorId - The advisor's public.users ID
+ * @returns {Promise<{data: {availability: object, blackouts: Array<object>}|null, error: object|null}>}
+ *   Formatted availability, the defaults if the advisor has not published any
+ */
+export async function getAdvisorAvailability(supabase, advisorId) {
+  const today = format(new Date(), 'yyyy-MM-dd');
+
+  const [availability, blackouts] = await Promise.all([
+    supabase
+      .from('advisor_availability')
+      .select(AVAILABILITY_COLUMNS)
+      .eq('advisor_id', advisorId)
+      .maybeSingle(),
+    supabase
+      .from('advisor_blackouts')
+      .select(BLACKOUT_COLUMNS)
+      .eq('advisor_id', advisorId)
+      .gte('ends_on', today)
+      .order('starts_on', { ascending: true })
+  ]);
+
+  const failed = availability.error || blackouts.error;
+  if (failed) {
+    console.error('Error fetching advisor availability:', failed);
+    return failure(AVAILABILITY_ERRORS.AVAILABILITY_FAILED, 'Failed to fetch availability', 500);
+  }
+
+  return {
+    data: {
+      availability: formatAvailability(availability.data),
+      blackouts: blackouts.data.map(formatBlackout)
+    },
+    error: null
+  };
+}
+
+/**
+ * Publishes an advisor's weekly hours, slot length and buffer
+ *
+ * <p>Sessions already booked are kept even if they no longer fit.</p>
+ *
+ * @param {object} supabase - Supabase server client for the advisor
+ * @param {string} advisorId - The advisor's public.users ID
+ * @param {object} input - <code>{ weeklyHours, slotMinutes, bufferMinutes, rescheduleNoticeHours }</code>
+ * @returns {Promise<{data: object|null, error: object|null}>} The formatted availability
+ */
+export async function saveAdvisorAvailability(supabase, advisorId, input) {
+  const { data: columns, error: validationError } = normalizeAvailability(input);
+  if (validationError) return { data: null, error: validationError };
+
+  const { data, error } = await supabase
+    .from('advisor_availability')
+    .upsert({ advisor_id: advisorId, ...columns, updated_at: new Date().toISOString() })
+    .select(AVAILABILITY_COLUMNS)
+    .single();
+
+  if (error) {
+    console.error('Error saving advisor availability:', error);
+    return failure(AVAILABILITY_ERRORS.AVAILABILITY_FAILED, 'Failed to save availability', 500);
+  }
+
+  return { data: formatAvailability(data), error: null };
+}
+
+/**
+ * Adds a date range when the advisor cannot be booked
+ *
+ * @param {object} supabase - Supabase server client for the advisor
+ * @param {string} advisorId - The advisor's public.users ID
+ * @param {object} input - <code>{ startsOn, endsOn, reason }</code>
+ * @returns {Promise<{data: object|null, error: object|null}>} The formatted blackout
+ */
+export async function addBlackout(supabase, advisorId, input) {
+  const { data: columns, error: validationError } = normalizeBlackout(input);
+  if (validationError) return { data: null, error: validationError };
+
+  const { data, error } = await supabase
+    .from('advisor_blackouts')
+    .insert({ advisor_id: advisorId, ...columns })
+    .select(BLACKOUT_COLUMNS)
+    .single();
+
+  if (error) {
+    console.error('Error adding blackout:', error);
+    return failure(AVAILABILITY_ERRORS.AVAILABILITY_FAILED, 'Failed to add blackout dates', 500);
+  }
+
+  return { data: formatBlackout(data), error: null };
+}
+
+/**
+ * Removes one of the advisor's blackouts
+ *
+ * @param {object} supabase - Supabase server client for the advisor
+ * @param {string} advisorId - The advisor's public.users ID
+ * @param {string} blackoutId - The advisor_blackouts ID
+ * @returns {Promise<{data: {id: string}|null, error: object|null}>}
+ */
+export async function deleteBlackout(supabase, advisorId, blackoutId) {
+  const { data, error } = await supabase
+    .from('advisor_blackouts')
+    .delete()
+    .eq('id', blackoutId)
+    .eq('advisor_id', advisorId)
+    .select('id');
+
+  if (error) {
+    console.error('Error deleting blackout:', error);
+    return failure(AVAILABILITY_ERRORS.AVAILABILITY_FAILED, 'Failed to remove blackout dates', 500);
+  }
+
+  if (data.length === 0) {
+    return failure(AVAILABILITY_ERRORS.INVALID_BLACKOUT, 'Blackout not found', 404);
+  }
+
+  return { data: { id: blackoutId }, error: null };
+}
+
+/**
+ * What students need to pick a slot with an advisor
+ *
+ * <p>Always returns the days the advisor works and their blackouts, so the
+ * date picker can grey out the rest. With a date, also returns that day's open
+ * slots, long enough for the session type if one is given.</p>
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {string} advisorId - The advisor's public.users ID
+ * @param {string} [date] - "yyyy-MM-dd"
+ * @param {string} [sessionTypeId] - The session_types ID being booked
+ * @returns {Promise<{data: object|null, error: object|null}>}
+ *   <code>{ weekdays, blackouts, slotMinutes, rescheduleNoticeHours, horizonDays, slots }</code>
+ */
+export async function getAdvisorSlots(supabase, advisorId, date, sessionTypeId) {
+  const { data: schedule, error: scheduleError } = await getAdvisorAvailability(supabase, advisorId);
+  if (scheduleError) return { data: null, error: scheduleError };
+
+  const { availability, blackouts } = schedule;
+  const result = {
+    weekdays: [...new Set(availability.weeklyHours.map((range) => range.weekday))].sort((a, b) => a - b),
+    blackouts: blackouts.map(({ startsOn, endsOn }) => ({ startsOn, endsOn })),
+    slotMinutes: availability.slotMinutes,
+    rescheduleNoticeHours: availability.rescheduleNoticeHours,
+    horizonDays: BOOKING_HORIZON_DAYS,
+    slots: []
+  };
+
+  if (!date) return { data: result, error: null };
+
+  const lastDay = format(addDays(new Date(), BOOKING_HORIZON_DAYS), 'yyyy-MM-dd');
+  if (date > lastDay) return { data: result, error: null };
+
+  const { data: booked, error: bookedError } = await supabase.rpc('advisor_booked_times', {
+    p_advisor_id: advisorId,
+    p_from: date,
+    p_to: date
+  });
+
+  if (bookedError) {
+    console.error('Error fetching booked times:', bookedError);
+    return failure(AVAILABILITY_ERRORS.AVAILABILITY_FAILED, 'Failed to fetch open slots', 500);
+  }
+
+  let durationMinutes = availability.slotMinutes;
+  if (sessionTypeId) {
+    const { data: sessionType, error: typeError } = await getSessionType(supabase, sessionTypeId);
+    if (typeError) return { data: null, error: typeError };
+    durationMinutes = sessionType.durationMinutes;
+  }
+
+  result.slots = getOpenSlots(availability, date, { booked, blackouts, durationMinutes });
+  return { data: result, error: null };
+}
@@ -0,0 +1,271 @@
+import { SLOT_LENGTHS } from '@/lib/sessions/availability';
+
+/**
+ * Session types for one-on-one advising
+ *
+ * <p>A session type sets how long a session lasts, where it can be held and
+ * the intake questions students answer when they book it. Students' answers
+ * are stored on the session with a copy of each prompt, so later edits to a
+ * type never change what was asked. Types no longer offered are deactivated
+ * rather than deleted, so past sessions keep their type.</p>
+ *
+ * @module sessions/types
+ */
+
+/**
+ * Error codes for session type and intake problems
+ */
+export const SESSION_TYPE_ERRORS = {
+  INVALID_SESSION_TYPE: 'INVALID_SESSION_TYPE',
+  SESSION_TYPE_NOT_FOUND: 'SESSION_TYPE_NOT_FOUND',
+  INVALID_INTAKE: 'INVALID_INTAKE',
+  SESSION_TYPE_FAILED: 'SESSION_TYPE_FAILED'
+};
+
+export const MAX_SESSION_TYPE_NAME_LENGTH = 100;
+export const MAX_INTAKE_QUESTIONS = 10;
+export const MAX_INTAKE_ANSWER_LENGTH = 2000;
+
+// PostgREST "no rows returned" code
+const NOT_FOUND_CODE = 'PGRST116';
+
+const SESSION_TYPE_COLUMNS =
+  'id, name, description, duration_minutes, location_options, intake_questions, is_active, updated_at';
+
+/**
+ * Wraps a service error in the { data, error } result shape
+ *
+ * @param {string} code - One of SESSION_TYPE_ERRORS
+ * @param {string} message - User-facing message
+ * @param {number} status - HTTP status for routes to use
+ * @returns {{data: null, error: object}}
+ */
+function failure(code, message, status) {
+  return { data: null, error: { code, message, status } };
+}
+
+/**
+ * Converts the session type form into session_types columns
+ *
+ * <p>Questions keep their IDs across edits; new ones get a fresh ID.</p>
+ *
+ * @param {object} input - <code>{ name, description, durationMinutes, locationOptions,
+ *   intakeQuestions, isActive }</code>
+ * @returns {{data: object|null, error: object|null}} Column values
+ */
+export function normalizeSessionType(input) {
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  const durationMinutes = Number.parseInt(input.durationMinutes, 10);
+
+  if (!name) {
+    return failure(SESSION_TYPE_ERRORS.INVALID_SESSION_TYPE, 'Please give the session type a name', 400);
+  }
+  if (name.length > MAX_SESSION_TYPE_NAME_LENGTH) {
+    return failure(
+      SESSION_TYPE_ERRORS.INVALID_SESSION_TYPE,
+      `Session type names can be at most ${MAX_SESSION_TYPE_NAME_LENGTH} characters`,
+      400
+    );
+  }
+  if (!SLOT_LENGTHS.includes(durationMinutes)) {
+    return failure(
+      SESSION_TYPE_ERRORS.INVALID_SESSION_TYPE,
+      `Sessions must be ${SLOT_LENGTHS.join(', ')} minutes long`,
+      400
+    );
+  }
+
+  const locations = (Array.isArray(input.locationOptions) ? input.locationOptions : [])
+    .map((location) => (typeof location === 'string' ? location.trim() : ''))
+    .filter(Boolean);
+
+  const questions = (Array.isArray(input.intakeQuestions) ? input.intakeQuestions : [])
+    .filter((question) => typeof question?.prompt === 'string' && question.prompt.trim());
+
+  if (questions.length > MAX_INTAKE_QUESTIONS) {
+    return failure(
+      SESSION_TYPE_ERRORS.INVALID_SESSION_TYPE,
+      `A session type can have at most ${MAX_INTAKE_QUESTIONS} intake questions`,
+      400
+    );
+  }
+
+  return {
+    data: {
+      name,
+      description: typeof input.description === 'string' && input.description.trim()
+        ? input.description.trim()
+        : null,
+      duration_minutes: durationMinutes,
+      location_options: [...new Set(locations)],
+      intake_questions: questions.map((question) => ({
+        id: question.id || crypto.randomUUID(),
+        prompt: question.prompt.trim(),
+        required: question.required === true
+      })),
+      is_active: input.isActive !== false
+    },
+    error: null
+  };
+}
+
+/**
+ * Formats a session_types row for API responses
+ *
+ * @param {object} sessionType - The row
+ * @returns {{id: string, name: string, description: string|null, durationMinutes: number,
+ *   locationOptions: Array<string>, intakeQuestions: Array<object>, isActive: boolean}} camelCase fields
+ */
+export function formatSessionType(sessionType) {
+  return {
+    id: sessionType.id,
+    name: sessionType.name,
+    description: sessionType.description ?? null,
+    durationMinutes: sessionType.duration_minutes,
+    locationOptions: sessionType.location_options ?? [],
+    intakeQuestions: sessionType.intake_questions ?? [],
+    isActive: sessionType.is_active
+  };
+}
+
+/**
+ * Checks a student's intake answers against a session type's questions
+ *
+ * @param {object} sessionType - Formatted session type
+ * @param {Object<string, string>} answers - Answers by question ID
+ * @returns {{data: Array<{question_id: string, prompt: string, answer: string}>|null, error: object|null}}
+ *   Answers to store on the session, in question order; unanswered optional questions are left out
+ */
+export function normalizeIntakeAnswers(sessionType, answers) {
+  const given = answers && typeof answers === 'object' ? answers : {};
+  const result = [];
+
+  for (const question of sessionType.intakeQuestions) {
+    const answer = typeof given[question.id] === 'string' ? given[question.id].trim() : '';
+
+    if (!answer) {
+      if (question.required) {
+        return failure(SESSION_TYPE_ERRORS.INVALID_INTAKE, `Please answer "${question.prompt}"`, 400);
+      }
+      continue;
+    }
+    if (answer.length > MAX_INTAKE_ANSWER_LENGTH) {
+      return failure(
+        SESSION_TYPE_ERRORS.INVALID_INTAKE,
+        `Answers can be at most ${MAX_INTAKE_ANSWER_LENGTH} characters`,
+        400
+      );
+    }
+
+    result.push({ question_id: question.id, prompt: question.prompt, answer });
+  }
+
+  return { data: result, error: null };
+}
+
+/**
+ * Session types, by name
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {Object} [options]
+ * @param {boolean} [options.activeOnly] - Leave out types no longer offered
+ * @returns {Promise<{data: Array<object>|null, error: object|null}>} Formatted session types
+ */
+export async function listSessionTypes(supabase, { activeOnly = false } = {}) {
+  let query = supabase
+    .from('session_types')
+    .select(SESSION_TYPE_COLUMNS)
+    .order('name', { ascending: true });
+
+  if (activeOnly) query = query.eq('is_active', true);
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('Error fetching session types:', error);
+    return failure(SESSION_TYPE_ERRORS.SESSION_TYPE_FAILED, 'Failed to fetch session types', 500);
+  }
+
+  return { data: data.map(formatSessionType), error: null };
+}
+
+/**
+ * One session type
+ *
+ * @param {object} supabase - Supabase server client instance
+ * @param {string} sessionTypeId - The session_types ID
+ * @returns {Promise<{data: object|null, error: object|null}>} The formatted session type
+ */
+export async function getSessionType(supabase, sessionTypeId) {
+  const { data, error } = await supabase
+    .from('session_types')
+    .select(SESSION_TYPE_COLUMNS)
+    .eq('id', sessionTypeId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching session type:', error);
+    return failure(SESSION_TYPE_ERRORS.SESSION_TYPE_FAILED, 'Failed to fetch session type', 500);
+  }
+
+  if (!data) return failure(SESSION_TYPE_ERRORS.SESSION_TYPE_NOT_FOUND, 'Session type not found', 404);
+
+  return { data: formatSessionType(data), error: null };
+}
+
+/**
+ * Adds a session type
+ *
+ * @param {object} supabase - Supabase server client for a staff user
+ * @param {object} input - Session type form fields
+ * @param {string} userId - The staff member's public.users ID
+ * @returns {Promise<{data: object|null, error: object|null}>} The formatted session type
+ */
+export async function createSessionType(supabase, input, userId) {
+  const { data: columns, error: validationError } = normalizeSessionType(input);
+  if (validationError) return { data: null, error: validationError };
+
+  const { data, error } = await supabase
+    .from('session_types')
+    .insert({ ...columns, created_by: userId })
+    .select(SESSION_TYPE_COLUMNS)
+    .single();
+
+  if (error) {
+    console.error('Error creating session type:', error);
+    return failure(SESSION_TYPE_ERRORS.SESSION_TYPE_FAILED, 'Failed to save session type', 500);
+  }
+
+  return { data: formatSessionType(data), error: null };
+}
+
+/**
+ * Replaces a session type's details. Sessions already booked keep their
+ * length and answers.
+ *
+ * @param {object} supabase - Supabase server client for a staff user
+ * @param {string} sessionTypeId - The session_types ID
+ * @param {object} input - Session type form fields
+ * @returns {Promise<{data: object|null, error: object|null}>} The formatted session type
+ */
+export async function updateSessionType(supabase, sessionTypeId, input) {
+  const { data: columns, error: validationError } = normalizeSessionType(input);
+  if (validationError) return { data: null, error: validationError };
+
+  const { data, error } = await supabase
+    .from('session_types')
+    .update({ ...columns, updated_at: new Date().toISOString() })
+    .eq('id', sessionTypeId)
+    .select(SESSION_TYPE_COLUMNS)
+    .single();
+
+  if (error) {
+    if (error.code === NOT_FOUND_CODE) {
+      return failure(SESSION_TYPE_ERRORS.SESSION_TYPE_NOT_FOUND, 'Session type not found', 404);
+    }
+    console.error('Error updating session type:', error);
+    return failure(SESSION_TYPE_ERRORS.SESSION_TYPE_FAILED, 'Failed to update session type', 500);
+  }
+
+  return { data: formatSessionType(data), error: null };
+}
@@ -0,0 +1,23 @@
+/**
+ * Signing secret for tokens the app issues and checks itself
+ *
+ * <p>Rotating check-in codes, kiosk cookies and calendar feed URLs are all
+ * HMACs keyed with ATTENDANCE_CODE_SECRET. Kiosk and feed messages carry a
+ * prefix so one kind of token can never pass as another.</p>
+ *
+ * @module signing
+ */
+
+/**
+ * Reads the signing secret
+ *
+ * @returns {string} The secret
+ * @throws {Error} If ATTENDANCE_CODE_SECRET is not configured
+ */
+export function getSigningSecret() {
+  const secret = process.env.ATTENDANCE_CODE_SECRET;
+  if (!secret) {
+    throw new Error('ATTENDANCE_CODE_SECRET is not configured');
+  }
+  return secret;
+}
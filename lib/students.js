@@ -0,0 +1,19 @@
+/**
+ * Helpers for working with student records
+ *
+ * @module students
+ */
+
+/**
+ * Year group encoded in a school student ID
+ *
+ * <p>Student IDs end in the class year, e.g. <code>12342026</code> is in the
+ * class of 2026.</p>
+ *
+ * @param {string} studentId - The school student ID
+ * @returns {string|null} The four-digit year group, or null if the ID has none
+ */
+export function getYearGroup(studentId) {
+  const match = /(\d{4})$/.exec(String(studentId || '').trim());
+  return match ? match[1] : null;
+}
@@ -0,0 +1,9 @@
+-- Per-event check-in QR mode.
+-- 'static' keeps the plain /take-attendance/{session_id} URL.
+-- 'rotating' embeds a signed code that changes every qr_rotation_seconds.
+
+alter table public.career_sessions
+  add column if not exists qr_mode text not null default 'static'
+    check (qr_mode in ('static', 'rotating')),
+  add column if not exists qr_rotation_seconds integer not null default 30
+    check (qr_rotation_seconds between 10 and 300);
@@ -0,0 +1,40 @@
+-- Make public.attendance the single canonical attendance table.
+--
+-- Before this migration /api/checkin and /api/attendance/check-in wrote to
+-- attendance_records while /api/events/attendance wrote to attendance, and the
+-- dashboards only counted attendance. All check-in routes now go through
+-- lib/attendance/service.js, which writes one attendance row per student per event.
+
+alter table public.attendance
+  add column if not exists user_id uuid references public.users(id) on delete cascade,
+  add column if not exists source text not null default 'self_check_in';
+
+-- Backfill user_id for rows written before the column existed
+update public.attendance a
+set user_id = u.id
+from public.users u
+where a.user_id is null
+  and u.student_id = a.student_id;
+
+-- Drop duplicate check-ins, keeping the earliest one, so the unique index can be built.
+-- Rows without a signup_time sort first; comparing a null would drop neither row.
+delete from public.attendance a
+using public.attendance b
+where a.session_id = b.session_id
+  and a.student_id = b.student_id
+  and (coalesce(a.signup_time, '-infinity'), a.id) > (coalesce(b.signup_time, '-infinity'), b.id);
+
+create unique index if not exists attendance_session_student_key
+  on public.attendance (session_id, student_id);
+
+-- Reconcile check-ins that only exist in the legacy attendance_records table.
+-- attendance_records.student_id holds users.id and event_id holds the session_id.
+insert into public.attendance (session_id, student_id, user_id, signup_time, source)
+select r.event_id::text, u.student_id, u.id, r.checked_in_at, 'legacy_record'
+from public.attendance_records r
+join public.users u on u.id = r.student_id
+where u.student_id is not null
+on conflict (session_id, student_id) do nothing;
+
+comment on table public.attendance_records is
+  'Deprecated: reconciled into public.attendance by 20261019000200_unify_attendance. No longer written.';
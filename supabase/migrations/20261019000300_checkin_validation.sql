@@ -0,0 +1,34 @@
+-- Optional check-in window and venue geofence per event, with flagged
+-- attendance held for admin review.
+--
+-- A null window bound or null venue means that rule is not applied. Events in
+-- 'flag' mode accept out-of-bounds check-ins as flagged records; events in
+-- 'reject' mode refuse them. Only approved records count towards requirements.
+
+alter table public.career_sessions
+  add column if not exists checkin_opens_minutes_before integer
+    check (checkin_opens_minutes_before is null or checkin_opens_minutes_before >= 0),
+  add column if not exists checkin_closes_minutes_after integer
+    check (checkin_closes_minutes_after is null or checkin_closes_minutes_after >= 0),
+  add column if not exists venue_latitude double precision
+    check (venue_latitude is null or venue_latitude between -90 and 90),
+  add column if not exists venue_longitude double precision
+    check (venue_longitude is null or venue_longitude between -180 and 180),
+  add column if not exists venue_radius_meters integer
+    check (venue_radius_meters is null or venue_radius_meters > 0),
+  add column if not exists checkin_enforcement text not null default 'flag'
+    check (checkin_enforcement in ('flag', 'reject'));
+
+alter table public.attendance
+  add column if not exists review_status text not null default 'approved'
+    check (review_status in ('approved', 'flagged', 'rejected')),
+  add column if not exists flag_reasons text[],
+  add column if not exists checkin_latitude double precision,
+  add column if not exists checkin_longitude double precision,
+  add column if not exists checkin_accuracy_meters double precision,
+  add column if not exists reviewed_by uuid references public.users(id) on delete set null,
+  add column if not exists reviewed_at timestamptz;
+
+create index if not exists attendance_flagged_idx
+  on public.attendance (session_id)
+  where review_status = 'flagged';
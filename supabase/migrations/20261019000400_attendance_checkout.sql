@@ -0,0 +1,15 @@
+-- Optional check-out per event and a minimum time-in-attendance rule.
+--
+-- When an event has min_duration_minutes set, an attendance row only counts
+-- towards the internship workshop requirement if the student checked out and
+-- stayed at least that long. duration_minutes is written at check-out.
+
+alter table public.career_sessions
+  add column if not exists checkout_enabled boolean not null default false,
+  add column if not exists min_duration_minutes integer
+    check (min_duration_minutes is null or min_duration_minutes > 0);
+
+alter table public.attendance
+  add column if not exists checked_out_at timestamptz,
+  add column if not exists duration_minutes integer
+    check (duration_minutes is null or duration_minutes >= 0);
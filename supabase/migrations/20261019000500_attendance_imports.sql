@@ -0,0 +1,93 @@
+-- Bulk attendance import from CSV/XLSX sign-in sheets.
+--
+-- Each import is recorded in attendance_imports with who ran it, the file and
+-- an optional note, and every attendance row it created points back to it.
+-- import_attendance() writes the audit row and the attendance rows in one
+-- transaction, so an import is either fully applied or not at all.
+
+create table if not exists public.attendance_imports (
+  id uuid primary key default gen_random_uuid(),
+  session_id text not null references public.career_sessions(session_id) on delete cascade,
+  imported_by uuid not null references public.users(id),
+  file_name text not null,
+  note text,
+  row_count integer not null default 0,
+  imported_count integer not null default 0,
+  -- Rows that were not imported, with the reason, as shown in the preview
+  skipped jsonb not null default '[]'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists attendance_imports_session_idx
+  on public.attendance_imports (session_id, created_at desc);
+
+alter table public.attendance
+  add column if not exists import_id uuid references public.attendance_imports(id) on delete set null;
+
+alter table public.attendance_imports enable row level security;
+
+create policy "Staff can read attendance imports"
+  on public.attendance_imports for select
+  using (exists (
+    select 1 from public.users u where u.id = auth.uid() and u.role_id in (1, 2)
+  ));
+
+create policy "Staff can record attendance imports"
+  on public.attendance_imports for insert
+  with check (
+    imported_by = auth.uid()
+    and exists (select 1 from public.users u where u.id = auth.uid() and u.role_id in (1, 2))
+  );
+
+create policy "Staff can update attendance import counts"
+  on public.attendance_imports for update
+  using (imported_by = auth.uid());
+
+-- p_students: [{ "student_id": "...", "user_id": "..." }]
+-- p_skipped:  [{ "row": 3, "identifier": "...", "reason": "..." }]
+create or replace function public.import_attendance(
+  p_session_id text,
+  p_students jsonb,
+  p_file_name text,
+  p_note text,
+  p_skipped jsonb
+)
+returns jsonb
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  v_import_id uuid;
+  v_imported integer;
+begin
+  if not exists (select 1 from users where id = auth.uid() and role_id in (1, 2)) then
+    raise exception 'Only staff can import attendance' using errcode = '42501';
+  end if;
+
+  insert into attendance_imports (session_id, imported_by, file_name, note, row_count, skipped)
+  values (
+    p_session_id,
+    auth.uid(),
+    p_file_name,
+    nullif(trim(p_note), ''),
+    jsonb_array_length(p_students) + jsonb_array_length(coalesce(p_skipped, '[]'::jsonb)),
+    coalesce(p_skipped, '[]'::jsonb)
+  )
+  returning id into v_import_id;
+
+  -- Students checked in between preview and commit are skipped, not duplicated
+  with inserted as (
+    insert into attendance (session_id, student_id, user_id, signup_time, source, import_id)
+    select p_session_id, s->>'student_id', (s->>'user_id')::uuid, now(), 'bulk_import', v_import_id
+    from jsonb_array_elements(p_students) s
+    on conflict (session_id, student_id) do nothing
+    returning 1
+  )
+  select count(*) into v_imported from inserted;
+
+  update attendance_imports set imported_count = v_imported where id = v_import_id;
+
+  return jsonb_build_object('import_id', v_import_id, 'imported', v_imported);
+end;
+$$;
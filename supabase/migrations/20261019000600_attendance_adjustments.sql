@@ -0,0 +1,138 @@
+-- Manual attendance corrections with an append-only audit log.
+--
+-- Admins add or remove a student's attendance through adjust_attendance(),
+-- which changes the attendance row and writes the log entry in one
+-- transaction. Log entries can never be updated or deleted.
+
+create table if not exists public.attendance_adjustments (
+  id uuid primary key default gen_random_uuid(),
+  session_id text not null references public.career_sessions(session_id) on delete cascade,
+  student_id text not null,
+  user_id uuid references public.users(id) on delete set null,
+  action text not null check (action in ('add', 'remove')),
+  reason text not null check (length(trim(reason)) > 0),
+  adjusted_by uuid not null references public.users(id),
+  -- The attendance row as it was before the change, if there was one
+  previous_record jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists attendance_adjustments_session_idx
+  on public.attendance_adjustments (session_id, created_at desc);
+
+create or replace function public.prevent_attendance_adjustment_changes()
+returns trigger
+language plpgsql
+as $$
+begin
+  -- Let foreign key cascades through (deleting an event or a user account);
+  -- those fire from the referential-integrity triggers, so the depth is above 1
+  if pg_trigger_depth() > 1 then
+    return case when tg_op = 'DELETE' then old else new end;
+  end if;
+
+  raise exception 'attendance_adjustments is append-only' using errcode = '42501';
+end;
+$$;
+
+drop trigger if exists attendance_adjustments_append_only on public.attendance_adjustments;
+create trigger attendance_adjustments_append_only
+  before update or delete on public.attendance_adjustments
+  for each row execute function public.prevent_attendance_adjustment_changes();
+
+alter table public.attendance_adjustments enable row level security;
+
+create policy "Staff can read attendance adjustments"
+  on public.attendance_adjustments for select
+  using (exists (
+    select 1 from public.users u where u.id = auth.uid() and u.role_id in (1, 2)
+  ));
+
+create policy "Students can read their own attendance adjustments"
+  on public.attendance_adjustments for select
+  using (user_id = auth.uid());
+
+create policy "Staff can log attendance adjustments"
+  on public.attendance_adjustments for insert
+  with check (
+    adjusted_by = auth.uid()
+    and exists (select 1 from public.users u where u.id = auth.uid() and u.role_id in (1, 2))
+  );
+
+-- Errors: 42501 not staff, 22023 bad action or missing reason,
+-- P0002 student or attendance not found, 23505 attendance already recorded
+create or replace function public.adjust_attendance(
+  p_session_id text,
+  p_student_id text,
+  p_action text,
+  p_reason text
+)
+returns jsonb
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  v_user_id uuid;
+  v_existing attendance%rowtype;
+  v_has_record boolean;
+  v_adjustment_id uuid;
+begin
+  if not exists (select 1 from users where id = auth.uid() and role_id in (1, 2)) then
+    raise exception 'Only staff can adjust attendance' using errcode = '42501';
+  end if;
+
+  if p_action not in ('add', 'remove') then
+    raise exception 'Action must be add or remove' using errcode = '22023';
+  end if;
+
+  if coalesce(trim(p_reason), '') = '' then
+    raise exception 'A reason is required' using errcode = '22023';
+  end if;
+
+  select id into v_user_id from users where student_id = p_student_id;
+  if v_user_id is null then
+    raise exception 'Student not found' using errcode = 'P0002';
+  end if;
+
+  select * into v_existing
+  from attendance
+  where session_id = p_session_id and student_id = p_student_id
+  for update;
+  v_has_record := found;
+
+  if p_action = 'add' then
+    if v_has_record and v_existing.review_status = 'approved' then
+      raise exception 'Student already has attendance for this event' using errcode = '23505';
+    elsif v_has_record then
+      -- A flagged or rejected check-in is approved rather than duplicated
+      update attendance
+      set review_status = 'approved', reviewed_by = auth.uid(), reviewed_at = now()
+      where id = v_existing.id;
+    else
+      insert into attendance (session_id, student_id, user_id, signup_time, source)
+      values (p_session_id, p_student_id, v_user_id, now(), 'manual_adjustment');
+    end if;
+  else
+    if not v_has_record then
+      raise exception 'Student has no attendance for this event' using errcode = 'P0002';
+    end if;
+    delete from attendance where id = v_existing.id;
+  end if;
+
+  insert into attendance_adjustments
+    (session_id, student_id, user_id, action, reason, adjusted_by, previous_record)
+  values (
+    p_session_id,
+    p_student_id,
+    v_user_id,
+    p_action,
+    trim(p_reason),
+    auth.uid(),
+    case when v_has_record then to_jsonb(v_existing) end
+  )
+  returning id into v_adjustment_id;
+
+  return jsonb_build_object('adjustment_id', v_adjustment_id, 'user_id', v_user_id);
+end;
+$$;
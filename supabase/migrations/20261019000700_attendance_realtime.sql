@@ -0,0 +1,13 @@
+-- Publish attendance changes over Supabase Realtime so the event attendance
+-- page can update live. Row-level security still decides who receives them.
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+    where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'attendance'
+  ) then
+    alter publication supabase_realtime add table public.attendance;
+  end if;
+end;
+$$;
@@ -0,0 +1,46 @@
+-- Kiosk mode: a shared door tablet that checks students in without anyone
+-- being logged in on it.
+--
+-- An admin sets a PIN for the event; staff enter it on the tablet to unlock the
+-- kiosk for that event only. The PIN is stored as a salted scrypt hash. Kiosk
+-- requests come from an unauthenticated device, so the kiosk API reads this
+-- table with the service role after checking its signed kiosk cookie.
+
+create table if not exists public.event_kiosks (
+  session_id text primary key references public.career_sessions(session_id) on delete cascade,
+  pin_hash text not null,
+  -- Consecutive wrong PINs; the kiosk refuses attempts until locked_until passes
+  failed_attempts integer not null default 0,
+  locked_until timestamptz,
+  updated_by uuid not null references public.users(id),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.event_kiosks enable row level security;
+
+-- Staff manage PINs. Nobody can read the hash through the API except the
+-- service role, which bypasses RLS.
+create policy "Staff can set kiosk PINs"
+  on public.event_kiosks for insert
+  with check (
+    updated_by = auth.uid()
+    and exists (select 1 from public.users u where u.id = auth.uid() and u.role_id in (1, 2))
+  );
+
+create policy "Staff can change kiosk PINs"
+  on public.event_kiosks for update
+  using (exists (
+    select 1 from public.users u where u.id = auth.uid() and u.role_id in (1, 2)
+  ));
+
+create policy "Staff can remove kiosk PINs"
+  on public.event_kiosks for delete
+  using (exists (
+    select 1 from public.users u where u.id = auth.uid() and u.role_id in (1, 2)
+  ));
+
+create policy "Staff can see which events have a kiosk"
+  on public.event_kiosks for select
+  using (exists (
+    select 1 from public.users u where u.id = auth.uid() and u.role_id in (1, 2)
+  ));
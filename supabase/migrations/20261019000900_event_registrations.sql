@@ -0,0 +1,234 @@
+-- Event registration (RSVP) with seat caps, waitlists and deadlines.
+--
+-- An event can require students to register. When it has a capacity, students
+-- past the cap are waitlisted and promoted in order as seats free up, either
+-- because someone cancels or because an admin raises the cap. Registration
+-- changes go through the functions below, which lock the event row so two
+-- students can never take the last seat at the same time.
+
+alter table public.career_sessions
+  add column if not exists registration_required boolean not null default false,
+  add column if not exists capacity integer check (capacity is null or capacity > 0),
+  add column if not exists registration_deadline timestamptz;
+
+create table if not exists public.event_registrations (
+  id uuid primary key default gen_random_uuid(),
+  session_id text not null references public.career_sessions(session_id) on delete cascade,
+  user_id uuid not null references public.users(id) on delete cascade,
+  student_id text,
+  status text not null check (status in ('registered', 'waitlisted', 'cancelled')),
+  -- Waitlist order; reset when a cancelled registration is reactivated
+  queued_at timestamptz not null default now(),
+  promoted_at timestamptz,
+  cancelled_at timestamptz,
+  created_at timestamptz not null default now(),
+  unique (session_id, user_id)
+);
+
+create index if not exists event_registrations_waitlist_idx
+  on public.event_registrations (session_id, status, queued_at);
+
+alter table public.event_registrations enable row level security;
+
+create policy "Students can read their own registrations"
+  on public.event_registrations for select
+  using (user_id = auth.uid());
+
+create policy "Staff can read registrations"
+  on public.event_registrations for select
+  using (exists (
+    select 1 from public.users u where u.id = auth.uid() and u.role_id in (1, 2)
+  ));
+
+-- Moves waitlisted students into free seats, oldest first, and notifies them.
+-- Callers must hold the lock on the career_sessions row.
+create or replace function public.promote_event_waitlist(p_session_id text)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_event career_sessions%rowtype;
+  v_free integer;
+  v_promoted integer := 0;
+  v_registration record;
+begin
+  select * into v_event from career_sessions where session_id = p_session_id;
+
+  if v_event.capacity is null then
+    v_free := 2147483647;
+  else
+    select v_event.capacity - count(*) into v_free
+    from event_registrations
+    where session_id = p_session_id and status = 'registered';
+  end if;
+
+  for v_registration in
+    select id, user_id
+    from event_registrations
+    where session_id = p_session_id and status = 'waitlisted'
+    order by queued_at
+    limit greatest(v_free, 0)
+  loop
+    update event_registrations
+    set status = 'registered', promoted_at = now()
+    where id = v_registration.id;
+
+    insert into notifications (user_id, type, title, message, metadata)
+    values (
+      v_registration.user_id,
+      'event_registration',
+      'You''re off the waitlist',
+      format('A seat opened up for "%s" and you are now registered.', v_event.title),
+      jsonb_build_object('sessionId', p_session_id, 'status', 'registered')
+    );
+
+    v_promoted := v_promoted + 1;
+  end loop;
+
+  return v_promoted;
+end;
+$$;
+
+revoke execute on function public.promote_event_waitlist(text) from public, anon, authenticated;
+
+-- Registers the signed-in student. Returns the registration status and, when
+-- waitlisted, the student's place in line.
+-- Errors: 42501 not signed in, CSR00 event not found,
+-- CSR01 event does not take registrations, CSR02 deadline has passed
+create or replace function public.register_for_event(p_session_id text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_event career_sessions%rowtype;
+  v_user users%rowtype;
+  v_existing event_registrations%rowtype;
+  v_registered integer;
+  v_status text;
+  v_id uuid;
+  v_position integer;
+begin
+  select * into v_user from users where id = auth.uid();
+  if not found then
+    raise exception 'You must be signed in to register' using errcode = '42501';
+  end if;
+
+  select * into v_event from career_sessions where session_id = p_session_id for update;
+  if not found then
+    raise exception 'Event not found' using errcode = 'CSR00';
+  end if;
+
+  if not v_event.registration_required then
+    raise exception 'This event does not take registrations' using errcode = 'CSR01';
+  end if;
+
+  if v_event.registration_deadline is not null and now() > v_event.registration_deadline then
+    raise exception 'Registration for this event has closed' using errcode = 'CSR02';
+  end if;
+
+  select * into v_existing
+  from event_registrations
+  where session_id = p_session_id and user_id = v_user.id;
+
+  if found and v_existing.status <> 'cancelled' then
+    v_status := v_existing.status;
+    v_id := v_existing.id;
+  else
+    select count(*) into v_registered
+    from event_registrations
+    where session_id = p_session_id and status = 'registered';
+
+    v_status := case
+      when v_event.capacity is null or v_registered < v_event.capacity then 'registered'
+      else 'waitlisted'
+    end;
+
+    insert into event_registrations (session_id, user_id, student_id, status)
+    values (p_session_id, v_user.id, v_user.student_id, v_status)
+    on conflict (session_id, user_id) do update
+      set status = excluded.status, queued_at = now(), promoted_at = null, cancelled_at = null
+    returning id into v_id;
+  end if;
+
+  if v_status = 'waitlisted' then
+    select count(*) into v_position
+    from event_registrations
+    where session_id = p_session_id
+      and status = 'waitlisted'
+      and queued_at <= (select queued_at from event_registrations where id = v_id);
+  end if;
+
+  return jsonb_build_object('registration_id', v_id, 'status', v_status, 'waitlist_position', v_position);
+end;
+$$;
+
+-- Cancels the signed-in student's registration and fills the freed seat from
+-- the waitlist. Errors: 42501 not signed in, P0002 no active registration
+create or replace function public.cancel_event_registration(p_session_id text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_registration event_registrations%rowtype;
+  v_promoted integer := 0;
+begin
+  if auth.uid() is null then
+    raise exception 'You must be signed in to cancel' using errcode = '42501';
+  end if;
+
+  perform 1 from career_sessions where session_id = p_session_id for update;
+
+  update event_registrations
+  set status = 'cancelled', cancelled_at = now()
+  where session_id = p_session_id and user_id = auth.uid() and status <> 'cancelled'
+  returning * into v_registration;
+
+  if not found then
+    raise exception 'You are not registered for this event' using errcode = 'P0002';
+  end if;
+
+  v_promoted := promote_event_waitlist(p_session_id);
+
+  return jsonb_build_object('registration_id', v_registration.id, 'promoted', v_promoted);
+end;
+$$;
+
+-- Fills seats after an admin raises an event's capacity. Staff only.
+create or replace function public.refill_event_seats(p_session_id text)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not exists (select 1 from users where id = auth.uid() and role_id in (1, 2)) then
+    raise exception 'Only staff can manage registrations' using errcode = '42501';
+  end if;
+
+  perform 1 from career_sessions where session_id = p_session_id for update;
+  return promote_event_waitlist(p_session_id);
+end;
+$$;
+
+-- Seat counts for the events list, which students cannot compute themselves
+-- because they can only read their own registrations.
+create or replace function public.event_registration_counts(p_session_ids text[])
+returns table (session_id text, registered integer, waitlisted integer)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select r.session_id,
+    count(*) filter (where r.status = 'registered')::integer,
+    count(*) filter (where r.status = 'waitlisted')::integer
+  from event_registrations r
+  where r.session_id = any(p_session_ids)
+  group by r.session_id;
+$$;
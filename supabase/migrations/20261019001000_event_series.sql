@@ -0,0 +1,49 @@
+-- Recurring event series.
+--
+-- A series is created once from a recurrence rule (weekly, every two weeks or
+-- a list of custom dates, minus any skipped dates) and expands into one
+-- career_sessions row per occurrence, so every occurrence keeps its own QR
+-- code, check-in rules and attendance. Occurrences point back at the series in
+-- date order, which lets "all future occurrences" edits and the attendance
+-- rollup find their siblings.
+
+create table if not exists public.event_series (
+  id uuid primary key default gen_random_uuid(),
+  title text not null,
+  -- The rule the series was created from: { frequency, count, until, dates, exceptions }
+  recurrence jsonb not null,
+  created_by uuid not null references public.users(id),
+  created_at timestamptz not null default now()
+);
+
+alter table public.career_sessions
+  add column if not exists series_id uuid references public.event_series(id) on delete set null,
+  add column if not exists series_index integer;
+
+create index if not exists career_sessions_series_idx
+  on public.career_sessions (series_id, series_index);
+
+alter table public.event_series enable row level security;
+
+create policy "Anyone signed in can read event series"
+  on public.event_series for select
+  using (auth.uid() is not null);
+
+create policy "Staff can create event series"
+  on public.event_series for insert
+  with check (
+    created_by = auth.uid()
+    and exists (select 1 from public.users u where u.id = auth.uid() and u.role_id in (1, 2))
+  );
+
+create policy "Staff can rename event series"
+  on public.event_series for update
+  using (exists (
+    select 1 from public.users u where u.id = auth.uid() and u.role_id in (1, 2)
+  ));
+
+create policy "Staff can remove event series"
+  on public.event_series for delete
+  using (exists (
+    select 1 from public.users u where u.id = auth.uid() and u.role_id in (1, 2)
+  ));
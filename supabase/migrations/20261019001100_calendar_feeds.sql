@@ -0,0 +1,99 @@
+-- Calendar feeds and .ics downloads.
+--
+-- Each user gets a private iCal feed URL signed with the server secret. The
+-- URL embeds a version number from calendar_feeds; bumping it (when a student
+-- thinks their link leaked) invalidates every earlier URL.
+--
+-- Calendar apps match entries by UID and only apply a change when its
+-- SEQUENCE goes up, so events, registrations and advising sessions keep a
+-- revision counter that the triggers below bump whenever something a calendar
+-- shows changes. A registered event's SEQUENCE is the event's counter plus the
+-- registration's, so cancelling and re-registering still moves it forward.
+
+create table if not exists public.calendar_feeds (
+  user_id uuid primary key references public.users(id) on delete cascade,
+  version integer not null default 1,
+  rotated_at timestamptz not null default now()
+);
+
+alter table public.calendar_feeds enable row level security;
+
+create policy "Users can read their calendar feed"
+  on public.calendar_feeds for select
+  using (user_id = auth.uid());
+
+create policy "Users can create their calendar feed"
+  on public.calendar_feeds for insert
+  with check (user_id = auth.uid());
+
+create policy "Users can rotate their calendar feed"
+  on public.calendar_feeds for update
+  using (user_id = auth.uid());
+
+alter table public.career_sessions
+  add column if not exists calendar_sequence integer not null default 0,
+  add column if not exists updated_at timestamptz not null default now();
+
+alter table public.event_registrations
+  add column if not exists calendar_sequence integer not null default 0;
+
+alter table public.sessions
+  add column if not exists calendar_sequence integer not null default 0,
+  add column if not exists updated_at timestamptz not null default now();
+
+create or replace function public.bump_career_session_calendar_sequence()
+returns trigger
+language plpgsql
+as $$
+begin
+  if (new.title, new.date, new.start_time, new.end_time, new.location, new.description)
+     is distinct from
+     (old.title, old.date, old.start_time, old.end_time, old.location, old.description) then
+    new.calendar_sequence := old.calendar_sequence + 1;
+    new.updated_at := now();
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists career_sessions_calendar_sequence on public.career_sessions;
+create trigger career_sessions_calendar_sequence
+  before update on public.career_sessions
+  for each row execute function public.bump_career_session_calendar_sequence();
+
+create or replace function public.bump_session_calendar_sequence()
+returns trigger
+language plpgsql
+as $$
+begin
+  if (new.date, new.time, new.end_time, new.location, new.status)
+     is distinct from
+     (old.date, old.time, old.end_time, old.location, old.status) then
+    new.calendar_sequence := old.calendar_sequence + 1;
+    new.updated_at := now();
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists sessions_calendar_sequence on public.sessions;
+create trigger sessions_calendar_sequence
+  before update on public.sessions
+  for each row execute function public.bump_session_calendar_sequence();
+
+create or replace function public.bump_registration_calendar_sequence()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.status is distinct from old.status then
+    new.calendar_sequence := old.calendar_sequence + 1;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists event_registrations_calendar_sequence on public.event_registrations;
+create trigger event_registrations_calendar_sequence
+  before update on public.event_registrations
+  for each row execute function public.bump_registration_calendar_sequence();
@@ -0,0 +1,23 @@
+-- Event types and tags.
+--
+-- Every event used to be shown with a hardcoded "Career Development" tag. Events
+-- now carry one of a fixed set of types, used for the category filter, and any
+-- number of free-form tags chosen by staff. Existing events have no type and no
+-- tags until they are edited.
+
+alter table public.career_sessions
+  add column if not exists event_type text,
+  add column if not exists tags text[] not null default '{}';
+
+alter table public.career_sessions
+  drop constraint if exists career_sessions_event_type_check;
+
+alter table public.career_sessions
+  add constraint career_sessions_event_type_check
+  check (event_type in ('workshop', 'career_fair', 'info_session', 'employer_talk', 'panel'));
+
+create index if not exists career_sessions_event_type_idx
+  on public.career_sessions (event_type);
+
+create index if not exists career_sessions_tags_idx
+  on public.career_sessions using gin (tags);
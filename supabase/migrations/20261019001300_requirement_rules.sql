@@ -0,0 +1,80 @@
+-- Internship eligibility rules per year group.
+--
+-- Eligibility used to be three hardcoded minimums (3 events attended, 3
+-- feedback submissions, 1 advising session) that counted any attendance. Each
+-- year group's requirement_groups row now owns a list of requirement_items
+-- rules, evaluated by lib/requirements/rules.js for both the student's
+-- progress view and the submission check:
+--
+--   manual            - ticked off by the student (student_requirements), as before
+--   event_attendance  - attend min_count events, optionally of one event_type
+--                       and/or carrying event_tag
+--   feedback          - submit min_count pieces of event feedback
+--   advising_session  - complete min_count one-on-one advising sessions
+--
+-- Year groups without a group fall back to the old three minimums.
+
+create table if not exists public.requirement_groups (
+  id uuid primary key default gen_random_uuid(),
+  year_group integer not null unique,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.requirement_items (
+  id uuid primary key default gen_random_uuid(),
+  group_id uuid not null references public.requirement_groups(id) on delete cascade,
+  description text not null,
+  is_required boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+alter table public.requirement_items
+  add column if not exists rule_type text not null default 'manual',
+  add column if not exists event_type text,
+  add column if not exists event_tag text,
+  add column if not exists min_count integer not null default 1,
+  add column if not exists position integer not null default 0;
+
+alter table public.requirement_items
+  drop constraint if exists requirement_items_rule_check;
+
+alter table public.requirement_items
+  add constraint requirement_items_rule_check check (
+    rule_type in ('manual', 'event_attendance', 'feedback', 'advising_session')
+    and min_count > 0
+    and (event_type is null
+      or event_type in ('workshop', 'career_fair', 'info_session', 'employer_talk', 'panel'))
+  );
+
+alter table public.requirement_groups enable row level security;
+alter table public.requirement_items enable row level security;
+
+drop policy if exists "Anyone signed in can read requirement groups" on public.requirement_groups;
+create policy "Anyone signed in can read requirement groups"
+  on public.requirement_groups for select
+  using (auth.uid() is not null);
+
+drop policy if exists "Staff can manage requirement groups" on public.requirement_groups;
+create policy "Staff can manage requirement groups"
+  on public.requirement_groups for all
+  using (exists (
+    select 1 from public.users u where u.id = auth.uid() and u.role_id in (1, 2)
+  ))
+  with check (exists (
+    select 1 from public.users u where u.id = auth.uid() and u.role_id in (1, 2)
+  ));
+
+drop policy if exists "Anyone signed in can read requirement items" on public.requirement_items;
+create policy "Anyone signed in can read requirement items"
+  on public.requirement_items for select
+  using (auth.uid() is not null);
+
+drop policy if exists "Staff can manage requirement items" on public.requirement_items;
+create policy "Staff can manage requirement items"
+  on public.requirement_items for all
+  using (exists (
+    select 1 from public.users u where u.id = auth.uid() and u.role_id in (1, 2)
+  ))
+  with check (exists (
+    select 1 from public.users u where u.id = auth.uid() and u.role_id in (1, 2)
+  ));
@@ -0,0 +1,75 @@
+-- Post-event feedback surveys.
+--
+-- Feedback used to be a 1-5 rating and a comment. Staff can now build survey
+-- templates from rating, Likert, multiple choice, NPS and open text questions
+-- and attach one to an event; events without one use the default template,
+-- which asks exactly the old rating and comment questions.
+--
+-- Answers are stored per question id in event_feedback.answers. The rating and
+-- comments columns are still filled from the first rating and open text
+-- answers, so the average rating and existing feedback lists keep working.
+
+create table if not exists public.survey_templates (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  description text,
+  -- [{ id, type, prompt, required, options }], see lib/feedback/surveys.js
+  questions jsonb not null,
+  is_default boolean not null default false,
+  created_by uuid references public.users(id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists survey_templates_single_default_idx
+  on public.survey_templates (is_default) where is_default;
+
+insert into public.survey_templates (id, name, description, questions, is_default)
+values (
+  '00000000-0000-0000-0000-000000000001',
+  'Event rating',
+  'A 1-5 star rating with optional comments.',
+  '[
+    {"id": "rating", "type": "rating", "prompt": "How would you rate this event?", "required": true},
+    {"id": "comments", "type": "text", "prompt": "Comments", "required": false}
+  ]'::jsonb,
+  true
+)
+on conflict (id) do nothing;
+
+alter table public.career_sessions
+  add column if not exists survey_template_id uuid
+    references public.survey_templates(id) on delete set null;
+
+-- Templates with responses cannot be deleted, so results stay readable
+alter table public.event_feedback
+  add column if not exists survey_template_id uuid
+    references public.survey_templates(id) on delete restrict,
+  add column if not exists answers jsonb not null default '{}'::jsonb;
+
+alter table public.event_feedback
+  alter column rating drop not null;
+
+update public.event_feedback
+set survey_template_id = '00000000-0000-0000-0000-000000000001',
+    answers = jsonb_strip_nulls(jsonb_build_object('rating', rating, 'comments', comments))
+where survey_template_id is null;
+
+alter table public.survey_templates enable row level security;
+
+create policy "Anyone signed in can read survey templates"
+  on public.survey_templates for select
+  using (auth.uid() is not null);
+
+create policy "Staff can create survey templates"
+  on public.survey_templates for insert
+  with check (
+    not is_default
+    and exists (select 1 from public.users u where u.id = auth.uid() and u.role_id in (1, 2))
+  );
+
+create policy "Staff can remove survey templates"
+  on public.survey_templates for delete
+  using (
+    not is_default
+    and exists (select 1 from public.users u where u.id = auth.uid() and u.role_id in (1, 2))
+  );
@@ -0,0 +1,13 @@
+-- Feedback only from attendees, within a window after the event.
+--
+-- Feedback opens when an event ends and closes feedback_window_days later.
+-- The feedback route also checks that the student has an approved attendance
+-- for the event (see lib/feedback/eligibility.js and lib/feedback/service.js).
+
+alter table public.career_sessions
+  add column if not exists feedback_window_days integer not null default 14
+    check (feedback_window_days between 1 and 90);
+
+-- Looked up on every feedback submission
+create index if not exists attendance_session_user_idx
+  on public.attendance (session_id, user_id);
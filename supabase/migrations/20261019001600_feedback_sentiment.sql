@@ -0,0 +1,16 @@
+-- Sentiment and theme tags on feedback comments.
+--
+-- Written when feedback is submitted, and again for a whole event when staff
+-- re-run the analysis, by the local lexicon scorer in lib/feedback/sentiment.js.
+-- Responses without any open text answer are left untagged.
+
+alter table public.event_feedback
+  add column if not exists sentiment text
+    check (sentiment in ('positive', 'neutral', 'negative')),
+  add column if not exists sentiment_score numeric,
+  add column if not exists themes text[] not null default '{}',
+  add column if not exists keywords text[] not null default '{}',
+  add column if not exists analyzed_at timestamptz;
+
+create index if not exists event_feedback_event_sentiment_idx
+  on public.event_feedback (event_id, sentiment);
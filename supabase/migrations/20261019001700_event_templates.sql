@@ -0,0 +1,23 @@
+-- Shared library of reusable event templates.
+--
+-- A template stores the career_sessions column values a new event starts
+-- from: title, description, location, times, category and the check-in,
+-- registration and feedback settings. Dates are chosen when the event is
+-- created. Every staff member can use, edit and remove every template.
+
+create table if not exists public.event_templates (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  -- career_sessions column values, see lib/events/templates.js
+  fields jsonb not null,
+  created_by uuid references public.users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.event_templates enable row level security;
+
+create policy "Staff can manage event templates"
+  on public.event_templates for all
+  using (exists (select 1 from public.users u where u.id = auth.uid() and u.role_id in (1, 2)))
+  with check (exists (select 1 from public.users u where u.id = auth.uid() and u.role_id in (1, 2)));
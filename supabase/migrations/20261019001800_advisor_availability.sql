@@ -0,0 +1,165 @@
+-- Advisor availability for one-on-one sessions.
+--
+-- Each advisor publishes weekly hours, a slot length and a buffer between
+-- sessions, plus blackout date ranges when they cannot be booked. Advisors who
+-- have not published anything get the column defaults, which match the old
+-- fixed time slots (weekdays 9-12 and 13-17, one hour each).
+--
+-- The check_session_slot trigger enforces the rules for every write to
+-- sessions, however it is made. It locks the advisor's availability row, so
+-- two bookings for the same advisor are checked one after the other and can
+-- never overlap, even when their start times differ. Students must book a
+-- published, open slot; staff may schedule outside published hours but never
+-- on top of another session.
+
+create table if not exists public.advisor_availability (
+  advisor_id uuid primary key references public.users(id) on delete cascade,
+  -- [{ "weekday": 0-6 (Sunday = 0), "start": "HH:MM", "end": "HH:MM" }]
+  weekly_hours jsonb not null default '[
+    {"weekday": 1, "start": "09:00", "end": "12:00"}, {"weekday": 1, "start": "13:00", "end": "17:00"},
+    {"weekday": 2, "start": "09:00", "end": "12:00"}, {"weekday": 2, "start": "13:00", "end": "17:00"},
+    {"weekday": 3, "start": "09:00", "end": "12:00"}, {"weekday": 3, "start": "13:00", "end": "17:00"},
+    {"weekday": 4, "start": "09:00", "end": "12:00"}, {"weekday": 4, "start": "13:00", "end": "17:00"},
+    {"weekday": 5, "start": "09:00", "end": "12:00"}, {"weekday": 5, "start": "13:00", "end": "17:00"}
+  ]'::jsonb,
+  slot_minutes integer not null default 60 check (slot_minutes between 15 and 240),
+  buffer_minutes integer not null default 0 check (buffer_minutes between 0 and 120),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists public.advisor_blackouts (
+  id uuid primary key default gen_random_uuid(),
+  advisor_id uuid not null references public.users(id) on delete cascade,
+  starts_on date not null,
+  ends_on date not null,
+  reason text,
+  created_at timestamptz not null default now(),
+  check (ends_on >= starts_on)
+);
+
+create index if not exists advisor_blackouts_advisor_idx
+  on public.advisor_blackouts (advisor_id, ends_on);
+
+create index if not exists sessions_advisor_date_idx
+  on public.sessions (advisor_id, date)
+  where status = 'scheduled';
+
+alter table public.advisor_availability enable row level security;
+alter table public.advisor_blackouts enable row level security;
+
+create policy "Signed-in users can read advisor availability"
+  on public.advisor_availability for select
+  using (auth.uid() is not null);
+
+create policy "Advisors manage their own availability"
+  on public.advisor_availability for all
+  using (advisor_id = auth.uid())
+  with check (advisor_id = auth.uid());
+
+create policy "Signed-in users can read advisor blackouts"
+  on public.advisor_blackouts for select
+  using (auth.uid() is not null);
+
+create policy "Advisors manage their own blackouts"
+  on public.advisor_blackouts for all
+  using (advisor_id = auth.uid())
+  with check (advisor_id = auth.uid());
+
+-- Start and end times of an advisor's scheduled sessions, without who booked
+-- them, so students can see which slots are taken.
+create or replace function public.advisor_booked_times(p_advisor_id uuid, p_from date, p_to date)
+returns table (date date, "time" time, end_time time)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select s.date, s.time, s.end_time
+  from sessions s
+  where s.advisor_id = p_advisor_id
+    and s.status = 'scheduled'
+    and s.date between p_from and p_to
+  order by s.date, s.time;
+$$;
+
+grant execute on function public.advisor_booked_times(uuid, date, date) to authenticated;
+
+-- Errors: CSS01 overlaps another session, CSS02 advisor is away that day,
+-- CSS03 not one of the advisor's open slots
+create or replace function public.check_session_slot()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_availability advisor_availability%rowtype;
+  v_fits boolean;
+begin
+  if new.status <> 'scheduled' then
+    return new;
+  end if;
+
+  if tg_op = 'UPDATE'
+     and (new.advisor_id, new.date, new.time, new.end_time, new.status)
+         is not distinct from (old.advisor_id, old.date, old.time, old.end_time, old.status) then
+    return new;
+  end if;
+
+  insert into advisor_availability (advisor_id) values (new.advisor_id)
+  on conflict (advisor_id) do nothing;
+
+  -- Serialises bookings for this advisor until the transaction ends
+  select * into v_availability
+  from advisor_availability
+  where advisor_id = new.advisor_id
+  for update;
+
+  if exists (
+    select 1 from sessions s
+    where s.advisor_id = new.advisor_id
+      and s.id <> new.id
+      and s.status = 'scheduled'
+      and s.date = new.date
+      and new.time < s.end_time + make_interval(mins => v_availability.buffer_minutes)
+      and s.time < new.end_time + make_interval(mins => v_availability.buffer_minutes)
+  ) then
+    raise exception 'This time overlaps another session with this advisor' using errcode = 'CSS01';
+  end if;
+
+  -- Staff may schedule outside published hours
+  if auth.uid() is distinct from new.student_id then
+    return new;
+  end if;
+
+  if exists (
+    select 1 from advisor_blackouts b
+    where b.advisor_id = new.advisor_id and new.date between b.starts_on and b.ends_on
+  ) then
+    raise exception 'This advisor is not taking bookings on that day' using errcode = 'CSS02';
+  end if;
+
+  select exists (
+    select 1
+    from jsonb_to_recordset(v_availability.weekly_hours) as w(weekday integer, start time, "end" time)
+    where w.weekday = extract(dow from new.date)
+      and new.time >= w.start
+      and new.end_time = new.time + make_interval(mins => v_availability.slot_minutes)
+      and new.end_time <= w."end"
+      and extract(epoch from new.time - w.start)::integer
+        % ((v_availability.slot_minutes + v_availability.buffer_minutes) * 60) = 0
+  ) into v_fits;
+
+  -- Students book up to 60 days ahead (BOOKING_HORIZON_DAYS in lib/sessions/availability.js)
+  if not v_fits or new.date < current_date or new.date > current_date + 60 then
+    raise exception 'That time is not one of the advisor''s open slots' using errcode = 'CSS03';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists sessions_check_slot on public.sessions;
+create trigger sessions_check_slot
+  before insert or update on public.sessions
+  for each row execute function public.check_session_slot();
@@ -0,0 +1,289 @@
+-- Booking, rescheduling, cancelling and completing one-on-one sessions.
+--
+-- These functions are the only way to create a session or change its time or
+-- status; the /api/sessions routes call them. Each one checks the caller's
+-- role, makes the change and notifies the other party in one transaction. The
+-- check_session_slot trigger still runs on every write, so the slot and
+-- overlap checks happen under the advisor's lock.
+--
+-- Errors: 42501 not allowed, P0002 session not found, 22023 invalid input,
+-- CSS01-CSS03 from check_session_slot, CSS04 booking is disabled,
+-- CSS05 session is no longer scheduled
+
+-- Only notes can still be written directly, by the session's advisor
+revoke insert, update, delete on public.sessions from anon, authenticated;
+grant update (notes) on public.sessions to authenticated;
+
+-- "March 31, 2025 at 2:00 PM"
+create or replace function public.session_when(p_date date, p_time time)
+returns text
+language sql
+immutable
+as $$
+  select to_char(p_date, 'FMMonth FMDD, YYYY') || ' at ' || to_char(p_time, 'FMHH12:MI AM');
+$$;
+
+create or replace function public.notify_session_user(
+  p_user_id uuid,
+  p_session_id public.sessions.id%type,
+  p_title text,
+  p_message text
+)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  insert into notifications (user_id, type, title, message, metadata)
+  values (p_user_id, 'session', p_title, p_message, jsonb_build_object('session_id', p_session_id));
+$$;
+
+revoke execute on function public.notify_session_user(uuid, public.sessions.id%type, text, text)
+  from public, anon, authenticated;
+
+-- Whether booking is switched on globally and for the advisor. The latest
+-- session_settings row wins; no row means enabled.
+create or replace function public.is_session_booking_enabled(p_advisor_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(
+      (select is_booking_enabled from session_settings where advisor_id is null order by id desc limit 1),
+      true
+    )
+    and coalesce(
+      (select is_booking_enabled from session_settings where advisor_id = p_advisor_id order by id desc limit 1),
+      true
+    );
+$$;
+
+-- Students book for themselves with an advisor; staff book a student in with
+-- themselves. The session lasts the advisor's slot length.
+create or replace function public.book_advising_session(
+  p_advisor_id uuid,
+  p_student_id uuid,
+  p_date date,
+  p_time time,
+  p_location text
+)
+returns public.sessions
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_caller users%rowtype;
+  v_advisor_id uuid;
+  v_student_id uuid;
+  v_slot_minutes integer;
+  v_session sessions%rowtype;
+begin
+  select * into v_caller from users where id = auth.uid();
+  if not found then
+    raise exception 'You must be signed in to book a session' using errcode = '42501';
+  end if;
+
+  if v_caller.role_id = 3 then
+    v_student_id := v_caller.id;
+    v_advisor_id := p_advisor_id;
+
+    if not is_session_booking_enabled(v_advisor_id) then
+      raise exception 'This advisor is not taking bookings right now' using errcode = 'CSS04';
+    end if;
+  else
+    v_student_id := p_student_id;
+    v_advisor_id := coalesce(p_advisor_id, v_caller.id);
+
+    if not exists (select 1 from users where id = v_student_id and role_id = 3) then
+      raise exception 'Please choose a student' using errcode = '22023';
+    end if;
+  end if;
+
+  if not exists (select 1 from users where id = v_advisor_id and role_id in (1, 2)) then
+    raise exception 'Please choose an advisor' using errcode = '22023';
+  end if;
+
+  select slot_minutes into v_slot_minutes from advisor_availability where advisor_id = v_advisor_id;
+
+  insert into sessions (student_id, advisor_id, date, time, end_time, location, status)
+  values (
+    v_student_id,
+    v_advisor_id,
+    p_date,
+    p_time,
+    p_time + make_interval(mins => coalesce(v_slot_minutes, 60)),
+    p_location,
+    'scheduled'
+  )
+  returning * into v_session;
+
+  perform notify_session_user(
+    v_student_id, v_session.id, 'Session Booked',
+    format('Your career advising session has been scheduled for %s.', session_when(p_date, p_time))
+  );
+  perform notify_session_user(
+    v_advisor_id, v_session.id, 'New Session Booking',
+    format('A new career advising session has been scheduled for %s.', session_when(p_date, p_time))
+  );
+
+  return v_session;
+end;
+$$;
+
+-- Loads a scheduled session for a change by its student, its advisor or staff
+create or replace function public.lock_session_for_change(p_session_id public.sessions.id%type)
+returns public.sessions
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_caller users%rowtype;
+  v_session sessions%rowtype;
+begin
+  select * into v_caller from users where id = auth.uid();
+  if not found then
+    raise exception 'You must be signed in' using errcode = '42501';
+  end if;
+
+  select * into v_session from sessions where id = p_session_id for update;
+  if not found
+     or (v_caller.role_id = 3 and v_session.student_id <> v_caller.id) then
+    raise exception 'Session not found' using errcode = 'P0002';
+  end if;
+
+  if v_session.status <> 'scheduled' then
+    raise exception 'This session is no longer scheduled' using errcode = 'CSS05';
+  end if;
+
+  return v_session;
+end;
+$$;
+
+revoke execute on function public.lock_session_for_change(public.sessions.id%type)
+  from public, anon, authenticated;
+
+-- Moves a session to another slot, optionally with another advisor
+create or replace function public.reschedule_advising_session(
+  p_session_id public.sessions.id%type,
+  p_date date,
+  p_time time,
+  p_advisor_id uuid default null
+)
+returns public.sessions
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_session sessions%rowtype;
+  v_advisor_id uuid;
+  v_slot_minutes integer;
+  v_old_when text;
+begin
+  v_session := lock_session_for_change(p_session_id);
+  v_advisor_id := coalesce(p_advisor_id, v_session.advisor_id);
+  v_old_when := session_when(v_session.date, v_session.time);
+
+  if not exists (select 1 from users where id = v_advisor_id and role_id in (1, 2)) then
+    raise exception 'Please choose an advisor' using errcode = '22023';
+  end if;
+
+  if auth.uid() = v_session.student_id and not is_session_booking_enabled(v_advisor_id) then
+    raise exception 'This advisor is not taking bookings right now' using errcode = 'CSS04';
+  end if;
+
+  select slot_minutes into v_slot_minutes from advisor_availability where advisor_id = v_advisor_id;
+
+  update sessions
+  set advisor_id = v_advisor_id,
+      date = p_date,
+      time = p_time,
+      end_time = p_time + make_interval(mins => coalesce(v_slot_minutes, 60))
+  where id = p_session_id
+  returning * into v_session;
+
+  perform notify_session_user(
+    v_session.student_id, v_session.id, 'Session Rescheduled',
+    format('Your career advising session on %s has moved to %s.', v_old_when, session_when(p_date, p_time))
+  );
+  perform notify_session_user(
+    v_session.advisor_id, v_session.id, 'Session Rescheduled',
+    format('A career advising session on %s has moved to %s.', v_old_when, session_when(p_date, p_time))
+  );
+
+  return v_session;
+end;
+$$;
+
+create or replace function public.cancel_advising_session(
+  p_session_id public.sessions.id%type,
+  p_reason text
+)
+returns public.sessions
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_session sessions%rowtype;
+  v_notify uuid;
+begin
+  if coalesce(trim(p_reason), '') = '' then
+    raise exception 'Please give a reason for cancelling' using errcode = '22023';
+  end if;
+
+  v_session := lock_session_for_change(p_session_id);
+
+  update sessions
+  set status = 'cancelled', cancellation_reason = trim(p_reason), cancelled_by = auth.uid()
+  where id = p_session_id
+  returning * into v_session;
+
+  v_notify := case when auth.uid() = v_session.student_id then v_session.advisor_id else v_session.student_id end;
+  perform notify_session_user(
+    v_notify, v_session.id, 'Session Cancelled',
+    format('The career advising session on %s has been cancelled: %s',
+      session_when(v_session.date, v_session.time), v_session.cancellation_reason)
+  );
+
+  return v_session;
+end;
+$$;
+
+-- Staff only
+create or replace function public.complete_advising_session(
+  p_session_id public.sessions.id%type,
+  p_notes text
+)
+returns public.sessions
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_session sessions%rowtype;
+begin
+  if not exists (select 1 from users where id = auth.uid() and role_id in (1, 2)) then
+    raise exception 'Only advisors can complete sessions' using errcode = '42501';
+  end if;
+
+  v_session := lock_session_for_change(p_session_id);
+
+  update sessions
+  set status = 'completed', notes = coalesce(p_notes, notes)
+  where id = p_session_id
+  returning * into v_session;
+
+  perform notify_session_user(
+    v_session.student_id, v_session.id, 'Session Completed',
+    format('Your career advising session on %s has been marked as completed.',
+      session_when(v_session.date, v_session.time))
+  );
+
+  return v_session;
+end;
+$$;
@@ -0,0 +1,339 @@
+-- Session types for one-on-one advising.
+--
+-- Staff define the kinds of session students can book ("Resume review",
+-- "Mock interview", ...), each with its own length, the locations it can be
+-- held in and intake questions students answer when booking. Slots still
+-- start on the advisor's grid (slot length plus buffer from the start of each
+-- window); a session's length is its type's duration, or the advisor's slot
+-- length for sessions without a type. The answers are copied onto the session
+-- with their prompts, so editing a type never changes what a student wrote.
+--
+-- Errors: as book_advising_session in 20261019001900, plus CSS07 the session
+-- type is not available or the location is not one of its options
+
+create table if not exists public.session_types (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  description text,
+  duration_minutes integer not null check (duration_minutes between 15 and 240),
+  location_options text[] not null default '{}',
+  -- [{ "id": uuid, "prompt": text, "required": boolean }]
+  intake_questions jsonb not null default '[]'::jsonb,
+  is_active boolean not null default true,
+  created_by uuid references public.users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.sessions
+  add column if not exists session_type_id uuid references public.session_types(id) on delete set null,
+  -- [{ "question_id", "prompt", "answer" }]
+  add column if not exists intake_answers jsonb not null default '[]'::jsonb;
+
+alter table public.session_types enable row level security;
+
+create policy "Signed-in users can read session types"
+  on public.session_types for select
+  using (auth.uid() is not null);
+
+create policy "Staff can manage session types"
+  on public.session_types for all
+  using (exists (select 1 from public.users where id = auth.uid() and role_id in (1, 2)))
+  with check (exists (select 1 from public.users where id = auth.uid() and role_id in (1, 2)));
+
+insert into public.session_types (name, description, duration_minutes, location_options, intake_questions)
+select seed.name, seed.description, seed.duration_minutes, seed.location_options, seed.intake_questions
+from (values
+  ('Resume review', 'Feedback on your resume or CV.', 30,
+    array['Career Center, Room 203', 'Career Center, Room 204', 'Online (Zoom)'],
+    jsonb_build_array(
+      jsonb_build_object('id', gen_random_uuid(), 'prompt', 'What roles are you applying for?', 'required', true),
+      jsonb_build_object('id', gen_random_uuid(), 'prompt', 'Link to your current resume', 'required', false)
+    )),
+  ('Mock interview', 'Practice an interview and get feedback.', 60,
+    array['Career Center, Room 203', 'Career Center, Room 204', 'Online (Zoom)'],
+    jsonb_build_array(
+      jsonb_build_object('id', gen_random_uuid(), 'prompt', 'Which company and role is the interview for?', 'required', true)
+    )),
+  ('Career exploration', 'Talk through your interests and options.', 45,
+    array['Career Center, Room 203', 'Career Center, Room 204', 'Online (Zoom)'],
+    jsonb_build_array(
+      jsonb_build_object('id', gen_random_uuid(), 'prompt', 'What would you like to get out of this session?', 'required', false)
+    ))
+) as seed (name, description, duration_minutes, location_options, intake_questions)
+where not exists (select 1 from public.session_types);
+
+-- Minutes a session lasts with an advisor: its type's duration, else their slot length
+create or replace function public.session_duration_minutes(p_session_type_id uuid, p_advisor_id uuid)
+returns integer
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(
+    (select duration_minutes from session_types where id = p_session_type_id),
+    (select slot_minutes from advisor_availability where advisor_id = p_advisor_id),
+    60
+  );
+$$;
+
+-- As in 20261019001800, but the expected length comes from the session type
+create or replace function public.check_session_slot()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_availability advisor_availability%rowtype;
+  v_fits boolean;
+begin
+  if new.status <> 'scheduled' then
+    return new;
+  end if;
+
+  if tg_op = 'UPDATE'
+     and (new.advisor_id, new.date, new.time, new.end_time, new.status)
+         is not distinct from (old.advisor_id, old.date, old.time, old.end_time, old.status) then
+    return new;
+  end if;
+
+  insert into advisor_availability (advisor_id) values (new.advisor_id)
+  on conflict (advisor_id) do nothing;
+
+  -- Serialises bookings for this advisor until the transaction ends
+  select * into v_availability
+  from advisor_availability
+  where advisor_id = new.advisor_id
+  for update;
+
+  if exists (
+    select 1 from sessions s
+    where s.advisor_id = new.advisor_id
+      and s.id <> new.id
+      and s.status = 'scheduled'
+      and s.date = new.date
+      and new.time < s.end_time + make_interval(mins => v_availability.buffer_minutes)
+      and s.time < new.end_time + make_interval(mins => v_availability.buffer_minutes)
+  ) then
+    raise exception 'This time overlaps another session with this advisor' using errcode = 'CSS01';
+  end if;
+
+  -- Staff may schedule outside published hours
+  if auth.uid() is distinct from new.student_id then
+    return new;
+  end if;
+
+  if exists (
+    select 1 from advisor_blackouts b
+    where b.advisor_id = new.advisor_id and new.date between b.starts_on and b.ends_on
+  ) then
+    raise exception 'This advisor is not taking bookings on that day' using errcode = 'CSS02';
+  end if;
+
+  select exists (
+    select 1
+    from jsonb_to_recordset(v_availability.weekly_hours) as w(weekday integer, start time, "end" time)
+    where w.weekday = extract(dow from new.date)
+      and new.time >= w.start
+      and new.end_time = new.time
+        + make_interval(mins => session_duration_minutes(new.session_type_id, new.advisor_id))
+      and new.end_time <= w."end"
+      and extract(epoch from new.time - w.start)::integer
+        % ((v_availability.slot_minutes + v_availability.buffer_minutes) * 60) = 0
+  ) into v_fits;
+
+  -- Students book up to 60 days ahead (BOOKING_HORIZON_DAYS in lib/sessions/availability.js)
+  if not v_fits or new.date < current_date or new.date > current_date + 60 then
+    raise exception 'That time is not one of the advisor''s open slots' using errcode = 'CSS03';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop function if exists public.book_advising_session(uuid, uuid, date, time, text);
+
+-- As in 20261019001900, with the session type and the student's intake
+-- answers, which lib/sessions/types.js has already checked against the type
+create or replace function public.book_advising_session(
+  p_advisor_id uuid,
+  p_student_id uuid,
+  p_date date,
+  p_time time,
+  p_location text,
+  p_session_type_id uuid default null,
+  p_intake_answers jsonb default '[]'::jsonb
+)
+returns public.sessions
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_caller users%rowtype;
+  v_type session_types%rowtype;
+  v_advisor_id uuid;
+  v_student_id uuid;
+  v_session sessions%rowtype;
+  v_label text;
+begin
+  select * into v_caller from users where id = auth.uid();
+  if not found then
+    raise exception 'You must be signed in to book a session' using errcode = '42501';
+  end if;
+
+  if v_caller.role_id = 3 then
+    v_student_id := v_caller.id;
+    v_advisor_id := p_advisor_id;
+
+    if not is_session_booking_enabled(v_advisor_id) then
+      raise exception 'This advisor is not taking bookings right now' using errcode = 'CSS04';
+    end if;
+  else
+    v_student_id := p_student_id;
+    v_advisor_id := coalesce(p_advisor_id, v_caller.id);
+
+    if not exists (select 1 from users where id = v_student_id and role_id = 3) then
+      raise exception 'Please choose a student' using errcode = '22023';
+    end if;
+  end if;
+
+  if not exists (select 1 from users where id = v_advisor_id and role_id in (1, 2)) then
+    raise exception 'Please choose an advisor' using errcode = '22023';
+  end if;
+
+  if p_session_type_id is not null then
+    select * into v_type from session_types where id = p_session_type_id and is_active;
+    if not found then
+      raise exception 'That session type is no longer offered' using errcode = 'CSS07';
+    end if;
+
+    if cardinality(v_type.location_options) > 0 and not (p_location = any (v_type.location_options)) then
+      raise exception 'Please choose one of the locations for this session type' using errcode = 'CSS07';
+    end if;
+  end if;
+
+  insert into sessions (
+    student_id, advisor_id, date, time, end_time, location, status, session_type_id, intake_answers
+  )
+  values (
+    v_student_id,
+    v_advisor_id,
+    p_date,
+    p_time,
+    p_time + make_interval(mins => session_duration_minutes(p_session_type_id, v_advisor_id)),
+    p_location,
+    'scheduled',
+    p_session_type_id,
+    coalesce(p_intake_answers, '[]'::jsonb)
+  )
+  returning * into v_session;
+
+  v_label := coalesce(v_type.name || ' session', 'career advising session');
+  perform notify_session_user(
+    v_student_id, v_session.id, 'Session Booked',
+    format('Your %s has been scheduled for %s.', v_label, session_when(p_date, p_time))
+  );
+  perform notify_session_user(
+    v_advisor_id, v_session.id, 'New Session Booking',
+    format('A new %s has been scheduled for %s.', v_label, session_when(p_date, p_time))
+  );
+
+  return v_session;
+end;
+$$;
+
+-- As in 20261019002000, keeping the session type's length
+create or replace function public.reschedule_advising_session(
+  p_session_id public.sessions.id%type,
+  p_date date,
+  p_time time,
+  p_advisor_id uuid default null
+)
+returns public.sessions
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_old sessions%rowtype;
+  v_session sessions%rowtype;
+  v_advisor_id uuid;
+  v_notice_hours integer;
+  v_old_when text;
+  v_new_when text;
+begin
+  v_old := lock_session_for_change(p_session_id);
+  v_advisor_id := coalesce(p_advisor_id, v_old.advisor_id);
+  v_old_when := session_when(v_old.date, v_old.time);
+  v_new_when := session_when(p_date, p_time);
+
+  if not exists (select 1 from users where id = v_advisor_id and role_id in (1, 2)) then
+    raise exception 'Please choose an advisor' using errcode = '22023';
+  end if;
+
+  if (v_old.advisor_id, v_old.date, v_old.time) = (v_advisor_id, p_date, p_time) then
+    raise exception 'Please choose a different time' using errcode = '22023';
+  end if;
+
+  if auth.uid() = v_old.student_id then
+    if not is_session_booking_enabled(v_advisor_id) then
+      raise exception 'This advisor is not taking bookings right now' using errcode = 'CSS04';
+    end if;
+
+    -- Session times are stored without a zone, like current_date in check_session_slot
+    select coalesce(
+      (select reschedule_notice_hours from advisor_availability where advisor_id = v_old.advisor_id),
+      24
+    ) into v_notice_hours;
+
+    if v_old.date + v_old.time < localtimestamp + make_interval(hours => v_notice_hours) then
+      raise exception 'Sessions can only be rescheduled at least % hours before they start', v_notice_hours
+        using errcode = 'CSS06';
+    end if;
+  end if;
+
+  update sessions
+  set advisor_id = v_advisor_id,
+      date = p_date,
+      time = p_time,
+      end_time = p_time + make_interval(mins => session_duration_minutes(v_old.session_type_id, v_advisor_id)),
+      reschedule_history = reschedule_history || jsonb_build_array(jsonb_build_object(
+        'from_advisor_id', v_old.advisor_id,
+        'from_date', v_old.date,
+        'from_time', v_old.time,
+        'to_advisor_id', v_advisor_id,
+        'to_date', p_date,
+        'to_time', p_time,
+        'rescheduled_by', auth.uid(),
+        'rescheduled_at', now()
+      ))
+  where id = p_session_id
+  returning * into v_session;
+
+  perform notify_session_user(
+    v_session.student_id, v_session.id, 'Session Rescheduled',
+    format('Your career advising session on %s has moved to %s.', v_old_when, v_new_when)
+  );
+
+  if v_advisor_id = v_old.advisor_id then
+    perform notify_session_user(
+      v_advisor_id, v_session.id, 'Session Rescheduled',
+      format('A career advising session on %s has moved to %s.', v_old_when, v_new_when)
+    );
+  else
+    perform notify_session_user(
+      v_old.advisor_id, v_session.id, 'Session Moved',
+      format('The career advising session on %s has moved to another advisor.', v_old_when)
+    );
+    perform notify_session_user(
+      v_advisor_id, v_session.id, 'New Session Booking',
+      format('A career advising session has been moved to you for %s.', v_new_when)
+    );
+  end if;
+
+  return v_session;
+end;
+$$;
@@ -0,0 +1,346 @@
+-- Session reminders and no-shows.
+--
+-- A scheduled job (/api/cron/session-reminders) calls claim_session_reminders
+-- for each reminder offset. Claiming marks the sessions as reminded and adds
+-- the in-app notifications in one statement, so overlapping runs never remind
+-- twice; the job then sends the emails. Moving a session clears its
+-- reminders.
+--
+-- Advisors mark sessions the student missed as no_show. A student with
+-- session_policies.no_show_limit no-shows in the current semester cannot book
+-- until the semester ends or an advisor lifts the block, which forgives the
+-- no-shows so far (no_show_overrides). A limit of 0 never blocks.
+--
+-- Semesters start on 1 January (spring), 1 June (summer) and 1 August (fall),
+-- matching getSemesterStart in lib/sessions/no-shows.js.
+--
+-- Errors: as book_advising_session in 20261019002100, plus CSS08 booking is
+-- blocked for no-shows and CSS09 the session has not started yet
+
+alter table public.sessions drop constraint if exists sessions_status_check;
+alter table public.sessions
+  add constraint sessions_status_check check (status in ('scheduled', 'completed', 'cancelled', 'no_show'));
+
+alter table public.sessions
+  -- Reminder kinds already sent, e.g. {24h,1h}
+  add column if not exists reminders_sent text[] not null default '{}',
+  add column if not exists no_show_marked_at timestamptz;
+
+create index if not exists sessions_student_status_idx
+  on public.sessions (student_id, status, date);
+
+-- A single row of booking rules shared by all advisors
+create table if not exists public.session_policies (
+  id boolean primary key default true check (id),
+  no_show_limit integer not null default 3 check (no_show_limit between 0 and 20),
+  updated_at timestamptz not null default now()
+);
+
+insert into public.session_policies (id) values (true) on conflict (id) do nothing;
+
+create table if not exists public.no_show_overrides (
+  student_id uuid not null references public.users(id) on delete cascade,
+  semester_start date not null,
+  forgiven_count integer not null check (forgiven_count >= 0),
+  granted_by uuid references public.users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  primary key (student_id, semester_start)
+);
+
+alter table public.session_policies enable row level security;
+alter table public.no_show_overrides enable row level security;
+
+create policy "Signed-in users can read session policies"
+  on public.session_policies for select
+  using (auth.uid() is not null);
+
+create policy "Staff can update session policies"
+  on public.session_policies for update
+  using (exists (select 1 from public.users where id = auth.uid() and role_id in (1, 2)))
+  with check (exists (select 1 from public.users where id = auth.uid() and role_id in (1, 2)));
+
+create policy "Students can read their own no-show overrides"
+  on public.no_show_overrides for select
+  using (student_id = auth.uid());
+
+create policy "Staff can manage no-show overrides"
+  on public.no_show_overrides for all
+  using (exists (select 1 from public.users where id = auth.uid() and role_id in (1, 2)))
+  with check (exists (select 1 from public.users where id = auth.uid() and role_id in (1, 2)));
+
+create or replace function public.semester_start(p_date date)
+returns date
+language sql
+immutable
+as $$
+  select make_date(
+    extract(year from p_date)::integer,
+    case when extract(month from p_date) >= 8 then 8 when extract(month from p_date) >= 6 then 6 else 1 end,
+    1
+  );
+$$;
+
+-- No-shows this semester, how many an advisor forgave and whether booking is
+-- blocked. Students can only see their own.
+create or replace function public.student_no_show_standing(p_student_id uuid)
+returns table (no_shows integer, forgiven integer, no_show_limit integer, blocked boolean)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with counts as (
+    select
+      (select count(*)::integer from sessions
+        where student_id = p_student_id
+          and status = 'no_show'
+          and date >= semester_start(current_date)) as no_shows,
+      coalesce((select forgiven_count from no_show_overrides
+        where student_id = p_student_id and semester_start = semester_start(current_date)), 0) as forgiven,
+      (select p.no_show_limit from session_policies p limit 1) as no_show_limit
+  )
+  select c.no_shows, c.forgiven, c.no_show_limit,
+    c.no_show_limit > 0 and c.no_shows - c.forgiven >= c.no_show_limit
+  from counts c
+  where auth.uid() = p_student_id
+     or auth.role() = 'service_role'
+     or exists (select 1 from users where id = auth.uid() and role_id in (1, 2));
+$$;
+
+grant execute on function public.student_no_show_standing(uuid) to authenticated;
+
+-- Lifts a student's block for the rest of the semester by forgiving their
+-- no-shows so far. Staff only.
+create or replace function public.override_no_show_block(p_student_id uuid)
+returns public.no_show_overrides
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_override no_show_overrides%rowtype;
+begin
+  if not exists (select 1 from users where id = auth.uid() and role_id in (1, 2)) then
+    raise exception 'Only advisors can lift booking blocks' using errcode = '42501';
+  end if;
+
+  insert into no_show_overrides (student_id, semester_start, forgiven_count, granted_by)
+  select p_student_id, semester_start(current_date), s.no_shows, auth.uid()
+  from student_no_show_standing(p_student_id) s
+  on conflict (student_id, semester_start) do update
+    set forgiven_count = excluded.forgiven_count, granted_by = excluded.granted_by, created_at = now()
+  returning * into v_override;
+
+  perform notify_session_user(
+    p_student_id, null, 'Booking Unblocked',
+    'An advisor has lifted your booking block. You can book career advising sessions again.'
+  );
+
+  return v_override;
+end;
+$$;
+
+-- Staff only, once the session has started
+create or replace function public.mark_session_no_show(p_session_id public.sessions.id%type)
+returns public.sessions
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_session sessions%rowtype;
+  v_blocked boolean;
+begin
+  if not exists (select 1 from users where id = auth.uid() and role_id in (1, 2)) then
+    raise exception 'Only advisors can mark no-shows' using errcode = '42501';
+  end if;
+
+  v_session := lock_session_for_change(p_session_id);
+
+  if v_session.date + v_session.time > localtimestamp then
+    raise exception 'You can only mark a no-show once the session has started' using errcode = 'CSS09';
+  end if;
+
+  update sessions
+  set status = 'no_show', no_show_marked_at = now()
+  where id = p_session_id
+  returning * into v_session;
+
+  select blocked into v_blocked from student_no_show_standing(v_session.student_id);
+
+  perform notify_session_user(
+    v_session.student_id, v_session.id, 'Missed Session',
+    format('You were marked as a no-show for your career advising session on %s.%s',
+      session_when(v_session.date, v_session.time),
+      case when v_blocked
+        then ' You have missed too many sessions this semester, so booking is paused. Please contact your advisor.'
+        else ''
+      end)
+  );
+
+  return v_session;
+end;
+$$;
+
+create or replace function public.reset_session_reminders()
+returns trigger
+language plpgsql
+as $$
+begin
+  if (new.date, new.time) is distinct from (old.date, old.time) then
+    new.reminders_sent := '{}';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists sessions_reset_reminders on public.sessions;
+create trigger sessions_reset_reminders
+  before update on public.sessions
+  for each row execute function public.reset_session_reminders();
+
+-- Marks scheduled sessions starting within p_within from now (and not within
+-- p_skip, which a later reminder covers) as reminded with p_kind, adds in-app
+-- notifications for both parties and returns what the emails need.
+create or replace function public.claim_session_reminders(p_kind text, p_within interval, p_skip interval)
+returns table (
+  session_id text,
+  date date,
+  "time" time,
+  location text,
+  session_type text,
+  student_email text,
+  student_name text,
+  advisor_email text,
+  advisor_name text
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  return query
+  with claimed as (
+    update sessions s
+    set reminders_sent = s.reminders_sent || p_kind
+    where s.status = 'scheduled'
+      and not (p_kind = any (s.reminders_sent))
+      and s.date + s.time > localtimestamp + p_skip
+      and s.date + s.time <= localtimestamp + p_within
+    returning s.*
+  ),
+  notified as (
+    insert into notifications (user_id, type, title, message, metadata)
+    select n.user_id, 'session', 'Session Reminder',
+      format('Reminder: your career advising session is on %s at %s.', session_when(c.date, c.time), c.location),
+      jsonb_build_object('session_id', c.id, 'reminder', p_kind)
+    from claimed c
+    cross join lateral (values (c.student_id), (c.advisor_id)) as n(user_id)
+  )
+  select c.id::text, c.date, c.time, c.location, t.name,
+    st.email, st.fname, ad.email, ad.fname
+  from claimed c
+  join users st on st.id = c.student_id
+  join users ad on ad.id = c.advisor_id
+  left join session_types t on t.id = c.session_type_id;
+end;
+$$;
+
+revoke execute on function public.claim_session_reminders(text, interval, interval) from public, anon, authenticated;
+grant execute on function public.claim_session_reminders(text, interval, interval) to service_role;
+
+-- As in 20261019002100, refusing students blocked for no-shows
+create or replace function public.book_advising_session(
+  p_advisor_id uuid,
+  p_student_id uuid,
+  p_date date,
+  p_time time,
+  p_location text,
+  p_session_type_id uuid default null,
+  p_intake_answers jsonb default '[]'::jsonb
+)
+returns public.sessions
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_caller users%rowtype;
+  v_type session_types%rowtype;
+  v_advisor_id uuid;
+  v_student_id uuid;
+  v_session sessions%rowtype;
+  v_label text;
+  v_no_shows integer;
+begin
+  select * into v_caller from users where id = auth.uid();
+  if not found then
+    raise exception 'You must be signed in to book a session' using errcode = '42501';
+  end if;
+
+  if v_caller.role_id = 3 then
+    v_student_id := v_caller.id;
+    v_advisor_id := p_advisor_id;
+
+    if not is_session_booking_enabled(v_advisor_id) then
+      raise exception 'This advisor is not taking bookings right now' using errcode = 'CSS04';
+    end if;
+
+    select no_shows into v_no_shows from student_no_show_standing(v_student_id) where blocked;
+    if found then
+      raise exception 'You have missed % sessions this semester, so booking is paused. Please contact your advisor.',
+        v_no_shows using errcode = 'CSS08';
+    end if;
+  else
+    v_student_id := p_student_id;
+    v_advisor_id := coalesce(p_advisor_id, v_caller.id);
+
+    if not exists (select 1 from users where id = v_student_id and role_id = 3) then
+      raise exception 'Please choose a student' using errcode = '22023';
+    end if;
+  end if;
+
+  if not exists (select 1 from users where id = v_advisor_id and role_id in (1, 2)) then
+    raise exception 'Please choose an advisor' using errcode = '22023';
+  end if;
+
+  if p_session_type_id is not null then
+    select * into v_type from session_types where id = p_session_type_id and is_active;
+    if not found then
+      raise exception 'That session type is no longer offered' using errcode = 'CSS07';
+    end if;
+
+    if cardinality(v_type.location_options) > 0 and not (p_location = any (v_type.location_options)) then
+      raise exception 'Please choose one of the locations for this session type' using errcode = 'CSS07';
+    end if;
+  end if;
+
+  insert into sessions (
+    student_id, advisor_id, date, time, end_time, location, status, session_type_id, intake_answers
+  )
+  values (
+    v_student_id,
+    v_advisor_id,
+    p_date,
+    p_time,
+    p_time + make_interval(mins => session_duration_minutes(p_session_type_id, v_advisor_id)),
+    p_location,
+    'scheduled',
+    p_session_type_id,
+    coalesce(p_intake_answers, '[]'::jsonb)
+  )
+  returning * into v_session;
+
+  v_label := coalesce(v_type.name || ' session', 'career advising session');
+  perform notify_session_user(
+    v_student_id, v_session.id, 'Session Booked',
+    format('Your %s has been scheduled for %s.', v_label, session_when(p_date, p_time))
+  );
+  perform notify_session_user(
+    v_advisor_id, v_session.id, 'New Session Booking',
+    format('A new %s has been scheduled for %s.', v_label, session_when(p_date, p_time))
+  );
+
+  return v_session;
+end;
+$$;
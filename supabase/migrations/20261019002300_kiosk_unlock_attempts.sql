@@ -0,0 +1,46 @@
+-- Counts kiosk PIN attempts atomically.
+--
+-- unlockKiosk used to read failed_attempts and write back one more after a
+-- wrong PIN, so parallel requests all saw the same count and the lockout never
+-- triggered. Each attempt now takes its slot up front in a single update that
+-- also checks the lockout, before the PIN is verified; a right PIN then resets
+-- the count. Called with the service role only.
+
+-- Returns the PIN hash to check against, locked_out = true while the kiosk is
+-- refusing attempts, or no row if the event has no kiosk
+create or replace function public.begin_kiosk_unlock(
+  p_session_id text,
+  p_max_attempts integer,
+  p_lockout_minutes integer
+)
+returns table (pin_hash text, locked_out boolean)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_pin_hash text;
+begin
+  -- A lockout that has passed starts a fresh count
+  update event_kiosks k
+  set failed_attempts = case when k.locked_until is not null then 1 else k.failed_attempts + 1 end,
+      locked_until = case
+        when (case when k.locked_until is not null then 1 else k.failed_attempts + 1 end) >= p_max_attempts
+          then now() + make_interval(mins => p_lockout_minutes)
+        else null
+      end
+  where k.session_id = p_session_id
+    and (k.locked_until is null or k.locked_until <= now())
+  returning k.pin_hash into v_pin_hash;
+
+  if found then
+    return query select v_pin_hash, false;
+    return;
+  end if;
+
+  return query select null::text, true from event_kiosks k where k.session_id = p_session_id;
+end;
+$$;
+
+revoke execute on function public.begin_kiosk_unlock(text, integer, integer) from public, anon, authenticated;
+grant execute on function public.begin_kiosk_unlock(text, integer, integer) to service_role;
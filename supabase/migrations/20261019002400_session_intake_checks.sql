@@ -0,0 +1,177 @@
+-- Checks intake answers inside book_advising_session.
+--
+-- The function is security definer and signed-in users can call it directly,
+-- so it cannot rely on lib/sessions/types.js having checked the answers. The
+-- answers are now matched against the session type's questions here: every
+-- answer must be to one of its questions, required questions must be
+-- answered, and the prompts stored with the session are copied from the type.
+--
+-- Errors: as book_advising_session in 20261019002200, plus CSS10 the intake
+-- answers do not fit the session type
+
+-- Answers to store on a session, in question order, from
+-- [{ "question_id", "answer" }] given for a type's questions. Unanswered
+-- optional questions are left out. Answers are capped at 2000 characters
+-- (MAX_INTAKE_ANSWER_LENGTH in lib/sessions/types.js).
+create or replace function public.check_intake_answers(p_questions jsonb, p_answers jsonb)
+returns jsonb
+language plpgsql
+immutable
+set search_path = public
+as $$
+declare
+  v_answers jsonb := coalesce(p_answers, '[]'::jsonb);
+  v_missing text;
+  v_result jsonb;
+begin
+  if jsonb_typeof(v_answers) <> 'array' then
+    raise exception 'Intake answers must be a list' using errcode = 'CSS10';
+  end if;
+
+  if exists (
+    select 1
+    from jsonb_array_elements(v_answers) a
+    where jsonb_typeof(a) <> 'object'
+       or jsonb_typeof(a->'answer') is distinct from 'string'
+       or not exists (
+         select 1 from jsonb_array_elements(p_questions) q where q->>'id' = a->>'question_id'
+       )
+  ) then
+    raise exception 'These answers are not for this session type''s questions' using errcode = 'CSS10';
+  end if;
+
+  if exists (select 1 from jsonb_array_elements(v_answers) a where length(btrim(a->>'answer')) > 2000) then
+    raise exception 'Answers can be at most 2000 characters' using errcode = 'CSS10';
+  end if;
+
+  select q->>'prompt' into v_missing
+  from jsonb_array_elements(p_questions) q
+  where coalesce((q->>'required')::boolean, false)
+    and not exists (
+      select 1 from jsonb_array_elements(v_answers) a
+      where a->>'question_id' = q->>'id' and btrim(a->>'answer') <> ''
+    )
+  limit 1;
+
+  if v_missing is not null then
+    raise exception 'Please answer "%"', v_missing using errcode = 'CSS10';
+  end if;
+
+  select coalesce(jsonb_agg(jsonb_build_object(
+      'question_id', q.question->>'id',
+      'prompt', q.question->>'prompt',
+      'answer', btrim(a.answer->>'answer')
+    ) order by q.position), '[]'::jsonb)
+  into v_result
+  from jsonb_array_elements(p_questions) with ordinality as q(question, position)
+  cross join lateral (
+    select e as answer
+    from jsonb_array_elements(v_answers) e
+    where e->>'question_id' = q.question->>'id'
+    limit 1
+  ) a
+  where btrim(a.answer->>'answer') <> '';
+
+  return v_result;
+end;
+$$;
+
+-- As in 20261019002200, checking the intake answers against the session type
+create or replace function public.book_advising_session(
+  p_advisor_id uuid,
+  p_student_id uuid,
+  p_date date,
+  p_time time,
+  p_location text,
+  p_session_type_id uuid default null,
+  p_intake_answers jsonb default '[]'::jsonb
+)
+returns public.sessions
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_caller users%rowtype;
+  v_type session_types%rowtype;
+  v_advisor_id uuid;
+  v_student_id uuid;
+  v_session sessions%rowtype;
+  v_label text;
+  v_no_shows integer;
+  v_answers jsonb;
+begin
+  select * into v_caller from users where id = auth.uid();
+  if not found then
+    raise exception 'You must be signed in to book a session' using errcode = '42501';
+  end if;
+
+  if v_caller.role_id = 3 then
+    v_student_id := v_caller.id;
+    v_advisor_id := p_advisor_id;
+
+    if not is_session_booking_enabled(v_advisor_id) then
+      raise exception 'This advisor is not taking bookings right now' using errcode = 'CSS04';
+    end if;
+
+    select no_shows into v_no_shows from student_no_show_standing(v_student_id) where blocked;
+    if found then
+      raise exception 'You have missed % sessions this semester, so booking is paused. Please contact your advisor.',
+        v_no_shows using errcode = 'CSS08';
+    end if;
+  else
+    v_student_id := p_student_id;
+    v_advisor_id := coalesce(p_advisor_id, v_caller.id);
+
+    if not exists (select 1 from users where id = v_student_id and role_id = 3) then
+      raise exception 'Please choose a student' using errcode = '22023';
+    end if;
+  end if;
+
+  if not exists (select 1 from users where id = v_advisor_id and role_id in (1, 2)) then
+    raise exception 'Please choose an advisor' using errcode = '22023';
+  end if;
+
+  if p_session_type_id is not null then
+    select * into v_type from session_types where id = p_session_type_id and is_active;
+    if not found then
+      raise exception 'That session type is no longer offered' using errcode = 'CSS07';
+    end if;
+
+    if cardinality(v_type.location_options) > 0 and not (p_location = any (v_type.location_options)) then
+      raise exception 'Please choose one of the locations for this session type' using errcode = 'CSS07';
+    end if;
+  end if;
+
+  -- Sessions without a type have no questions, so they take no answers
+  v_answers := check_intake_answers(coalesce(v_type.intake_questions, '[]'::jsonb), p_intake_answers);
+
+  insert into sessions (
+    student_id, advisor_id, date, time, end_time, location, status, session_type_id, intake_answers
+  )
+  values (
+    v_student_id,
+    v_advisor_id,
+    p_date,
+    p_time,
+    p_time + make_interval(mins => session_duration_minutes(p_session_type_id, v_advisor_id)),
+    p_location,
+    'scheduled',
+    p_session_type_id,
+    v_answers
+  )
+  returning * into v_session;
+
+  v_label := coalesce(v_type.name || ' session', 'career advising session');
+  perform notify_session_user(
+    v_student_id, v_session.id, 'Session Booked',
+    format('Your %s has been scheduled for %s.', v_label, session_when(p_date, p_time))
+  );
+  perform notify_session_user(
+    v_advisor_id, v_session.id, 'New Session Booking',
+    format('A new %s has been scheduled for %s.', v_label, session_when(p_date, p_time))
+  );
+
+  return v_session;
+end;
+$$;
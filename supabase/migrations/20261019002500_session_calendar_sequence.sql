@@ -0,0 +1,22 @@
+-- Bumps a session's calendar sequence when it moves to another advisor or
+-- session type.
+--
+-- Rescheduling can hand a session to a different advisor, whom the student's
+-- feed entry names, and a different session type changes what the meeting is
+-- for. Without a higher SEQUENCE calendar apps keep the old entry.
+
+-- As in 20261019001100, also comparing advisor_id and session_type_id
+create or replace function public.bump_session_calendar_sequence()
+returns trigger
+language plpgsql
+as $$
+begin
+  if (new.date, new.time, new.end_time, new.location, new.status, new.advisor_id, new.session_type_id)
+     is distinct from
+     (old.date, old.time, old.end_time, old.location, old.status, old.advisor_id, old.session_type_id) then
+    new.calendar_sequence := old.calendar_sequence + 1;
+    new.updated_at := now();
+  end if;
+  return new;
+end;
+$$;
@@ -0,0 +1,108 @@
+-- Applies the no-show booking block to rescheduling.
+--
+-- Rescheduling moves a session to a new slot, so a student whose booking is
+-- paused for no-shows could otherwise keep taking new slots by moving an
+-- existing session. Staff can still reschedule for them.
+--
+-- Errors: as reschedule_advising_session in 20261019002100, plus CSS08 the
+-- student has reached the no-show limit this semester
+
+-- As in 20261019002100, refusing students blocked for no-shows
+create or replace function public.reschedule_advising_session(
+  p_session_id public.sessions.id%type,
+  p_date date,
+  p_time time,
+  p_advisor_id uuid default null
+)
+returns public.sessions
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_old sessions%rowtype;
+  v_session sessions%rowtype;
+  v_advisor_id uuid;
+  v_notice_hours integer;
+  v_old_when text;
+  v_new_when text;
+  v_no_shows integer;
+begin
+  v_old := lock_session_for_change(p_session_id);
+  v_advisor_id := coalesce(p_advisor_id, v_old.advisor_id);
+  v_old_when := session_when(v_old.date, v_old.time);
+  v_new_when := session_when(p_date, p_time);
+
+  if not exists (select 1 from users where id = v_advisor_id and role_id in (1, 2)) then
+    raise exception 'Please choose an advisor' using errcode = '22023';
+  end if;
+
+  if (v_old.advisor_id, v_old.date, v_old.time) = (v_advisor_id, p_date, p_time) then
+    raise exception 'Please choose a different time' using errcode = '22023';
+  end if;
+
+  if auth.uid() = v_old.student_id then
+    if not is_session_booking_enabled(v_advisor_id) then
+      raise exception 'This advisor is not taking bookings right now' using errcode = 'CSS04';
+    end if;
+
+    select no_shows into v_no_shows from student_no_show_standing(v_old.student_id) where blocked;
+    if found then
+      raise exception 'You have missed % sessions this semester, so booking is paused. Please contact your advisor.',
+        v_no_shows using errcode = 'CSS08';
+    end if;
+
+    -- Session times are stored without a zone, like current_date in check_session_slot
+    select coalesce(
+      (select reschedule_notice_hours from advisor_availability where advisor_id = v_old.advisor_id),
+      24
+    ) into v_notice_hours;
+
+    if v_old.date + v_old.time < localtimestamp + make_interval(hours => v_notice_hours) then
+      raise exception 'Sessions can only be rescheduled at least % hours before they start', v_notice_hours
+        using errcode = 'CSS06';
+    end if;
+  end if;
+
+  update sessions
+  set advisor_id = v_advisor_id,
+      date = p_date,
+      time = p_time,
+      end_time = p_time + make_interval(mins => session_duration_minutes(v_old.session_type_id, v_advisor_id)),
+      reschedule_history = reschedule_history || jsonb_build_array(jsonb_build_object(
+        'from_advisor_id', v_old.advisor_id,
+        'from_date', v_old.date,
+        'from_time', v_old.time,
+        'to_advisor_id', v_advisor_id,
+        'to_date', p_date,
+        'to_time', p_time,
+        'rescheduled_by', auth.uid(),
+        'rescheduled_at', now()
+      ))
+  where id = p_session_id
+  returning * into v_session;
+
+  perform notify_session_user(
+    v_session.student_id, v_session.id, 'Session Rescheduled',
+    format('Your career advising session on %s has moved to %s.', v_old_when, v_new_when)
+  );
+
+  if v_advisor_id = v_old.advisor_id then
+    perform notify_session_user(
+      v_advisor_id, v_session.id, 'Session Rescheduled',
+      format('A career advising session on %s has moved to %s.', v_old_when, v_new_when)
+    );
+  else
+    perform notify_session_user(
+      v_old.advisor_id, v_session.id, 'Session Moved',
+      format('The career advising session on %s has moved to another advisor.', v_old_when)
+    );
+    perform notify_session_user(
+      v_advisor_id, v_session.id, 'New Session Booking',
+      format('A career advising session has been moved to you for %s.', v_new_when)
+    );
+  end if;
+
+  return v_session;
+end;
+$$;
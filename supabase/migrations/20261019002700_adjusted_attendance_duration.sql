@@ -0,0 +1,121 @@
+-- Gives attendance added by hand the event's length as its duration.
+--
+-- A manual add, or the approval of a flagged check-in, had no check-out and so
+-- no duration_minutes. On events with a minimum duration, meetsDurationRule
+-- then never counted the admin's correction, and feedback stayed locked.
+
+-- Minutes from an event's start to its end, and never less than its minimum
+-- duration. Event times are compared without a zone, as in parseEventTime.
+create or replace function public.event_length_minutes(p_session_id text)
+returns integer
+language sql
+stable
+set search_path = public
+as $$
+  select greatest(
+    case
+      when end_time::time > start_time::time
+        then (extract(epoch from end_time::time - start_time::time) / 60)::integer
+    end,
+    min_duration_minutes
+  )
+  from career_sessions
+  where session_id = p_session_id;
+$$;
+
+-- As in 20261019000600, recording the event's length on rows it adds or approves
+create or replace function public.adjust_attendance(
+  p_session_id text,
+  p_student_id text,
+  p_action text,
+  p_reason text
+)
+returns jsonb
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  v_user_id uuid;
+  v_existing attendance%rowtype;
+  v_has_record boolean;
+  v_adjustment_id uuid;
+begin
+  if not exists (select 1 from users where id = auth.uid() and role_id in (1, 2)) then
+    raise exception 'Only staff can adjust attendance' using errcode = '42501';
+  end if;
+
+  if p_action not in ('add', 'remove') then
+    raise exception 'Action must be add or remove' using errcode = '22023';
+  end if;
+
+  if coalesce(trim(p_reason), '') = '' then
+    raise exception 'A reason is required' using errcode = '22023';
+  end if;
+
+  select id into v_user_id from users where student_id = p_student_id;
+  if v_user_id is null then
+    raise exception 'Student not found' using errcode = 'P0002';
+  end if;
+
+  select * into v_existing
+  from attendance
+  where session_id = p_session_id and student_id = p_student_id
+  for update;
+  v_has_record := found;
+
+  if p_action = 'add' then
+    if v_has_record and v_existing.review_status = 'approved' then
+      raise exception 'Student already has attendance for this event' using errcode = '23505';
+    elsif v_has_record then
+      -- A flagged or rejected check-in is approved rather than duplicated
+      -- A duration measured at check-out is kept
+      update attendance
+      set review_status = 'approved',
+          reviewed_by = auth.uid(),
+          reviewed_at = now(),
+          duration_minutes = coalesce(duration_minutes, event_length_minutes(p_session_id))
+      where id = v_existing.id;
+    else
+      insert into attendance (session_id, student_id, user_id, signup_time, source, duration_minutes)
+      values (p_session_id, p_student_id, v_user_id, now(), 'manual_adjustment', event_length_minutes(p_session_id));
+    end if;
+  else
+    if not v_has_record then
+      raise exception 'Student has no attendance for this event' using errcode = 'P0002';
+    end if;
+    delete from attendance where id = v_existing.id;
+  end if;
+
+  insert into attendance_adjustments
+    (session_id, student_id, user_id, action, reason, adjusted_by, previous_record)
+  values (
+    p_session_id,
+    p_student_id,
+    v_user_id,
+    p_action,
+    trim(p_reason),
+    auth.uid(),
+    case when v_has_record then to_jsonb(v_existing) end
+  )
+  returning id into v_adjustment_id;
+
+  return jsonb_build_object('adjustment_id', v_adjustment_id, 'user_id', v_user_id);
+end;
+$$;
+
+-- Rows added or approved by hand before this migration
+update public.attendance a
+set duration_minutes = public.event_length_minutes(a.session_id)
+where a.duration_minutes is null
+  and a.review_status = 'approved'
+  and (
+    a.source = 'manual_adjustment'
+    or exists (
+      select 1 from public.attendance_adjustments j
+      where j.session_id = a.session_id
+        and j.student_id = a.student_id
+        and j.action = 'add'
+        and j.previous_record is not null
+    )
+  );
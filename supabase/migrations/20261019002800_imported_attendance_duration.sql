@@ -0,0 +1,61 @@
+-- Gives imported attendance the event's length as its duration.
+--
+-- Sign-in sheets record no check-out, so imported rows had no
+-- duration_minutes and never counted on events with a minimum duration. They
+-- now get event_length_minutes, like attendance added by hand in
+-- 20261019002700.
+
+-- As in 20261019000500, recording the event's length on imported rows
+create or replace function public.import_attendance(
+  p_session_id text,
+  p_students jsonb,
+  p_file_name text,
+  p_note text,
+  p_skipped jsonb
+)
+returns jsonb
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  v_import_id uuid;
+  v_imported integer;
+begin
+  if not exists (select 1 from users where id = auth.uid() and role_id in (1, 2)) then
+    raise exception 'Only staff can import attendance' using errcode = '42501';
+  end if;
+
+  insert into attendance_imports (session_id, imported_by, file_name, note, row_count, skipped)
+  values (
+    p_session_id,
+    auth.uid(),
+    p_file_name,
+    nullif(trim(p_note), ''),
+    jsonb_array_length(p_students) + jsonb_array_length(coalesce(p_skipped, '[]'::jsonb)),
+    coalesce(p_skipped, '[]'::jsonb)
+  )
+  returning id into v_import_id;
+
+  -- Students checked in between preview and commit are skipped, not duplicated
+  with inserted as (
+    insert into attendance (session_id, student_id, user_id, signup_time, source, import_id, duration_minutes)
+    select p_session_id, s->>'student_id', (s->>'user_id')::uuid, now(), 'bulk_import', v_import_id,
+      event_length_minutes(p_session_id)
+    from jsonb_array_elements(p_students) s
+    on conflict (session_id, student_id) do nothing
+    returning 1
+  )
+  select count(*) into v_imported from inserted;
+
+  update attendance_imports set imported_count = v_imported where id = v_import_id;
+
+  return jsonb_build_object('import_id', v_import_id, 'imported', v_imported);
+end;
+$$;
+
+-- Rows imported before this migration
+update public.attendance
+set duration_minutes = public.event_length_minutes(session_id)
+where source = 'bulk_import'
+  and duration_minutes is null;
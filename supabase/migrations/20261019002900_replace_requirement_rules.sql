@@ -0,0 +1,71 @@
+-- Replaces a year group's rules in one transaction.
+--
+-- lib/requirements/service.js used to delete the rules left out and then
+-- upsert the rest in separate requests, so a failed upsert left the group with
+-- its rules deleted, and an upsert with another group's rule ID moved that
+-- rule into this group. replace_requirement_rules() does both in one call and
+-- only updates rules that already belong to the group.
+
+-- p_rules: requirement_items column values in list order, with "id" for rules
+-- kept from before
+-- Errors: 42501 not staff, 22023 an ID is not one of the group's rules
+create or replace function public.replace_requirement_rules(
+  p_group_id uuid,
+  p_rules jsonb
+)
+returns void
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  v_position integer;
+begin
+  if not exists (select 1 from users where id = auth.uid() and role_id in (1, 2)) then
+    raise exception 'Only staff can change requirements' using errcode = '42501';
+  end if;
+
+  select r.position into v_position
+  from jsonb_to_recordset(p_rules) as r(id text, position integer)
+  where r.id is not null
+    and not exists (
+      select 1 from requirement_items i where i.id::text = r.id and i.group_id = p_group_id
+    )
+  order by r.position
+  limit 1;
+
+  if found then
+    raise exception 'Rule % is not one of this year group''s rules', v_position + 1 using errcode = '22023';
+  end if;
+
+  delete from requirement_items i
+  where i.group_id = p_group_id
+    and not exists (
+      select 1 from jsonb_to_recordset(p_rules) as r(id text) where r.id = i.id::text
+    );
+
+  update requirement_items i
+  set description = r.description,
+      is_required = r.is_required,
+      rule_type = r.rule_type,
+      event_type = r.event_type,
+      event_tag = r.event_tag,
+      min_count = r.min_count,
+      position = r.position
+  from jsonb_to_recordset(p_rules) as r(
+    id text, description text, is_required boolean, rule_type text,
+    event_type text, event_tag text, min_count integer, position integer
+  )
+  where i.id::text = r.id
+    and i.group_id = p_group_id;
+
+  insert into requirement_items
+    (group_id, description, is_required, rule_type, event_type, event_tag, min_count, position)
+  select p_group_id, r.description, r.is_required, r.rule_type, r.event_type, r.event_tag, r.min_count, r.position
+  from jsonb_to_recordset(p_rules) as r(
+    id text, description text, is_required boolean, rule_type text,
+    event_type text, event_tag text, min_count integer, position integer
+  )
+  where r.id is null;
+end;
+$$;
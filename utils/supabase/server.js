@@ -45,4 +45,18 @@ export async function createClient(reqCookies = null, customKey = null) {
             },
         }
     )
-}
\ No newline at end of file
+}
+
+/**
+ * Creates a Supabase client with the service role and no user session
+ *
+ * <p>Bypasses row level security, so only use it once the route has checked
+ * who is asking by other means (a cron secret, a signed feed token or kiosk
+ * cookie).</p>
+ *
+ * @returns {Object} Supabase client instance with the service role
+ */
+export async function createServiceClient() {
+    // An empty cookie store keeps any signed-in user's token off these requests
+    return createClient({}, process.env.SUPABASE_SERVICE_ROLE_KEY)
+}